@@ -5,11 +5,23 @@
 
 import * as functions from 'firebase-functions';
 import * as admin from 'firebase-admin';
-import { taskIntelligenceService } from './services/taskIntelligenceService';
+import { taskIntelligenceService, CATEGORY_SUGGESTION_THRESHOLD } from './services/taskIntelligenceService';
+import { isKnownCategory } from './services/taskCategoryClassifier';
 import { analyticsService } from './services/analyticsService';
+import { calendarFeedService } from './services/calendarFeedService';
+import { importService } from './services/importService';
+import { parseImport, ParsedImport, IMPORT_SOURCES } from './services/importParsers';
+import { dayPlannerService } from './services/dayPlanner';
+import { CSV_DELIMITERS } from './services/csvWriter';
+import { exportJobService } from './services/exportJobService';
+import { accountErasureService } from './services/accountErasureService';
+import { EXPORT_FORMATS } from './services/exportSinks';
+import { TaskRanker, DEFAULT_SIGNALS, buildRankingContext } from './services/taskRanking';
 import { integrationService } from './services/integrationService';
+import { oauthService } from './services/oauthService';
 import { notificationService } from './services/notificationService';
 import { securityService } from './services/securityService';
+import { resolveTimeZone } from './utils/timezone';
 import { Request, Response } from 'express';
 
 // Initialize Firebase Admin SDK
@@ -29,6 +41,19 @@ const corsOptions = {
   optionsSuccessStatus: 200
 };
 
+// Largest import file accepted by importUserData, in characters
+const MAX_IMPORT_CONTENT_LENGTH = 5 * 1024 * 1024;
+
+// The OAuth callback only sends users back to the app's own origins
+function isAllowedReturnUrl(value: unknown): value is string {
+  if (typeof value !== 'string') return false;
+  try {
+    return corsOptions.origin.includes(new URL(value).origin);
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * AI Task Intelligence Functions
  */
@@ -64,6 +89,7 @@ export const processTaskWithAI = functions
         description: description || '',
         category: category || 'general',
         priority: priority || 'medium',
+        userId,
         userContext: userData
       });
 
@@ -76,6 +102,154 @@ export const processTaskWithAI = functions
     }
   });
 
+// Parse quick-add free text into structured task fields
+export const parseTaskText = functions
+  .runWith({
+    memory: '256MB',
+    timeoutSeconds: 15,
+  })
+  .https.onCall(async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { text, timezone } = data;
+    if (!text || typeof text !== 'string') {
+      throw new functions.https.HttpsError('invalid-argument', 'text is required');
+    }
+    if (text.length > 500) {
+      throw new functions.https.HttpsError('invalid-argument', 'text exceeds maximum length of 500');
+    }
+
+    try {
+      // Parsing learns from the caller's own vocabulary, never another user's
+      const parsed = await taskIntelligenceService.parseTaskText(text, {
+        userId: context.auth.uid,
+        timezone
+      });
+      return parsed;
+
+    } catch (error) {
+      console.error('Task text parsing error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to parse task text');
+    }
+  });
+
+// Accept (and optionally edit) a subtask proposal, creating the child tasks
+export const createSubtasks = functions
+  .runWith({
+    memory: '256MB',
+    timeoutSeconds: 30,
+  })
+  .https.onCall(async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    // Subtasks are only ever created under the caller's own tasks
+    const userId = context.auth.uid;
+    const { parentTaskId, subtasks } = data;
+    if (!parentTaskId) {
+      throw new functions.https.HttpsError('invalid-argument', 'parentTaskId is required');
+    }
+
+    if (subtasks !== undefined) {
+      const valid = Array.isArray(subtasks) && subtasks.length > 0 && subtasks.length <= 20 &&
+        subtasks.every((s: any) =>
+          typeof s?.title === 'string' && s.title.trim().length > 0 && s.title.length <= 200 &&
+          (s.estimatedDuration === undefined || (typeof s.estimatedDuration === 'number' && s.estimatedDuration > 0 && s.estimatedDuration <= 24 * 60))
+        );
+      if (!valid) {
+        throw new functions.https.HttpsError('invalid-argument', 'subtasks must be 1-20 items with a title and optional estimatedDuration in minutes');
+      }
+    }
+
+    try {
+      const result = await taskIntelligenceService.createSubtasks(userId, parentTaskId, subtasks);
+      return result;
+
+    } catch (error) {
+      if ((error as Error).message === 'Parent task not found') {
+        throw new functions.https.HttpsError('not-found', 'Parent task not found');
+      }
+      if ((error as Error).message === 'Subtasks already created') {
+        throw new functions.https.HttpsError('already-exists', 'Subtasks already created');
+      }
+      console.error('Subtask creation error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to create subtasks');
+    }
+  });
+
+// Get prediction accuracy summary for the user's task intelligence
+export const getIntelligenceSummary = functions
+  .runWith({
+    memory: '512MB',
+    timeoutSeconds: 30,
+  })
+  .https.onCall(async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    // Accuracy history is only ever read for the caller
+    const userId = context.auth.uid;
+    const { weeks } = data || {};
+
+    try {
+      const summary = await taskIntelligenceService.getIntelligenceSummary(userId, Math.min(Number(weeks) || 8, 52));
+      return summary;
+
+    } catch (error) {
+      console.error('Intelligence summary error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to generate intelligence summary');
+    }
+  });
+
+// Plan the user's day as a pomodoro timeline of focus and break blocks
+export const planMyDay = functions
+  .runWith({
+    memory: '512MB',
+    timeoutSeconds: 30,
+  })
+  .https.onCall(async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    // Plans read the caller's own tasks and focus history
+    const userId = context.auth.uid;
+    const { date, workingHours, fixedBlocks } = data || {};
+
+    if (date !== undefined && (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      throw new functions.https.HttpsError('invalid-argument', 'date must be YYYY-MM-DD');
+    }
+
+    const isClock = (value: unknown) => typeof value === 'string' && /^\d{1,2}:\d{2}$/.test(value);
+    if (workingHours !== undefined && !(isClock(workingHours?.start) && isClock(workingHours?.end))) {
+      throw new functions.https.HttpsError('invalid-argument', 'workingHours must have start and end as HH:mm');
+    }
+
+    if (fixedBlocks !== undefined) {
+      const valid = Array.isArray(fixedBlocks) && fixedBlocks.length <= 50 &&
+        fixedBlocks.every((b: any) =>
+          typeof b?.start === 'string' && typeof b?.end === 'string' &&
+          (b.title === undefined || (typeof b.title === 'string' && b.title.length <= 200))
+        );
+      if (!valid) {
+        throw new functions.https.HttpsError('invalid-argument', 'fixedBlocks must be up to 50 items with ISO start and end');
+      }
+    }
+
+    try {
+      const plan = await dayPlannerService.planMyDay(userId, { date, workingHours, fixedBlocks });
+      return plan;
+
+    } catch (error) {
+      console.error('Day planning error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to plan day');
+    }
+  });
+
 // Get AI-powered task recommendations
 export const getTaskRecommendations = functions
   .runWith({
@@ -87,36 +261,46 @@ export const getTaskRecommendations = functions
       throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
     }
 
-    const { userId } = data;
-    if (!userId) {
-      throw new functions.https.HttpsError('invalid-argument', 'userId is required');
+    // Recommendations rank the caller's own open tasks
+    const userId = context.auth.uid;
+    const { limit = 5, weights } = data || {};
+
+    if (typeof limit !== 'number' || limit < 1 || limit > 20) {
+      throw new functions.https.HttpsError('invalid-argument', 'limit must be between 1 and 20');
+    }
+
+    const signalNames = DEFAULT_SIGNALS.map(signal => signal.name);
+    if (weights !== undefined && (typeof weights !== 'object' || weights === null ||
+      !Object.entries(weights).every(([name, weight]) =>
+        signalNames.includes(name) && typeof weight === 'number' && weight >= 0 && weight <= 1))) {
+      throw new functions.https.HttpsError('invalid-argument', `weights must map ${signalNames.join(', ')} to values between 0 and 1`);
     }
 
     try {
-      // Get user's tasks and analytics
-      const tasksSnapshot = await db.collection('users').doc(userId).collection('tasks')
-        .where('isCompleted', '==', false)
-        .orderBy('createdAt', 'desc')
-        .limit(50)
-        .get();
+      // Get all of the user's open tasks and analytics
+      const userRef = db.collection('users').doc(userId);
+      const [tasksSnapshot, analyticsDoc, userContext, peakHours] = await Promise.all([
+        userRef.collection('tasks').where('isCompleted', '==', false).limit(500).get(),
+        userRef.collection('analytics').doc('current').get(),
+        getUserContext(userId),
+        analyticsService.getPeakHours(userId)
+      ]);
 
       const tasks = tasksSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-
-      // Get user analytics for context
-      const analyticsDoc = await db.collection('users').doc(userId).collection('analytics')
-        .doc('current')
-        .get();
-
       const userAnalytics = analyticsDoc.data();
+      const userData = userContext as any;
 
-      // Generate recommendations (simplified without AI)
-      const recommendations = tasks
-        .slice(0, 5)
-        .map(task => ({
+      // Per-request weights override the ones saved on the profile
+      const context = buildRankingContext(tasks, userData, userAnalytics, peakHours, resolveTimeZone(userData.timezone));
+      const ranker = new TaskRanker(DEFAULT_SIGNALS, { ...userData.rankingWeights, ...weights });
+
+      const recommendations = ranker.rank(tasks, context)
+        .slice(0, limit)
+        .map(({ task, score, explanation }) => ({
           ...task,
-          recommendationScore: calculateRecommendationScore(task)
-        }))
-        .sort((a, b) => b.recommendationScore - a.recommendationScore);
+          recommendationScore: score,
+          explanation
+        }));
 
       return recommendations;
 
@@ -196,9 +380,12 @@ export const syncExternalTasks = functions
       throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
     }
 
-    const { userId, provider, credentials, bidirectional } = data;
-    if (!userId || !provider || !credentials) {
-      throw new functions.https.HttpsError('invalid-argument', 'Missing required parameters');
+    // Syncs use the caller's stored tokens, so they only ever run for the caller. Credentials
+    // are only needed to create an integration; connected ones use their stored tokens
+    const userId = context.auth.uid;
+    const { provider, credentials, bidirectional } = data;
+    if (!provider) {
+      throw new functions.https.HttpsError('invalid-argument', 'provider is required');
     }
 
     try {
@@ -211,10 +398,270 @@ export const syncExternalTasks = functions
     }
   });
 
-// Export user data in various formats
-export const exportUserData = functions
+// Register a webhook with the provider so changes arrive as they happen
+export const setupIntegrationWebhook = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  // Webhooks are only registered on the caller's own integrations
+  const userId = context.auth.uid;
+  const { provider, events } = data;
+  if (!provider) {
+    throw new functions.https.HttpsError('invalid-argument', 'provider is required');
+  }
+  if (events !== undefined && (!Array.isArray(events) || !events.every((event: unknown) => typeof event === 'string'))) {
+    throw new functions.https.HttpsError('invalid-argument', 'events must be a list of event names');
+  }
+
+  try {
+    return await integrationService.setupWebhook(userId, provider, events || []);
+
+  } catch (error) {
+    const message = (error as Error).message;
+    if (message.includes('not supported') || message.includes('not configured')) {
+      throw new functions.https.HttpsError('failed-precondition', message);
+    }
+    console.error('Webhook setup error:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to set up webhook');
+  }
+});
+
+// Settle a sync conflict flagged for review by keeping the local or the provider's value
+export const resolveSyncConflict = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  // Only the caller's own conflicts can be resolved
+  const userId = context.auth.uid;
+  const { conflictId, keep } = data;
+  if (!conflictId) {
+    throw new functions.https.HttpsError('invalid-argument', 'conflictId is required');
+  }
+  if (keep !== 'local' && keep !== 'remote') {
+    throw new functions.https.HttpsError('invalid-argument', "keep must be 'local' or 'remote'");
+  }
+
+  try {
+    return await integrationService.resolveSyncConflict(userId, conflictId, keep);
+
+  } catch (error) {
+    const message = (error as Error).message;
+    if (message.includes('not found')) {
+      throw new functions.https.HttpsError('not-found', message);
+    }
+    if (message.includes('already resolved')) {
+      throw new functions.https.HttpsError('failed-precondition', message);
+    }
+    console.error('Sync conflict resolution error:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to resolve sync conflict');
+  }
+});
+
+// Start connecting an integration through the provider's OAuth consent page
+export const startIntegrationOAuth = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { provider, returnUrl } = data || {};
+  if (!provider || typeof provider !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'provider is required');
+  }
+  if (returnUrl !== undefined && !isAllowedReturnUrl(returnUrl)) {
+    throw new functions.https.HttpsError('invalid-argument', 'returnUrl must be on an allowed origin');
+  }
+
+  try {
+    // Tokens are bound to the caller, never to a userId from the request
+    return await oauthService.startAuthorization(context.auth.uid, provider, returnUrl || null);
+
+  } catch (error) {
+    const message = (error as Error).message;
+    if (message.includes('not supported') || message.includes('not configured')) {
+      throw new functions.https.HttpsError('failed-precondition', message);
+    }
+    console.error('OAuth start error:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to start integration connect');
+  }
+});
+
+// Providers redirect here once the user approves or denies an OAuth connect
+export const integrationOAuthCallback = functions
+  .runWith({
+    memory: '256MB',
+    timeoutSeconds: 60,
+  })
+  .https.onRequest(async (req: Request, res: Response) => {
+    if (req.method !== 'GET') {
+      res.status(405).send('Method not allowed');
+      return;
+    }
+
+    const param = (name: string) => typeof req.query[name] === 'string' ? req.query[name] as string : undefined;
+
+    try {
+      const result = await oauthService.handleCallback({ state: param('state'), code: param('code'), error: param('error') });
+
+      if (result.returnUrl) {
+        const target = new URL(result.returnUrl);
+        target.searchParams.set('integration', result.provider);
+        target.searchParams.set('status', result.error ? 'error' : 'connected');
+        if (result.error) target.searchParams.set('reason', result.error);
+        res.redirect(302, target.toString());
+        return;
+      }
+
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      if (result.error) {
+        res.status(400).send(`Could not connect ${result.provider} (${result.error}). Please try again.`);
+      } else {
+        res.status(200).send(`Connected ${result.provider}. You can close this window.`);
+      }
+
+    } catch (error) {
+      if ((error as Error).message.includes('state')) {
+        res.status(400).send('This connect link is invalid or has already been used');
+        return;
+      }
+      console.error('OAuth callback error:', error);
+      res.status(500).send('Integration connect failed');
+    }
+  });
+
+// Queue an export of the user's data; processExportRequest writes the file
+export const exportUserData = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  // Exports are only ever queued for the caller, like export_requests the client creates itself
+  const userId = context.auth.uid;
+  const { format, startDate, endDate, columnSet, delimiter } = data;
+  if (!format) {
+    throw new functions.https.HttpsError('invalid-argument', 'format is required');
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new functions.https.HttpsError('invalid-argument', `format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (columnSet !== undefined && columnSet !== 'basic' && columnSet !== 'full') {
+    throw new functions.https.HttpsError('invalid-argument', "columnSet must be 'basic' or 'full'");
+  }
+  if (delimiter !== undefined && !CSV_DELIMITERS.includes(delimiter)) {
+    throw new functions.https.HttpsError('invalid-argument', 'delimiter must be a comma, semicolon or tab');
+  }
+
+  try {
+    return await exportJobService.queueExport(userId, format, startDate, endDate, { columnSet, delimiter });
+
+  } catch (error) {
+    console.error('Data export error:', error);
+    throw new functions.https.HttpsError('internal', 'Data export failed');
+  }
+});
+
+// Queue a full export of the caller's data: every subcollection and their Storage files
+export const exportAllUserData = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  try {
+    return await exportJobService.queueFullExport(context.auth.uid);
+
+  } catch (error) {
+    console.error('Full data export error:', error);
+    throw new functions.https.HttpsError('internal', 'Data export failed');
+  }
+});
+
+// Sign a short-lived download link for one of the caller's finished exports
+export const getExportDownloadUrl = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { requestId } = data || {};
+  if (typeof requestId !== 'string' || !requestId) {
+    throw new functions.https.HttpsError('invalid-argument', 'requestId is required');
+  }
+
+  try {
+    return await exportJobService.getDownloadUrl(context.auth.uid, requestId);
+
+  } catch (error) {
+    const message = (error as Error).message;
+    if (message === 'Export request not found') {
+      throw new functions.https.HttpsError('not-found', message);
+    }
+    if (message === 'Export is not ready' || message === 'Export download has expired') {
+      throw new functions.https.HttpsError('failed-precondition', message);
+    }
+    console.error('Export download link error:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to create download link');
+  }
+});
+
+// Queue erasure of the caller's account and all of its data
+export const requestAccountErasure = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  if (data?.confirm !== true) {
+    throw new functions.https.HttpsError('invalid-argument', 'confirm must be true to erase the account');
+  }
+
+  try {
+    return await accountErasureService.queueErasure(context.auth.uid);
+
+  } catch (error) {
+    if ((error as Error).message.includes('already in progress')) {
+      throw new functions.https.HttpsError('already-exists', (error as Error).message);
+    }
+    console.error('Account erasure request error:', error);
+    throw new functions.https.HttpsError('internal', 'Account erasure request failed');
+  }
+});
+
+// Status and receipt of an erasure request; no auth since the account may already be gone
+export const getErasureReceipt = functions.https.onCall(async (data) => {
+  const { requestId, receiptToken } = data || {};
+  if (typeof requestId !== 'string' || !requestId || typeof receiptToken !== 'string' || !receiptToken) {
+    throw new functions.https.HttpsError('invalid-argument', 'requestId and receiptToken are required');
+  }
+
+  try {
+    return await accountErasureService.getReceipt(requestId, receiptToken);
+
+  } catch (error) {
+    if ((error as Error).message.includes('not found')) {
+      throw new functions.https.HttpsError('not-found', (error as Error).message);
+    }
+    console.error('Erasure receipt error:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to get erasure receipt');
+  }
+});
+
+// Check that an erasure receipt was issued by us and has not been altered
+export const verifyErasureReceipt = functions.https.onCall(async (data) => {
+  if (!data?.receipt) {
+    throw new functions.https.HttpsError('invalid-argument', 'receipt is required');
+  }
+
+  try {
+    return { valid: accountErasureService.verifyReceipt(data.receipt) };
+
+  } catch (error) {
+    console.error('Erasure receipt verification error:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to verify erasure receipt');
+  }
+});
+
+// Import tasks and sessions from other trackers or from our own JSON export
+export const importUserData = functions
   .runWith({
-    memory: '2GB',
+    memory: '1GB',
     timeoutSeconds: 300,
   })
   .https.onCall(async (data, context) => {
@@ -222,18 +669,133 @@ export const exportUserData = functions
       throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
     }
 
-    const { userId, format, startDate, endDate } = data;
-    if (!userId || !format) {
-      throw new functions.https.HttpsError('invalid-argument', 'userId and format are required');
+    // Records are only ever imported into the caller's own account
+    const userId = context.auth.uid;
+    const { content, format, source = 'auto', dryRun } = data;
+    if (typeof content !== 'string' || !content) {
+      throw new functions.https.HttpsError('invalid-argument', 'content is required');
+    }
+    if (content.length > MAX_IMPORT_CONTENT_LENGTH) {
+      throw new functions.https.HttpsError('invalid-argument', 'content exceeds maximum size of 5 MB');
+    }
+    if (format !== 'csv' && format !== 'json') {
+      throw new functions.https.HttpsError('invalid-argument', "format must be 'csv' or 'json'");
+    }
+    if (source !== 'auto' && !IMPORT_SOURCES.includes(source)) {
+      throw new functions.https.HttpsError('invalid-argument', `source must be 'auto' or one of ${IMPORT_SOURCES.join(', ')}`);
+    }
+
+    const userData = await getUserContext(userId);
+
+    // Problems with the file as a whole are the caller's to fix
+    let parsed: ParsedImport;
+    try {
+      parsed = parseImport(content, format, source, resolveTimeZone(userData.timezone));
+    } catch (error) {
+      throw new functions.https.HttpsError('invalid-argument', (error as Error).message);
+    }
+
+    try {
+      return await importService.importUserData(userId, parsed, dryRun === true);
+
+    } catch (error) {
+      console.error('Data import error:', error);
+      throw new functions.https.HttpsError('internal', 'Data import failed');
+    }
+  });
+
+// Signed iCalendar subscription URL for the signed-in user
+export const getCalendarFeedUrl = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  try {
+    return await calendarFeedService.getFeedUrl(context.auth.uid, data?.reset === true);
+
+  } catch (error) {
+    console.error('Calendar feed URL error:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to create calendar feed URL');
+  }
+});
+
+// iCalendar subscription feed, authorized by the signed token in the URL
+export const calendarFeed = functions
+  .runWith({
+    memory: '512MB',
+    timeoutSeconds: 60,
+  })
+  .https.onRequest(async (req: Request, res: Response) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.status(405).send('Method not allowed');
+      return;
+    }
+
+    const userId = typeof req.query.uid === 'string' ? req.query.uid : '';
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+
+    try {
+      if (!userId || !token || !(await calendarFeedService.verifyFeedToken(userId, token))) {
+        res.status(403).send('Invalid calendar feed link');
+        return;
+      }
+
+      const calendar = await calendarFeedService.renderFeed(userId);
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', 'inline; filename="focus-flow-timer.ics"');
+      res.set('Cache-Control', 'private, max-age=900');
+      res.status(200).send(calendar);
+
+    } catch (error) {
+      console.error('Calendar feed error:', error);
+      res.status(500).send('Calendar feed unavailable');
+    }
+  });
+
+// Incoming integration webhooks, at /integrationWebhook/{provider}/{userId}
+export const integrationWebhook = functions
+  .runWith({
+    memory: '512MB',
+    timeoutSeconds: 120,
+  })
+  .https.onRequest(async (req: functions.https.Request, res: Response) => {
+    if (req.method !== 'POST') {
+      res.status(405).send('Method not allowed');
+      return;
+    }
+
+    const [provider, userId] = req.path.split('/').filter(Boolean);
+    if (!provider || !userId || !req.rawBody) {
+      res.status(404).send('Unknown webhook');
+      return;
     }
 
     try {
-      const exportResult = await analyticsService.exportUserData(userId, format, startDate, endDate);
-      return exportResult;
+      const result = await integrationService.handleWebhook(provider, userId, {
+        headers: req.headers,
+        rawBody: req.rawBody
+      });
+
+      if (result.handshakeSecret) {
+        res.set('X-Hook-Secret', result.handshakeSecret);
+      }
+      res.status(200).json({ received: true, events: result.events });
 
     } catch (error) {
-      console.error('Data export error:', error);
-      throw new functions.https.HttpsError('internal', 'Data export failed');
+      const message = (error as Error).message;
+      if (message.includes('not registered')) {
+        res.status(404).send('Unknown webhook');
+      } else if (message.includes('signature') || message.includes('handshake')) {
+        console.warn(`Rejected ${provider} webhook for ${userId}: ${message}`);
+        res.status(401).send('Invalid signature');
+      } else if (message.includes('replay')) {
+        res.status(409).send(message);
+      } else if (message.includes('payload')) {
+        res.status(400).send(message);
+      } else {
+        console.error('Integration webhook error:', error);
+        res.status(500).send('Webhook processing failed');
+      }
     }
   });
 
@@ -241,18 +803,20 @@ export const exportUserData = functions
  * Automated Functions
  */
 
-// Daily analytics aggregation
-export const dailyAnalyticsAggregation = functions.pubsub
+// Daily analytics aggregation - verify and close each user's rollup for the previous day
+export const dailyAnalyticsAggregation = functions
+  .runWith({
+    memory: '512MB',
+    timeoutSeconds: 540,
+  })
+  .pubsub
   .schedule('0 2 * * *') // Run daily at 2 AM
   .timeZone('UTC')
   .onRun(async (context) => {
     console.log('Starting daily analytics aggregation');
     
     try {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      
-      await analyticsService.aggregateDailyAnalytics(yesterday);
+      await analyticsService.closeDailyAnalytics(new Date());
       console.log('Daily analytics aggregation completed');
       
     } catch (error) {
@@ -261,24 +825,19 @@ export const dailyAnalyticsAggregation = functions.pubsub
   });
 
 // Weekly productivity insights generation
-export const weeklyInsightsGeneration = functions.pubsub
-  .schedule('0 9 * * 1') // Run weekly on Monday at 9 AM
+export const weeklyInsightsGeneration = functions
+  .runWith({
+    memory: '1GB',
+    timeoutSeconds: 540,
+  })
+  .pubsub
+  .schedule('0 12 * * 1') // Monday at noon UTC, when the previous week has ended in every time zone
   .timeZone('UTC')
   .onRun(async (context) => {
     console.log('Starting weekly insights generation');
     
     try {
-      const usersSnapshot = await db.collection('users').get();
-      
-      const batchPromises = usersSnapshot.docs.map(async (userDoc) => {
-        try {
-          await analyticsService.generateWeeklyInsights(userDoc.id);
-        } catch (error) {
-          console.error(`Failed to generate insights for user ${userDoc.id}:`, error);
-        }
-      });
-      
-      await Promise.all(batchPromises);
+      await analyticsService.generateWeeklyReports();
       console.log('Weekly insights generation completed');
       
     } catch (error) {
@@ -286,6 +845,25 @@ export const weeklyInsightsGeneration = functions.pubsub
     }
   });
 
+// Re-encrypt stored integration and webhook secrets under the current key after a rotation
+export const rotateEncryptedSecrets = functions
+  .runWith({
+    memory: '512MB',
+    timeoutSeconds: 540,
+  })
+  .pubsub
+  .schedule('0 4 * * 0') // Sunday at 4 AM
+  .timeZone('UTC')
+  .onRun(async (context) => {
+    try {
+      const result = await integrationService.rotateEncryptedSecrets();
+      console.log(`Re-encrypted ${result.integrations} integration and ${result.webhooks} webhook secrets`);
+
+    } catch (error) {
+      console.error('Secret rotation failed:', error);
+    }
+  });
+
 // Task deadline notifications
 export const taskDeadlineNotifications = functions.pubsub
   .schedule('0 9,17 * * *') // Run twice daily at 9 AM and 5 PM
@@ -326,18 +904,34 @@ export const onTaskCreated = functions.firestore
           description: taskData.description || '',
           category: taskData.category || 'general',
           priority: taskData.priority || 'medium',
+          userId,
+          taskId,
           userContext: await getUserContext(userId)
         });
         
-        // Update task with AI enhancements
+        // Update task with AI enhancements and detected task links
+        const prerequisiteIds = enhancedData.prerequisites.map(p => p.taskId);
+        const suggestion = enhancedData.suggestedCategory;
         await snap.ref.update({
           aiData: {
             ...enhancedData,
             processed: true,
             processedAt: admin.firestore.FieldValue.serverTimestamp()
-          }
+          },
+          relatedTaskIds: enhancedData.relatedTasks.map(r => r.taskId),
+          ...(prerequisiteIds.length > 0 && {
+            dependencies: admin.firestore.FieldValue.arrayUnion(...prerequisiteIds)
+          }),
+          ...(suggestion && suggestion.probability >= CATEGORY_SUGGESTION_THRESHOLD && {
+            category: suggestion.category
+          })
         });
       }
+
+      // A category the user picked is a training label for their classifier
+      if (isKnownCategory(taskData.category)) {
+        await taskIntelligenceService.learnTaskCategory(userId, taskText(taskData), taskData.category);
+      }
       
       // Update user statistics
       await analyticsService.updateTaskStatistics(userId, 'created');
@@ -365,6 +959,16 @@ export const onTaskCompleted = functions.firestore
         
         // Generate completion insights
         await analyticsService.generateCompletionInsights(userId, afterData);
+
+        // Train the user's duration model on the actual outcome
+        if (afterData.actualDuration) {
+          await taskIntelligenceService.updateTaskIntelligence(userId, taskId, {
+            category: afterData.category,
+            estimatedDuration: afterData.estimatedDuration,
+            actualDuration: afterData.actualDuration,
+            aiData: afterData.aiData
+          });
+        }
         
         // Send congratulatory notification if appropriate
         await notificationService.sendCompletionNotification(userId, afterData);
@@ -375,6 +979,69 @@ export const onTaskCompleted = functions.firestore
     }
   });
 
+// Task category trigger - learn from user corrections
+export const onTaskCategoryChanged = functions.firestore
+  .document('users/{userId}/tasks/{taskId}')
+  .onUpdate(async (change, context) => {
+    const { userId } = context.params;
+    const beforeData = change.before.data();
+    const afterData = change.after.data();
+
+    if (beforeData.category === afterData.category || !isKnownCategory(afterData.category)) {
+      return;
+    }
+
+    // Ignore the category we assigned ourselves from the classifier
+    if (afterData.category === afterData.aiData?.suggestedCategory?.category && !isKnownCategory(beforeData.category)) {
+      return;
+    }
+
+    try {
+      await taskIntelligenceService.learnTaskCategory(userId, taskText(afterData), afterData.category);
+    } catch (error) {
+      console.error('Task category learning error:', error);
+    }
+  });
+
+// Task rollup trigger - keep daily analytics counters current
+export const onTaskRollup = functions.firestore
+  .document('users/{userId}/tasks/{taskId}')
+  .onWrite(async (change, context) => {
+    const { userId } = context.params;
+    await analyticsService.applyRollupChange(userId, 'task', change.before.data(), change.after.data());
+  });
+
+// Session rollup trigger - keep daily analytics counters current
+export const onSessionRollup = functions.firestore
+  .document('users/{userId}/sessions/{sessionId}')
+  .onWrite(async (change, context) => {
+    const { userId } = context.params;
+    await analyticsService.applyRollupChange(userId, 'session', change.before.data(), change.after.data());
+  });
+
+// Export job trigger - stream the requested export to Storage
+export const processExportRequest = functions
+  .runWith({
+    memory: '1GB',
+    timeoutSeconds: 540,
+  })
+  .firestore
+  .document('export_requests/{requestId}')
+  .onCreate(async (snap, context) => {
+    await exportJobService.processExportRequest(context.params.requestId);
+  });
+
+export const processErasureRequest = functions
+  .runWith({
+    memory: '1GB',
+    timeoutSeconds: 540,
+  })
+  .firestore
+  .document('erasure_requests/{requestId}')
+  .onCreate(async (snap, context) => {
+    await accountErasureService.processErasureRequest(context.params.requestId);
+  });
+
 // User activity trigger - update last active
 export const onUserActivity = functions.firestore
   .document('users/{userId}/sessions/{sessionId}')
@@ -415,25 +1082,9 @@ export const validateUserPermissions = functions.https.onCall(async (data, conte
   }
 });
 
-// Helper function to calculate recommendation score
-function calculateRecommendationScore(task: any): number {
-  let score = 0;
-
-  // Priority weight
-  const priorityWeights = { low: 1, medium: 2, high: 3, critical: 4 };
-  score += (priorityWeights[task.priority as keyof typeof priorityWeights] || 2) * 0.4;
-
-  // Recency weight (newer tasks get preference)
-  const ageInDays = (Date.now() - new Date(task.createdAt).getTime()) / (1000 * 60 * 60 * 24);
-  score += Math.max(0, 1 - ageInDays / 7) * 0.3; // Decay over a week
-
-  // Due date proximity
-  if (task.dueDate) {
-    const daysUntilDue = (new Date(task.dueDate).getTime() - Date.now()) / (1000 * 60 * 60 * 24);
-    if (daysUntilDue <= 3) score += 0.3; // Urgent if due within 3 days
-  }
-
-  return score;
+// Helper function to get the classifiable text of a task
+function taskText(task: any): string {
+  return `${task.title || ''} ${task.description || ''}`;
 }
 
 // Helper function to get user context
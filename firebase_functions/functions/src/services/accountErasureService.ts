@@ -0,0 +1,291 @@
+/**
+ * Account Erasure Service for Focus Flow Timer
+ * Runs right-to-erasure requests as queued jobs in `erasure_requests`: deletes
+ * the user document with every subcollection, the per-user documents the
+ * client keeps outside it (productivity scores, achievements, leaderboard
+ * entries, goals, top-level sessions), the user's Storage files, export requests and the Auth account,
+ * then records an audit entry and issues a signed receipt listing what was
+ * erased.
+ *
+ * Security logs, blocks and audit entries are kept; they are needed to show
+ * the erasure happened.
+ */
+
+import * as admin from 'firebase-admin';
+import * as crypto from 'crypto';
+import { securityService } from './securityService';
+import { mapWithConcurrency } from '../utils/concurrency';
+import { getTopLevelUserDocuments, getTopLevelUserQueries } from './userDataLocations';
+
+const db = admin.firestore();
+
+const DELETE_CONCURRENCY = 10;
+const BATCH_SIZE = 400;
+
+export type ErasureStatus = 'queued' | 'processing' | 'completed' | 'failed';
+
+export interface ErasureReceipt {
+  receiptId: string;
+  userId: string;
+  requestedAt: string;
+  completedAt: string;
+  erased: {
+    collections: Record<string, number>; // documents per user subcollection
+    userDocuments: Record<string, number>; // documents under each per-user location outside users/{uid}
+    storageFiles: number;
+    exportRequests: number;
+    authAccount: boolean;
+  };
+  signature: string; // HMAC-SHA256 over the other fields
+}
+
+export class AccountErasureService {
+
+  /**
+   * Queue erasure of the user's account. The returned receipt token is the
+   * only way to fetch the receipt once the account is gone.
+   */
+  async queueErasure(userId: string): Promise<{ requestId: string; status: ErasureStatus; receiptToken: string }> {
+    try {
+      const pending = await db.collection('erasure_requests')
+        .where('userId', '==', userId)
+        .where('status', 'in', ['queued', 'processing'])
+        .limit(1)
+        .get();
+
+      if (!pending.empty) {
+        throw new Error('Account erasure already in progress');
+      }
+
+      const receiptToken = crypto.randomBytes(24).toString('hex');
+      const requestRef = await db.collection('erasure_requests').add({
+        userId,
+        status: 'queued',
+        receiptTokenHash: hashToken(receiptToken),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      await securityService.auditUserAction(userId, 'account_erasure_requested', 'user', { requestId: requestRef.id });
+
+      return { requestId: requestRef.id, status: 'queued', receiptToken };
+
+    } catch (error) {
+      console.error('Error queueing account erasure:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Erase everything stored for the request's user
+   */
+  async processErasureRequest(requestId: string): Promise<void> {
+    const requestRef = db.collection('erasure_requests').doc(requestId);
+
+    // Claim the request so a redelivered trigger does not run it twice
+    const request = await db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(requestRef);
+      const data = snapshot.data();
+      if (!data || data.status !== 'queued') return null;
+
+      transaction.update(requestRef, {
+        status: 'processing',
+        startedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return data;
+    });
+
+    if (!request) return;
+
+    const userId: string = request.userId;
+
+    try {
+      // Fail before deleting anything if no receipt can be signed
+      getReceiptSecret();
+
+      const erased = await this.eraseUserData(userId);
+      const requestedAt = request.createdAt instanceof admin.firestore.Timestamp
+        ? request.createdAt.toDate()
+        : new Date();
+
+      const receipt = this.signReceipt({
+        receiptId: requestId,
+        userId,
+        requestedAt: requestedAt.toISOString(),
+        completedAt: new Date().toISOString(),
+        erased
+      });
+
+      await requestRef.update({
+        status: 'completed',
+        receipt,
+        completedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      await securityService.auditUserAction(userId, 'account_erased', 'user', {
+        requestId,
+        erased,
+        receiptSignature: receipt.signature
+      });
+
+    } catch (error) {
+      console.error('Account erasure error:', error);
+
+      await requestRef.update({
+        status: 'failed',
+        error: 'Account erasure failed',
+        failedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      await securityService.auditUserAction(userId, 'account_erasure_failed', 'user', {
+        requestId,
+        error: (error as Error).message
+      });
+    }
+  }
+
+  /**
+   * Receipt for a request, given the token issued when it was queued
+   */
+  async getReceipt(requestId: string, receiptToken: string): Promise<{
+    status: ErasureStatus;
+    receipt?: ErasureReceipt;
+  }> {
+    const doc = await db.collection('erasure_requests').doc(requestId).get();
+    const data = doc.data();
+
+    if (!data || typeof receiptToken !== 'string' || !safeEqual(hashToken(receiptToken), data.receiptTokenHash || '')) {
+      throw new Error('Erasure request not found');
+    }
+
+    return data.status === 'completed'
+      ? { status: data.status, receipt: data.receipt }
+      : { status: data.status };
+  }
+
+  /**
+   * Check a receipt's signature, so a receipt handed to a third party can be verified
+   */
+  verifyReceipt(receipt: ErasureReceipt): boolean {
+    if (!receipt || typeof receipt !== 'object' || typeof receipt.signature !== 'string') return false;
+
+    const { signature, ...fields } = receipt;
+    return safeEqual(this.sign(fields), signature);
+  }
+
+  private async eraseUserData(userId: string): Promise<ErasureReceipt['erased']> {
+    const userRef = db.collection('users').doc(userId);
+
+    // Count what is about to go; recursiveDelete also removes nested subcollections
+    const collections = await userRef.listCollections();
+    const counts = await Promise.all(collections.map(async collection => (await collection.count().get()).data().count));
+    const collectionCounts: Record<string, number> = {};
+    collections.forEach((collection, i) => {
+      collectionCounts[collection.id] = counts[i];
+    });
+
+    const userDocuments = await this.deleteTopLevelUserDocuments(userId);
+    const storageFiles = await this.deleteStorageFiles([`users/${userId}/`, `exports/${userId}/`]);
+    const exportRequests = await this.deleteMatching(db.collection('export_requests').where('userId', '==', userId));
+
+    await db.recursiveDelete(userRef);
+
+    let authAccount = true;
+    try {
+      await admin.auth().deleteUser(userId);
+    } catch (error: any) {
+      if (error?.code !== 'auth/user-not-found') throw error;
+      authAccount = false;
+    }
+
+    return { collections: collectionCounts, userDocuments, storageFiles, exportRequests, authAccount };
+  }
+
+  // Each document location counts the document itself and everything in its subcollections
+  private async deleteTopLevelUserDocuments(userId: string): Promise<Record<string, number>> {
+    const counts: Record<string, number> = {};
+
+    for (const [name, ref] of Object.entries(getTopLevelUserDocuments(db, userId))) {
+      const [doc, collections] = await Promise.all([ref.get(), ref.listCollections()]);
+      const nested = await Promise.all(collections.map(async collection => (await collection.count().get()).data().count));
+      const count = (doc.exists ? 1 : 0) + nested.reduce((sum, n) => sum + n, 0);
+      if (count === 0) continue;
+
+      await db.recursiveDelete(ref);
+      counts[name] = count;
+    }
+
+    for (const [name, query] of Object.entries(getTopLevelUserQueries(db, userId))) {
+      const count = await this.deleteMatching(query);
+      if (count > 0) counts[name] = count;
+    }
+
+    return counts;
+  }
+
+  private async deleteStorageFiles(prefixes: string[]): Promise<number> {
+    const bucket = admin.storage().bucket();
+    let deleted = 0;
+
+    for (const prefix of prefixes) {
+      const [files] = await bucket.getFiles({ prefix });
+      await mapWithConcurrency(files, DELETE_CONCURRENCY, file => file.delete({ ignoreNotFound: true }));
+      deleted += files.length;
+    }
+
+    return deleted;
+  }
+
+  private async deleteMatching(query: admin.firestore.Query): Promise<number> {
+    const snapshot = await query.get();
+
+    for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      snapshot.docs.slice(i, i + BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+
+    return snapshot.size;
+  }
+
+  private signReceipt(fields: Omit<ErasureReceipt, 'signature'>): ErasureReceipt {
+    return { ...fields, signature: this.sign(fields) };
+  }
+
+  private sign(fields: object): string {
+    return crypto.createHmac('sha256', getReceiptSecret())
+      .update(`erasure-receipt:${canonicalJson(fields)}`)
+      .digest('hex');
+  }
+}
+
+// A key of its own, so receipts stay verifiable across API key secret changes
+function getReceiptSecret(): string {
+  const secret = process.env.ERASURE_RECEIPT_SECRET;
+  if (!secret) {
+    throw new Error('Erasure receipt secret is not configured');
+  }
+  return secret;
+}
+
+function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(expected: string, actual: string): boolean {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// JSON with object keys sorted, so a receipt verifies whatever order its fields arrive in
+function canonicalJson(value: any): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item)).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export const accountErasureService = new AccountErasureService();
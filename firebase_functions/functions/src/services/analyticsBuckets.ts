@@ -0,0 +1,52 @@
+/**
+ * Analytics Buckets
+ * Groups sessions by hour, weekday and calendar date in the user's time zone
+ */
+
+import { getZonedParts, toLocalDateKey, toDate } from '../utils/timezone';
+import { measureSession } from './analyticsRollups';
+
+/**
+ * Number of sessions started in each local hour (0-23)
+ */
+export function countSessionsByHour(sessions: any[], timezone: string): Record<number, number> {
+  const byHour: Record<number, number> = {};
+  sessions.forEach(session => {
+    const start = toDate(session.startTime);
+    if (!start) return;
+    const hour = getZonedParts(start, timezone).hour;
+    byHour[hour] = (byHour[hour] || 0) + 1;
+  });
+  return byHour;
+}
+
+/**
+ * Session time (milliseconds) by local start hour and by local weekday (0 = Sunday)
+ */
+export function sumSessionTime(sessions: any[], timezone: string): { byHour: Record<number, number>; byDay: Record<number, number> } {
+  const byHour: Record<number, number> = {};
+  const byDay: Record<number, number> = {};
+  sessions.forEach(session => {
+    const start = toDate(session.startTime);
+    if (!start) return;
+    const { hour, weekday } = getZonedParts(start, timezone);
+    const duration = measureSession(session).activeTime;
+    byHour[hour] = (byHour[hour] || 0) + duration;
+    byDay[weekday] = (byDay[weekday] || 0) + duration;
+  });
+  return { byHour, byDay };
+}
+
+/**
+ * Number of sessions on each local calendar date (YYYY-MM-DD)
+ */
+export function countSessionsByDate(sessions: any[], timezone: string): Record<string, number> {
+  const byDate: Record<string, number> = {};
+  sessions.forEach(session => {
+    const start = toDate(session.startTime);
+    if (!start) return;
+    const dateKey = toLocalDateKey(start, timezone);
+    byDate[dateKey] = (byDate[dateKey] || 0) + 1;
+  });
+  return byDate;
+}
@@ -0,0 +1,185 @@
+/**
+ * Analytics Rollups
+ * Per-day counters derived from single task and session documents, so
+ * triggers can keep daily_analytics current by applying the difference
+ * between a document's old and new contribution
+ */
+
+import { ProductivityMetrics } from './analyticsService';
+import { getZonedParts, toLocalDateKey, toDate } from '../utils/timezone';
+
+// Counter name (dot-separated for nested maps) to increment
+export type RollupCounters = Record<string, number>;
+
+// Date key (YYYY-MM-DD in the user's time zone) to counters for that day
+export type RollupContribution = Record<string, RollupCounters>;
+
+// Top-level rollup fields that only sessions write; rebuilding a day's sessions replaces all of them
+export const SESSION_ROLLUP_FIELDS = [
+  'sessions', 'sessionTime', 'focusSessions', 'focusTime', 'pausedTime', 'interruptions', 'breakSessions', 'breakTime', 'byHour'
+];
+
+/**
+ * Counters a task contributes: its creation day and, once completed, its completion day
+ */
+export function taskContribution(task: any, timezone: string): RollupContribution {
+  const contribution: RollupContribution = {};
+  if (!task) return contribution;
+
+  const category = counterKey(task.category || 'general');
+
+  const createdAt = toDate(task.createdAt);
+  if (createdAt) {
+    add(contribution, toLocalDateKey(createdAt, timezone), {
+      tasksCreated: 1,
+      [`byCategory.${category}.created`]: 1
+    });
+  }
+
+  // Clients that omit completedAt are counted on the day of their last update
+  const completedAt = task.isCompleted ? toDate(task.completedAt) || toDate(task.updatedAt) : null;
+  if (completedAt) {
+    const counters: RollupCounters = {
+      tasksCompleted: 1,
+      [`byCategory.${category}.completed`]: 1
+    };
+    if (task.actualDuration > 0) {
+      counters.taskMinutes = task.actualDuration;
+      counters[`byCategory.${category}.minutes`] = task.actualDuration;
+    }
+    if (task.estimatedDuration > 0 && task.actualDuration > 0) {
+      counters.estimatedTasks = 1;
+      counters.estimationAccuracySum = 1 - Math.abs(task.actualDuration - task.estimatedDuration) / task.estimatedDuration;
+    }
+    add(contribution, toLocalDateKey(completedAt, timezone), counters);
+  }
+
+  return contribution;
+}
+
+export interface SessionMeasurement {
+  kind: 'focus' | 'break';
+  activeTime: number; // milliseconds the timer ran
+  pausedTime: number; // milliseconds spent paused
+  interruptions: number;
+}
+
+const BREAK_SESSION_TYPES = ['shortBreak', 'longBreak', 'short_break', 'long_break', 'break'];
+
+/**
+ * Classify a session and read its running time, pauses and interruptions.
+ * Sessions without a type predate break tracking and count as focus.
+ */
+export function measureSession(session: any): SessionMeasurement {
+  const pauses = Array.isArray(session?.pauseTimestamps) ? session.pauseTimestamps.length : 0;
+  return {
+    kind: BREAK_SESSION_TYPES.includes(session?.type) ? 'break' : 'focus',
+    activeTime: Math.max(0, Number(session?.actualDuration ?? session?.duration) || 0),
+    pausedTime: Math.max(0, Number(session?.pausedDuration) || 0),
+    interruptions: Math.max(0, Number(session?.interruptions ?? pauses) || 0)
+  };
+}
+
+/**
+ * Counters a session contributes to the day and hour it started in
+ */
+export function sessionContribution(session: any, timezone: string): RollupContribution {
+  const contribution: RollupContribution = {};
+  const startTime = session ? toDate(session.startTime) : null;
+  if (!startTime) return contribution;
+
+  const hour = getZonedParts(startTime, timezone).hour;
+  const measured = measureSession(session);
+
+  // Pauses and interruptions only matter while focusing
+  const counters: RollupCounters = measured.kind === 'focus'
+    ? { focusSessions: 1, focusTime: measured.activeTime, pausedTime: measured.pausedTime, interruptions: measured.interruptions }
+    : { breakSessions: 1, breakTime: measured.activeTime };
+
+  add(contribution, toLocalDateKey(startTime, timezone), {
+    ...counters,
+    sessions: 1,
+    sessionTime: measured.activeTime,
+    [`byHour.${hour}.sessions`]: 1,
+    [`byHour.${hour}.time`]: measured.activeTime
+  });
+
+  return contribution;
+}
+
+/**
+ * Increments that turn the `before` contribution into the `after` one
+ */
+export function diffContributions(before: RollupContribution, after: RollupContribution): RollupContribution {
+  const delta: RollupContribution = {};
+
+  Object.entries(after).forEach(([dateKey, counters]) => add(delta, dateKey, counters));
+  Object.entries(before).forEach(([dateKey, counters]) => {
+    add(delta, dateKey, Object.fromEntries(Object.entries(counters).map(([key, value]) => [key, -value])));
+  });
+
+  // Drop counters that cancel out, and days left with nothing to change
+  Object.keys(delta).forEach(dateKey => {
+    Object.keys(delta[dateKey]).forEach(key => {
+      if (Math.abs(delta[dateKey][key]) < 1e-9) delete delta[dateKey][key];
+    });
+    if (Object.keys(delta[dateKey]).length === 0) delete delta[dateKey];
+  });
+
+  return delta;
+}
+
+/**
+ * Expand dot-separated counter names into the nested maps Firestore stores
+ */
+export function nestCounters<T>(counters: RollupCounters, toValue: (value: number) => T): Record<string, any> {
+  const nested: Record<string, any> = {};
+  Object.entries(counters).forEach(([path, value]) => {
+    const keys = path.split('.');
+    let target = nested;
+    keys.slice(0, -1).forEach(key => {
+      target[key] = target[key] || {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = toValue(value);
+  });
+  return nested;
+}
+
+/**
+ * Productivity metrics for a single day's rollup document
+ */
+export function deriveDailyMetrics(rollup: any): ProductivityMetrics {
+  const created = rollup?.tasksCreated || 0;
+  const completed = rollup?.tasksCompleted || 0;
+  const sessionTime = rollup?.sessionTime || 0;
+  const estimatedTasks = rollup?.estimatedTasks || 0;
+
+  return {
+    totalTasks: created,
+    completedTasks: completed,
+    totalTimeSpent: sessionTime,
+    averageTimePerTask: completed > 0 ? sessionTime / completed : 0,
+    tasksPerDay: created,
+    focusTime: rollup?.focusTime || 0,
+    breakTime: rollup?.breakTime || 0,
+    pausedTime: rollup?.pausedTime || 0,
+    interruptions: rollup?.interruptions || 0,
+    focusSessions: rollup?.focusSessions || 0,
+    breakSessions: rollup?.breakSessions || 0,
+    productivityScore: created > 0 ? Math.min(1, completed / created) : 0,
+    estimationAccuracy: estimatedTasks > 0 ? (rollup.estimationAccuracySum || 0) / estimatedTasks : 0
+  };
+}
+
+function add(contribution: RollupContribution, dateKey: string, counters: RollupCounters): void {
+  const day = contribution[dateKey] = contribution[dateKey] || {};
+  Object.entries(counters).forEach(([key, value]) => {
+    day[key] = (day[key] || 0) + value;
+  });
+}
+
+// Category names become map keys, so keep them to characters safe in a field path
+function counterKey(value: string): string {
+  return String(value).toLowerCase().replace(/[^a-z0-9_-]/g, '_').slice(0, 40) || 'general';
+}
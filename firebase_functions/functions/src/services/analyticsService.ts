@@ -1,15 +1,37 @@
 /**
  * Analytics Service for Focus Flow Timer
- * Handles comprehensive user analytics, insights, and data export
+ * Handles comprehensive user analytics and insights
  */
 
 import * as admin from 'firebase-admin';
+import {
+  taskContribution, sessionContribution, diffContributions, nestCounters, deriveDailyMetrics, measureSession,
+  RollupCounters, SESSION_ROLLUP_FIELDS
+} from './analyticsRollups';
+import { MetricTrend, compareWindows } from './analyticsTrends';
+import { WeeklyReport, buildWeeklyReport } from './weeklyReport';
+import {
+  InsightRule, InsightKind, GeneratedInsight, DEFAULT_INSIGHT_RULES,
+  buildInsightFacts, evaluateInsightRules, mergeInsightRules, parseInsightRule
+} from './insightRules';
+import { notificationService } from './notificationService';
+import { countSessionsByHour, sumSessionTime, countSessionsByDate } from './analyticsBuckets';
+import { resolveTimeZone, getZonedParts, zonedTimeToUtc, addLocalDays, formatLocalDate, startOfLocalWeek } from '../utils/timezone';
+import { mapWithConcurrency, forEachPage } from '../utils/concurrency';
 
 const db = admin.firestore();
 
+// Users fetched per page and closed in parallel by the nightly rollup job
+const USER_PAGE_SIZE = 200;
+const ROLLUP_CONCURRENCY = 10;
+
+// Admin insight rules are reread at most this often per instance
+const INSIGHT_RULES_CACHE_MS = 5 * 60 * 1000;
+
 export interface UserAnalytics {
   userId: string;
   period: DateRange;
+  timezone: string; // IANA zone the hour, day and date buckets are in
   metrics: ProductivityMetrics;
   patterns: ProductivityPattern[];
   recommendations: ProductivityRecommendation[];
@@ -26,6 +48,10 @@ export interface ProductivityMetrics {
   tasksPerDay: number;
   focusTime: number; // milliseconds
   breakTime: number; // milliseconds
+  pausedTime: number; // milliseconds paused during focus sessions
+  interruptions: number; // during focus sessions
+  focusSessions: number;
+  breakSessions: number;
   productivityScore: number; // 0-1
   estimationAccuracy: number; // 0-1
 }
@@ -66,6 +92,7 @@ export interface DateRange {
 }
 
 export class AnalyticsService {
+  private insightRules: { rules: InsightRule[]; loadedAt: number } | null = null;
 
   /**
    * Calculate comprehensive user analytics for a date range
@@ -75,29 +102,31 @@ export class AnalyticsService {
       console.log(`Calculating analytics for user ${userId} from ${startDate.toISOString()} to ${endDate.toISOString()}`);
 
       // Fetch user data
-      const [tasks, sessions] = await Promise.all([
+      const [tasks, sessions, timezone] = await Promise.all([
         this.getUserTasks(userId, startDate, endDate),
-        this.getUserSessions(userId, startDate, endDate)
+        this.getUserSessions(userId, startDate, endDate),
+        this.getUserTimeZone(userId)
       ]);
 
       // Calculate basic metrics
       const metrics = this.calculateMetrics(tasks, sessions, startDate, endDate);
 
       // Identify patterns
-      const patterns = await this.identifyPatterns(tasks, sessions);
+      const patterns = await this.identifyPatterns(tasks, sessions, timezone);
 
       // Generate recommendations
       const recommendations = await this.generateRecommendations(metrics, patterns);
 
       // Calculate time distributions
-      const timeDistribution = this.calculateTimeDistribution(tasks, sessions);
+      const timeDistribution = this.calculateTimeDistribution(tasks, sessions, timezone);
 
       // Calculate efficiency scores
-      const efficiency = this.calculateEfficiencyScores(tasks, sessions, metrics);
+      const efficiency = this.calculateEfficiencyScores(tasks, sessions, metrics, timezone);
 
       const analytics: UserAnalytics = {
         userId,
         period: { start: startDate, end: endDate },
+        timezone,
         metrics,
         patterns,
         recommendations,
@@ -118,13 +147,15 @@ export class AnalyticsService {
   }
 
   /**
-   * Generate productivity insights with AI analysis
+   * Generate productivity insights from the insight rules. Each rule fires at
+   * most once per cooldown, so repeated requests do not repeat an insight.
    */
   async generateProductivityInsights(userId: string): Promise<{
     insights: string[];
-    trends: Array<{ metric: string; trend: 'up' | 'down' | 'stable'; value: number }>;
+    trends: MetricTrend[];
     suggestions: string[];
     achievements: string[];
+    details: GeneratedInsight[];
   }> {
     try {
       // Get recent analytics data
@@ -132,24 +163,19 @@ export class AnalyticsService {
       const now = new Date();
 
       const analytics = await this.calculateUserAnalytics(userId, thirtyDaysAgo, now);
-      
-      // Generate insights using AI
-      const insights = await this.generateAIInsights(analytics);
 
       // Calculate trends
       const trends = await this.calculateTrends(userId, analytics);
 
-      // Generate personalized suggestions
-      const suggestions = await this.generatePersonalizedSuggestions(analytics);
-
-      // Identify achievements
-      const achievements = this.identifyAchievements(analytics);
+      const details = await this.applyInsightRules(userId, buildInsightFacts(analytics, trends), now);
+      const messages = (kind: InsightKind) => details.filter(insight => insight.kind === kind).map(insight => insight.message);
 
       return {
-        insights,
+        insights: messages('insight'),
         trends,
-        suggestions,
-        achievements
+        suggestions: messages('suggestion'),
+        achievements: messages('achievement'),
+        details
       };
 
     } catch (error) {
@@ -159,155 +185,226 @@ export class AnalyticsService {
   }
 
   /**
-   * Export user data in various formats
+   * Apply the change in one task or session document to the user's daily rollups
    */
-  async exportUserData(userId: string, format: 'json' | 'csv' | 'xlsx', startDate?: string, endDate?: string): Promise<{
-    downloadUrl: string;
-    filename: string;
-    size: number;
-    expiresAt: Date;
-  }> {
+  async applyRollupChange(userId: string, kind: 'task' | 'session', before: any, after: any): Promise<void> {
     try {
-      const start = startDate ? new Date(startDate) : new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
-      const end = endDate ? new Date(endDate) : new Date();
-
-      // Gather all user data
-      const [tasks, sessions, analytics] = await Promise.all([
-        this.getUserTasks(userId, start, end),
-        this.getUserSessions(userId, start, end),
-        this.getUserAnalytics(userId, start, end)
-      ]);
-
-      const exportData = {
-        user: userId,
-        exportedAt: new Date().toISOString(),
-        period: { start: start.toISOString(), end: end.toISOString() },
-        tasks,
-        sessions,
-        analytics,
-        summary: {
-          totalTasks: tasks.length,
-          completedTasks: tasks.filter(t => t.isCompleted).length,
-          totalSessions: sessions.length,
-          totalTimeSpent: sessions.reduce((sum, s) => sum + (s.duration || 0), 0)
-        }
-      };
+      const timezone = await this.getUserTimeZone(userId);
+
+      const contribution = kind === 'task' ? taskContribution : sessionContribution;
+      const delta = diffContributions(contribution(before, timezone), contribution(after, timezone));
+      const dateKeys = Object.keys(delta);
+      if (dateKeys.length === 0) return;
+
+      const batch = db.batch();
+      dateKeys.forEach(dateKey => {
+        batch.set(this.getDailyRef(userId, dateKey), {
+          ...nestCounters(delta[dateKey], value => admin.firestore.FieldValue.increment(value)),
+          date: dateKey,
+          timezone,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+      });
+      await batch.commit();
 
-      // Generate export file
-      const filename = `focus-flow-export-${userId}-${Date.now()}.${format}`;
-      let content: string | Buffer;
-      
-      switch (format) {
-        case 'json':
-          content = JSON.stringify(exportData, null, 2);
-          break;
-        case 'csv':
-          content = this.convertToCSV(exportData);
-          break;
-        case 'xlsx':
-          content = await this.convertToExcel(exportData);
-          break;
-        default:
-          throw new Error('Unsupported export format');
-      }
+    } catch (error) {
+      console.error(`Analytics rollup failed for user ${userId}:`, error);
+    }
+  }
 
-      // Upload to Firebase Storage
-      const bucket = admin.storage().bucket();
-      const file = bucket.file(`exports/${userId}/${filename}`);
-      
-      await file.save(content, {
-        metadata: {
-          contentType: this.getContentType(format),
-          metadata: {
-            userId,
-            exportedAt: new Date().toISOString(),
-            format
+  /**
+   * Verify and close the previous local day's rollup for every user
+   */
+  async closeDailyAnalytics(now: Date = new Date()): Promise<void> {
+    try {
+      console.log(`Closing daily analytics as of ${now.toISOString()}`);
+      let closed = 0;
+      let failed = 0;
+
+      const usersProcessed = await forEachPage(db.collection('users'), USER_PAGE_SIZE, async (userDocs) => {
+        await mapWithConcurrency(userDocs, ROLLUP_CONCURRENCY, async (userDoc) => {
+          try {
+            const timezone = resolveTimeZone(userDoc.data().timezone);
+            const yesterday = addLocalDays(getZonedParts(now, timezone), -1);
+            await this.closeDailyRollup(userDoc.id, yesterday, timezone);
+            closed++;
+          } catch (error) {
+            failed++;
+            console.error(`Failed to close daily analytics for user ${userDoc.id}:`, error);
           }
-        }
-      });
-
-      // Generate signed URL (valid for 24 hours)
-      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
-      const [downloadUrl] = await file.getSignedUrl({
-        action: 'read',
-        expires: expiresAt
+        });
       });
 
-      return {
-        downloadUrl,
-        filename,
-        size: Buffer.byteLength(content),
-        expiresAt
-      };
+      console.log(`Daily analytics closed for ${closed} of ${usersProcessed} users (${failed} failed)`);
 
     } catch (error) {
-      console.error('Data export error:', error);
+      console.error('Daily analytics close error:', error);
       throw error;
     }
   }
 
   /**
-   * Aggregate daily analytics for all users
+   * Check one day's counters against the source data, derive its metrics and mark it closed
    */
-  async aggregateDailyAnalytics(date: Date): Promise<void> {
-    try {
-      console.log(`Aggregating daily analytics for ${date.toDateString()}`);
-
-      const usersSnapshot = await db.collection('users').get();
-      const aggregationPromises = usersSnapshot.docs.map(async (userDoc) => {
-        try {
-          const userId = userDoc.id;
-          const startOfDay = new Date(date);
-          startOfDay.setHours(0, 0, 0, 0);
-          const endOfDay = new Date(date);
-          endOfDay.setHours(23, 59, 59, 999);
-
-          const dailyAnalytics = await this.calculateUserAnalytics(userId, startOfDay, endOfDay);
-          
-          // Store daily summary
-          await db.collection('users').doc(userId).collection('daily_analytics').doc(
-            date.toISOString().split('T')[0]
-          ).set({
-            ...dailyAnalytics,
-            aggregatedAt: admin.firestore.FieldValue.serverTimestamp()
-          });
+  async closeDailyRollup(userId: string, date: { year: number; month: number; day: number }, timezone: string): Promise<void> {
+    const dateKey = formatLocalDate(date);
+    const dailyRef = this.getDailyRef(userId, dateKey);
+    const dayStart = zonedTimeToUtc(date, timezone);
+    const dayEnd = zonedTimeToUtc(addLocalDays(date, 1), timezone);
+
+    const sessionsQuery = db.collection('users').doc(userId).collection('sessions')
+      .where('startTime', '>=', dayStart)
+      .where('startTime', '<', dayEnd);
+
+    // The recount range query only matches start times stored as Timestamps, which is how the app
+    // writes them, though neither the rules nor the clients enforce it. The triggers also count
+    // ISO strings and epoch numbers (toDate), so a day holding those can be recounted short.
+    // Task dates come in mixed formats and are trusted as counted
+    const sessionCount = (await sessionsQuery.count().get()).data().count;
+    const stored = (await dailyRef.get()).data() || {};
+    if (stored.closed) return;
+
+    let rebuiltSessions: RollupCounters | null = null;
+    if ((stored.sessions || 0) !== sessionCount) {
+      const sessionsSnapshot = await sessionsQuery.get();
+      rebuiltSessions = {};
+      sessionsSnapshot.docs.forEach(doc => {
+        Object.entries(sessionContribution(doc.data(), timezone)[dateKey] || {}).forEach(([key, value]) => {
+          rebuiltSessions![key] = (rebuiltSessions![key] || 0) + value;
+        });
+      });
+    }
+
+    await db.runTransaction(async (transaction) => {
+      const current = (await transaction.get(dailyRef)).data() || {};
+      const corrections: string[] = [];
+      const rollup: Record<string, any> = { ...current };
 
-        } catch (error) {
-          console.error(`Failed to aggregate analytics for user ${userDoc.id}:`, error);
+      if (rebuiltSessions) {
+        const sessions = nestCounters(rebuiltSessions, value => value);
+        SESSION_ROLLUP_FIELDS.forEach(field => {
+          rollup[field] = sessions[field] ?? (field === 'byHour' ? {} : 0);
+        });
+        corrections.push(`sessions: ${current.sessions || 0} -> ${rollup.sessions}`);
+      }
+
+      // Counters only move by increments; a negative one means a delete outran its create
+      ['tasksCreated', 'tasksCompleted', 'taskMinutes', 'estimatedTasks', 'estimationAccuracySum'].forEach(key => {
+        if ((rollup[key] || 0) < 0) {
+          corrections.push(`${key}: ${rollup[key]} -> 0`);
+          rollup[key] = 0;
         }
       });
 
-      await Promise.all(aggregationPromises);
-      console.log('Daily analytics aggregation completed');
+      const metrics = deriveDailyMetrics(rollup);
+
+      transaction.set(dailyRef, {
+        ...rollup,
+        date: dateKey,
+        timezone,
+        metrics,
+        corrections,
+        closed: true,
+        closedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+
+    if (rebuiltSessions) {
+      console.warn(`Corrected session rollup for user ${userId} on ${dateKey}`);
+    }
+  }
+
+  /**
+   * Build, store and deliver last week's report for every user
+   */
+  async generateWeeklyReports(now: Date = new Date()): Promise<void> {
+    try {
+      console.log(`Generating weekly reports as of ${now.toISOString()}`);
+      let generated = 0;
+      let failed = 0;
+
+      const usersProcessed = await forEachPage(db.collection('users'), USER_PAGE_SIZE, async (userDocs) => {
+        await mapWithConcurrency(userDocs, ROLLUP_CONCURRENCY, async (userDoc) => {
+          try {
+            const report = await this.generateWeeklyInsights(userDoc.id, resolveTimeZone(userDoc.data().timezone), now);
+            if (report) generated++;
+          } catch (error) {
+            failed++;
+            console.error(`Failed to generate weekly report for user ${userDoc.id}:`, error);
+          }
+        });
+      });
+
+      console.log(`Weekly reports generated for ${generated} of ${usersProcessed} users (${failed} failed)`);
 
     } catch (error) {
-      console.error('Daily aggregation error:', error);
+      console.error('Weekly report generation error:', error);
       throw error;
     }
   }
 
   /**
-   * Generate weekly insights for a user
+   * Report on the last full calendar week in the user's time zone, compared
+   * with the week before. Stored under weekly_insights/{weekStart} and sent
+   * once; returns null when the week was already reported or both weeks are empty.
    */
-  async generateWeeklyInsights(userId: string): Promise<void> {
-    try {
-      const now = new Date();
-      const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+  async generateWeeklyInsights(userId: string, timezone: string, now: Date = new Date()): Promise<WeeklyReport | null> {
+    const weekStart = addLocalDays(startOfLocalWeek(now, timezone), -7);
+    const dateKeys = Array.from({ length: 14 }, (_, i) => formatLocalDate(addLocalDays(weekStart, i - 7)));
+
+    const userRef = db.collection('users').doc(userId);
+    const reportRef = userRef.collection('weekly_insights').doc(dateKeys[7]);
+    if ((await reportRef.get()).exists) return null;
+
+    const snapshot = await userRef.collection('daily_analytics')
+      .where(admin.firestore.FieldPath.documentId(), '>=', dateKeys[0])
+      .where(admin.firestore.FieldPath.documentId(), '<=', dateKeys[13])
+      .get();
+    if (snapshot.empty) return null;
+
+    const rollups = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+    const daily = dateKeys.map(key => rollups.get(key) || null);
 
-      const weeklyAnalytics = await this.calculateUserAnalytics(userId, weekAgo, now);
-      const insights = await this.generateProductivityInsights(userId);
+    const report = buildWeeklyReport({
+      weekStart: dateKeys[7],
+      weekEnd: dateKeys[13],
+      timezone,
+      current: daily.slice(7),
+      previous: daily.slice(0, 7)
+    });
 
-      // Store weekly insights
-      await db.collection('users').doc(userId).collection('weekly_insights').add({
-        ...insights,
-        analytics: weeklyAnalytics,
-        weekOf: weekAgo,
+    // create() fails if another run stored this week first, so the report is only sent once
+    try {
+      await reportRef.create({
+        ...report,
         generatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
-
-    } catch (error) {
-      console.error(`Weekly insights generation failed for user ${userId}:`, error);
+    } catch (error: any) {
+      if (error?.code === 6) return null; // ALREADY_EXISTS
+      throw error;
     }
+
+    await notificationService.sendWeeklyReport(userId, report);
+    await reportRef.update({ deliveredAt: admin.firestore.FieldValue.serverTimestamp() });
+
+    return report;
+  }
+
+  /**
+   * Get the user's measured peak focus hours over a recent window
+   */
+  async getPeakHours(userId: string, days: number = 30): Promise<number[]> {
+    const end = new Date();
+    const start = new Date(end.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const [sessions, timezone] = await Promise.all([
+      this.getUserSessions(userId, start, end),
+      this.getUserTimeZone(userId)
+    ]);
+    const patterns = await this.identifyPatterns([], sessions, timezone);
+    const timePattern = patterns.find(p => p.type === 'time');
+
+    return timePattern?.data.peakHours || [];
   }
 
   /**
@@ -425,7 +522,13 @@ export class AnalyticsService {
 
   private calculateMetrics(tasks: any[], sessions: any[], startDate: Date, endDate: Date): ProductivityMetrics {
     const completedTasks = tasks.filter(t => t.isCompleted);
-    const totalTimeSpent = sessions.reduce((sum, s) => sum + (s.duration || 0), 0);
+
+    const measured = sessions.map(measureSession);
+    const focusSessions = measured.filter(m => m.kind === 'focus');
+    const breakSessions = measured.filter(m => m.kind === 'break');
+    const focusTime = focusSessions.reduce((sum, m) => sum + m.activeTime, 0);
+    const breakTime = breakSessions.reduce((sum, m) => sum + m.activeTime, 0);
+    const totalTimeSpent = focusTime + breakTime;
     const daysDiff = Math.max(1, Math.ceil((endDate.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24)));
 
     const estimationAccuracySum = completedTasks.reduce((sum, task) => {
@@ -443,36 +546,41 @@ export class AnalyticsService {
       totalTimeSpent,
       averageTimePerTask: completedTasks.length > 0 ? totalTimeSpent / completedTasks.length : 0,
       tasksPerDay: tasks.length / daysDiff,
-      focusTime: totalTimeSpent * 0.8, // Assume 80% of time is focused
-      breakTime: totalTimeSpent * 0.2,
+      focusTime,
+      breakTime,
+      pausedTime: focusSessions.reduce((sum, m) => sum + m.pausedTime, 0),
+      interruptions: focusSessions.reduce((sum, m) => sum + m.interruptions, 0),
+      focusSessions: focusSessions.length,
+      breakSessions: breakSessions.length,
       productivityScore: completedTasks.length > 0 ? completedTasks.length / tasks.length : 0,
       estimationAccuracy: tasksWithEstimates > 0 ? estimationAccuracySum / tasksWithEstimates : 0
     };
   }
 
-  private async identifyPatterns(tasks: any[], sessions: any[]): Promise<ProductivityPattern[]> {
+  private async identifyPatterns(tasks: any[], sessions: any[], timezone: string): Promise<ProductivityPattern[]> {
     const patterns: ProductivityPattern[] = [];
 
-    // Time-based patterns
-    const hourlyDistribution: Record<number, number> = {};
-    sessions.forEach(session => {
-      if (session.startTime) {
-        const hour = new Date(session.startTime.toDate()).getHours();
-        hourlyDistribution[hour] = (hourlyDistribution[hour] || 0) + 1;
-      }
-    });
+    // Time-based patterns, in the user's local hours
+    const hourlyDistribution = countSessionsByHour(sessions, timezone);
 
     // Find peak hours
     const peakHour = Object.entries(hourlyDistribution)
       .sort(([,a], [,b]) => b - a)[0];
 
     if (peakHour) {
+      // Hours with at least half the sessions of the busiest hour also count as peak
+      const peakHours = Object.entries(hourlyDistribution)
+        .filter(([, count]) => count >= Number(peakHour[1]) / 2)
+        .sort(([a, countA], [b, countB]) => countB - countA || Number(a) - Number(b))
+        .slice(0, 4)
+        .map(([hour]) => Number(hour));
+
       patterns.push({
         type: 'time',
         description: `Most productive during ${peakHour[0]}:00 hour`,
         strength: Number(peakHour[1]) / sessions.length,
         confidence: 0.8,
-        data: { hour: Number(peakHour[0]), sessions: Number(peakHour[1]) }
+        data: { hour: Number(peakHour[0]), sessions: Number(peakHour[1]), peakHours }
       });
     }
 
@@ -532,24 +640,34 @@ export class AnalyticsService {
       });
     }
 
-    // Break time recommendation
-    if (metrics.breakTime / metrics.totalTimeSpent < 0.15) {
+    // Break time recommendation, once there is enough focus time to judge
+    const focusHours = metrics.focusTime / (60 * 60 * 1000);
+    if (focusHours >= 2 && metrics.breakTime / (metrics.focusTime + metrics.breakTime) < 0.15) {
       recommendations.push({
         type: 'breaks',
         title: 'Take Regular Breaks',
-        description: 'Regular breaks can improve focus and prevent burnout.',
+        description: `Breaks made up ${Math.round(metrics.breakTime / (metrics.focusTime + metrics.breakTime) * 100)}% of your session time. Regular breaks can improve focus and prevent burnout.`,
         impact: 'medium',
         effort: 'low'
       });
     }
 
+    // Interruption recommendation
+    if (focusHours >= 1 && metrics.interruptions / focusHours >= 2) {
+      recommendations.push({
+        type: 'focusTime',
+        title: 'Reduce Interruptions',
+        description: `You averaged ${(metrics.interruptions / focusHours).toFixed(1)} interruptions per focus hour. Silence notifications and batch messages between sessions.`,
+        impact: 'high',
+        effort: 'medium'
+      });
+    }
+
     return recommendations;
   }
 
-  private calculateTimeDistribution(tasks: any[], sessions: any[]): TimeDistribution {
+  private calculateTimeDistribution(tasks: any[], sessions: any[], timezone: string): TimeDistribution {
     const byCategory: Record<string, number> = {};
-    const byHour: Record<number, number> = {};
-    const byDay: Record<number, number> = {};
 
     // Category distribution
     tasks.forEach(task => {
@@ -558,49 +676,37 @@ export class AnalyticsService {
       byCategory[category] = (byCategory[category] || 0) + duration;
     });
 
-    // Hour distribution
-    sessions.forEach(session => {
-      if (session.startTime) {
-        const hour = new Date(session.startTime.toDate()).getHours();
-        const duration = session.duration || 0;
-        byHour[hour] = (byHour[hour] || 0) + duration;
-      }
-    });
-
-    // Day distribution
-    sessions.forEach(session => {
-      if (session.startTime) {
-        const day = new Date(session.startTime.toDate()).getDay();
-        const duration = session.duration || 0;
-        byDay[day] = (byDay[day] || 0) + duration;
-      }
-    });
+    // Hour and weekday distribution in the user's time zone
+    const { byHour, byDay } = sumSessionTime(sessions, timezone);
 
     return { byCategory, byHour, byDay };
   }
 
-  private calculateEfficiencyScores(tasks: any[], sessions: any[], metrics: ProductivityMetrics): EfficiencyScores {
+  private calculateEfficiencyScores(tasks: any[], sessions: any[], metrics: ProductivityMetrics, timezone: string): EfficiencyScores {
     return {
       overall: metrics.productivityScore,
       estimation: metrics.estimationAccuracy,
-      focus: Math.min(1, metrics.focusTime / (metrics.focusTime + metrics.breakTime)),
-      consistency: this.calculateConsistencyScore(sessions),
+      focus: this.calculateFocusScore(metrics),
+      consistency: this.calculateConsistencyScore(sessions, timezone),
       timeManagement: Math.min(1, metrics.averageTimePerTask / (60 * 60 * 1000)) // Normalize to 1 hour
     };
   }
 
-  private calculateConsistencyScore(sessions: any[]): number {
-    if (sessions.length < 2) return 0;
+  /**
+   * Share of focus-session time actually spent focusing, less a penalty for frequent interruptions
+   */
+  private calculateFocusScore(metrics: ProductivityMetrics): number {
+    if (metrics.focusTime <= 0) return 0;
 
-    const dailySessions: Record<string, number> = {};
-    sessions.forEach(session => {
-      if (session.startTime) {
-        const date = new Date(session.startTime.toDate()).toDateString();
-        dailySessions[date] = (dailySessions[date] || 0) + 1;
-      }
-    });
+    const focusShare = metrics.focusTime / (metrics.focusTime + metrics.pausedTime);
+    const interruptionsPerHour = metrics.interruptions / (metrics.focusTime / (60 * 60 * 1000));
+    return Math.max(0, focusShare - Math.min(0.5, interruptionsPerHour * 0.1));
+  }
+
+  private calculateConsistencyScore(sessions: any[], timezone: string): number {
+    if (sessions.length < 2) return 0;
 
-    const sessionCounts = Object.values(dailySessions);
+    const sessionCounts = Object.values(countSessionsByDate(sessions, timezone));
     const mean = sessionCounts.reduce((a, b) => a + b, 0) / sessionCounts.length;
     const variance = sessionCounts.reduce((sum, count) => sum + Math.pow(count - mean, 2), 0) / sessionCounts.length;
     const stdDev = Math.sqrt(variance);
@@ -609,59 +715,86 @@ export class AnalyticsService {
     return Math.max(0, 1 - stdDev / mean);
   }
 
-  private async generateAIInsights(analytics: UserAnalytics): Promise<string[]> {
-    // This would use AI to generate personalized insights
-    // For now, return static insights based on patterns
-    const insights: string[] = [];
+  /**
+   * Compare the analytics window with the window of the same length before it,
+   * using the stored daily rollups
+   */
+  private async calculateTrends(userId: string, currentAnalytics: UserAnalytics): Promise<MetricTrend[]> {
+    const userRef = db.collection('users').doc(userId);
+    const timezone = currentAnalytics.timezone;
 
-    if (analytics.metrics.productivityScore > 0.8) {
-      insights.push("You're maintaining excellent task completion rates!");
-    }
+    const { start, end } = currentAnalytics.period;
+    const days = Math.max(1, Math.round((end.getTime() - start.getTime()) / (24 * 60 * 60 * 1000)));
 
-    if (analytics.patterns.some(p => p.type === 'time')) {
-      const timePattern = analytics.patterns.find(p => p.type === 'time');
-      if (timePattern) {
-        insights.push(`You're most productive during ${timePattern.description}`);
-      }
-    }
+    // Both windows end on whole local days, the current one on the day containing `end`
+    const lastDay = getZonedParts(end, timezone);
+    const dateKeys = Array.from({ length: days * 2 }, (_, i) => formatLocalDate(addLocalDays(lastDay, i - (days * 2 - 1))));
 
-    return insights;
-  }
+    const snapshot = await userRef.collection('daily_analytics')
+      .where(admin.firestore.FieldPath.documentId(), '>=', dateKeys[0])
+      .where(admin.firestore.FieldPath.documentId(), '<=', dateKeys[dateKeys.length - 1])
+      .get();
 
-  private async calculateTrends(userId: string, currentAnalytics: UserAnalytics): Promise<Array<{ metric: string; trend: 'up' | 'down' | 'stable'; value: number }>> {
-    // This would compare current analytics with historical data
-    return [
-      { metric: 'productivity', trend: 'up', value: currentAnalytics.metrics.productivityScore },
-      { metric: 'estimation', trend: 'stable', value: currentAnalytics.metrics.estimationAccuracy }
-    ];
-  }
+    const rollups = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+    const daily = dateKeys.map(key => rollups.get(key) || null);
 
-  private async generatePersonalizedSuggestions(analytics: UserAnalytics): Promise<string[]> {
-    const suggestions: string[] = [];
+    return compareWindows(daily.slice(days), daily.slice(0, days));
+  }
 
-    if (analytics.efficiency.estimation < 0.7) {
-      suggestions.push("Try the planning poker technique for better time estimation");
-    }
+  /**
+   * Evaluate the rules against the facts, skipping rules still in their
+   * cooldown, and record which rules fired
+   */
+  private async applyInsightRules(userId: string, facts: Record<string, any>, now: Date): Promise<GeneratedInsight[]> {
+    const historyRef = db.collection('users').doc(userId).collection('insight_history');
+    const [rules, historySnapshot] = await Promise.all([this.getInsightRules(), historyRef.get()]);
+
+    const lastFired = new Map<string, Date>();
+    historySnapshot.docs.forEach(doc => {
+      const firedAt = doc.data().lastFiredAt;
+      if (firedAt instanceof admin.firestore.Timestamp) lastFired.set(doc.id, firedAt.toDate());
+    });
 
-    if (analytics.efficiency.focus < 0.6) {
-      suggestions.push("Consider using the Pomodoro technique with longer focus blocks");
+    const generated = evaluateInsightRules(rules, facts, lastFired, now);
+
+    if (generated.length > 0) {
+      const batch = db.batch();
+      generated.forEach(insight => {
+        batch.set(historyRef.doc(insight.ruleId), {
+          ruleId: insight.ruleId,
+          lastFiredAt: admin.firestore.Timestamp.fromDate(now),
+          lastMessage: insight.message,
+          timesFired: admin.firestore.FieldValue.increment(1)
+        }, { merge: true });
+      });
+      await batch.commit();
     }
 
-    return suggestions;
+    return generated;
   }
 
-  private identifyAchievements(analytics: UserAnalytics): string[] {
-    const achievements: string[] = [];
-
-    if (analytics.metrics.completedTasks >= 10) {
-      achievements.push("Task Master: Completed 10+ tasks!");
+  /**
+   * Default rules merged with the admin rules in global/insights/rules
+   */
+  private async getInsightRules(): Promise<InsightRule[]> {
+    if (this.insightRules && Date.now() - this.insightRules.loadedAt < INSIGHT_RULES_CACHE_MS) {
+      return this.insightRules.rules;
     }
 
-    if (analytics.efficiency.estimation > 0.9) {
-      achievements.push("Time Oracle: Achieved 90%+ estimation accuracy!");
+    let rules = DEFAULT_INSIGHT_RULES;
+    try {
+      const snapshot = await db.collection('global').doc('insights').collection('rules').get();
+      const custom = snapshot.docs
+        .map(doc => parseInsightRule(doc.id, doc.data()))
+        .filter((rule): rule is InsightRule => rule !== null);
+      rules = mergeInsightRules(DEFAULT_INSIGHT_RULES, custom);
+    } catch (error) {
+      // Fall back to the defaults rather than failing the request
+      console.error('Insight rules load error:', error);
     }
 
-    return achievements;
+    this.insightRules = { rules, loadedAt: Date.now() };
+    return rules;
   }
 
   private async storeAnalytics(userId: string, analytics: UserAnalytics): Promise<void> {
@@ -672,41 +805,14 @@ export class AnalyticsService {
     });
   }
 
-  private async getUserAnalytics(userId: string, startDate: Date, endDate: Date): Promise<any[]> {
-    const analyticsSnapshot = await db.collection('users').doc(userId).collection('analytics')
-      .where('lastUpdated', '>=', startDate)
-      .where('lastUpdated', '<=', endDate)
-      .get();
-
-    return analyticsSnapshot.docs.map(doc => doc.data());
-  }
-
-  private convertToCSV(data: any): string {
-    // Simple CSV conversion - would be more sophisticated in production
-    const tasks = data.tasks || [];
-    let csv = 'Title,Category,Priority,Status,Created,Completed,Estimated Duration,Actual Duration\n';
-    
-    tasks.forEach((task: any) => {
-      csv += `"${task.title}","${task.category}","${task.priority}","${task.status}","${task.createdAt}","${task.completedAt}","${task.estimatedDuration}","${task.actualDuration}"\n`;
-    });
-
-    return csv;
-  }
-
-  private async convertToExcel(data: any): Promise<Buffer> {
-    // Would use a library like xlsx to create Excel files
-    // For now, return JSON as buffer
-    return Buffer.from(JSON.stringify(data, null, 2));
+  private async getUserTimeZone(userId: string): Promise<string> {
+    const userDoc = await db.collection('users').doc(userId).get();
+    return resolveTimeZone(userDoc.data()?.timezone);
   }
 
-  private getContentType(format: string): string {
-    switch (format) {
-      case 'json': return 'application/json';
-      case 'csv': return 'text/csv';
-      case 'xlsx': return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-      default: return 'application/octet-stream';
-    }
+  private getDailyRef(userId: string, dateKey: string): admin.firestore.DocumentReference {
+    return db.collection('users').doc(userId).collection('daily_analytics').doc(dateKey);
   }
 }
 
-export const analyticsService = new AnalyticsService();
\ No newline at end of file
+export const analyticsService = new AnalyticsService();
@@ -0,0 +1,158 @@
+/**
+ * Analytics Trends
+ * Compares a window of daily rollups with the window of the same length before it
+ */
+
+import { deriveDailyMetrics } from './analyticsRollups';
+
+export interface MetricTrend {
+  metric: 'completionRate' | 'focusTime' | 'estimationAccuracy' | 'consistency';
+  trend: 'up' | 'down' | 'stable';
+  value: number; // current window
+  previous: number; // previous window
+  change: number; // value - previous
+  percentChange: number | null; // null when the previous window was zero
+  significant: boolean;
+}
+
+// Relative changes smaller than this read as stable
+const STABLE_BAND = 0.02;
+
+// Two-sided 95% critical value
+const Z_CRITICAL = 1.96;
+
+// Fewest days with data on each side before a change can be called significant
+const MIN_SAMPLE_DAYS = 3;
+
+// Consistency is one number per window with no sampling distribution, so a fixed bar is used
+const CONSISTENCY_SIGNIFICANT_CHANGE = 0.15;
+
+/**
+ * Trends for each metric. Both arrays hold one rollup (or null for a day without one) per day.
+ */
+export function compareWindows(current: Array<any | null>, previous: Array<any | null>): MetricTrend[] {
+  return [
+    completionRateTrend(current, previous),
+    focusTimeTrend(current, previous),
+    estimationAccuracyTrend(current, previous),
+    consistencyTrend(current, previous)
+  ];
+}
+
+/**
+ * Share of created tasks completed, compared with a two-proportion z-test
+ */
+function completionRateTrend(current: Array<any | null>, previous: Array<any | null>): MetricTrend {
+  const totals = (days: Array<any | null>) => days.reduce(
+    (acc, day) => ({ created: acc.created + (day?.tasksCreated || 0), completed: acc.completed + (day?.tasksCompleted || 0) }),
+    { created: 0, completed: 0 }
+  );
+  const a = totals(current);
+  const b = totals(previous);
+  const rateA = a.created > 0 ? Math.min(1, a.completed / a.created) : 0;
+  const rateB = b.created > 0 ? Math.min(1, b.completed / b.created) : 0;
+
+  let significant = false;
+  if (a.created > 0 && b.created > 0) {
+    const pooled = Math.min(1, (a.completed + b.completed) / (a.created + b.created));
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.created + 1 / b.created));
+    significant = standardError > 0 && Math.abs(rateA - rateB) / standardError >= Z_CRITICAL;
+  }
+
+  return buildTrend('completionRate', rateA, rateB, significant);
+}
+
+/**
+ * Mean focus minutes per day, including days without sessions, compared with Welch's t-test
+ */
+function focusTimeTrend(current: Array<any | null>, previous: Array<any | null>): MetricTrend {
+  const minutes = (days: Array<any | null>) => days.map(day => deriveDailyMetrics(day).focusTime / 60000);
+  const a = minutes(current);
+  const b = minutes(previous);
+
+  const active = (days: Array<any | null>) => days.filter(day => (day?.sessions || 0) > 0).length;
+  const significant = active(current) >= MIN_SAMPLE_DAYS && active(previous) >= MIN_SAMPLE_DAYS && welchSignificant(a, b);
+
+  return buildTrend('focusTime', mean(a), mean(b), significant);
+}
+
+/**
+ * Estimation accuracy pooled over completed tasks, tested on the per-day accuracies
+ */
+function estimationAccuracyTrend(current: Array<any | null>, previous: Array<any | null>): MetricTrend {
+  const pooled = (days: Array<any | null>) => {
+    const estimated = days.reduce((sum, day) => sum + (day?.estimatedTasks || 0), 0);
+    const accuracy = days.reduce((sum, day) => sum + (day?.estimationAccuracySum || 0), 0);
+    return estimated > 0 ? accuracy / estimated : 0;
+  };
+  const daily = (days: Array<any | null>) => days
+    .filter(day => (day?.estimatedTasks || 0) > 0)
+    .map(day => deriveDailyMetrics(day).estimationAccuracy);
+
+  const a = daily(current);
+  const b = daily(previous);
+  const significant = a.length >= MIN_SAMPLE_DAYS && b.length >= MIN_SAMPLE_DAYS && welchSignificant(a, b);
+
+  return buildTrend('estimationAccuracy', pooled(current), pooled(previous), significant);
+}
+
+/**
+ * How evenly sessions are spread across the days of the window
+ */
+function consistencyTrend(current: Array<any | null>, previous: Array<any | null>): MetricTrend {
+  const score = (days: Array<any | null>) => {
+    const counts = days.map(day => day?.sessions || 0);
+    const average = mean(counts);
+    if (average === 0) return 0;
+    return Math.max(0, 1 - Math.sqrt(variance(counts)) / average);
+  };
+  const active = (days: Array<any | null>) => days.filter(day => (day?.sessions || 0) > 0).length;
+
+  const a = score(current);
+  const b = score(previous);
+  const significant = active(current) >= MIN_SAMPLE_DAYS && active(previous) >= MIN_SAMPLE_DAYS &&
+    Math.abs(a - b) >= CONSISTENCY_SIGNIFICANT_CHANGE;
+
+  return buildTrend('consistency', a, b, significant);
+}
+
+function buildTrend(metric: MetricTrend['metric'], value: number, previous: number, significant: boolean): MetricTrend {
+  const change = value - previous;
+  const percentChange = previous !== 0 ? change / Math.abs(previous) : null;
+  const relative = percentChange ?? (change === 0 ? 0 : 1);
+
+  return {
+    metric,
+    trend: Math.abs(relative) < STABLE_BAND ? 'stable' : (change > 0 ? 'up' : 'down'),
+    value: round(value),
+    previous: round(previous),
+    change: round(change),
+    percentChange: percentChange === null ? null : round(percentChange * 100),
+    significant
+  };
+}
+
+/**
+ * Welch's t-test at roughly the 95% level (|t| >= 2 stands in for the exact critical value)
+ */
+function welchSignificant(a: number[], b: number[]): boolean {
+  if (a.length < 2 || b.length < 2) return false;
+  const standardError = Math.sqrt(variance(a, true) / a.length + variance(b, true) / b.length);
+  if (standardError === 0) return mean(a) !== mean(b);
+  return Math.abs(mean(a) - mean(b)) / standardError >= 2;
+}
+
+function mean(values: number[]): number {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function variance(values: number[], sample: boolean = false): number {
+  const denominator = values.length - (sample ? 1 : 0);
+  if (denominator <= 0) return 0;
+  const average = mean(values);
+  return values.reduce((sum, v) => sum + Math.pow(v - average, 2), 0) / denominator;
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
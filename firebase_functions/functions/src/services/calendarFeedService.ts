@@ -0,0 +1,127 @@
+/**
+ * Calendar Feed Service for Focus Flow Timer
+ * Issues signed per-user iCalendar subscription URLs and renders the feed:
+ * open tasks with due dates, recent completed pomodoros and today's plan
+ */
+
+import * as admin from 'firebase-admin';
+import * as crypto from 'crypto';
+import { buildCalendar } from './icsWriter';
+import { dayPlannerService } from './dayPlanner';
+import { resolveTimeZone } from '../utils/timezone';
+
+const db = admin.firestore();
+
+// How far back completed sessions are included in the feed
+const FEED_HISTORY_DAYS = 30;
+const FEED_TASK_LIMIT = 500;
+const FEED_SESSION_LIMIT = 1000;
+
+export class CalendarFeedService {
+
+  /**
+   * Signed subscription URL for the user's feed. Resetting rotates the
+   * feed secret so previously shared URLs stop working.
+   */
+  async getFeedUrl(userId: string, reset: boolean = false): Promise<{ url: string; webcalUrl: string }> {
+    try {
+      const userRef = db.collection('users').doc(userId);
+      const userDoc = await userRef.get();
+      let version: string | undefined = userDoc.data()?.calendarFeed?.version;
+
+      if (!version || reset) {
+        version = crypto.randomBytes(16).toString('hex');
+        await userRef.set({
+          calendarFeed: {
+            version,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+          }
+        }, { merge: true });
+      }
+
+      const url = `${this.getFeedBaseUrl()}?uid=${encodeURIComponent(userId)}&token=${this.sign(userId, version)}`;
+      return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+
+    } catch (error) {
+      console.error('Error creating calendar feed URL:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a feed token against the user's current feed secret
+   */
+  async verifyFeedToken(userId: string, token: string): Promise<boolean> {
+    const userDoc = await db.collection('users').doc(userId).get();
+    const version = userDoc.data()?.calendarFeed?.version;
+    if (!version || typeof token !== 'string') return false;
+
+    const expected = Buffer.from(this.sign(userId, version));
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Render the user's feed as an iCalendar document
+   */
+  async renderFeed(userId: string, now: Date = new Date()): Promise<string> {
+    try {
+      const userRef = db.collection('users').doc(userId);
+      const since = new Date(now.getTime() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+      const [userDoc, tasksSnapshot, sessionsSnapshot] = await Promise.all([
+        userRef.get(),
+        userRef.collection('tasks').where('isCompleted', '==', false).limit(FEED_TASK_LIMIT).get(),
+        userRef.collection('sessions')
+          .where('startTime', '>=', since)
+          .orderBy('startTime', 'desc')
+          .limit(FEED_SESSION_LIMIT)
+          .get()
+      ]);
+
+      const timezone = resolveTimeZone(userDoc.data()?.timezone);
+
+      // A planning failure should not take the rest of the feed down with it
+      let plan = null;
+      try {
+        plan = await dayPlannerService.planMyDay(userId, { now });
+      } catch (error) {
+        console.error('Calendar feed planning error:', error);
+      }
+
+      return buildCalendar({
+        name: 'Focus Flow Timer',
+        timezone,
+        tasks: tasksSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        sessions: sessionsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        plannedBlocks: plan ? plan.blocks : [],
+        planDate: plan ? plan.date : undefined,
+        generatedAt: now
+      });
+
+    } catch (error) {
+      console.error('Error rendering calendar feed:', error);
+      throw error;
+    }
+  }
+
+  // A key of its own, so feed URLs stay valid across API key secret changes and reveal nothing about it
+  private sign(userId: string, version: string): string {
+    const secret = process.env.CALENDAR_FEED_SECRET;
+    if (!secret) {
+      throw new Error('Calendar feed secret is not configured');
+    }
+
+    return crypto.createHmac('sha256', secret)
+      .update(`calendar-feed:${userId}:${version}`)
+      .digest('hex');
+  }
+
+  private getFeedBaseUrl(): string {
+    if (process.env.CALENDAR_FEED_URL) return process.env.CALENDAR_FEED_URL;
+    const region = process.env.FUNCTION_REGION || 'us-central1';
+    return `https://${region}-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/calendarFeed`;
+  }
+}
+
+export const calendarFeedService = new CalendarFeedService();
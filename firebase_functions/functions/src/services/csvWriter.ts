@@ -0,0 +1,67 @@
+/**
+ * CSV Writer
+ * Serializes export tables as RFC 4180 CSV: CRLF line endings, and fields
+ * containing the delimiter, quotes or line breaks wrapped in double quotes
+ */
+
+import { ExportColumn, ColumnType, TypedCell } from './exportTables';
+import { toDate } from '../utils/timezone';
+
+export type CsvDelimiter = ',' | ';' | '\t';
+
+export const CSV_DELIMITERS: CsvDelimiter[] = [',', ';', '\t'];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Header line for the columns. Durations are written in minutes, marked in the header.
+ */
+export function csvHeader(columns: ExportColumn[], delimiter: CsvDelimiter = ','): string {
+  return columns
+    .map(column => escapeField(column.type === 'duration' ? `${column.header} (min)` : column.header, delimiter))
+    .join(delimiter) + '\r\n';
+}
+
+/**
+ * Lines for rows built from the same columns. Dates are ISO-8601 in UTC.
+ */
+export function csvRows(columns: ExportColumn[], rows: any[][], delimiter: CsvDelimiter = ','): string {
+  return rows
+    .map(row => columns.map((column, c) => escapeField(formatValue(row[c], column.type), delimiter)).join(delimiter) + '\r\n')
+    .join('');
+}
+
+function formatValue(raw: any, columnType: ColumnType): string {
+  const typed = raw !== null && typeof raw === 'object' && 'type' in raw && 'value' in raw ? raw as TypedCell : null;
+  const type = typed ? typed.type : columnType;
+  const value = typed ? typed.value : raw;
+
+  if (value === null || value === undefined) return '';
+
+  switch (type) {
+    case 'date': {
+      const date = toDate(value);
+      return date ? date.toISOString() : '';
+    }
+    case 'duration':
+      return formatNumber(Math.round((Number(value) / MINUTE_MS) * 100) / 100);
+    case 'number':
+    case 'percent':
+      return formatNumber(Number(value));
+    case 'boolean':
+      return value ? 'true' : 'false';
+    default:
+      return String(value);
+  }
+}
+
+function formatNumber(value: number): string {
+  return Number.isFinite(value) ? String(value) : '';
+}
+
+function escapeField(value: string, delimiter: CsvDelimiter): string {
+  if (value.includes(delimiter) || /["\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
@@ -0,0 +1,361 @@
+/**
+ * Day Planner Service
+ * Builds a pomodoro timeline for a user's day from their open tasks,
+ * working hours, fixed calendar blocks and measured peak hours
+ */
+
+import * as admin from 'firebase-admin';
+import { analyticsService } from './analyticsService';
+import { PomodoroSettings, resolvePomodoroSettings, pomodoroCount } from '../utils/pomodoro';
+import { getZonedParts, zonedTimeToUtc, resolveTimeZone, addLocalDays, formatLocalDate, toDate } from '../utils/timezone';
+
+const db = admin.firestore();
+
+export interface PlannerTask {
+  id: string;
+  title: string;
+  priority?: string;
+  estimatedDuration?: number; // minutes
+  dueDate?: Date | null;
+  cognitiveLoad?: number; // 0-1
+  dependencies?: string[];
+}
+
+export interface FixedBlock {
+  start: Date;
+  end: Date;
+  title?: string;
+}
+
+export interface PlanBlock {
+  type: 'focus' | 'break' | 'fixed';
+  start: string; // ISO-8601
+  end: string; // ISO-8601
+  minutes: number;
+  taskId?: string;
+  title: string;
+  pomodoro?: number; // 1-based index within the task
+  peakHour?: boolean;
+}
+
+export interface DayPlan {
+  date: string; // YYYY-MM-DD in the user's time zone
+  timezone: string;
+  settings: PomodoroSettings;
+  peakHours: number[];
+  blocks: PlanBlock[];
+  unscheduled: Array<{ taskId: string; title: string; remainingPomodoros: number; reason: string }>;
+  summary: {
+    focusMinutes: number;
+    breakMinutes: number;
+    tasksScheduled: number;
+  };
+}
+
+export interface PlanDayInput {
+  tasks: PlannerTask[];
+  date: { year: number; month: number; day: number };
+  timezone: string;
+  workingHours: { start: string; end: string }; // HH:mm local time
+  fixedBlocks: FixedBlock[];
+  settings: PomodoroSettings;
+  peakHours: number[];
+  now: Date;
+}
+
+interface Slot {
+  start: number; // epoch ms
+  end: number;
+  breakAfter: number; // minutes of break that follows if the next slot is used
+  peak: boolean;
+  taskId?: string;
+  pomodoro?: number;
+}
+
+const MINUTE_MS = 60 * 1000;
+
+const PRIORITY_WEIGHTS: Record<string, number> = { low: 1, medium: 2, high: 3, critical: 4 };
+
+// Tasks at or above this cognitive load are placed in peak hours first
+const HEAVY_TASK_LOAD = 0.7;
+
+/**
+ * Plan a day. Pure and deterministic: the same input always yields the same plan.
+ */
+export function planDay(input: PlanDayInput): DayPlan {
+  const { settings, timezone } = input;
+  const [startHour, startMinute] = parseClock(input.workingHours.start, 9);
+  const [endHour, endMinute] = parseClock(input.workingHours.end, 17);
+
+  const dayStart = zonedTimeToUtc({ ...input.date, hour: startHour, minute: startMinute }, timezone).getTime();
+  const dayEnd = zonedTimeToUtc({ ...input.date, hour: endHour, minute: endMinute }, timezone).getTime();
+  const endOfDay = zonedTimeToUtc({ ...addLocalDays(input.date, 1) }, timezone).getTime();
+
+  // Never plan in the past; start on the next 5-minute boundary
+  const earliest = Math.max(dayStart, Math.ceil(input.now.getTime() / (5 * MINUTE_MS)) * 5 * MINUTE_MS);
+
+  const fixedBlocks = input.fixedBlocks
+    .filter(block => block.end.getTime() > dayStart && block.start.getTime() < dayEnd)
+    .sort((a, b) => a.start.getTime() - b.start.getTime());
+
+  const slots = buildSlots(freeIntervals(earliest, dayEnd, fixedBlocks), settings, timezone, input.peakHours);
+  const unscheduled: DayPlan['unscheduled'] = [];
+
+  // Most urgent first: overdue / due today, then priority, then earliest due date
+  const ordered = [...input.tasks].sort((a, b) => {
+    const dueA = a.dueDate && a.dueDate.getTime() < endOfDay ? 1 : 0;
+    const dueB = b.dueDate && b.dueDate.getTime() < endOfDay ? 1 : 0;
+    if (dueA !== dueB) return dueB - dueA;
+    const priorityDelta = (PRIORITY_WEIGHTS[b.priority || 'medium'] || 2) - (PRIORITY_WEIGHTS[a.priority || 'medium'] || 2);
+    if (priorityDelta !== 0) return priorityDelta;
+    const dueDelta = (a.dueDate?.getTime() ?? Infinity) - (b.dueDate?.getTime() ?? Infinity);
+    if (dueDelta !== 0 && !isNaN(dueDelta)) return dueDelta;
+    return a.id.localeCompare(b.id);
+  });
+
+  const planIds = new Set(input.tasks.map(task => task.id));
+  const processed = new Set<string>();
+  const pending = [...ordered];
+
+  const schedule = (task: PlannerTask, blockers: string[]) => {
+    const needed = pomodoroCount(task.estimatedDuration || settings.workDuration, settings);
+
+    // Work waiting on another task starts after that task's last focus block
+    const blockerSlots = slots.filter(slot => slot.taskId && blockers.includes(slot.taskId));
+    if (blockers.some(id => !blockerSlots.some(slot => slot.taskId === id))) {
+      unscheduled.push({ taskId: task.id, title: task.title, remainingPomodoros: needed, reason: 'blocked_by_dependency' });
+      return;
+    }
+    const blockedUntil = Math.max(0, ...blockerSlots.map(slot => slot.end));
+
+    const isDueToday = !!task.dueDate && task.dueDate.getTime() < endOfDay;
+    const isHeavy = (task.cognitiveLoad ?? 0) >= HEAVY_TASK_LOAD;
+    const available = slots.filter(slot => !slot.taskId && slot.start >= blockedUntil);
+
+    // Heavy work prefers peak hours, light work leaves them free; due-today work takes the earliest slots
+    const preferred = isDueToday
+      ? available
+      : [...available.filter(slot => slot.peak === isHeavy), ...available.filter(slot => slot.peak !== isHeavy)];
+
+    const chosen = preferred.slice(0, needed).sort((a, b) => a.start - b.start);
+    chosen.forEach((slot, index) => {
+      slot.taskId = task.id;
+      slot.pomodoro = index + 1;
+    });
+
+    if (chosen.length < needed) {
+      unscheduled.push({
+        taskId: task.id,
+        title: task.title,
+        remainingPomodoros: needed - chosen.length,
+        reason: 'not_enough_time'
+      });
+    }
+  };
+
+  // Take the most urgent task whose in-plan dependencies have all been placed
+  while (pending.length > 0) {
+    const index = pending.findIndex(task =>
+      (task.dependencies || []).every(id => !planIds.has(id) || processed.has(id)));
+    if (index === -1) break;
+
+    const [task] = pending.splice(index, 1);
+    schedule(task, (task.dependencies || []).filter(id => planIds.has(id)));
+    processed.add(task.id);
+  }
+
+  // Whatever is left depends on itself through a cycle
+  pending.forEach(task => {
+    unscheduled.push({
+      taskId: task.id,
+      title: task.title,
+      remainingPomodoros: pomodoroCount(task.estimatedDuration || settings.workDuration, settings),
+      reason: 'blocked_by_dependency'
+    });
+  });
+
+  const titles = new Map(input.tasks.map(task => [task.id, task.title]));
+  const blocks: PlanBlock[] = [];
+
+  slots.forEach((slot, index) => {
+    if (!slot.taskId) return;
+    blocks.push({
+      type: 'focus',
+      start: new Date(slot.start).toISOString(),
+      end: new Date(slot.end).toISOString(),
+      minutes: (slot.end - slot.start) / MINUTE_MS,
+      taskId: slot.taskId,
+      title: titles.get(slot.taskId) || '',
+      pomodoro: slot.pomodoro,
+      peakHour: slot.peak
+    });
+
+    // Only emit a break when the next focus block follows directly
+    const next = slots[index + 1];
+    if (next?.taskId && next.start === slot.end + slot.breakAfter * MINUTE_MS) {
+      blocks.push({
+        type: 'break',
+        start: new Date(slot.end).toISOString(),
+        end: new Date(next.start).toISOString(),
+        minutes: slot.breakAfter,
+        title: slot.breakAfter >= settings.longBreakDuration ? 'Long break' : 'Short break'
+      });
+    }
+  });
+
+  fixedBlocks.forEach(block => {
+    blocks.push({
+      type: 'fixed',
+      start: block.start.toISOString(),
+      end: block.end.toISOString(),
+      minutes: Math.round((block.end.getTime() - block.start.getTime()) / MINUTE_MS),
+      title: block.title || 'Busy'
+    });
+  });
+
+  blocks.sort((a, b) => a.start.localeCompare(b.start) || a.type.localeCompare(b.type));
+
+  const focusBlocks = blocks.filter(b => b.type === 'focus');
+  return {
+    date: formatLocalDate(input.date),
+    timezone,
+    settings,
+    peakHours: input.peakHours,
+    blocks,
+    unscheduled,
+    summary: {
+      focusMinutes: focusBlocks.reduce((sum, b) => sum + b.minutes, 0),
+      breakMinutes: blocks.filter(b => b.type === 'break').reduce((sum, b) => sum + b.minutes, 0),
+      tasksScheduled: new Set(focusBlocks.map(b => b.taskId)).size
+    }
+  };
+}
+
+/**
+ * Working window minus fixed blocks
+ */
+function freeIntervals(start: number, end: number, fixedBlocks: FixedBlock[]): Array<[number, number]> {
+  const intervals: Array<[number, number]> = [];
+  let cursor = start;
+
+  fixedBlocks.forEach(block => {
+    const blockStart = block.start.getTime();
+    const blockEnd = block.end.getTime();
+    if (blockStart > cursor) intervals.push([cursor, Math.min(blockStart, end)]);
+    cursor = Math.max(cursor, blockEnd);
+  });
+
+  if (cursor < end) intervals.push([cursor, end]);
+  return intervals.filter(([s, e]) => e > s);
+}
+
+/**
+ * Lay focus slots and breaks back to back inside each free interval.
+ * A fixed block acts as a break, so the long-break cadence restarts after it.
+ */
+function buildSlots(
+  intervals: Array<[number, number]>,
+  settings: PomodoroSettings,
+  timezone: string,
+  peakHours: number[]
+): Slot[] {
+  const slots: Slot[] = [];
+  const focusMs = settings.workDuration * MINUTE_MS;
+
+  intervals.forEach(([start, end]) => {
+    let cursor = start;
+    let completed = 0;
+
+    while (cursor + focusMs <= end) {
+      completed++;
+      const breakAfter = completed % settings.longBreakInterval === 0
+        ? settings.longBreakDuration
+        : settings.shortBreakDuration;
+
+      slots.push({
+        start: cursor,
+        end: cursor + focusMs,
+        breakAfter,
+        peak: peakHours.includes(getZonedParts(new Date(cursor), timezone).hour)
+      });
+      cursor += focusMs + breakAfter * MINUTE_MS;
+    }
+  });
+
+  return slots;
+}
+
+function parseClock(value: string | undefined, fallbackHour: number): [number, number] {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return [fallbackHour, 0];
+  return [Number(match[1]), Number(match[2])];
+}
+
+export class DayPlannerService {
+
+  /**
+   * Plan the user's day from their open tasks and stored preferences
+   */
+  async planMyDay(userId: string, options: {
+    date?: string; // YYYY-MM-DD
+    workingHours?: { start: string; end: string };
+    fixedBlocks?: Array<{ start: string; end: string; title?: string }>;
+    now?: Date;
+  } = {}): Promise<DayPlan> {
+    try {
+      const userRef = db.collection('users').doc(userId);
+      const [userDoc, tasksSnapshot, peakHours] = await Promise.all([
+        userRef.get(),
+        userRef.collection('tasks').where('isCompleted', '==', false).limit(100).get(),
+        analyticsService.getPeakHours(userId)
+      ]);
+
+      const userData = userDoc.data() || {};
+      const timezone = resolveTimeZone(userData.timezone);
+      const now = options.now || new Date();
+      const today = getZonedParts(now, timezone);
+
+      const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(options.date || '');
+      const date = dateMatch
+        ? { year: Number(dateMatch[1]), month: Number(dateMatch[2]), day: Number(dateMatch[3]) }
+        : { year: today.year, month: today.month, day: today.day };
+
+      const tasks: PlannerTask[] = tasksSnapshot.docs.map(doc => {
+        const task = doc.data();
+        return {
+          id: doc.id,
+          title: task.title || '',
+          priority: task.priority,
+          estimatedDuration: task.aiData?.estimatedDuration || task.estimatedDuration,
+          dueDate: toDate(task.dueDate),
+          cognitiveLoad: task.aiData?.cognitiveLoad,
+          dependencies: task.dependencies || []
+        };
+      });
+
+      const fixedBlocks: FixedBlock[] = [];
+      (options.fixedBlocks || []).forEach(block => {
+        const start = toDate(block.start);
+        const end = toDate(block.end);
+        if (start && end && end > start) fixedBlocks.push({ start, end, title: block.title });
+      });
+
+      return planDay({
+        tasks,
+        date,
+        timezone,
+        workingHours: options.workingHours || userData.workingHours || { start: '09:00', end: '17:00' },
+        fixedBlocks,
+        settings: resolvePomodoroSettings(userData),
+        peakHours,
+        now
+      });
+
+    } catch (error) {
+      console.error('Day planning error:', error);
+      throw error;
+    }
+  }
+}
+
+export const dayPlannerService = new DayPlannerService();
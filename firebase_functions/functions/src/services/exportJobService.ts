@@ -0,0 +1,520 @@
+/**
+ * Export Job Service for Focus Flow Timer
+ * Runs data exports as queued jobs in `export_requests`: each section is read
+ * page by page and streamed to Storage, with progress and status kept on the
+ * request document. Full exports cover every user subcollection, the per-user
+ * documents the client keeps outside users/{uid}, the user's documents in
+ * shared collections and the user's Storage files for data portability requests.
+ */
+
+import * as admin from 'firebase-admin';
+import { notificationService } from './notificationService';
+import {
+  ExportFormat, ExportOptions, ExportSection, EXPORT_FORMATS, EXPORT_FILE_TYPES, createExportSink
+} from './exportSinks';
+import { ExportTotals, emptyTotals, addToTotals } from './exportTables';
+import { CSV_DELIMITERS } from './csvWriter';
+import { resolveTimeZone, toDate, toLocalDateKey } from '../utils/timezone';
+import { forEachPage } from '../utils/concurrency';
+import { WritableSink } from '../utils/streams';
+import { ZipWriter } from '../utils/zip';
+import { redactSecrets } from '../utils/redact';
+import { getTopLevelUserDocuments, getTopLevelUserQueries } from './userDataLocations';
+
+const db = admin.firestore();
+
+const EXPORT_PAGE_SIZE = 500;
+
+// Period exported when the request gives no start date
+const DEFAULT_EXPORT_DAYS = 90;
+
+// Finished exports can be downloaded for 24 hours
+const DOWNLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Each signed download link is minted on request and only lives this long
+const DOWNLOAD_LINK_TTL_MS = 15 * 60 * 1000;
+
+// Subcollections whose documents hold third-party credentials
+const REDACTED_COLLECTIONS = ['integrations', 'webhooks'];
+
+export type ExportStatus = 'queued' | 'processing' | 'completed' | 'failed';
+
+// 'period' exports tasks, sessions and analytics in a date range; 'full' exports everything
+export type ExportScope = 'period' | 'full';
+
+interface PeriodExportJob {
+  scope: 'period';
+  userId: string;
+  format: ExportFormat;
+  start: Date;
+  end: Date;
+  options: ExportOptions;
+}
+
+interface FullExportJob {
+  scope: 'full';
+  userId: string;
+}
+
+type ExportJob = PeriodExportJob | FullExportJob;
+
+// Kept on the request; links to the file are only signed for its owner, by getDownloadUrl
+interface ExportFile {
+  filePath: string;
+  filename: string;
+  size: number;
+  expiresAt: Date;
+}
+
+interface SectionSource {
+  query: admin.firestore.Query;
+  orderField?: string;
+}
+
+/**
+ * Firestore values as plain JSON: timestamps as ISO-8601 strings, references
+ * as document paths and bytes as base64
+ */
+function toPortable(value: any): any {
+  if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+  if (value instanceof admin.firestore.DocumentReference) return value.path;
+  if (value instanceof admin.firestore.GeoPoint) return { latitude: value.latitude, longitude: value.longitude };
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  if (Array.isArray(value)) return value.map(item => toPortable(item));
+  if (value !== null && typeof value === 'object') {
+    const result: Record<string, any> = {};
+    for (const [key, field] of Object.entries(value)) {
+      result[key] = toPortable(field);
+    }
+    return result;
+  }
+  return value;
+}
+
+export class ExportJobService {
+
+  /**
+   * Queue an export; the export_requests trigger picks it up
+   */
+  async queueExport(
+    userId: string,
+    format: ExportFormat,
+    startDate?: string,
+    endDate?: string,
+    options: ExportOptions = {}
+  ): Promise<{ requestId: string; status: ExportStatus }> {
+    try {
+      const requestRef = await db.collection('export_requests').add({
+        userId,
+        format,
+        startDate: startDate || null,
+        endDate: endDate || null,
+        options: {
+          columnSet: options.columnSet || null,
+          delimiter: options.delimiter || null
+        },
+        status: 'queued',
+        progress: 0,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { requestId: requestRef.id, status: 'queued' };
+
+    } catch (error) {
+      console.error('Error queueing export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a full export of everything stored for the user
+   */
+  async queueFullExport(userId: string): Promise<{ requestId: string; status: ExportStatus }> {
+    try {
+      const requestRef = await db.collection('export_requests').add({
+        userId,
+        scope: 'full',
+        status: 'queued',
+        progress: 0,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { requestId: requestRef.id, status: 'queued' };
+
+    } catch (error) {
+      console.error('Error queueing full export:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a queued export request. Requests may also be created directly by
+   * clients, so every field is validated here.
+   */
+  async processExportRequest(requestId: string): Promise<void> {
+    const requestRef = db.collection('export_requests').doc(requestId);
+
+    // Claim the request so a redelivered trigger does not run it twice
+    const request = await db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(requestRef);
+      const data = snapshot.data();
+      if (!data || data.status !== 'queued') return null;
+
+      transaction.update(requestRef, {
+        status: 'processing',
+        startedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return data;
+    });
+
+    if (!request) return;
+
+    const parsed = this.parseRequest(request);
+    if ('error' in parsed) {
+      await this.failRequest(requestRef, request.userId, parsed.error);
+      return;
+    }
+
+    try {
+      const result = parsed.job.scope === 'full'
+        ? await this.runFullExport(requestRef, parsed.job)
+        : await this.runExport(requestRef, parsed.job);
+
+      await requestRef.update({
+        status: 'completed',
+        progress: 1,
+        ...result,
+        completedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      await notificationService.sendExportNotification(parsed.job.userId, {
+        requestId,
+        status: 'completed',
+        filename: result.filename
+      });
+
+    } catch (error) {
+      console.error('Export job error:', error);
+      await this.failRequest(requestRef, parsed.job.userId, 'Export failed');
+    }
+  }
+
+  /**
+   * A short-lived download link for one of the user's finished exports
+   */
+  async getDownloadUrl(userId: string, requestId: string): Promise<{ downloadUrl: string; filename: string; expiresAt: string }> {
+    const doc = await db.collection('export_requests').doc(requestId).get();
+    const data = doc.data();
+
+    // Other users' requests look the same as missing ones
+    if (!data || data.userId !== userId) {
+      throw new Error('Export request not found');
+    }
+    if (data.status !== 'completed' || typeof data.filePath !== 'string') {
+      throw new Error('Export is not ready');
+    }
+
+    const availableUntil = toDate(data.expiresAt);
+    if (!availableUntil || availableUntil.getTime() <= Date.now()) {
+      throw new Error('Export download has expired');
+    }
+
+    const expiresAt = new Date(Math.min(Date.now() + DOWNLOAD_LINK_TTL_MS, availableUntil.getTime()));
+    const [downloadUrl] = await admin.storage().bucket().file(data.filePath).getSignedUrl({
+      action: 'read',
+      expires: expiresAt
+    });
+
+    return { downloadUrl, filename: data.filename, expiresAt: expiresAt.toISOString() };
+  }
+
+  private async runExport(requestRef: admin.firestore.DocumentReference, job: PeriodExportJob): Promise<ExportFile> {
+    const userRef = db.collection('users').doc(job.userId);
+    const userDoc = await userRef.get();
+    const timezone = resolveTimeZone(userDoc.data()?.timezone);
+
+    const exportedAt = new Date();
+    const fileType = EXPORT_FILE_TYPES[job.format];
+    const filename = `focus-flow-export-${job.userId}-${exportedAt.getTime()}.${fileType.extension}`;
+
+    return this.writeExportFile(requestRef, job.userId, filename, fileType.contentType, {
+      exportedAt: exportedAt.toISOString(),
+      format: job.format
+    }, async output => {
+      const exportSink = createExportSink(job.format, output, {
+        userId: job.userId,
+        exportedAt: exportedAt.toISOString(),
+        period: { start: job.start.toISOString(), end: job.end.toISOString() },
+        timezone,
+        options: job.options
+      });
+      const sources = exportSink.sections.map(section => ({ section, ...this.getSectionSource(userRef, section, job, timezone) }));
+      const counts = await Promise.all(sources.map(async source => (await source.query.count().get()).data().count));
+      const totalRecords = counts.reduce((sum, count) => sum + count, 0);
+
+      await requestRef.update({ totalRecords, processedRecords: 0 });
+
+      const totals: ExportTotals = emptyTotals();
+      let processedRecords = 0;
+
+      await exportSink.start();
+      for (const source of sources) {
+        await exportSink.startSection(source.section);
+        await forEachPage(source.query, EXPORT_PAGE_SIZE, async docs => {
+          const records = docs.map(doc => ({ id: doc.id, ...doc.data() }));
+          await exportSink.writeRecords(source.section, records);
+
+          if (source.section === 'tasks') addToTotals(totals, { tasks: records });
+          if (source.section === 'sessions') addToTotals(totals, { sessions: records });
+
+          processedRecords += records.length;
+          await this.updateProgress(requestRef, processedRecords, totalRecords);
+        }, source.orderField);
+        await exportSink.endSection(source.section);
+      }
+      await exportSink.finish(totals);
+    });
+  }
+
+  /**
+   * Everything stored for the user as a ZIP: the profile, one JSON file per
+   * subcollection, the per-user documents outside users/{uid} with their
+   * subcollections, the user's documents in shared collections, the user's
+   * Storage files and a manifest listing them
+   */
+  private async runFullExport(requestRef: admin.firestore.DocumentReference, job: FullExportJob): Promise<ExportFile> {
+    const userRef = db.collection('users').doc(job.userId);
+    const storagePrefix = `users/${job.userId}/`;
+
+    const exportedAt = new Date();
+    const filename = `focus-flow-data-${job.userId}-${exportedAt.getTime()}.zip`;
+
+    const [userDoc, userCollections, [files], topLevel] = await Promise.all([
+      userRef.get(),
+      userRef.listCollections(),
+      admin.storage().bucket().getFiles({ prefix: storagePrefix }),
+      Promise.all(Object.entries(getTopLevelUserDocuments(db, job.userId)).map(async ([name, ref]) => {
+        const [doc, nested] = await Promise.all([ref.get(), ref.listCollections()]);
+        return { name, doc, nested };
+      }))
+    ]);
+    // Folder placeholders have no content of their own
+    const storageFiles = files.filter(file => !file.name.endsWith('/'));
+    const topLevelDocs = topLevel.filter(entry => entry.doc.exists);
+
+    // Exported as firestore/<path>.json; top-level documents' subcollections nest under their name
+    const collections: Array<{ path: string; collection: admin.firestore.Query }> = [
+      ...userCollections.map(collection => ({ path: collection.id, collection })),
+      ...topLevel.flatMap(entry => entry.nested.map(collection => ({ path: `${entry.name}/${collection.id}`, collection }))),
+      ...Object.entries(getTopLevelUserQueries(db, job.userId)).map(([path, collection]) => ({ path, collection }))
+    ];
+
+    const counts = await Promise.all(collections.map(async ({ collection }) => (await collection.count().get()).data().count));
+    const totalRecords = counts.reduce((sum, count) => sum + count, 0) + topLevelDocs.length + storageFiles.length;
+    await requestRef.update({ totalRecords, processedRecords: 0 });
+
+    return this.writeExportFile(requestRef, job.userId, filename, 'application/zip', {
+      exportedAt: exportedAt.toISOString(),
+      scope: 'full'
+    }, async output => {
+      const zip = new ZipWriter(output);
+      const manifest = {
+        userId: job.userId,
+        exportedAt: exportedAt.toISOString(),
+        collections: {} as Record<string, number>,
+        documents: [] as string[],
+        files: [] as Array<{ path: string; size: number; contentType: string | null; md5Hash: string | null }>
+      };
+      let processedRecords = 0;
+
+      await zip.addEntry('profile.json', JSON.stringify(toPortable(userDoc.data() || {}), null, 2), exportedAt);
+
+      for (const { name, doc } of topLevelDocs) {
+        await zip.addEntry(`firestore/${name}.json`, JSON.stringify(toPortable({ id: doc.id, ...doc.data() }), null, 2), exportedAt);
+        manifest.documents.push(name);
+
+        processedRecords++;
+        await this.updateProgress(requestRef, processedRecords, totalRecords);
+      }
+
+      for (const { path, collection } of collections) {
+        const redact = REDACTED_COLLECTIONS.includes(path);
+        let first = true;
+
+        await zip.startEntry(`firestore/${path}.json`, exportedAt);
+        await zip.write('[');
+        manifest.collections[path] = await forEachPage(collection, EXPORT_PAGE_SIZE, async docs => {
+          const body = docs.map(doc => {
+            const record = toPortable({ id: doc.id, ...doc.data() });
+            return JSON.stringify(redact ? redactSecrets(record) : record);
+          }).join(',');
+          await zip.write(first ? body : `,${body}`);
+          first = false;
+
+          processedRecords += docs.length;
+          await this.updateProgress(requestRef, processedRecords, totalRecords);
+        });
+        await zip.write(']');
+        await zip.endEntry();
+      }
+
+      for (const file of storageFiles) {
+        const path = `storage/${file.name.slice(storagePrefix.length)}`;
+        await zip.startEntry(path, file.metadata.updated ? new Date(file.metadata.updated) : exportedAt);
+        for await (const chunk of file.createReadStream()) {
+          await zip.write(chunk);
+        }
+        await zip.endEntry();
+
+        manifest.files.push({
+          path,
+          size: Number(file.metadata.size) || 0,
+          contentType: file.metadata.contentType || null,
+          md5Hash: file.metadata.md5Hash || null
+        });
+
+        processedRecords++;
+        await this.updateProgress(requestRef, processedRecords, totalRecords);
+      }
+
+      await zip.addEntry('manifest.json', JSON.stringify(manifest, null, 2), exportedAt);
+      await zip.finish();
+    });
+  }
+
+  /**
+   * Stream an export file to Storage and sign a download link for it.
+   * A failed export leaves no partial file behind.
+   */
+  private async writeExportFile(
+    requestRef: admin.firestore.DocumentReference,
+    userId: string,
+    filename: string,
+    contentType: string,
+    metadata: Record<string, string>,
+    write: (output: WritableSink) => Promise<void>
+  ): Promise<ExportFile> {
+    const file = admin.storage().bucket().file(`exports/${userId}/${filename}`);
+    const stream = file.createWriteStream({
+      metadata: {
+        contentType,
+        metadata: { userId, requestId: requestRef.id, ...metadata }
+      }
+    });
+    const output = new WritableSink(stream);
+
+    try {
+      await write(output);
+      await output.end();
+
+    } catch (error) {
+      stream.destroy();
+      await file.delete().catch(() => undefined);
+      throw error;
+    }
+
+    const expiresAt = new Date(Date.now() + DOWNLOAD_TTL_MS);
+    return { filePath: file.name, filename, size: output.bytesWritten, expiresAt };
+  }
+
+  private async updateProgress(
+    requestRef: admin.firestore.DocumentReference,
+    processedRecords: number,
+    totalRecords: number
+  ): Promise<void> {
+    // Records written since counting can push the tally past the total
+    await requestRef.update({
+      processedRecords,
+      progress: totalRecords > 0 ? Math.min(0.99, processedRecords / totalRecords) : 0
+    });
+  }
+
+  private getSectionSource(
+    userRef: admin.firestore.DocumentReference,
+    section: ExportSection,
+    job: PeriodExportJob,
+    timezone: string
+  ): SectionSource {
+    switch (section) {
+      case 'tasks':
+        return {
+          query: userRef.collection('tasks').where('createdAt', '>=', job.start).where('createdAt', '<=', job.end),
+          orderField: 'createdAt'
+        };
+      case 'sessions':
+        return {
+          query: userRef.collection('sessions').where('startTime', '>=', job.start).where('startTime', '<=', job.end),
+          orderField: 'startTime'
+        };
+      case 'analytics':
+        return {
+          query: userRef.collection('analytics').where('lastUpdated', '>=', job.start).where('lastUpdated', '<=', job.end),
+          orderField: 'lastUpdated'
+        };
+      case 'dailyAnalytics':
+        // Daily rollups are keyed by local date, so the range is over document IDs
+        return {
+          query: userRef.collection('daily_analytics')
+            .where(admin.firestore.FieldPath.documentId(), '>=', toLocalDateKey(job.start, timezone))
+            .where(admin.firestore.FieldPath.documentId(), '<=', toLocalDateKey(job.end, timezone))
+        };
+    }
+  }
+
+  private parseRequest(data: any): { job: ExportJob } | { error: string } {
+    if (typeof data.userId !== 'string' || !data.userId) {
+      return { error: 'userId is required' };
+    }
+    if (data.scope === 'full') {
+      return { job: { scope: 'full', userId: data.userId } };
+    }
+    if (data.scope !== undefined && data.scope !== 'period') {
+      return { error: "scope must be 'period' or 'full'" };
+    }
+    if (!EXPORT_FORMATS.includes(data.format)) {
+      return { error: `format must be one of ${EXPORT_FORMATS.join(', ')}` };
+    }
+
+    const start = data.startDate ? new Date(data.startDate) : new Date(Date.now() - DEFAULT_EXPORT_DAYS * 24 * 60 * 60 * 1000);
+    const end = data.endDate ? new Date(data.endDate) : new Date();
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+      return { error: 'startDate and endDate must be valid dates with startDate first' };
+    }
+
+    const options = data.options || {};
+    if (options.columnSet && options.columnSet !== 'basic' && options.columnSet !== 'full') {
+      return { error: "columnSet must be 'basic' or 'full'" };
+    }
+    if (options.delimiter && !CSV_DELIMITERS.includes(options.delimiter)) {
+      return { error: 'delimiter must be a comma, semicolon or tab' };
+    }
+
+    return {
+      job: {
+        scope: 'period',
+        userId: data.userId,
+        format: data.format,
+        start,
+        end,
+        options: {
+          columnSet: options.columnSet || undefined,
+          delimiter: options.delimiter || undefined
+        }
+      }
+    };
+  }
+
+  private async failRequest(requestRef: admin.firestore.DocumentReference, userId: unknown, message: string): Promise<void> {
+    await requestRef.update({
+      status: 'failed',
+      error: message,
+      failedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    if (typeof userId === 'string' && userId) {
+      await notificationService.sendExportNotification(userId, { requestId: requestRef.id, status: 'failed' });
+    }
+  }
+}
+
+export const exportJobService = new ExportJobService();
@@ -0,0 +1,226 @@
+/**
+ * Export Sinks
+ * One writer per export format. The export job hands each sink its sections
+ * page by page, so no format needs the whole data set in memory.
+ */
+
+import {
+  ColumnSet, ExportColumn, ExportTotals, TASK_COLUMNS, SESSION_COLUMNS, DAILY_ANALYTICS_COLUMNS,
+  buildTable, buildSummaryTable, selectColumns
+} from './exportTables';
+import { CsvDelimiter, csvHeader, csvRows } from './csvWriter';
+import { XlsxWriter } from './xlsxWriter';
+import { CALENDAR_END, calendarStart, taskEntries, sessionEntries } from './icsWriter';
+import { ZipWriter } from '../utils/zip';
+import { ByteSink } from '../utils/streams';
+
+export type ExportFormat = 'json' | 'csv' | 'xlsx' | 'ics';
+
+export const EXPORT_FORMATS: ExportFormat[] = ['json', 'csv', 'xlsx', 'ics'];
+
+// CSV exports are one file per table, bundled as a ZIP
+export const EXPORT_FILE_TYPES: Record<ExportFormat, { extension: string; contentType: string }> = {
+  json: { extension: 'json', contentType: 'application/json' },
+  csv: { extension: 'zip', contentType: 'application/zip' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  ics: { extension: 'ics', contentType: 'text/calendar' }
+};
+
+export type ExportSection = 'tasks' | 'sessions' | 'dailyAnalytics' | 'analytics';
+
+export interface ExportOptions {
+  columnSet?: ColumnSet; // defaults to 'full'
+  delimiter?: CsvDelimiter; // CSV only, defaults to ','
+}
+
+export interface ExportContext {
+  userId: string;
+  exportedAt: string;
+  period: { start: string; end: string };
+  timezone: string;
+  options: ExportOptions;
+}
+
+export interface ExportSink {
+  readonly sections: ExportSection[]; // the sections this format includes, in the order they are written
+  start(): Promise<void>;
+  startSection(section: ExportSection): Promise<void>;
+  writeRecords(section: ExportSection, records: any[]): Promise<void>;
+  endSection(section: ExportSection): Promise<void>;
+  finish(totals: ExportTotals): Promise<void>;
+}
+
+const TABLES: Record<string, { name: string; file: string; columns: ExportColumn[] }> = {
+  tasks: { name: 'Tasks', file: 'tasks.csv', columns: TASK_COLUMNS },
+  sessions: { name: 'Sessions', file: 'sessions.csv', columns: SESSION_COLUMNS },
+  dailyAnalytics: { name: 'Daily Analytics', file: 'daily_analytics.csv', columns: DAILY_ANALYTICS_COLUMNS }
+};
+
+export function createExportSink(format: ExportFormat, output: ByteSink, context: ExportContext): ExportSink {
+  switch (format) {
+    case 'json': return new JsonSink(output, context);
+    case 'csv': return new CsvSink(output, context);
+    case 'xlsx': return new XlsxSink(output, context);
+    case 'ics': return new IcsSink(output, context);
+    default: throw new Error('Unsupported export format');
+  }
+}
+
+/**
+ * A single JSON document: export details, one array per section, and a summary
+ */
+class JsonSink implements ExportSink {
+  readonly sections: ExportSection[] = ['tasks', 'sessions', 'analytics', 'dailyAnalytics'];
+  private first = true;
+
+  constructor(private output: ByteSink, private context: ExportContext) {}
+
+  async start(): Promise<void> {
+    const { userId, exportedAt, period, timezone } = this.context;
+    const header = JSON.stringify({ user: userId, exportedAt, period, timezone });
+    await this.output.write(header.slice(0, -1));
+  }
+
+  async startSection(section: ExportSection): Promise<void> {
+    this.first = true;
+    await this.output.write(`,${JSON.stringify(section)}:[`);
+  }
+
+  async writeRecords(_section: ExportSection, records: any[]): Promise<void> {
+    if (records.length === 0) return;
+    const body = records.map(record => JSON.stringify(record)).join(',');
+    await this.output.write(this.first ? body : `,${body}`);
+    this.first = false;
+  }
+
+  async endSection(): Promise<void> {
+    await this.output.write(']');
+  }
+
+  async finish(totals: ExportTotals): Promise<void> {
+    const summary = {
+      totalTasks: totals.totalTasks,
+      completedTasks: totals.completedTasks,
+      totalSessions: totals.totalSessions,
+      totalTimeSpent: totals.focusTime + totals.breakTime
+    };
+    await this.output.write(`,"summary":${JSON.stringify(summary)}}`);
+  }
+}
+
+/**
+ * One RFC 4180 CSV file per table in a ZIP archive
+ */
+class CsvSink implements ExportSink {
+  readonly sections: ExportSection[] = ['tasks', 'sessions', 'dailyAnalytics'];
+  private zip: ZipWriter;
+
+  constructor(output: ByteSink, private context: ExportContext) {
+    this.zip = new ZipWriter(output);
+  }
+
+  async start(): Promise<void> {}
+
+  async startSection(section: ExportSection): Promise<void> {
+    await this.zip.startEntry(TABLES[section].file, new Date(this.context.exportedAt));
+    await this.zip.write(csvHeader(this.columns(section), this.context.options.delimiter));
+  }
+
+  async writeRecords(section: ExportSection, records: any[]): Promise<void> {
+    const columns = this.columns(section);
+    await this.zip.write(csvRows(columns, buildTable(TABLES[section].name, columns, records).rows, this.context.options.delimiter));
+  }
+
+  async endSection(): Promise<void> {
+    await this.zip.endEntry();
+  }
+
+  async finish(): Promise<void> {
+    await this.zip.finish();
+  }
+
+  private columns(section: ExportSection): ExportColumn[] {
+    return selectColumns(TABLES[section].columns, this.context.options.columnSet);
+  }
+}
+
+/**
+ * A workbook with one sheet per table and a summary sheet
+ */
+class XlsxSink implements ExportSink {
+  readonly sections: ExportSection[] = ['tasks', 'sessions', 'dailyAnalytics'];
+  private zip: ZipWriter;
+  private workbook: XlsxWriter;
+
+  constructor(output: ByteSink, private context: ExportContext) {
+    this.zip = new ZipWriter(output);
+    this.workbook = new XlsxWriter(
+      this.zip,
+      [...this.sections.map(section => TABLES[section].name), 'Summary'],
+      context.timezone,
+      new Date(context.exportedAt)
+    );
+  }
+
+  async start(): Promise<void> {
+    await this.workbook.start();
+  }
+
+  async startSection(section: ExportSection): Promise<void> {
+    await this.workbook.startSheet(this.columns(section));
+  }
+
+  async writeRecords(section: ExportSection, records: any[]): Promise<void> {
+    await this.workbook.writeRows(buildTable(TABLES[section].name, this.columns(section), records).rows);
+  }
+
+  async endSection(): Promise<void> {
+    await this.workbook.endSheet();
+  }
+
+  async finish(totals: ExportTotals): Promise<void> {
+    const { exportedAt, period, timezone } = this.context;
+    await this.workbook.writeTable(buildSummaryTable({ exportedAt, period, timezone, totals }));
+    await this.workbook.finish();
+    await this.zip.finish();
+  }
+
+  private columns(section: ExportSection): ExportColumn[] {
+    return selectColumns(TABLES[section].columns, this.context.options.columnSet);
+  }
+}
+
+/**
+ * An iCalendar file: tasks with due dates as VTODO, completed focus sessions as VEVENT
+ */
+class IcsSink implements ExportSink {
+  readonly sections: ExportSection[] = ['tasks', 'sessions'];
+  private titles = new Map<string, string>();
+  private generatedAt: Date;
+
+  constructor(private output: ByteSink, private context: ExportContext) {
+    this.generatedAt = new Date(context.exportedAt);
+  }
+
+  async start(): Promise<void> {
+    await this.output.write(calendarStart('Focus Flow Timer export', this.context.timezone));
+  }
+
+  async startSection(): Promise<void> {}
+
+  async writeRecords(section: ExportSection, records: any[]): Promise<void> {
+    if (section === 'tasks') {
+      // Remembered so sessions written later can be titled after their task
+      records.forEach(task => this.titles.set(task.id, task.title || ''));
+      await this.output.write(taskEntries(records, this.generatedAt));
+    } else {
+      await this.output.write(sessionEntries(records, this.titles, this.generatedAt));
+    }
+  }
+
+  async endSection(): Promise<void> {}
+
+  async finish(): Promise<void> {
+    await this.output.write(CALENDAR_END);
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Export Tables
+ * Typed column definitions that turn exported tasks, sessions and daily
+ * analytics into rows for the spreadsheet and CSV writers
+ */
+
+import { measureSession } from './analyticsRollups';
+import { toDate } from '../utils/timezone';
+
+export type ColumnType = 'string' | 'number' | 'boolean' | 'date' | 'duration' | 'percent';
+
+export interface ExportColumn {
+  key: string;
+  header: string;
+  type: ColumnType; // durations are milliseconds, percents are 0-1 fractions
+  width?: number; // characters
+  basic?: boolean; // included in the basic column set
+  value: (record: any) => any;
+}
+
+// A cell whose type differs from its column's
+export interface TypedCell {
+  type: ColumnType;
+  value: any;
+}
+
+export interface ExportTable {
+  name: string;
+  columns: ExportColumn[];
+  rows: any[][];
+}
+
+const MINUTE_MS = 60 * 1000;
+
+const minutes = (value: any) => (typeof value === 'number' && value > 0 ? value * MINUTE_MS : null);
+
+export const TASK_COLUMNS: ExportColumn[] = [
+  { key: 'id', header: 'Task ID', type: 'string', width: 22, value: t => t.id },
+  { key: 'title', header: 'Title', type: 'string', width: 40, basic: true, value: t => t.title },
+  { key: 'category', header: 'Category', type: 'string', width: 14, basic: true, value: t => t.category },
+  { key: 'priority', header: 'Priority', type: 'string', width: 10, basic: true, value: t => t.priority },
+  { key: 'status', header: 'Status', type: 'string', width: 11, basic: true, value: t => (t.isCompleted ? 'Completed' : 'Open') },
+  { key: 'createdAt', header: 'Created', type: 'date', width: 18, basic: true, value: t => toDate(t.createdAt) },
+  { key: 'dueDate', header: 'Due', type: 'date', width: 18, value: t => toDate(t.dueDate) },
+  { key: 'completedAt', header: 'Completed', type: 'date', width: 18, basic: true, value: t => toDate(t.completedAt) },
+  { key: 'estimatedDuration', header: 'Estimated', type: 'duration', width: 11, value: t => minutes(t.estimatedDuration) },
+  { key: 'actualDuration', header: 'Actual', type: 'duration', width: 11, basic: true, value: t => minutes(t.actualDuration) },
+  { key: 'tags', header: 'Tags', type: 'string', width: 20, value: t => (Array.isArray(t.tags) ? t.tags.join(', ') : t.tags) }
+];
+
+export const SESSION_COLUMNS: ExportColumn[] = [
+  { key: 'id', header: 'Session ID', type: 'string', width: 22, value: s => s.id },
+  { key: 'startTime', header: 'Start', type: 'date', width: 18, basic: true, value: s => toDate(s.startTime) },
+  { key: 'endTime', header: 'End', type: 'date', width: 18, basic: true, value: s => toDate(s.endTime) },
+  { key: 'type', header: 'Type', type: 'string', width: 11, basic: true, value: s => measureSession(s).kind },
+  { key: 'taskId', header: 'Task ID', type: 'string', width: 22, value: s => s.taskId },
+  { key: 'duration', header: 'Duration', type: 'duration', width: 11, basic: true, value: s => measureSession(s).activeTime },
+  { key: 'pausedDuration', header: 'Paused', type: 'duration', width: 11, value: s => measureSession(s).pausedTime },
+  { key: 'interruptions', header: 'Interruptions', type: 'number', width: 13, value: s => measureSession(s).interruptions }
+];
+
+export const DAILY_ANALYTICS_COLUMNS: ExportColumn[] = [
+  { key: 'date', header: 'Date', type: 'string', width: 12, basic: true, value: d => d.date || d.id },
+  { key: 'tasksCreated', header: 'Tasks Created', type: 'number', width: 13, value: d => d.tasksCreated || 0 },
+  { key: 'tasksCompleted', header: 'Tasks Completed', type: 'number', width: 15, basic: true, value: d => d.tasksCompleted || 0 },
+  { key: 'sessions', header: 'Sessions', type: 'number', width: 10, basic: true, value: d => d.sessions || 0 },
+  { key: 'focusTime', header: 'Focus Time', type: 'duration', width: 11, basic: true, value: d => d.focusTime || 0 },
+  { key: 'breakTime', header: 'Break Time', type: 'duration', width: 11, value: d => d.breakTime || 0 },
+  { key: 'interruptions', header: 'Interruptions', type: 'number', width: 13, value: d => d.interruptions || 0 },
+  {
+    key: 'estimationAccuracy', header: 'Estimation Accuracy', type: 'percent', width: 19,
+    value: d => (d.estimatedTasks > 0 ? d.estimationAccuracySum / d.estimatedTasks : null)
+  },
+  { key: 'closed', header: 'Closed', type: 'boolean', width: 8, value: d => !!d.closed }
+];
+
+export type ColumnSet = 'basic' | 'full';
+
+/**
+ * Columns in the requested set; the full set keeps every column
+ */
+export function selectColumns(columns: ExportColumn[], columnSet: ColumnSet = 'full'): ExportColumn[] {
+  return columnSet === 'basic' ? columns.filter(column => column.basic) : columns;
+}
+
+/**
+ * Build a table from records using the given columns
+ */
+export function buildTable(name: string, columns: ExportColumn[], records: any[]): ExportTable {
+  return {
+    name,
+    columns,
+    rows: records.map(record => columns.map(column => column.value(record)))
+  };
+}
+
+export interface ExportTotals {
+  totalTasks: number;
+  completedTasks: number;
+  totalSessions: number;
+  focusTime: number; // milliseconds
+  breakTime: number; // milliseconds
+}
+
+export function emptyTotals(): ExportTotals {
+  return { totalTasks: 0, completedTasks: 0, totalSessions: 0, focusTime: 0, breakTime: 0 };
+}
+
+/**
+ * Add a page of exported tasks and sessions to the running totals
+ */
+export function addToTotals(totals: ExportTotals, records: { tasks?: any[]; sessions?: any[] }): void {
+  (records.tasks || []).forEach(task => {
+    totals.totalTasks++;
+    if (task.isCompleted) totals.completedTasks++;
+  });
+  (records.sessions || []).forEach(session => {
+    const measured = measureSession(session);
+    totals.totalSessions++;
+    if (measured.kind === 'focus') totals.focusTime += measured.activeTime;
+    else totals.breakTime += measured.activeTime;
+  });
+}
+
+/**
+ * Two-column Metric / Value table describing the export as a whole
+ */
+export function buildSummaryTable(data: {
+  exportedAt: string;
+  period: { start: string; end: string };
+  timezone: string;
+  totals: ExportTotals;
+}): ExportTable {
+  const { totals } = data;
+
+  const rows: Array<[string, ColumnType, any]> = [
+    ['Exported At', 'date', new Date(data.exportedAt)],
+    ['Period Start', 'date', new Date(data.period.start)],
+    ['Period End', 'date', new Date(data.period.end)],
+    ['Time Zone', 'string', data.timezone],
+    ['Total Tasks', 'number', totals.totalTasks],
+    ['Completed Tasks', 'number', totals.completedTasks],
+    ['Completion Rate', 'percent', totals.totalTasks > 0 ? totals.completedTasks / totals.totalTasks : 0],
+    ['Total Sessions', 'number', totals.totalSessions],
+    ['Focus Time', 'duration', totals.focusTime],
+    ['Break Time', 'duration', totals.breakTime]
+  ];
+
+  // Each row carries its own type, so the value column is typed per cell
+  return buildTable('Summary', [
+    { key: 'metric', header: 'Metric', type: 'string', width: 18, value: r => r[0] },
+    { key: 'value', header: 'Value', type: 'string', width: 22, value: (r): TypedCell => ({ type: r[1], value: r[2] }) }
+  ], rows);
+}
@@ -0,0 +1,222 @@
+/**
+ * iCalendar Writer
+ * Renders tasks as VTODO and focus sessions as VEVENT (RFC 5545). UIDs are
+ * derived from document IDs so re-importing or refreshing a feed updates
+ * existing entries instead of duplicating them.
+ */
+
+import { PlanBlock } from './dayPlanner';
+import { measureSession } from './analyticsRollups';
+import { toDate } from '../utils/timezone';
+
+const UID_DOMAIN = 'focusflowtimer.app';
+
+// Content lines longer than this many octets must be folded
+const MAX_LINE_OCTETS = 75;
+
+// iCalendar priorities run from 1 (highest) to 9 (lowest)
+const PRIORITIES: Record<string, number> = { critical: 1, high: 3, medium: 5, low: 9 };
+
+export interface CalendarInput {
+  name: string;
+  timezone: string;
+  tasks: any[]; // only tasks with a due date are written
+  sessions: any[]; // only completed focus sessions are written
+  plannedBlocks?: PlanBlock[]; // focus blocks from the day planner
+  planDate?: string; // YYYY-MM-DD the planned blocks belong to
+  generatedAt?: Date;
+}
+
+/**
+ * Build a VCALENDAR document. All times are written in UTC so no VTIMEZONE
+ * is needed; the calendar's time zone is only a display hint.
+ */
+export function buildCalendar(input: CalendarInput): string {
+  const generatedAt = input.generatedAt || new Date();
+  const titles = new Map<string, string>();
+  input.tasks.forEach(task => titles.set(task.id, task.title || ''));
+
+  return calendarStart(input.name, input.timezone) +
+    taskEntries(input.tasks, generatedAt) +
+    sessionEntries(input.sessions, titles, generatedAt) +
+    plannedEntries(input.plannedBlocks || [], input.planDate || '', generatedAt) +
+    CALENDAR_END;
+}
+
+export const CALENDAR_END = 'END:VCALENDAR\r\n';
+
+/**
+ * Opening lines of a calendar; entries and CALENDAR_END follow
+ */
+export function calendarStart(name: string, timezone: string): string {
+  return contentLines([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Focus Flow Timer//Calendar Export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ]);
+}
+
+/**
+ * VTODO entries for tasks that have a due date
+ */
+export function taskEntries(tasks: any[], generatedAt: Date): string {
+  const stamp = formatUtc(generatedAt);
+  return contentLines(([] as string[]).concat(...tasks.map(task => todoLines(task, stamp))));
+}
+
+/**
+ * VEVENT entries for completed focus sessions, titled after their task when known
+ */
+export function sessionEntries(sessions: any[], titles: Map<string, string>, generatedAt: Date): string {
+  const stamp = formatUtc(generatedAt);
+  return contentLines(([] as string[]).concat(
+    ...sessions.filter(isCompletedFocusSession).map(session => sessionLines(session, titles, stamp))
+  ));
+}
+
+/**
+ * Tentative VEVENT entries for the focus blocks of a day plan
+ */
+export function plannedEntries(blocks: PlanBlock[], planDate: string, generatedAt: Date): string {
+  const stamp = formatUtc(generatedAt);
+  return contentLines(([] as string[]).concat(
+    ...blocks.filter(block => block.type === 'focus').map(block => plannedLines(block, planDate, stamp))
+  ));
+}
+
+function contentLines(lines: string[]): string {
+  return lines.map(line => foldLine(line) + '\r\n').join('');
+}
+
+/**
+ * Whether a session is a finished focus period (not a break, not abandoned)
+ */
+export function isCompletedFocusSession(session: any): boolean {
+  if (measureSession(session).kind !== 'focus') return false;
+  if (session.completed !== undefined) return session.completed === true;
+  if (session.status !== undefined) return session.status === 'completed';
+  return !!toDate(session.endTime);
+}
+
+function todoLines(task: any, stamp: string): string[] {
+  const due = toDate(task.dueDate);
+  if (!task.id || !due) return [];
+
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:task-${task.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(task.title || 'Untitled task')}`,
+    `DUE:${formatUtc(due)}`
+  ];
+
+  const created = toDate(task.createdAt);
+  const modified = toDate(task.updatedAt);
+  const completed = task.isCompleted ? toDate(task.completedAt) : null;
+
+  if (created) lines.push(`CREATED:${formatUtc(created)}`);
+  if (modified) lines.push(`LAST-MODIFIED:${formatUtc(modified)}`);
+  if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  if (PRIORITIES[task.priority]) lines.push(`PRIORITY:${PRIORITIES[task.priority]}`);
+  if (task.category) lines.push(`CATEGORIES:${escapeText(task.category)}`);
+
+  if (task.isCompleted) {
+    lines.push('STATUS:COMPLETED', 'PERCENT-COMPLETE:100');
+    if (completed) lines.push(`COMPLETED:${formatUtc(completed)}`);
+  } else {
+    lines.push('STATUS:NEEDS-ACTION');
+  }
+
+  lines.push('END:VTODO');
+  return lines;
+}
+
+function sessionLines(session: any, titles: Map<string, string>, stamp: string): string[] {
+  const start = toDate(session.startTime);
+  if (!session.id || !start) return [];
+
+  const { activeTime, pausedTime, interruptions } = measureSession(session);
+  const recordedEnd = toDate(session.endTime);
+  const end = recordedEnd && recordedEnd > start ? recordedEnd : new Date(start.getTime() + activeTime + pausedTime);
+  const title = (session.taskId && titles.get(session.taskId)) || session.taskTitle;
+  const minutes = Math.round(activeTime / 60000);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:session-${session.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(title ? `Focus: ${title}` : 'Focus session')}`,
+    `DESCRIPTION:${escapeText(`${minutes} min focused, ${interruptions} interruption${interruptions === 1 ? '' : 's'}`)}`,
+    'CATEGORIES:Pomodoro',
+    'STATUS:CONFIRMED',
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ];
+}
+
+function plannedLines(block: PlanBlock, planDate: string, stamp: string): string[] {
+  const start = toDate(block.start);
+  const end = toDate(block.end);
+  if (!start || !end) return [];
+
+  // Stable for a given day's plan so a refreshed feed moves the block instead of duplicating it
+  const key = block.taskId ? `${block.taskId}-${block.pomodoro || 1}` : formatUtc(start);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:plan-${planDate}-${key}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(`Planned: ${block.title}`)}`,
+    'CATEGORIES:Pomodoro',
+    'STATUS:TENTATIVE',
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ];
+}
+
+function formatUtc(date: Date): string {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value: string): string {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// Split at 75 octets without breaking a UTF-8 sequence; continuation lines start with a space
+function foldLine(line: string): string {
+  if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) return line;
+
+  const parts: string[] = [];
+  let current = '';
+  let octets = 0;
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+      limit = MAX_LINE_OCTETS - 1; // the leading space counts toward the limit
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
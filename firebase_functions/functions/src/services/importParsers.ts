@@ -0,0 +1,446 @@
+/**
+ * Import Parsers
+ * Map exports from other time trackers, and our own JSON export, into tasks
+ * and sessions with stable external IDs. Problems with a record are reported
+ * against its row instead of failing the whole file.
+ */
+
+import * as crypto from 'crypto';
+import { parseCsv } from '../utils/csv';
+import { zonedTimeToUtc, toDate } from '../utils/timezone';
+import { isKnownCategory } from './taskCategoryClassifier';
+
+export type ImportSource = 'focusflow' | 'toggl' | 'clockify' | 'generic';
+
+export const IMPORT_SOURCES: ImportSource[] = ['focusflow', 'toggl', 'clockify', 'generic'];
+
+// Largest number of records accepted in one import
+export const MAX_IMPORT_ROWS = 10000;
+
+export interface ImportedTask {
+  externalId: string;
+  title: string;
+  description?: string;
+  category: string;
+  priority: string;
+  isCompleted: boolean;
+  createdAt?: Date;
+  completedAt?: Date;
+  dueDate?: Date;
+  estimatedDuration?: number; // minutes
+  actualDuration?: number; // minutes
+  tags: string[];
+}
+
+export interface ImportedSession {
+  externalId: string;
+  taskExternalId?: string;
+  type: string;
+  startTime: Date;
+  endTime: Date;
+  duration: number; // milliseconds
+  pausedDuration: number; // milliseconds
+  interruptions: number;
+  completed: boolean;
+}
+
+export interface ImportRow {
+  row: number; // 1-based record number, header excluded
+  section?: 'tasks' | 'sessions'; // which array of our own export the record came from
+  tasks: ImportedTask[];
+  sessions: ImportedSession[];
+  errors: string[];
+}
+
+export interface ParsedImport {
+  source: ImportSource;
+  rows: ImportRow[];
+}
+
+// A time entry as read from a tracker export, before it is split into a task and a session
+interface TimeEntry {
+  id?: string;
+  description?: string;
+  project?: string;
+  task?: string;
+  tags: string[];
+  start: Date | null;
+  end: Date | null;
+  duration: number | null; // milliseconds
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Parse an import file. Throws when the file as a whole cannot be read;
+ * record-level problems are returned on each row.
+ */
+export function parseImport(
+  content: string,
+  format: 'csv' | 'json',
+  source: ImportSource | 'auto',
+  timezone: string
+): ParsedImport {
+  if (format === 'json') {
+    let data: any;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${(error as Error).message}`);
+    }
+
+    const resolved = source === 'auto' ? detectJsonSource(data) : source;
+    switch (resolved) {
+      case 'focusflow': return { source: resolved, rows: parseFocusFlowJson(data) };
+      case 'toggl': return { source: resolved, rows: entriesToRows(jsonEntries(data).map(togglJsonEntry), resolved) };
+      case 'clockify': return { source: resolved, rows: entriesToRows(jsonEntries(data).map(clockifyJsonEntry), resolved) };
+      default: throw new Error(`JSON imports are not supported for ${resolved}`);
+    }
+  }
+
+  const [header, ...records] = parseCsv(content);
+  if (!header) throw new Error('The CSV file is empty');
+  checkRowCount(records.length);
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const resolved = source === 'auto' ? detectCsvSource(columns) : source;
+  if (resolved === 'focusflow') throw new Error('Import our JSON export rather than the CSV bundle');
+
+  const read = (record: string[]) => (name: string) => {
+    const index = columns.indexOf(name);
+    return index === -1 ? '' : (record[index] || '').trim();
+  };
+
+  const entries = records.map(record => {
+    const field = read(record);
+    switch (resolved) {
+      case 'toggl': return togglCsvEntry(field, timezone);
+      case 'clockify': return clockifyCsvEntry(field, timezone);
+      default: return genericCsvEntry(field, timezone);
+    }
+  });
+
+  return { source: resolved, rows: entriesToRows(entries, resolved) };
+}
+
+function checkRowCount(count: number): void {
+  if (count > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} records; this file has ${count}`);
+  }
+}
+
+function detectJsonSource(data: any): ImportSource {
+  if (data && !Array.isArray(data) && (Array.isArray(data.tasks) || Array.isArray(data.sessions))) {
+    return 'focusflow';
+  }
+
+  const first = jsonEntries(data)[0];
+  if (first && first.timeInterval) return 'clockify';
+  if (first && first.start) return 'toggl';
+  throw new Error('Unrecognized JSON export; choose the source explicitly');
+}
+
+function detectCsvSource(columns: string[]): ImportSource {
+  if (columns.includes('duration (h)') || columns.includes('duration (decimal)')) return 'clockify';
+  if (columns.includes('start date') && columns.includes('start time') && columns.includes('duration')) return 'toggl';
+  if (columns.includes('start')) return 'generic';
+  throw new Error('Unrecognized CSV export; choose the source explicitly');
+}
+
+function jsonEntries(data: any): any[] {
+  const entries = Array.isArray(data) ? data : data?.data || data?.timeEntries || data?.time_entries;
+  if (!Array.isArray(entries)) throw new Error('Expected an array of time entries');
+  checkRowCount(entries.length);
+  return entries;
+}
+
+/**
+ * Our own JSON export: records keep their original IDs, so importing into the
+ * same account again finds them as duplicates
+ */
+function parseFocusFlowJson(data: any): ImportRow[] {
+  const tasks: any[] = Array.isArray(data.tasks) ? data.tasks : [];
+  const sessions: any[] = Array.isArray(data.sessions) ? data.sessions : [];
+  checkRowCount(tasks.length + sessions.length);
+
+  const taskRows = tasks.map((task, index): ImportRow => {
+    const errors: string[] = [];
+    if (!task || typeof task !== 'object') {
+      return { row: index + 1, section: 'tasks', tasks: [], sessions: [], errors: ['Record is not an object'] };
+    }
+    if (!task.id) errors.push('Missing id');
+    if (!task.title || typeof task.title !== 'string') errors.push('Missing title');
+
+    const row: ImportRow = { row: index + 1, section: 'tasks', tasks: [], sessions: [], errors };
+    if (errors.length === 0) {
+      row.tasks.push({
+        externalId: String(task.id),
+        title: task.title,
+        description: typeof task.description === 'string' ? task.description : undefined,
+        category: typeof task.category === 'string' ? task.category : 'general',
+        priority: typeof task.priority === 'string' ? task.priority : 'medium',
+        isCompleted: task.isCompleted === true,
+        createdAt: coerceDate(task.createdAt) || undefined,
+        completedAt: coerceDate(task.completedAt) || undefined,
+        dueDate: coerceDate(task.dueDate) || undefined,
+        estimatedDuration: positiveNumber(task.estimatedDuration),
+        actualDuration: positiveNumber(task.actualDuration),
+        tags: Array.isArray(task.tags) ? task.tags.filter((tag: any) => typeof tag === 'string') : []
+      });
+    }
+    return row;
+  });
+
+  const sessionRows = sessions.map((session, index): ImportRow => {
+    const errors: string[] = [];
+    if (!session || typeof session !== 'object') {
+      return { row: index + 1, section: 'sessions', tasks: [], sessions: [], errors: ['Record is not an object'] };
+    }
+
+    const start = coerceDate(session.startTime);
+    const duration = positiveNumber(session.actualDuration ?? session.duration);
+    const end = coerceDate(session.endTime) || (start && duration ? new Date(start.getTime() + duration) : null);
+
+    if (!session.id) errors.push('Missing id');
+    if (!start) errors.push('Missing or invalid startTime');
+    if (!duration) errors.push('Missing or invalid duration');
+    if (start && end && end < start) errors.push('endTime is before startTime');
+
+    const row: ImportRow = { row: index + 1, section: 'sessions', tasks: [], sessions: [], errors };
+    if (errors.length === 0 && start && end && duration) {
+      row.sessions.push({
+        externalId: String(session.id),
+        taskExternalId: session.taskId ? String(session.taskId) : undefined,
+        type: typeof session.type === 'string' ? session.type : 'focus',
+        startTime: start,
+        endTime: end,
+        duration,
+        pausedDuration: positiveNumber(session.pausedDuration) || 0,
+        interruptions: positiveNumber(session.interruptions) ||
+          (Array.isArray(session.pauseTimestamps) ? session.pauseTimestamps.length : 0),
+        completed: session.completed !== undefined ? session.completed === true : session.status !== 'interrupted'
+      });
+    }
+    return row;
+  });
+
+  return [...taskRows, ...sessionRows];
+}
+
+/**
+ * Turn tracker time entries into focus sessions, plus one task per distinct
+ * project and description. Task actual durations are the sum of their entries.
+ */
+function entriesToRows(entries: TimeEntry[], source: ImportSource): ImportRow[] {
+  const tasks = new Map<string, ImportedTask>();
+
+  return entries.map((entry, index) => {
+    const row: ImportRow = { row: index + 1, tasks: [], sessions: [], errors: [] };
+    const start = entry.start;
+    const end = entry.end || (start && entry.duration ? new Date(start.getTime() + entry.duration) : null);
+    const duration = entry.duration || (start && end ? end.getTime() - start.getTime() : 0);
+
+    if (!start) row.errors.push('Missing or invalid start time');
+    if (!end && start) row.errors.push('Missing end time or duration; the entry may still be running');
+    if (start && end && end < start) row.errors.push('End time is before start time');
+    if (start && end && duration <= 0) row.errors.push('Duration must be positive');
+    if (!start || !end || row.errors.length > 0) return row;
+
+    const title = entry.description || entry.task || entry.project || 'Untitled time entry';
+    const taskKey = `${(entry.project || '').toLowerCase()}|${title.toLowerCase()}`;
+    const taskExternalId = `task:${hash(taskKey)}`;
+    const minutes = duration / MINUTE_MS;
+
+    let task = tasks.get(taskExternalId);
+    if (!task) {
+      const category = (entry.project || '').toLowerCase();
+      task = {
+        externalId: taskExternalId,
+        title,
+        category: isKnownCategory(category) ? category : 'general',
+        priority: 'medium',
+        isCompleted: false,
+        createdAt: start,
+        actualDuration: 0,
+        tags: [...(entry.project ? [entry.project] : []), ...entry.tags]
+      };
+      tasks.set(taskExternalId, task);
+      row.tasks.push(task);
+    }
+    task.actualDuration = Math.round(((task.actualDuration || 0) + minutes) * 100) / 100;
+    if (task.createdAt && start < task.createdAt) task.createdAt = start;
+
+    row.sessions.push({
+      // Tracker CSVs carry no entry IDs, so the entry's content identifies it
+      externalId: entry.id ? `entry:${entry.id}` : `entry:${hash(`${source}|${start.toISOString()}|${end.toISOString()}|${taskKey}`)}`,
+      taskExternalId,
+      type: 'focus',
+      startTime: start,
+      endTime: end,
+      duration,
+      pausedDuration: 0,
+      interruptions: 0,
+      completed: true
+    });
+    return row;
+  });
+}
+
+function togglCsvEntry(field: (name: string) => string, timezone: string): TimeEntry {
+  return {
+    description: field('description') || undefined,
+    project: field('project') || undefined,
+    task: field('task') || undefined,
+    tags: splitTags(field('tags')),
+    start: parseLocalDateTime(field('start date'), field('start time'), timezone),
+    end: parseLocalDateTime(field('end date'), field('end time'), timezone),
+    duration: parseDuration(field('duration'))
+  };
+}
+
+function clockifyCsvEntry(field: (name: string) => string, timezone: string): TimeEntry {
+  const decimalHours = parseFloat(field('duration (decimal)'));
+  return {
+    description: field('description') || undefined,
+    project: field('project') || undefined,
+    task: field('task') || undefined,
+    tags: splitTags(field('tags')),
+    start: parseLocalDateTime(field('start date'), field('start time'), timezone),
+    end: parseLocalDateTime(field('end date'), field('end time'), timezone),
+    duration: parseDuration(field('duration (h)')) || (decimalHours > 0 ? decimalHours * HOUR_MS : null)
+  };
+}
+
+// Columns: title (or task), start, end, duration in minutes, project, tags
+function genericCsvEntry(field: (name: string) => string, timezone: string): TimeEntry {
+  const minutes = parseFloat(field('duration'));
+  return {
+    id: field('id') || undefined,
+    description: field('title') || field('task') || field('description') || undefined,
+    project: field('project') || field('category') || undefined,
+    tags: splitTags(field('tags')),
+    start: parseDateTime(field('start'), timezone),
+    end: parseDateTime(field('end'), timezone),
+    duration: minutes > 0 ? minutes * MINUTE_MS : null
+  };
+}
+
+// Toggl Track API and report exports; `duration` is seconds (negative while running), `dur` is milliseconds
+function togglJsonEntry(entry: any): TimeEntry {
+  const seconds = typeof entry?.duration === 'number' ? entry.duration : null;
+  return {
+    id: entry?.id !== undefined ? String(entry.id) : undefined,
+    description: stringOrUndefined(entry?.description),
+    project: stringOrUndefined(entry?.project_name ?? entry?.project),
+    task: stringOrUndefined(entry?.task_name ?? entry?.task),
+    tags: Array.isArray(entry?.tags) ? entry.tags.filter((tag: any) => typeof tag === 'string') : [],
+    start: coerceDate(entry?.start),
+    end: coerceDate(entry?.stop ?? entry?.end),
+    duration: typeof entry?.dur === 'number' && entry.dur > 0 ? entry.dur
+      : seconds !== null && seconds > 0 ? seconds * 1000 : null
+  };
+}
+
+function clockifyJsonEntry(entry: any): TimeEntry {
+  const interval = entry?.timeInterval || {};
+  return {
+    id: entry?.id !== undefined ? String(entry.id) : undefined,
+    description: stringOrUndefined(entry?.description),
+    project: stringOrUndefined(entry?.project?.name ?? entry?.projectName),
+    task: stringOrUndefined(entry?.task?.name ?? entry?.taskName),
+    tags: Array.isArray(entry?.tags) ? entry.tags.map((tag: any) => tag?.name || tag).filter((tag: any) => typeof tag === 'string') : [],
+    start: coerceDate(interval.start),
+    end: coerceDate(interval.end),
+    duration: typeof interval.duration === 'string' ? parseDuration(interval.duration) : null
+  };
+}
+
+/**
+ * Dates from JSON: ISO strings, epoch milliseconds, or serialized Firestore
+ * Timestamps ({ _seconds, _nanoseconds })
+ */
+function coerceDate(value: any): Date | null {
+  if (value && typeof value === 'object' && typeof value._seconds === 'number') {
+    return new Date(value._seconds * 1000 + Math.floor((value._nanoseconds || 0) / 1e6));
+  }
+  if (value && typeof value === 'object' && typeof value.seconds === 'number') {
+    return new Date(value.seconds * 1000 + Math.floor((value.nanoseconds || 0) / 1e6));
+  }
+  return toDate(value);
+}
+
+/**
+ * A date and a time of day as shown in a tracker CSV, read as wall-clock time
+ * in the user's time zone. Dates may be YYYY-MM-DD, MM/DD/YYYY or DD.MM.YYYY;
+ * times may be 24-hour or have an AM/PM suffix.
+ */
+function parseLocalDateTime(date: string, time: string, timezone: string): Date | null {
+  let parts: { year: number; month: number; day: number } | null = null;
+  let match: RegExpExecArray | null;
+
+  if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(date))) {
+    parts = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  } else if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(date))) {
+    parts = { year: Number(match[3]), month: Number(match[1]), day: Number(match[2]) };
+  } else if ((match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(date))) {
+    parts = { year: Number(match[3]), month: Number(match[2]), day: Number(match[1]) };
+  }
+
+  const clock = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/.exec(time || '00:00');
+  if (!parts || !clock || parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > 31) return null;
+
+  let hour = Number(clock[1]);
+  const meridiem = clock[4] ? clock[4].toLowerCase() : null;
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || Number(clock[2]) > 59) return null;
+
+  return zonedTimeToUtc({ ...parts, hour, minute: Number(clock[2]), second: Number(clock[3] || 0) }, timezone);
+}
+
+// ISO-8601 with an offset is taken as is; otherwise "date time" is local to the user
+function parseDateTime(value: string, timezone: string): Date | null {
+  if (!value) return null;
+  if (/[Zz]$|[+-]\d{2}:?\d{2}$/.test(value)) return toDate(value);
+  const [date, time] = value.split(/[T ]/);
+  return parseLocalDateTime(date, time || '00:00', timezone);
+}
+
+/**
+ * Durations as HH:MM(:SS) or ISO-8601 (PT1H30M), in milliseconds
+ */
+function parseDuration(value: string): number | null {
+  if (!value) return null;
+
+  const clock = /^(\d+):(\d{2})(?::(\d{2}))?$/.exec(value);
+  if (clock) {
+    const ms = (Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3] || 0)) * 1000;
+    return ms > 0 ? ms : null;
+  }
+
+  const iso = /^PT(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?$/.exec(value);
+  if (iso && (iso[1] || iso[2] || iso[3])) {
+    const ms = (Number(iso[1] || 0) * 3600 + Number(iso[2] || 0) * 60 + Number(iso[3] || 0)) * 1000;
+    return ms > 0 ? ms : null;
+  }
+
+  return null;
+}
+
+function splitTags(value: string): string[] {
+  return value ? value.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+}
+
+function positiveNumber(value: any): number | undefined {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : undefined;
+}
+
+function stringOrUndefined(value: any): string | undefined {
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+function hash(value: string): string {
+  return crypto.createHash('sha1').update(value).digest('hex').slice(0, 20);
+}
@@ -0,0 +1,216 @@
+/**
+ * Import Service for Focus Flow Timer
+ * Writes parsed imports into the user's tasks and sessions, skipping records
+ * already imported under the same external ID
+ */
+
+import * as admin from 'firebase-admin';
+import * as crypto from 'crypto';
+import { ParsedImport, ImportedTask, ImportedSession } from './importParsers';
+
+const db = admin.firestore();
+
+// Firestore allows 500 writes per batch and 100 documents per getAll
+const WRITE_BATCH_SIZE = 400;
+const READ_BATCH_SIZE = 100;
+
+// Records described in a dry-run preview
+const PREVIEW_LIMIT = 50;
+
+export interface ImportReport {
+  source: string;
+  dryRun: boolean;
+  totalRows: number;
+  tasks: { created: number; duplicates: number };
+  sessions: { created: number; duplicates: number };
+  errors: Array<{ row: number; section?: string; message: string }>;
+  preview?: Array<{
+    kind: 'task' | 'session';
+    row: number;
+    externalId: string;
+    title?: string;
+    startTime?: string;
+    duplicate: boolean;
+  }>;
+}
+
+interface PendingRecord<T> {
+  row: number;
+  ref: admin.firestore.DocumentReference;
+  record: T;
+}
+
+export class ImportService {
+
+  /**
+   * Import parsed records. A dry run reports what would be created without writing.
+   */
+  async importUserData(userId: string, parsed: ParsedImport, dryRun: boolean = false): Promise<ImportReport> {
+    try {
+      const userRef = db.collection('users').doc(userId);
+      const report: ImportReport = {
+        source: parsed.source,
+        dryRun,
+        totalRows: parsed.rows.length,
+        tasks: { created: 0, duplicates: 0 },
+        sessions: { created: 0, duplicates: 0 },
+        errors: []
+      };
+
+      // First occurrence of each external ID wins; later ones in the same file are duplicates
+      const tasks = new Map<string, PendingRecord<ImportedTask>>();
+      const sessions = new Map<string, PendingRecord<ImportedSession>>();
+
+      parsed.rows.forEach(row => {
+        row.errors.forEach(message => report.errors.push({ row: row.row, section: row.section, message }));
+
+        row.tasks.forEach(task => {
+          if (tasks.has(task.externalId)) {
+            report.tasks.duplicates++;
+            return;
+          }
+          const ref = userRef.collection('tasks').doc(this.getDocumentId(parsed.source, task.externalId));
+          tasks.set(task.externalId, { row: row.row, ref, record: task });
+        });
+
+        row.sessions.forEach(session => {
+          if (sessions.has(session.externalId)) {
+            report.sessions.duplicates++;
+            return;
+          }
+          const ref = userRef.collection('sessions').doc(this.getDocumentId(parsed.source, session.externalId));
+          sessions.set(session.externalId, { row: row.row, ref, record: session });
+        });
+      });
+
+      const existing = await this.findExisting([...tasks.values(), ...sessions.values()].map(pending => pending.ref));
+      const newTasks = [...tasks.values()].filter(pending => !existing.has(pending.ref.path));
+      const newSessions = [...sessions.values()].filter(pending => !existing.has(pending.ref.path));
+
+      report.tasks.created = newTasks.length;
+      report.tasks.duplicates += tasks.size - newTasks.length;
+      report.sessions.created = newSessions.length;
+      report.sessions.duplicates += sessions.size - newSessions.length;
+
+      if (dryRun) {
+        report.preview = [
+          ...[...tasks.values()].map(pending => ({
+            kind: 'task' as const,
+            row: pending.row,
+            externalId: pending.record.externalId,
+            title: pending.record.title,
+            duplicate: existing.has(pending.ref.path)
+          })),
+          ...[...sessions.values()].map(pending => ({
+            kind: 'session' as const,
+            row: pending.row,
+            externalId: pending.record.externalId,
+            startTime: pending.record.startTime.toISOString(),
+            duplicate: existing.has(pending.ref.path)
+          }))
+        ].slice(0, PREVIEW_LIMIT);
+        return report;
+      }
+
+      const importedAt = new Date().toISOString();
+      const metadata = (externalId: string) => ({ provider: parsed.source, externalId, importedAt });
+
+      const writes: Array<{ ref: admin.firestore.DocumentReference; data: any }> = [
+        ...newTasks.map(({ ref, record }) => ({ ref, data: this.toTaskDocument(record, metadata(record.externalId)) })),
+        ...newSessions.map(({ ref, record }) => {
+          const taskId = record.taskExternalId ? this.getDocumentId(parsed.source, record.taskExternalId) : undefined;
+          return { ref, data: this.toSessionDocument(record, taskId, metadata(record.externalId)) };
+        })
+      ];
+
+      for (let i = 0; i < writes.length; i += WRITE_BATCH_SIZE) {
+        const batch = db.batch();
+        writes.slice(i, i + WRITE_BATCH_SIZE).forEach(write => batch.set(write.ref, write.data));
+        await batch.commit();
+      }
+
+      await userRef.collection('imports').add({
+        source: parsed.source,
+        totalRows: report.totalRows,
+        tasks: report.tasks,
+        sessions: report.sessions,
+        errorCount: report.errors.length,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return report;
+
+    } catch (error) {
+      console.error('Error importing user data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Records from our own export keep their IDs; others get an ID derived from
+   * the source and external ID, so a repeated import maps to the same documents
+   */
+  private getDocumentId(source: string, externalId: string): string {
+    if (source === 'focusflow' && /^[A-Za-z0-9_-]{1,128}$/.test(externalId)) {
+      return externalId;
+    }
+    const digest = crypto.createHash('sha1').update(`${source}:${externalId}`).digest('hex').slice(0, 20);
+    return `${source}_${digest}`;
+  }
+
+  private async findExisting(refs: admin.firestore.DocumentReference[]): Promise<Set<string>> {
+    const existing = new Set<string>();
+    for (let i = 0; i < refs.length; i += READ_BATCH_SIZE) {
+      const chunk = refs.slice(i, i + READ_BATCH_SIZE);
+      if (chunk.length === 0) continue;
+      const snapshots = await db.getAll(...chunk);
+      snapshots.forEach(snapshot => {
+        if (snapshot.exists) existing.add(snapshot.ref.path);
+      });
+    }
+    return existing;
+  }
+
+  // Dates are ISO strings on tasks, as the app writes them
+  private toTaskDocument(task: ImportedTask, metadata: any): any {
+    return this.withoutUndefined({
+      title: task.title,
+      description: task.description,
+      category: task.category,
+      priority: task.priority,
+      isCompleted: task.isCompleted,
+      createdAt: (task.createdAt || new Date()).toISOString(),
+      completedAt: task.completedAt?.toISOString(),
+      dueDate: task.dueDate?.toISOString(),
+      estimatedDuration: task.estimatedDuration,
+      actualDuration: task.actualDuration,
+      tags: task.tags,
+      metadata
+    });
+  }
+
+  // Session times are Timestamps so analytics can range-query them
+  private toSessionDocument(session: ImportedSession, taskId: string | undefined, metadata: any): any {
+    return this.withoutUndefined({
+      taskId,
+      type: session.type,
+      startTime: admin.firestore.Timestamp.fromDate(session.startTime),
+      endTime: admin.firestore.Timestamp.fromDate(session.endTime),
+      duration: session.duration,
+      pausedDuration: session.pausedDuration,
+      interruptions: session.interruptions,
+      completed: session.completed,
+      metadata
+    });
+  }
+
+  private withoutUndefined(data: Record<string, any>): Record<string, any> {
+    const result: Record<string, any> = {};
+    Object.keys(data).forEach(key => {
+      if (data[key] !== undefined) result[key] = data[key];
+    });
+    return result;
+  }
+}
+
+export const importService = new ImportService();
@@ -0,0 +1,387 @@
+/**
+ * Insight Rules Engine
+ * Declarative rules over a user's metrics, patterns and trends. Each rule has
+ * a condition, a templated message, a severity and a cooldown; rules are plain
+ * data so admins can add or override them in Firestore.
+ */
+
+import { UserAnalytics } from './analyticsService';
+import { MetricTrend } from './analyticsTrends';
+
+export type InsightKind = 'insight' | 'suggestion' | 'achievement';
+
+export type InsightSeverity = 'info' | 'success' | 'warning' | 'critical';
+
+export type ComparisonOperator = '>' | '>=' | '<' | '<=' | '==' | '!=' | 'exists';
+
+// A comparison on one fact, or a combination of conditions
+export type RuleCondition =
+  | { fact: string; op: ComparisonOperator; value?: number | string | boolean }
+  | { all: RuleCondition[] }
+  | { any: RuleCondition[] }
+  | { not: RuleCondition };
+
+export interface InsightRule {
+  id: string;
+  kind: InsightKind;
+  when: RuleCondition;
+  message: string; // {{fact.path}} or {{fact.path|format}}, see formatFact
+  severity: InsightSeverity;
+  cooldownDays: number; // the rule stays quiet this long after firing
+  enabled: boolean;
+}
+
+export interface GeneratedInsight {
+  ruleId: string;
+  kind: InsightKind;
+  severity: InsightSeverity;
+  message: string;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const KINDS: InsightKind[] = ['insight', 'suggestion', 'achievement'];
+const SEVERITIES: InsightSeverity[] = ['info', 'success', 'warning', 'critical'];
+const OPERATORS: ComparisonOperator[] = ['>', '>=', '<', '<=', '==', '!=', 'exists'];
+
+// Most severe first when rules are listed together
+const SEVERITY_ORDER: Record<InsightSeverity, number> = { critical: 0, warning: 1, success: 2, info: 3 };
+
+// Deepest nesting accepted in rules loaded from Firestore
+const MAX_CONDITION_DEPTH = 5;
+
+const TEMPLATE_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+export const DEFAULT_INSIGHT_RULES: InsightRule[] = [
+  // Insights
+  {
+    id: 'high_completion_rate',
+    kind: 'insight',
+    when: { all: [{ fact: 'metrics.productivityScore', op: '>', value: 0.8 }, { fact: 'metrics.totalTasks', op: '>=', value: 5 }] },
+    message: "You're maintaining excellent task completion: {{metrics.productivityScore|percent}} of the tasks you created in the last {{period.days}} days are done.",
+    severity: 'success',
+    cooldownDays: 7,
+    enabled: true
+  },
+  {
+    id: 'peak_hour',
+    kind: 'insight',
+    when: { all: [{ fact: 'patterns.time', op: 'exists' }, { fact: 'metrics.focusSessions', op: '>=', value: 5 }] },
+    message: "You're most productive during the {{patterns.time.data.hour|hour}} hour.",
+    severity: 'info',
+    cooldownDays: 14,
+    enabled: true
+  },
+  {
+    id: 'strongest_category',
+    kind: 'insight',
+    when: { fact: 'patterns.category', op: 'exists' },
+    message: 'Your highest completion rate is in {{patterns.category.data.category}} tasks ({{patterns.category.data.rate|percent}}).',
+    severity: 'info',
+    cooldownDays: 14,
+    enabled: true
+  },
+  {
+    id: 'focus_time_up',
+    kind: 'insight',
+    when: { all: [{ fact: 'trends.focusTime.trend', op: '==', value: 'up' }, { fact: 'trends.focusTime.significant', op: '==', value: true }] },
+    message: 'Your daily focus time is up {{trends.focusTime.percentChange|number}}% on the previous {{period.days}} days.',
+    severity: 'success',
+    cooldownDays: 7,
+    enabled: true
+  },
+  {
+    id: 'focus_time_down',
+    kind: 'insight',
+    when: { all: [{ fact: 'trends.focusTime.trend', op: '==', value: 'down' }, { fact: 'trends.focusTime.significant', op: '==', value: true }] },
+    message: 'Your daily focus time dropped from {{trends.focusTime.previous|number}} to {{trends.focusTime.value|number}} minutes compared with the previous {{period.days}} days.',
+    severity: 'warning',
+    cooldownDays: 7,
+    enabled: true
+  },
+  {
+    id: 'completion_rate_down',
+    kind: 'insight',
+    when: { all: [{ fact: 'trends.completionRate.trend', op: '==', value: 'down' }, { fact: 'trends.completionRate.significant', op: '==', value: true }] },
+    message: 'You are finishing fewer of the tasks you start: {{trends.completionRate.value|percent}}, down from {{trends.completionRate.previous|percent}}.',
+    severity: 'warning',
+    cooldownDays: 7,
+    enabled: true
+  },
+  {
+    id: 'estimation_improving',
+    kind: 'insight',
+    when: { all: [{ fact: 'trends.estimationAccuracy.trend', op: '==', value: 'up' }, { fact: 'trends.estimationAccuracy.significant', op: '==', value: true }] },
+    message: 'Your time estimates are getting sharper: {{trends.estimationAccuracy.value|percent}} accurate, up from {{trends.estimationAccuracy.previous|percent}}.',
+    severity: 'success',
+    cooldownDays: 14,
+    enabled: true
+  },
+  {
+    id: 'frequent_interruptions',
+    kind: 'insight',
+    when: { all: [{ fact: 'derived.focusHours', op: '>=', value: 1 }, { fact: 'derived.interruptionsPerFocusHour', op: '>=', value: 2 }] },
+    message: 'You averaged {{derived.interruptionsPerFocusHour|number}} interruptions per focus hour.',
+    severity: 'warning',
+    cooldownDays: 7,
+    enabled: true
+  },
+  {
+    id: 'uneven_schedule',
+    kind: 'insight',
+    when: { all: [{ fact: 'metrics.focusSessions', op: '>=', value: 5 }, { fact: 'efficiency.consistency', op: '<', value: 0.3 }] },
+    message: 'Your focus sessions are bunched into a few days. A steadier daily rhythm makes progress easier to keep up.',
+    severity: 'info',
+    cooldownDays: 14,
+    enabled: true
+  },
+
+  // Suggestions
+  {
+    id: 'improve_estimation',
+    kind: 'suggestion',
+    when: { all: [{ fact: 'efficiency.estimation', op: '>', value: 0 }, { fact: 'efficiency.estimation', op: '<', value: 0.7 }] },
+    message: 'Your estimates are {{efficiency.estimation|percent}} accurate. Try the planning poker technique or split tasks into smaller steps before estimating.',
+    severity: 'info',
+    cooldownDays: 14,
+    enabled: true
+  },
+  {
+    id: 'longer_focus_blocks',
+    kind: 'suggestion',
+    when: { all: [{ fact: 'metrics.focusSessions', op: '>=', value: 3 }, { fact: 'efficiency.focus', op: '<', value: 0.6 }] },
+    message: 'Consider using the Pomodoro technique with longer focus blocks and notifications silenced.',
+    severity: 'info',
+    cooldownDays: 14,
+    enabled: true
+  },
+  {
+    id: 'take_breaks',
+    kind: 'suggestion',
+    when: { all: [{ fact: 'derived.focusHours', op: '>=', value: 2 }, { fact: 'derived.breakShare', op: '<', value: 0.15 }] },
+    message: 'Breaks made up only {{derived.breakShare|percent}} of your session time. Short regular breaks help you keep focus for longer.',
+    severity: 'info',
+    cooldownDays: 14,
+    enabled: true
+  },
+  {
+    id: 'finish_before_starting',
+    kind: 'suggestion',
+    when: { all: [{ fact: 'metrics.totalTasks', op: '>=', value: 5 }, { fact: 'metrics.productivityScore', op: '<', value: 0.5 }] },
+    message: 'Only {{metrics.productivityScore|percent}} of your recent tasks are done. Try finishing started tasks before picking up new ones.',
+    severity: 'warning',
+    cooldownDays: 7,
+    enabled: true
+  },
+  {
+    id: 'split_large_tasks',
+    kind: 'suggestion',
+    when: { all: [{ fact: 'metrics.completedTasks', op: '>=', value: 3 }, { fact: 'metrics.averageTimePerTask', op: '>', value: 2 * HOUR_MS }] },
+    message: 'Completed tasks took {{metrics.averageTimePerTask|duration}} on average. Breaking them into smaller steps makes them easier to plan and finish.',
+    severity: 'info',
+    cooldownDays: 14,
+    enabled: true
+  },
+
+  // Achievements
+  {
+    id: 'task_master',
+    kind: 'achievement',
+    when: { fact: 'metrics.completedTasks', op: '>=', value: 10 },
+    message: 'Task Master: completed {{metrics.completedTasks}} tasks in the last {{period.days}} days!',
+    severity: 'success',
+    cooldownDays: 30,
+    enabled: true
+  },
+  {
+    id: 'time_oracle',
+    kind: 'achievement',
+    when: { fact: 'efficiency.estimation', op: '>', value: 0.9 },
+    message: 'Time Oracle: achieved {{efficiency.estimation|percent}} estimation accuracy!',
+    severity: 'success',
+    cooldownDays: 30,
+    enabled: true
+  },
+  {
+    id: 'deep_focus',
+    kind: 'achievement',
+    when: { fact: 'derived.focusHours', op: '>=', value: 20 },
+    message: 'Deep Focus: {{metrics.focusTime|duration}} of focused work in the last {{period.days}} days!',
+    severity: 'success',
+    cooldownDays: 30,
+    enabled: true
+  }
+];
+
+/**
+ * The facts rules can refer to: metrics, efficiency, patterns by type,
+ * trends by metric, the analysis period and a few derived ratios
+ */
+export function buildInsightFacts(analytics: UserAnalytics, trends: MetricTrend[]): Record<string, any> {
+  const { metrics } = analytics;
+  const focusHours = metrics.focusTime / HOUR_MS;
+  const sessionTime = metrics.focusTime + metrics.breakTime;
+
+  return {
+    metrics,
+    efficiency: analytics.efficiency,
+    patterns: Object.fromEntries(analytics.patterns.map(pattern => [pattern.type, pattern])),
+    trends: Object.fromEntries(trends.map(trend => [trend.metric, trend])),
+    period: {
+      days: Math.max(1, Math.round((analytics.period.end.getTime() - analytics.period.start.getTime()) / DAY_MS))
+    },
+    derived: {
+      focusHours,
+      interruptionsPerFocusHour: focusHours > 0 ? metrics.interruptions / focusHours : 0,
+      breakShare: sessionTime > 0 ? metrics.breakTime / sessionTime : 0
+    }
+  };
+}
+
+/**
+ * Rules whose condition holds and whose cooldown has passed, most severe first.
+ * `lastFired` maps rule IDs to when each last fired for the user.
+ */
+export function evaluateInsightRules(
+  rules: InsightRule[],
+  facts: Record<string, any>,
+  lastFired: Map<string, Date>,
+  now: Date = new Date()
+): GeneratedInsight[] {
+  const generated: GeneratedInsight[] = [];
+
+  rules.forEach(rule => {
+    if (!rule.enabled) return;
+
+    const firedAt = lastFired.get(rule.id);
+    if (firedAt && now.getTime() - firedAt.getTime() < rule.cooldownDays * DAY_MS) return;
+
+    if (!matches(rule.when, facts)) return;
+
+    // A message referring to a missing fact is dropped rather than shown with a gap
+    const message = renderMessage(rule.message, facts);
+    if (message === null) return;
+
+    generated.push({ ruleId: rule.id, kind: rule.kind, severity: rule.severity, message });
+  });
+
+  return generated.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+}
+
+/**
+ * Defaults with custom rules added; a custom rule with a default's ID replaces it
+ */
+export function mergeInsightRules(defaults: InsightRule[], custom: InsightRule[]): InsightRule[] {
+  const merged = new Map(defaults.map(rule => [rule.id, rule]));
+  custom.forEach(rule => merged.set(rule.id, rule));
+  return Array.from(merged.values());
+}
+
+/**
+ * Validate a rule stored in Firestore; returns null with the reason logged if it is unusable
+ */
+export function parseInsightRule(id: string, data: any): InsightRule | null {
+  const reject = (reason: string) => {
+    console.warn(`Ignoring insight rule ${id}: ${reason}`);
+    return null;
+  };
+
+  if (!data || typeof data !== 'object') return reject('not an object');
+  if (!KINDS.includes(data.kind)) return reject(`kind must be one of ${KINDS.join(', ')}`);
+  if (!SEVERITIES.includes(data.severity)) return reject(`severity must be one of ${SEVERITIES.join(', ')}`);
+  if (typeof data.message !== 'string' || !data.message.trim()) return reject('message is required');
+  if (data.cooldownDays !== undefined && !(Number(data.cooldownDays) >= 0)) return reject('cooldownDays must be zero or more');
+  if (!isValidCondition(data.when, 0)) return reject('when is not a valid condition');
+
+  return {
+    id,
+    kind: data.kind,
+    when: data.when,
+    message: data.message,
+    severity: data.severity,
+    cooldownDays: data.cooldownDays !== undefined ? Number(data.cooldownDays) : 7,
+    enabled: data.enabled !== false
+  };
+}
+
+function isValidCondition(condition: any, depth: number): boolean {
+  if (!condition || typeof condition !== 'object' || depth > MAX_CONDITION_DEPTH) return false;
+
+  if ('all' in condition || 'any' in condition) {
+    const children = condition.all ?? condition.any;
+    return Array.isArray(children) && children.length > 0 && children.every((child: any) => isValidCondition(child, depth + 1));
+  }
+  if ('not' in condition) return isValidCondition(condition.not, depth + 1);
+
+  return typeof condition.fact === 'string' && OPERATORS.includes(condition.op) &&
+    (condition.op === 'exists' || ['number', 'string', 'boolean'].includes(typeof condition.value));
+}
+
+function matches(condition: RuleCondition, facts: Record<string, any>): boolean {
+  if ('all' in condition) return condition.all.every(child => matches(child, facts));
+  if ('any' in condition) return condition.any.some(child => matches(child, facts));
+  if ('not' in condition) return !matches(condition.not, facts);
+
+  const actual = resolveFact(facts, condition.fact);
+  if (condition.op === 'exists') return actual !== undefined && actual !== null;
+  if (actual === undefined || actual === null) return false;
+
+  const expected = condition.value;
+  switch (condition.op) {
+    case '==': return actual === expected;
+    case '!=': return actual !== expected;
+  }
+
+  // Ordering only makes sense between numbers
+  if (typeof actual !== 'number' || typeof expected !== 'number' || !Number.isFinite(actual)) return false;
+  switch (condition.op) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    default: return false;
+  }
+}
+
+function renderMessage(template: string, facts: Record<string, any>): string | null {
+  let missing = false;
+  const message = template.replace(TEMPLATE_PATTERN, (_, path: string, format?: string) => {
+    const value = resolveFact(facts, path);
+    if (value === undefined || value === null) {
+      missing = true;
+      return '';
+    }
+    return formatFact(value, format);
+  });
+  return missing ? null : message;
+}
+
+/**
+ * Formats: percent (0-1 as %), duration (ms as h/m), hour (0-23 as HH:00),
+ * number (rounded to one decimal); anything else prints as is
+ */
+function formatFact(value: any, format?: string): string {
+  if (typeof value !== 'number') return String(value);
+
+  switch (format) {
+    case 'percent':
+      return `${Math.round(value * 100)}%`;
+    case 'duration': {
+      const minutes = Math.round(value / 60000);
+      const hours = Math.floor(minutes / 60);
+      if (hours === 0) return `${minutes}m`;
+      return minutes % 60 === 0 ? `${hours}h` : `${hours}h ${minutes % 60}m`;
+    }
+    case 'hour':
+      return `${String(value).padStart(2, '0')}:00`;
+    case 'number':
+      return String(Math.round(value * 10) / 10);
+    default:
+      return String(value);
+  }
+}
+
+function resolveFact(facts: Record<string, any>, path: string): any {
+  return path.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), facts as any);
+}
@@ -4,10 +4,72 @@
  */
 
 import * as admin from 'firebase-admin';
+import * as crypto from 'crypto';
 import axios from 'axios';
+import { resolveTimeZone, toDate, toLocalDateKey, zonedTimeToUtc } from '../utils/timezone';
+import { forEachPage } from '../utils/concurrency';
+import { securityService } from './securityService';
+import { isSealedSecret } from '../utils/secretBox';
+import {
+  OAuthTokens,
+  OAUTH_GRANT_REJECTED,
+  OAUTH_PROVIDERS,
+  getOAuthClientCredentials,
+  isGrantRejected,
+  isTokenExpired,
+  refreshAccessToken
+} from './oauthClient';
+import {
+  SyncField,
+  SyncPolicy,
+  SyncValue,
+  SyncValues,
+  LedgerFields,
+  SYNC_FIELDS,
+  mergeSyncFields,
+  isSyncField,
+  isSyncPolicy,
+  normalizeLabels
+} from './syncMerge';
 
 const db = admin.firestore();
 
+// Most tasks exported per sync, so one sync cannot flood a provider's API
+const EXPORT_BATCH_LIMIT = 20;
+const TASK_PAGE_SIZE = 200;
+
+// Completed items stay in the fetch this long, so completions made in the provider sync back
+const RECENTLY_COMPLETED_DAYS = 14;
+
+const DEFAULT_JIRA_JQL = `assignee = currentUser() AND (statusCategory != Done OR updated >= -${RECENTLY_COMPLETED_DAYS}d)`;
+
+const WEBHOOK_PROVIDERS = ['jira', 'asana', 'github'];
+
+const ROTATION_PAGE_SIZE = 200;
+
+// Signed deliveries older than this are rejected as replays
+const WEBHOOK_REPLAY_WINDOW_MS = 60 * 60 * 1000;
+
+// Delivery ids are remembered this long, so a captured delivery cannot be sent again
+const WEBHOOK_DELIVERY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Asana's handshake is only accepted this soon after setupWebhook starts registering
+const ASANA_HANDSHAKE_WINDOW_MS = 10 * 60 * 1000;
+
+// Conflicts are flagged for review unless the integration picks another policy
+const DEFAULT_SYNC_POLICY: SyncPolicy = 'flag_conflict';
+
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+const ASANA_TASK_FIELDS = 'name,notes,completed,due_on,tags.name,projects.name,permalink_url,modified_at';
+
+// Fields each exporter writes back; providers missing here are import-only
+const PUSHED_FIELDS: Record<string, SyncField[]> = {
+  jira: ['title', 'description', 'status', 'priority', 'dueDate', 'labels'],
+  asana: ['title', 'description', 'status', 'dueDate'],
+  trello: ['title', 'description', 'status', 'dueDate']
+};
+
 export interface IntegrationConfig {
   provider: string;
   apiKey: string;
@@ -15,13 +77,17 @@ export interface IntegrationConfig {
   credentials: Record<string, any>;
   settings: Record<string, any>;
   isEnabled: boolean;
+  authType?: 'oauth'; // set for integrations connected through the OAuth flow
+  connectionStatus?: 'active' | 'failed' | 'reauth_required';
 }
 
 export interface SyncResult {
   success: boolean;
   message: string;
   tasksImported: number;
+  tasksUpdated: number;
   tasksExported: number;
+  conflicts: number;
   errors: string[];
   timestamp: Date;
 }
@@ -33,13 +99,62 @@ export interface ExternalTask {
   status: string;
   priority?: string;
   category?: string;
-  dueDate?: Date;
+  dueDate?: Date | null; // null when the provider reports no due date, undefined when it does not report one at all
+  dueDateOnly?: boolean; // dueDate is a calendar date at UTC midnight, not an instant
   assignee?: string;
   labels?: string[];
   url?: string;
+  updatedAt?: Date;
   metadata: Record<string, any>;
 }
 
+// One field of one task that changed differently on both sides, waiting for the user
+export interface SyncConflict {
+  id: string;
+  taskId: string;
+  provider: string;
+  externalId: string;
+  field: SyncField;
+  baseValue: SyncValue;
+  localValue: SyncValue;
+  remoteValue: SyncValue;
+  status: 'open' | 'resolved';
+  resolution?: 'local' | 'remote' | 'converged';
+}
+
+// What is sealed in an integration's `secrets` field
+interface IntegrationSecrets {
+  apiKey: string;
+  credentials: Record<string, any>;
+}
+
+// Where a local task lives in a provider, stored on the task under metadata.exports.{provider}
+export interface ExportedTaskRef {
+  externalId: string;
+  url: string;
+}
+
+// An incoming webhook request, as the router received it
+export interface WebhookRequest {
+  headers: Record<string, string | string[] | undefined>;
+  rawBody: Buffer;
+}
+
+export interface WebhookResult {
+  handshakeSecret?: string; // echoed back in X-Hook-Secret to complete Asana's handshake
+  events: number;
+}
+
+// One change a provider told us about, with the item to upsert when there is one
+interface WebhookEvent {
+  event: string;
+  externalId: string | null;
+  task: ExternalTask | null;
+  skipReason?: string;
+}
+
+type LocalStatus = 'todo' | 'in_progress' | 'completed';
+
 export class IntegrationService {
 
   /**
@@ -49,26 +164,36 @@ export class IntegrationService {
     try {
       console.log(`Starting sync with ${provider} for user ${userId}`);
 
-      const config = await this.getOrCreateIntegrationConfig(userId, provider, credentials);
-      
+      const config = await this.withFreshAccessToken(userId, await this.getOrCreateIntegrationConfig(userId, provider, credentials));
+
       let tasksImported = 0;
+      let tasksUpdated = 0;
       let tasksExported = 0;
+      let conflicts = 0;
+      let importSucceeded = false;
       const errors: string[] = [];
 
       // Import tasks from external provider
       try {
         const externalTasks = await this.fetchExternalTasks(config);
-        tasksImported = await this.importTasks(userId, externalTasks, provider);
+        const importResult = await this.importTasks(userId, externalTasks, config);
+        tasksImported = importResult.imported;
+        tasksUpdated = importResult.updated;
+        conflicts = importResult.conflicts;
+        importSucceeded = true;
       } catch (error) {
         console.error(`Import error for ${provider}:`, error);
         errors.push(`Import failed: ${(error as Error).message}`);
       }
 
-      // Export tasks to external provider (if bidirectional)
-      if (bidirectional) {
+      // Export tasks to external provider (if bidirectional). Without a fresh
+      // import, remote edits have not been merged and an export could overwrite them.
+      if (bidirectional && importSucceeded && PUSHED_FIELDS[provider]) {
         try {
-          const localTasks = await this.getUnexportedTasks(userId, provider);
-          tasksExported = await this.exportTasks(config, localTasks);
+          const localTasks = await this.getTasksToExport(userId, provider);
+          const exportResult = await this.exportTasks(userId, config, localTasks);
+          tasksExported = exportResult.exported;
+          errors.push(...exportResult.errors);
         } catch (error) {
           console.error(`Export error for ${provider}:`, error);
           errors.push(`Export failed: ${(error as Error).message}`);
@@ -79,7 +204,9 @@ export class IntegrationService {
       await this.updateSyncStatus(userId, provider, {
         lastSync: new Date(),
         tasksImported,
+        tasksUpdated,
         tasksExported,
+        conflicts,
         errors
       });
 
@@ -87,12 +214,14 @@ export class IntegrationService {
         success: errors.length === 0,
         message: errors.length === 0 ? 'Sync completed successfully' : 'Sync completed with errors',
         tasksImported,
+        tasksUpdated,
         tasksExported,
+        conflicts,
         errors,
         timestamp: new Date()
       };
 
-      console.log(`Sync completed for ${provider}: imported ${tasksImported}, exported ${tasksExported}`);
+      console.log(`Sync completed for ${provider}: imported ${tasksImported}, updated ${tasksUpdated}, exported ${tasksExported}, conflicts ${conflicts}`);
       return result;
 
     } catch (error) {
@@ -101,7 +230,9 @@ export class IntegrationService {
         success: false,
         message: `Sync failed: ${(error as Error).message}`,
         tasksImported: 0,
+        tasksUpdated: 0,
         tasksExported: 0,
+        conflicts: 0,
         errors: [(error as Error).message],
         timestamp: new Date()
       };
@@ -112,10 +243,28 @@ export class IntegrationService {
    * Configure integration for a provider
    */
   async configureIntegration(userId: string, provider: string, config: Partial<IntegrationConfig>): Promise<void> {
+    this.validateSyncPolicies(config.settings);
+
     const integrationRef = db.collection('users').doc(userId).collection('integrations').doc(provider);
-    
+    const { apiKey, credentials, ...rest } = config;
+
+    // Secrets are only ever stored sealed; a partial update keeps the other stored half
+    let sealed: Record<string, any> = {};
+    if (apiKey !== undefined || credentials !== undefined) {
+      const existing = await this.getIntegrationConfig(userId, provider);
+      sealed = this.sealIntegrationSecrets(userId, provider, {
+        apiKey: apiKey ?? existing?.apiKey ?? '',
+        credentials: credentials ?? existing?.credentials ?? {}
+      });
+    }
+    // A key entered by hand replaces an OAuth connection and its refresh token
+    if (apiKey !== undefined && !rest.authType) {
+      sealed.authType = admin.firestore.FieldValue.delete();
+    }
+
     await integrationRef.set({
-      ...config,
+      ...rest,
+      ...sealed,
       provider,
       configuredAt: admin.firestore.FieldValue.serverTimestamp(),
       lastUpdated: admin.firestore.FieldValue.serverTimestamp()
@@ -123,14 +272,40 @@ export class IntegrationService {
 
     // Test the connection
     try {
-      await this.testConnection({ provider, ...config } as IntegrationConfig);
+      const stored = await this.getIntegrationConfig(userId, provider) as IntegrationConfig;
+      await this.testConnection(await this.withFreshAccessToken(userId, stored));
       await integrationRef.update({ connectionStatus: 'active', lastTested: admin.firestore.FieldValue.serverTimestamp() });
     } catch (error) {
-      await integrationRef.update({ connectionStatus: 'failed', lastError: (error as Error).message });
+      if (!this.isReauthRequired(error)) {
+        await integrationRef.update({ connectionStatus: 'failed', lastError: (error as Error).message });
+      }
       throw error;
     }
   }
 
+  /**
+   * Store the tokens from a completed OAuth connect. Reconnecting keeps the
+   * integration's settings and clears a pending reauthorization.
+   */
+  async connectOAuth(userId: string, provider: string, tokens: OAuthTokens): Promise<void> {
+    const integrationRef = db.collection('users').doc(userId).collection('integrations').doc(provider);
+    const existing = (await integrationRef.get()).data();
+
+    await integrationRef.set({
+      ...this.sealIntegrationSecrets(userId, provider, { apiKey: tokens.accessToken, credentials: this.oauthCredentials(tokens) }),
+      provider,
+      authType: 'oauth',
+      baseUrl: existing?.baseUrl || this.getProviderBaseUrl(provider),
+      settings: existing?.settings || this.getDefaultSettings(provider),
+      isEnabled: existing?.isEnabled ?? true,
+      connectionStatus: 'active',
+      lastError: admin.firestore.FieldValue.delete(),
+      configuredAt: existing?.configuredAt || admin.firestore.FieldValue.serverTimestamp(),
+      connectedAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+
   /**
    * Get available integrations
    */
@@ -181,7 +356,7 @@ export class IntegrationService {
         description: 'Sync with Todoist tasks and projects',
         features: ['Import tasks', 'Export tasks', 'Project sync', 'Labels & filters'],
         requiresAuth: true,
-        authType: 'token'
+        authType: 'oauth'
       },
       {
         id: 'github',
@@ -217,94 +392,241 @@ export class IntegrationService {
     webhookUrl: string;
     webhookId: string;
   }> {
-    const webhookUrl = `https://your-cloud-function-url/webhooks/${provider}/${userId}`;
-    
-    const config = await this.getIntegrationConfig(userId, provider);
-    if (!config) {
-      throw new Error(`Integration not configured for ${provider}`);
+    if (!WEBHOOK_PROVIDERS.includes(provider)) {
+      throw new Error(`Webhooks not supported for ${provider}`);
     }
 
-    let webhookId: string;
-
-    switch (provider) {
-      case 'jira':
-        webhookId = await this.setupJiraWebhook(config, webhookUrl, events);
-        break;
-      case 'asana':
-        webhookId = await this.setupAsanaWebhook(config, webhookUrl, events);
-        break;
-      case 'github':
-        webhookId = await this.setupGitHubWebhook(config, webhookUrl, events);
-        break;
-      default:
-        throw new Error(`Webhooks not supported for ${provider}`);
+    const stored = await this.getIntegrationConfig(userId, provider);
+    if (!stored) {
+      throw new Error(`Integration not configured for ${provider}`);
     }
+    const config = await this.withFreshAccessToken(userId, stored);
+
+    const webhookUrl = `${this.getWebhookBaseUrl()}/${provider}/${userId}`;
+    const webhookRef = db.collection('users').doc(userId).collection('webhooks').doc(provider);
 
-    // Store webhook info
-    await db.collection('users').doc(userId).collection('webhooks').doc(provider).set({
+    // Asana picks the secret itself and sends it in a handshake while the webhook is created
+    const secret = provider === 'asana' ? null : crypto.randomBytes(32).toString('hex');
+    await webhookRef.set({
       provider,
-      webhookId,
       webhookUrl,
       events,
+      secret: secret && securityService.encryptData(secret, userId, `webhooks/${provider}`),
+      status: 'pending',
       setupAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
+    let webhookId: string;
+
+    try {
+      switch (provider) {
+        case 'jira':
+          webhookId = await this.setupJiraWebhook(config, webhookUrl, events, secret as string);
+          break;
+        case 'asana':
+          webhookId = await this.setupAsanaWebhook(config, webhookUrl, events);
+          break;
+        default:
+          webhookId = await this.setupGitHubWebhook(config, webhookUrl, events, secret as string);
+      }
+    } catch (error) {
+      await webhookRef.update({ status: 'failed', lastError: (error as Error).message });
+      throw error;
+    }
+
+    await webhookRef.update({
+      webhookId,
+      status: 'active',
+      activatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
     return { webhookUrl, webhookId };
   }
 
   /**
-   * Handle incoming webhook
+   * Handle an incoming webhook: verify its signature, reject replays, then
+   * upsert the tasks its events concern. Each event gets a webhook log entry.
    */
-  async handleWebhook(provider: string, userId: string, payload: any): Promise<void> {
+  async handleWebhook(provider: string, userId: string, request: WebhookRequest): Promise<WebhookResult> {
+    const userRef = db.collection('users').doc(userId);
+    const webhookRef = userRef.collection('webhooks').doc(provider);
+    const webhook = WEBHOOK_PROVIDERS.includes(provider) ? (await webhookRef.get()).data() : undefined;
+    if (!webhook) {
+      throw new Error(`Webhook not registered for ${provider}`);
+    }
+
+    const hookSecret = this.getHeader(request, 'x-hook-secret');
+    if (provider === 'asana' && hookSecret) {
+      await this.completeAsanaHandshake(userId, webhookRef, hookSecret);
+      return { handshakeSecret: hookSecret, events: 0 };
+    }
+
+    const secret = await this.openWebhookSecret(userId, provider, webhookRef, webhook.secret);
+    if (!secret || !this.verifyWebhookSignature(provider, secret, request)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    let payload: any;
     try {
-      console.log(`Received webhook from ${provider} for user ${userId}`);
+      payload = JSON.parse(request.rawBody.toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid webhook payload');
+    }
+
+    // A valid signature proves who sent a delivery, not when; old or repeated ones are refused
+    const sentAt = this.getWebhookSentAt(provider, payload);
+    if (sentAt && Date.now() - sentAt.getTime() > WEBHOOK_REPLAY_WINDOW_MS) {
+      throw new Error('Webhook replay rejected: delivery is too old');
+    }
 
-      const config = await this.getIntegrationConfig(userId, provider);
-      if (!config) {
+    const deliveryId = this.getWebhookDeliveryId(provider, request);
+    const deliveryRef = userRef.collection('webhook_deliveries')
+      .doc(`${provider}_${crypto.createHash('sha256').update(deliveryId).digest('hex')}`);
+    try {
+      await deliveryRef.create({
+        provider,
+        deliveryId,
+        receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+        expireAt: new Date(Date.now() + WEBHOOK_DELIVERY_RETENTION_MS)
+      });
+    } catch (error) {
+      if ((error as any).code === 6) {
+        throw new Error('Webhook replay rejected: delivery already received');
+      }
+      throw error;
+    }
+
+    try {
+      const stored = await this.getIntegrationConfig(userId, provider);
+      if (!stored) {
         throw new Error(`Integration not configured for ${provider}`);
       }
+      const config = await this.withFreshAccessToken(userId, stored);
+
+      const events = await this.parseWebhookEvents(config, payload, this.getHeader(request, 'x-github-event'));
+      const timezone = await this.getUserTimeZone(userId);
+      let failures = 0;
+
+      for (const event of events) {
+        const entry: Record<string, any> = {
+          provider,
+          deliveryId,
+          event: event.event,
+          externalId: event.externalId,
+          processedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
 
-      // Verify webhook signature if required
-      if (!this.verifyWebhookSignature(provider, payload)) {
-        throw new Error('Invalid webhook signature');
+        try {
+          if (event.task) {
+            const outcome = await this.upsertExternalTask(userId, config, event.task, timezone);
+            entry.result = outcome.result;
+            entry.conflicts = outcome.conflicts;
+          } else {
+            entry.result = 'skipped';
+            entry.reason = event.skipReason || null;
+          }
+          entry.success = true;
+        } catch (error) {
+          console.error(`Webhook event ${event.event} failed for ${provider}:`, error);
+          entry.success = false;
+          entry.error = (error as Error).message;
+          failures++;
+        }
+
+        await userRef.collection('webhook_logs').add(entry);
       }
 
-      // Process webhook based on provider
-      switch (provider) {
-        case 'jira':
-          await this.processJiraWebhook(userId, payload);
-          break;
-        case 'asana':
-          await this.processAsanaWebhook(userId, payload);
-          break;
-        case 'github':
-          await this.processGitHubWebhook(userId, payload);
-          break;
-        default:
-          console.warn(`Webhook handler not implemented for ${provider}`);
+      await webhookRef.update({ lastEventAt: admin.firestore.FieldValue.serverTimestamp() });
+
+      if (failures > 0) {
+        throw new Error(`Webhook processing failed for ${failures} of ${events.length} events`);
       }
 
-      // Log webhook activity
-      await db.collection('users').doc(userId).collection('webhook_logs').add({
-        provider,
-        event: payload.event || payload.webhookEvent,
-        processedAt: admin.firestore.FieldValue.serverTimestamp(),
-        success: true
-      });
+      return { events: events.length };
 
     } catch (error) {
-      console.error(`Webhook processing error:`, error);
-      
-      // Log error
-      await db.collection('users').doc(userId).collection('webhook_logs').add({
-        provider,
-        event: payload.event || payload.webhookEvent,
-        error: (error as Error).message,
-        processedAt: admin.firestore.FieldValue.serverTimestamp(),
-        success: false
+      // Upserts are idempotent, so the provider's retry is let through
+      await deliveryRef.delete().catch(() => undefined);
+      throw error;
+    }
+  }
+
+  /**
+   * Settle a flagged conflict by keeping one side's value. Keeping the local
+   * value queues it for the next export.
+   */
+  async resolveSyncConflict(userId: string, conflictId: string, keep: 'local' | 'remote'): Promise<SyncConflict> {
+    const userRef = db.collection('users').doc(userId);
+    const conflictRef = userRef.collection('sync_conflicts').doc(conflictId);
+    const timezone = await this.getUserTimeZone(userId);
+
+    return db.runTransaction(async transaction => {
+      const conflictDoc = await transaction.get(conflictRef);
+      if (!conflictDoc.exists) {
+        throw new Error('Conflict not found');
+      }
+
+      const conflict = { id: conflictDoc.id, ...conflictDoc.data() } as SyncConflict;
+      if (conflict.status !== 'open') {
+        throw new Error('Conflict already resolved');
+      }
+
+      const taskRef = userRef.collection('tasks').doc(conflict.taskId);
+      const taskDoc = await transaction.get(taskRef);
+      if (!taskDoc.exists) {
+        throw new Error('Task not found');
+      }
+
+      const sync = taskDoc.data()?.metadata?.sync?.[conflict.provider] || {};
+      const ledger: LedgerFields = { ...(sync.fields || {}) };
+      const pendingPush: string[] = (sync.pendingPush || []).filter((field: string) => field !== conflict.field);
+      const updates: Record<string, any> = {};
+
+      if (keep === 'remote') {
+        Object.assign(updates, this.toLocalWrites({ [conflict.field]: conflict.remoteValue }, timezone));
+        ledger[conflict.field] = { local: conflict.remoteValue, remote: conflict.remoteValue };
+      } else {
+        ledger[conflict.field] = { local: conflict.localValue, remote: conflict.remoteValue };
+        if ((PUSHED_FIELDS[conflict.provider] || []).includes(conflict.field)) {
+          pendingPush.push(conflict.field);
+        }
+      }
+
+      const prefix = `metadata.sync.${conflict.provider}`;
+      transaction.update(taskRef, {
+        ...updates,
+        [`${prefix}.fields`]: ledger,
+        [`${prefix}.pendingPush`]: pendingPush,
+        [`${prefix}.conflicts`]: admin.firestore.FieldValue.arrayRemove(conflict.field)
+      });
+      transaction.update(conflictRef, {
+        status: 'resolved',
+        resolution: keep,
+        resolvedAt: admin.firestore.FieldValue.serverTimestamp()
       });
 
-      throw error;
+      return { ...conflict, status: 'resolved', resolution: keep } as SyncConflict;
+    });
+  }
+
+  /**
+   * Create the task in the provider, or update it if it was exported before.
+   * Dates are written as local dates in `timezone`.
+   */
+  async exportTask(config: IntegrationConfig, task: any, timezone: string = 'UTC'): Promise<ExportedTaskRef> {
+    // Tasks imported from the provider already have a counterpart there
+    const existing: string | undefined = task.metadata?.exports?.[config.provider]?.externalId
+      || (task.metadata?.provider === config.provider ? task.metadata.externalId : undefined);
+
+    switch (config.provider) {
+      case 'jira':
+        return this.exportToJira(config, task, existing, timezone);
+      case 'asana':
+        return this.exportToAsana(config, task, existing, timezone);
+      case 'trello':
+        return this.exportToTrello(config, task, existing);
+      default:
+        throw new Error(`Export not implemented for ${config.provider}`);
     }
   }
 
@@ -312,8 +634,13 @@ export class IntegrationService {
 
   private async getOrCreateIntegrationConfig(userId: string, provider: string, credentials: any): Promise<IntegrationConfig> {
     let config = await this.getIntegrationConfig(userId, provider);
-    
+
     if (!config) {
+      // OAuth integrations are created by the connect flow; others need credentials on first sync
+      if (!credentials) {
+        throw new Error(`Integration not configured for ${provider}`);
+      }
+
       // Create default config
       const defaultConfig: IntegrationConfig = {
         provider,
@@ -331,9 +658,170 @@ export class IntegrationService {
     return config;
   }
 
+  /**
+   * The stored config with its secrets decrypted. Secrets still in plaintext,
+   * or sealed with a retired key, are sealed again with the current key.
+   */
   private async getIntegrationConfig(userId: string, provider: string): Promise<IntegrationConfig | null> {
-    const doc = await db.collection('users').doc(userId).collection('integrations').doc(provider).get();
-    return doc.exists ? doc.data() as IntegrationConfig : null;
+    const integrationRef = db.collection('users').doc(userId).collection('integrations').doc(provider);
+    const doc = await integrationRef.get();
+    if (!doc.exists) return null;
+
+    const { secrets: stored, apiKey, credentials, ...data } = doc.data() as Record<string, any>;
+    const secrets: IntegrationSecrets = stored
+      ? JSON.parse(securityService.decryptData(stored, userId, `integrations/${provider}`))
+      : { apiKey: apiKey || '', credentials: credentials || {} };
+
+    if ((stored || apiKey || credentials) && securityService.needsReencryption(stored)) {
+      try {
+        await integrationRef.update(this.sealIntegrationSecrets(userId, provider, secrets));
+      } catch (error) {
+        console.error(`Error re-encrypting ${provider} secrets for ${userId}:`, error);
+      }
+    }
+
+    return { ...data, provider, apiKey: secrets.apiKey, credentials: secrets.credentials } as IntegrationConfig;
+  }
+
+  /**
+   * The config with an access token good for the next call. Expiring OAuth
+   * tokens are refreshed first; a refresh the provider rejects marks the
+   * integration for reauthorization, which only a new connect clears.
+   */
+  private async withFreshAccessToken(userId: string, config: IntegrationConfig): Promise<IntegrationConfig> {
+    if (config.authType !== 'oauth') return config;
+    if (config.connectionStatus === 'reauth_required') {
+      throw new Error(`Reauthorization required for ${config.provider}`);
+    }
+    if (!isTokenExpired(config.credentials)) return config;
+
+    const integrationRef = db.collection('users').doc(userId).collection('integrations').doc(config.provider);
+    const refreshToken: string | undefined = config.credentials.refreshToken;
+
+    try {
+      if (!refreshToken) {
+        throw new Error(`${OAUTH_GRANT_REJECTED}: no refresh token stored`);
+      }
+
+      const tokens = await refreshAccessToken(
+        OAUTH_PROVIDERS[config.provider],
+        getOAuthClientCredentials(config.provider),
+        refreshToken
+      );
+      const credentials = { ...config.credentials, ...this.oauthCredentials(tokens) };
+
+      await integrationRef.update({
+        ...this.sealIntegrationSecrets(userId, config.provider, { apiKey: tokens.accessToken, credentials }),
+        tokenRefreshedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { ...config, apiKey: tokens.accessToken, credentials };
+
+    } catch (error) {
+      if (!isGrantRejected(error)) throw error;
+
+      // A concurrent sync may have used the refresh token first and stored its replacement
+      const current = await this.getIntegrationConfig(userId, config.provider);
+      if (current && current.credentials.refreshToken !== refreshToken && !isTokenExpired(current.credentials)) {
+        return current;
+      }
+
+      await integrationRef.update({
+        connectionStatus: 'reauth_required',
+        lastError: (error as Error).message,
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+      });
+      throw new Error(`Reauthorization required for ${config.provider}: ${(error as Error).message}`);
+    }
+  }
+
+  private isReauthRequired(error: unknown): boolean {
+    return error instanceof Error && error.message.startsWith('Reauthorization required');
+  }
+
+  // What an OAuth connection keeps next to its access token
+  private oauthCredentials(tokens: OAuthTokens): Record<string, any> {
+    return {
+      refreshToken: tokens.refreshToken,
+      expiresAt: tokens.expiresAt,
+      scope: tokens.scope,
+      tokenType: tokens.tokenType
+    };
+  }
+
+  // The sealed secrets field, and deletes for any plaintext copies left from before encryption
+  private sealIntegrationSecrets(userId: string, provider: string, secrets: IntegrationSecrets): Record<string, any> {
+    return {
+      secrets: securityService.encryptData(JSON.stringify(secrets), userId, `integrations/${provider}`),
+      secretsUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      apiKey: admin.firestore.FieldValue.delete(),
+      credentials: admin.firestore.FieldValue.delete()
+    };
+  }
+
+  /**
+   * A webhook's signing secret, sealed again with the current key when needed
+   */
+  private async openWebhookSecret(userId: string, provider: string, webhookRef: admin.firestore.DocumentReference, stored: unknown): Promise<string | null> {
+    if (!stored || typeof stored !== 'string') return null;
+
+    const purpose = `webhooks/${provider}`;
+    const secret = isSealedSecret(stored) ? securityService.decryptData(stored, userId, purpose) : stored;
+
+    if (securityService.needsReencryption(stored)) {
+      try {
+        await webhookRef.update({ secret: securityService.encryptData(secret, userId, purpose) });
+      } catch (error) {
+        console.error(`Error re-encrypting ${provider} webhook secret for ${userId}:`, error);
+      }
+    }
+
+    return secret;
+  }
+
+  /**
+   * Seal again every stored integration and webhook secret that is in
+   * plaintext or under a retired key. Run after making a new key current;
+   * the old key can leave the ring once this has finished.
+   */
+  async rotateEncryptedSecrets(): Promise<{ integrations: number; webhooks: number }> {
+    const result = { integrations: 0, webhooks: 0 };
+
+    // Only users/{uid}/... documents; other collections may share these names
+    const userIdOf = (doc: admin.firestore.QueryDocumentSnapshot) =>
+      doc.ref.parent.parent?.parent.id === 'users' ? doc.ref.parent.parent.id : null;
+
+    await forEachPage(db.collectionGroup('integrations'), ROTATION_PAGE_SIZE, async docs => {
+      for (const doc of docs) {
+        const userId = userIdOf(doc);
+        const data = doc.data();
+        if (!userId || !(data.secrets || data.apiKey || data.credentials) || !securityService.needsReencryption(data.secrets)) continue;
+
+        try {
+          await this.getIntegrationConfig(userId, doc.id);
+          result.integrations++;
+        } catch (error) {
+          console.error(`Error rotating ${doc.ref.path}:`, error);
+        }
+      }
+    });
+
+    await forEachPage(db.collectionGroup('webhooks'), ROTATION_PAGE_SIZE, async docs => {
+      for (const doc of docs) {
+        const userId = userIdOf(doc);
+        const secret = doc.data().secret;
+        if (!userId || !secret || !securityService.needsReencryption(secret)) continue;
+
+        try {
+          await this.openWebhookSecret(userId, doc.id, doc.ref, secret);
+          result.webhooks++;
+        } catch (error) {
+          console.error(`Error rotating ${doc.ref.path}:`, error);
+        }
+      }
+    });
+
+    return result;
   }
 
   private async fetchExternalTasks(config: IntegrationConfig): Promise<ExternalTask[]> {
@@ -358,70 +846,83 @@ export class IntegrationService {
   private async fetchJiraTasks(config: IntegrationConfig): Promise<ExternalTask[]> {
     const auth = Buffer.from(`${config.credentials.username}:${config.apiKey}`).toString('base64');
     
-    const response = await axios.get(`${config.baseUrl}/rest/api/2/search`, {
+    const response = await axios.get(`${this.getApiBaseUrl(config)}/rest/api/2/search`, {
       headers: {
         'Authorization': `Basic ${auth}`,
         'Accept': 'application/json'
       },
       params: {
-        jql: config.settings.jql || 'assignee = currentUser() AND status != Done',
-        fields: 'summary,description,status,priority,assignee,created,updated,issuetype',
+        jql: config.settings.jql || DEFAULT_JIRA_JQL,
+        fields: 'summary,description,status,priority,assignee,created,updated,issuetype,duedate,labels',
         maxResults: 100
       }
     });
 
-    return response.data.issues.map((issue: any): ExternalTask => ({
+    return response.data.issues.map((issue: any) => this.mapJiraIssue(config, issue));
+  }
+
+  private mapJiraIssue(config: IntegrationConfig, issue: any): ExternalTask {
+    return {
       externalId: issue.key,
       title: issue.fields.summary,
       description: issue.fields.description || '',
-      status: issue.fields.status.name,
+      status: this.mapJiraStatus(issue.fields.status),
       priority: this.mapJiraPriority(issue.fields.priority?.name),
       category: this.mapJiraTypeToCategory(issue.fields.issuetype?.name),
+      dueDate: issue.fields.duedate ? new Date(issue.fields.duedate) : null,
+      dueDateOnly: true,
       assignee: issue.fields.assignee?.displayName,
-      url: `${config.baseUrl}/browse/${issue.key}`,
+      labels: issue.fields.labels || [],
+      url: `${this.getApiBaseUrl(config)}/browse/${issue.key}`,
+      updatedAt: issue.fields.updated ? new Date(issue.fields.updated) : undefined,
       metadata: {
         issueType: issue.fields.issuetype?.name,
         project: issue.fields.project?.name,
         created: issue.fields.created,
         updated: issue.fields.updated
       }
-    }));
+    };
   }
 
   private async fetchAsanaTasks(config: IntegrationConfig): Promise<ExternalTask[]> {
-    const response = await axios.get('https://app.asana.com/api/1.0/tasks', {
+    const response = await axios.get(`${this.getApiBaseUrl(config)}/tasks`, {
       headers: {
         'Authorization': `Bearer ${config.apiKey}`
       },
       params: {
         assignee: 'me',
-        completed_since: 'now',
-        opt_fields: 'name,notes,completed,priority,due_date,tags,projects'
+        completed_since: new Date(Date.now() - RECENTLY_COMPLETED_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        opt_fields: ASANA_TASK_FIELDS
       }
     });
 
-    return response.data.data.map((task: any): ExternalTask => ({
+    return response.data.data.map((task: any) => this.mapAsanaTask(task));
+  }
+
+  private mapAsanaTask(task: any): ExternalTask {
+    return {
       externalId: task.gid,
       title: task.name,
       description: task.notes || '',
       status: task.completed ? 'completed' : 'open',
-      priority: this.mapAsanaPriority(task.priority),
-      dueDate: task.due_date ? new Date(task.due_date) : undefined,
+      dueDate: task.due_on ? new Date(task.due_on) : null,
+      dueDateOnly: true,
       labels: task.tags?.map((tag: any) => tag.name) || [],
-      url: `https://app.asana.com/0/0/${task.gid}`,
+      url: task.permalink_url || `https://app.asana.com/0/0/${task.gid}`,
+      updatedAt: task.modified_at ? new Date(task.modified_at) : undefined,
       metadata: {
         projects: task.projects?.map((p: any) => p.name) || []
       }
-    }));
+    };
   }
 
   private async fetchTrelloTasks(config: IntegrationConfig): Promise<ExternalTask[]> {
-    const response = await axios.get('https://api.trello.com/1/members/me/cards', {
+    const response = await axios.get(`${this.getApiBaseUrl(config)}/members/me/cards`, {
       params: {
         key: config.credentials.key,
         token: config.apiKey,
         filter: 'open',
-        fields: 'name,desc,due,labels,list,board'
+        fields: 'name,desc,due,dueComplete,labels,idList,idBoard,shortUrl,dateLastActivity'
       }
     });
 
@@ -429,13 +930,14 @@ export class IntegrationService {
       externalId: card.id,
       title: card.name,
       description: card.desc || '',
-      status: 'open',
-      dueDate: card.due ? new Date(card.due) : undefined,
+      status: this.mapTrelloStatus(config, card.idList, card.dueComplete),
+      dueDate: card.due ? new Date(card.due) : null,
       labels: card.labels?.map((label: any) => label.name) || [],
       url: card.shortUrl,
+      updatedAt: card.dateLastActivity ? new Date(card.dateLastActivity) : undefined,
       metadata: {
-        listId: card.list?.id,
-        boardId: card.board?.id
+        listId: card.idList,
+        boardId: card.idBoard
       }
     }));
   }
@@ -461,8 +963,10 @@ export class IntegrationService {
       description: page.properties.Description?.rich_text?.[0]?.plain_text || '',
       status: page.properties.Status?.select?.name || 'open',
       priority: page.properties.Priority?.select?.name,
-      dueDate: page.properties['Due Date']?.date?.start ? new Date(page.properties['Due Date'].date.start) : undefined,
+      dueDate: page.properties['Due Date']?.date?.start ? new Date(page.properties['Due Date'].date.start) : null,
+      dueDateOnly: !String(page.properties['Due Date']?.date?.start || '').includes('T'),
       url: page.url,
+      updatedAt: page.last_edited_time ? new Date(page.last_edited_time) : undefined,
       metadata: {
         createdTime: page.created_time,
         lastEditedTime: page.last_edited_time
@@ -483,7 +987,8 @@ export class IntegrationService {
       description: task.description || '',
       status: 'open',
       priority: this.mapTodoistPriority(task.priority),
-      dueDate: task.due?.date ? new Date(task.due.date) : undefined,
+      dueDate: task.due ? new Date(task.due.datetime || task.due.date) : null,
+      dueDateOnly: !task.due?.datetime,
       labels: task.labels || [],
       url: task.url,
       metadata: {
@@ -505,7 +1010,11 @@ export class IntegrationService {
       }
     });
 
-    return response.data.map((issue: any): ExternalTask => ({
+    return response.data.map((issue: any) => this.mapGitHubIssue(config, issue));
+  }
+
+  private mapGitHubIssue(config: IntegrationConfig, issue: any): ExternalTask {
+    return {
       externalId: issue.id.toString(),
       title: issue.title,
       description: issue.body || '',
@@ -513,120 +1022,279 @@ export class IntegrationService {
       priority: this.mapGitHubPriority(issue.labels),
       labels: issue.labels?.map((label: any) => label.name) || [],
       url: issue.html_url,
+      updatedAt: issue.updated_at ? new Date(issue.updated_at) : undefined,
       metadata: {
         number: issue.number,
         repository: config.settings.repository,
-        author: issue.user.login
+        author: issue.user?.login
       }
-    }));
+    };
   }
 
-  private async importTasks(userId: string, externalTasks: ExternalTask[], provider: string): Promise<number> {
+  /**
+   * Create tasks new to us and merge changes into the ones we already have,
+   * field by field against each task's sync ledger
+   */
+  private async importTasks(
+    userId: string,
+    externalTasks: ExternalTask[],
+    config: IntegrationConfig
+  ): Promise<{ imported: number; updated: number; conflicts: number }> {
+    const timezone = await this.getUserTimeZone(userId);
     let imported = 0;
+    let updated = 0;
+    let conflicts = 0;
 
     for (const externalTask of externalTasks) {
       try {
-        // Check if task already exists
-        const existingTaskQuery = await db.collection('users').doc(userId).collection('tasks')
-          .where('metadata.externalId', '==', externalTask.externalId)
-          .where('metadata.provider', '==', provider)
-          .get();
-
-        if (existingTaskQuery.empty) {
-          // Create new task
-          const taskData = {
-            id: `${provider}_${externalTask.externalId}`,
-            title: externalTask.title,
-            description: externalTask.description,
-            category: externalTask.category || 'general',
-            priority: externalTask.priority || 'medium',
-            status: this.mapExternalStatus(externalTask.status),
-            dueDate: externalTask.dueDate,
-            tags: externalTask.labels || [],
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            metadata: {
-              provider,
-              externalId: externalTask.externalId,
-              externalUrl: externalTask.url,
-              ...externalTask.metadata
-            }
-          };
-
-          // Note: AI processing removed to use free resources only
-
-          await db.collection('users').doc(userId).collection('tasks').add(taskData);
-          imported++;
-        } else {
-          // Update existing task if changed
-          const existingTask = existingTaskQuery.docs[0];
-          const updates: any = {};
-          let hasChanges = false;
-
-          if (existingTask.data().title !== externalTask.title) {
-            updates.title = externalTask.title;
-            hasChanges = true;
-          }
-          
-          if (existingTask.data().description !== externalTask.description) {
-            updates.description = externalTask.description;
-            hasChanges = true;
-          }
-
-          if (hasChanges) {
-            updates.lastSynced = admin.firestore.FieldValue.serverTimestamp();
-            await existingTask.ref.update(updates);
-          }
-        }
+        const outcome = await this.upsertExternalTask(userId, config, externalTask, timezone);
+        if (outcome.result === 'created') imported++;
+        if (outcome.result === 'updated') updated++;
+        conflicts += outcome.conflicts;
       } catch (error) {
         console.error(`Error importing task ${externalTask.externalId}:`, error);
       }
     }
 
-    return imported;
+    return { imported, updated, conflicts };
   }
 
-  private async exportTasks(config: IntegrationConfig, tasks: any[]): Promise<number> {
+  /**
+   * Create one provider item as a task, or merge it into the task it already is
+   */
+  private async upsertExternalTask(
+    userId: string,
+    config: IntegrationConfig,
+    externalTask: ExternalTask,
+    timezone: string
+  ): Promise<{ result: 'created' | 'updated' | 'unchanged' | 'skipped'; conflicts: number }> {
+    const provider = config.provider;
+    const tasksRef = db.collection('users').doc(userId).collection('tasks');
+    const remote = this.remoteSyncValues(externalTask, timezone);
+
+    // Tasks imported from the provider, or exported to it from here
+    let existingTaskQuery = await tasksRef
+      .where('metadata.externalId', '==', externalTask.externalId)
+      .where('metadata.provider', '==', provider)
+      .limit(1)
+      .get();
+    if (existingTaskQuery.empty) {
+      existingTaskQuery = await tasksRef
+        .where(`metadata.exports.${provider}.externalId`, '==', externalTask.externalId)
+        .limit(1)
+        .get();
+    }
+
+    if (!existingTaskQuery.empty) {
+      const outcome = await this.mergeExternalTask(userId, config, existingTaskQuery.docs[0], externalTask, remote, timezone);
+      return { result: outcome.updated ? 'updated' : 'unchanged', conflicts: outcome.conflicts };
+    }
+
+    // Only open work is new to us; finished items are fetched to sync completions
+    if (remote.status === 'completed') {
+      return { result: 'skipped', conflicts: 0 };
+    }
+
+    // Create new task
+    const taskData: Record<string, any> = {
+      id: `${provider}_${externalTask.externalId}`,
+      title: externalTask.title,
+      description: externalTask.description,
+      category: externalTask.category || 'general',
+      priority: externalTask.priority || 'medium',
+      status: 'todo',
+      isCompleted: false,
+      tags: externalTask.labels || [],
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...this.toLocalWrites(remote, timezone, externalTask)
+    };
+    // Firestore rejects undefined values, and providers leave out fields freely
+    const providerMetadata = Object.entries(externalTask.metadata || {}).filter(([, value]) => value !== undefined);
+    taskData.metadata = {
+      ...Object.fromEntries(providerMetadata),
+      provider,
+      externalId: externalTask.externalId,
+      externalUrl: externalTask.url || null,
+      sync: {
+        [provider]: {
+          fields: this.ledgerFromBothSides(this.localSyncValues(taskData, timezone), remote),
+          pendingPush: [],
+          conflicts: [],
+          syncedAt: admin.firestore.FieldValue.serverTimestamp()
+        }
+      }
+    };
+
+    // Note: AI processing removed to use free resources only
+
+    await tasksRef.add(taskData);
+    return { result: 'created', conflicts: 0 };
+  }
+
+  /**
+   * Three-way merge of one provider item into its local task. Fields changed
+   * differently on both sides are settled by the integration's policies or
+   * flagged as conflicts for the user to review.
+   */
+  private async mergeExternalTask(
+    userId: string,
+    config: IntegrationConfig,
+    taskDoc: admin.firestore.QueryDocumentSnapshot,
+    externalTask: ExternalTask,
+    remote: SyncValues,
+    timezone: string
+  ): Promise<{ updated: boolean; conflicts: number }> {
+    const provider = config.provider;
+    const task = taskDoc.data();
+    const sync = task.metadata?.sync?.[provider] || {};
+
+    const result = mergeSyncFields({
+      ledger: sync.fields || {},
+      local: this.localSyncValues(task, timezone),
+      remote,
+      policyFor: field => this.getSyncPolicy(config, field),
+      localUpdatedAt: toDate(task.updatedAt),
+      remoteUpdatedAt: externalTask.updatedAt || null
+    });
+
+    // Pushes still owed, less fields the remote has since overwritten, plus new local changes
+    const pushable = PUSHED_FIELDS[provider] || [];
+    const pendingPush = Array.from(new Set([
+      ...(sync.pendingPush || []).filter((field: SyncField) => result.localUpdates[field] === undefined),
+      ...result.push.filter(field => pushable.includes(field))
+    ]));
+
+    const conflictFields = result.conflicts.map(conflict => conflict.field);
+    const previousConflicts: string[] = sync.conflicts || [];
+    const conflictsRef = db.collection('users').doc(userId).collection('sync_conflicts');
+    const batch = db.batch();
+
+    batch.update(taskDoc.ref, {
+      ...this.toLocalWrites(result.localUpdates, timezone, externalTask),
+      [`metadata.sync.${provider}`]: {
+        fields: result.ledger,
+        pendingPush,
+        conflicts: conflictFields,
+        syncedAt: admin.firestore.FieldValue.serverTimestamp()
+      },
+      ...(Object.keys(result.localUpdates).length > 0 ? { lastSynced: admin.firestore.FieldValue.serverTimestamp() } : {})
+    });
+
+    // One reviewable item per conflicted field, refreshed while it stays open
+    result.conflicts.forEach(conflict => {
+      const conflictRef = conflictsRef.doc(`${taskDoc.id}_${provider}_${conflict.field}`);
+      batch.set(conflictRef, {
+        taskId: taskDoc.id,
+        taskTitle: task.title || '',
+        provider,
+        externalId: externalTask.externalId,
+        externalUrl: externalTask.url || null,
+        field: conflict.field,
+        baseValue: conflict.base.local,
+        localValue: conflict.local,
+        remoteValue: conflict.remote,
+        policy: this.getSyncPolicy(config, conflict.field),
+        status: 'open',
+        ...(previousConflicts.includes(conflict.field) ? {} : { detectedAt: admin.firestore.FieldValue.serverTimestamp() }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    });
+
+    // Conflicts whose sides have since come back into agreement
+    previousConflicts
+      .filter(field => !conflictFields.includes(field as SyncField))
+      .forEach(field => {
+        batch.set(conflictsRef.doc(`${taskDoc.id}_${provider}_${field}`), {
+          status: 'resolved',
+          resolution: 'converged',
+          resolvedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+      });
+
+    await batch.commit();
+
+    return { updated: Object.keys(result.localUpdates).length > 0, conflicts: result.conflicts.length };
+  }
+
+  private async exportTasks(userId: string, config: IntegrationConfig, tasks: any[]): Promise<{ exported: number; errors: string[] }> {
+    const timezone = await this.getUserTimeZone(userId);
+    const errors: string[] = [];
     let exported = 0;
 
     for (const task of tasks) {
       try {
-        switch (config.provider) {
-          case 'jira':
-            await this.exportToJira(config, task);
-            break;
-          case 'asana':
-            await this.exportToAsana(config, task);
-            break;
-          case 'trello':
-            await this.exportToTrello(config, task);
-            break;
-          default:
-            console.warn(`Export not implemented for ${config.provider}`);
-            continue;
-        }
+        const ref = await this.exportTask(config, task, timezone);
+
+        // The provider now holds every pushed field as we have it locally
+        const local = this.localSyncValues(task, timezone);
+        const ledger: LedgerFields = { ...(task.metadata?.sync?.[config.provider]?.fields || {}) };
+        PUSHED_FIELDS[config.provider].forEach(field => {
+          ledger[field] = { local: local[field] ?? null, remote: this.projectPushedValue(config, field, local[field] ?? null) };
+        });
 
-        // Mark as exported
-        await db.collection('tasks').doc(task.id).update({
-          [`metadata.exported_${config.provider}`]: admin.firestore.FieldValue.serverTimestamp()
+        // Store where the task now lives, so the next export updates it
+        await db.collection('users').doc(userId).collection('tasks').doc(task.id).update({
+          [`metadata.exports.${config.provider}`]: {
+            externalId: ref.externalId,
+            url: ref.url,
+            exportedAt: admin.firestore.FieldValue.serverTimestamp()
+          },
+          [`metadata.sync.${config.provider}.fields`]: ledger,
+          [`metadata.sync.${config.provider}.pendingPush`]: [],
+          [`metadata.sync.${config.provider}.syncedAt`]: admin.firestore.FieldValue.serverTimestamp()
         });
 
         exported++;
       } catch (error) {
         console.error(`Error exporting task ${task.id}:`, error);
+        errors.push(`Export of task ${task.id} failed: ${(error as Error).message}`);
       }
     }
 
-    return exported;
+    return { exported, errors };
   }
 
-  private async getUnexportedTasks(userId: string, provider: string): Promise<any[]> {
-    const tasksSnapshot = await db.collection('users').doc(userId).collection('tasks')
-      .where(`metadata.exported_${provider}`, '==', null)
-      .where('metadata.provider', '!=', provider) // Don't export tasks that originated from this provider
-      .limit(20) // Limit to prevent overwhelming external APIs
-      .get();
+  /**
+   * Tasks never exported to the provider, changed since their last export, or
+   * holding merged local changes the provider has not seen. Tasks with open
+   * conflicts wait until the user resolves them.
+   */
+  private async getTasksToExport(userId: string, provider: string): Promise<any[]> {
+    const query = db.collection('users').doc(userId).collection('tasks')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(TASK_PAGE_SIZE);
+    const tasks: any[] = [];
+    let last: admin.firestore.QueryDocumentSnapshot | undefined;
+
+    // Firestore cannot compare two fields of a document, so pages are filtered here
+    while (tasks.length < EXPORT_BATCH_LIMIT) {
+      const snapshot = await (last ? query.startAfter(last) : query).get();
+
+      for (const doc of snapshot.docs) {
+        const task: any = { id: doc.id, ...doc.data() };
+        const sync = task.metadata?.sync?.[provider];
+        if (sync?.conflicts?.length) continue;
+
+        if (sync?.pendingPush?.length) {
+          tasks.push(task);
+          if (tasks.length >= EXPORT_BATCH_LIMIT) break;
+          continue;
+        }
+        if (task.metadata?.provider === provider) continue;
+
+        const exportedAt = toDate(task.metadata?.exports?.[provider]?.exportedAt);
+        const updatedAt = toDate(task.updatedAt);
+        if (!exportedAt || (updatedAt && updatedAt > exportedAt)) {
+          tasks.push(task);
+          if (tasks.length >= EXPORT_BATCH_LIMIT) break;
+        }
+      }
 
-    return tasksSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      if (snapshot.size < TASK_PAGE_SIZE) break;
+      last = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    return tasks;
   }
 
   private async testConnection(config: IntegrationConfig): Promise<void> {
@@ -646,7 +1314,7 @@ export class IntegrationService {
   private async testJiraConnection(config: IntegrationConfig): Promise<void> {
     const auth = Buffer.from(`${config.credentials.username}:${config.apiKey}`).toString('base64');
     
-    await axios.get(`${config.baseUrl}/rest/api/2/myself`, {
+    await axios.get(`${this.getApiBaseUrl(config)}/rest/api/2/myself`, {
       headers: {
         'Authorization': `Basic ${auth}`,
         'Accept': 'application/json'
@@ -655,7 +1323,7 @@ export class IntegrationService {
   }
 
   private async testAsanaConnection(config: IntegrationConfig): Promise<void> {
-    await axios.get('https://app.asana.com/api/1.0/users/me', {
+    await axios.get(`${this.getApiBaseUrl(config)}/users/me`, {
       headers: {
         'Authorization': `Bearer ${config.apiKey}`
       }
@@ -686,11 +1354,6 @@ export class IntegrationService {
     }
   }
 
-  private mapAsanaPriority(priority: string): string {
-    // Asana uses different priority system
-    return 'medium';
-  }
-
   private mapTodoistPriority(priority: number): string {
     switch (priority) {
       case 4: return 'critical';
@@ -723,12 +1386,196 @@ export class IntegrationService {
       case 'closed':
       case 'resolved': return 'completed';
       case 'in progress':
+      case 'in_progress':
       case 'in-progress':
       case 'doing': return 'in_progress';
       default: return 'todo';
     }
   }
 
+  private getLocalStatus(task: any): LocalStatus {
+    if (task.isCompleted || task.status === 'completed') return 'completed';
+    return task.status === 'in_progress' ? 'in_progress' : 'todo';
+  }
+
+  /**
+   * Jira workflows name statuses freely; the status category is what they share
+   */
+  private mapJiraStatus(status: any): string {
+    switch (status?.statusCategory?.key) {
+      case 'done': return 'done';
+      case 'indeterminate': return 'in progress';
+      case 'new': return 'todo';
+      default: return status?.name || 'todo';
+    }
+  }
+
+  /**
+   * A card's status is the one whose configured list it sits in, or its due-date checkbox
+   */
+  private mapTrelloStatus(config: IntegrationConfig, listId: string | undefined, dueComplete: boolean): string {
+    const lists: Record<string, string> = config.settings.lists || {};
+    const status = Object.keys(lists).find(key => lists[key] === listId);
+    if (status) return status;
+    return dueComplete ? 'completed' : 'open';
+  }
+
+  private getSyncPolicy(config: IntegrationConfig, field: SyncField): SyncPolicy {
+    const fieldPolicy = config.settings?.fieldPolicies?.[field];
+    if (isSyncPolicy(fieldPolicy)) return fieldPolicy;
+    return isSyncPolicy(config.settings?.syncPolicy) ? config.settings.syncPolicy : DEFAULT_SYNC_POLICY;
+  }
+
+  private validateSyncPolicies(settings: Record<string, any> | undefined): void {
+    if (!settings) return;
+
+    if (settings.syncPolicy !== undefined && !isSyncPolicy(settings.syncPolicy)) {
+      throw new Error(`Invalid sync policy: ${settings.syncPolicy}`);
+    }
+    Object.entries(settings.fieldPolicies || {}).forEach(([field, policy]) => {
+      if (!isSyncField(field) || !isSyncPolicy(policy)) {
+        throw new Error(`Invalid sync policy for ${field}: ${policy}`);
+      }
+    });
+  }
+
+  private async getUserTimeZone(userId: string): Promise<string> {
+    const userDoc = await db.collection('users').doc(userId).get();
+    return resolveTimeZone(userDoc.data()?.timezone);
+  }
+
+  /**
+   * A local task's synced fields in the form the ledger compares
+   */
+  private localSyncValues(task: any, timezone: string): SyncValues {
+    const dueDate = toDate(task.dueDate);
+    return {
+      title: task.title || '',
+      description: task.description || '',
+      status: this.getLocalStatus(task),
+      priority: PRIORITIES.includes(task.priority) ? task.priority : 'medium',
+      dueDate: dueDate ? toLocalDateKey(dueDate, timezone) : null,
+      labels: normalizeLabels(task.tags)
+    };
+  }
+
+  /**
+   * The fields a provider reported, in the form the ledger compares.
+   * Fields it does not report are left out, so they never count as changed.
+   */
+  private remoteSyncValues(externalTask: ExternalTask, timezone: string): SyncValues {
+    const values: SyncValues = {
+      title: externalTask.title || '',
+      description: externalTask.description || '',
+      status: this.mapExternalStatus(externalTask.status)
+    };
+
+    const priority = externalTask.priority?.toLowerCase();
+    if (priority && PRIORITIES.includes(priority)) values.priority = priority;
+
+    if (externalTask.dueDate === null) {
+      values.dueDate = null;
+    } else if (externalTask.dueDate) {
+      // Calendar dates are already the user's day; instants are placed in their time zone
+      values.dueDate = externalTask.dueDateOnly
+        ? externalTask.dueDate.toISOString().slice(0, 10)
+        : toLocalDateKey(externalTask.dueDate, timezone);
+    }
+
+    if (externalTask.labels) values.labels = normalizeLabels(externalTask.labels);
+
+    return values;
+  }
+
+  /**
+   * Task fields to write for ledger values. A provider's exact due time is
+   * kept when there is one; calendar dates land at the start of the local day.
+   */
+  private toLocalWrites(values: SyncValues, timezone: string, externalTask?: ExternalTask): Record<string, any> {
+    const writes: Record<string, any> = {};
+
+    (Object.keys(values) as SyncField[]).forEach(field => {
+      const value = values[field];
+      switch (field) {
+        case 'status':
+          writes.status = value;
+          writes.isCompleted = value === 'completed';
+          writes.completedAt = value === 'completed' ? admin.firestore.FieldValue.serverTimestamp() : null;
+          break;
+        case 'dueDate':
+          if (typeof value !== 'string') {
+            writes.dueDate = null;
+          } else if (externalTask?.dueDate && !externalTask.dueDateOnly) {
+            writes.dueDate = externalTask.dueDate.toISOString();
+          } else {
+            const [year, month, day] = value.split('-').map(Number);
+            writes.dueDate = zonedTimeToUtc({ year, month, day }, timezone).toISOString();
+          }
+          break;
+        case 'labels':
+          writes.tags = value || [];
+          break;
+        default:
+          writes[field] = value;
+      }
+    });
+
+    return writes;
+  }
+
+  private ledgerFromBothSides(local: SyncValues, remote: SyncValues): LedgerFields {
+    const ledger: LedgerFields = {};
+    SYNC_FIELDS.forEach(field => {
+      if (remote[field] !== undefined) {
+        ledger[field] = { local: local[field] ?? null, remote: remote[field] as SyncValue };
+      }
+    });
+    return ledger;
+  }
+
+  /**
+   * What the provider will report for a field after we push `value`, so the
+   * next import does not mistake its coarser view for a remote edit
+   */
+  private projectPushedValue(config: IntegrationConfig, field: SyncField, value: SyncValue): SyncValue {
+    if (field === 'labels' && config.provider === 'jira') {
+      return normalizeLabels(((value as string[]) || []).map(tag => tag.replace(/\s+/g, '-')));
+    }
+    if (field !== 'status') return value;
+
+    switch (config.provider) {
+      case 'asana':
+        return value === 'completed' ? 'completed' : 'todo';
+      case 'trello': {
+        const lists = config.settings.lists || {};
+        const listId = lists[value as string] || config.settings.listId;
+        return this.mapExternalStatus(this.mapTrelloStatus(config, listId, value === 'completed'));
+      }
+      default:
+        return value;
+    }
+  }
+
+  private mapPriorityToJira(priority: string): string {
+    switch (priority) {
+      case 'critical': return 'Highest';
+      case 'high': return 'High';
+      case 'low': return 'Low';
+      default: return 'Medium';
+    }
+  }
+
+  private mapCategoryToJiraType(category: string): string {
+    return category === 'testing' ? 'Bug' : 'Task';
+  }
+
+  /**
+   * The API root for a config; `baseUrl` overrides the provider's public API
+   */
+  private getApiBaseUrl(config: IntegrationConfig): string {
+    return (config.baseUrl || this.getProviderBaseUrl(config.provider)).replace(/\/+$/, '');
+  }
+
   private getProviderBaseUrl(provider: string): string {
     switch (provider) {
       case 'jira': return 'https://your-domain.atlassian.net';
@@ -745,7 +1592,7 @@ export class IntegrationService {
     switch (provider) {
       case 'jira':
         return {
-          jql: 'assignee = currentUser() AND status != Done',
+          jql: DEFAULT_JIRA_JQL,
           includeSubtasks: false
         };
       case 'asana':
@@ -764,50 +1611,368 @@ export class IntegrationService {
     }
   }
 
-  // Webhook implementation methods (simplified)
+  // Webhook implementation methods
+
+  private getWebhookBaseUrl(): string {
+    if (process.env.INTEGRATION_WEBHOOK_URL) return process.env.INTEGRATION_WEBHOOK_URL;
+    const region = process.env.FUNCTION_REGION || 'us-central1';
+    return `https://${region}-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/integrationWebhook`;
+  }
+
+  private async setupJiraWebhook(config: IntegrationConfig, webhookUrl: string, events: string[], secret: string): Promise<string> {
+    const auth = Buffer.from(`${config.credentials.username}:${config.apiKey}`).toString('base64');
+    const response = await axios.post(`${this.getApiBaseUrl(config)}/rest/webhooks/1.0/webhook`, {
+      name: 'Focus Flow Timer',
+      url: webhookUrl,
+      events: events.length > 0 ? events : ['jira:issue_created', 'jira:issue_updated', 'jira:issue_deleted'],
+      filters: { 'issue-related-events-section': config.settings.jql || DEFAULT_JIRA_JQL },
+      excludeBody: false,
+      secret
+    }, {
+      headers: { 'Authorization': `Basic ${auth}`, 'Content-Type': 'application/json' }
+    });
 
-  private async setupJiraWebhook(config: IntegrationConfig, webhookUrl: string, events: string[]): Promise<string> {
-    // Implementation would create Jira webhook
-    return 'webhook_id';
+    // Jira identifies the webhook only by its URL, ending in the id
+    return String(response.data.self || '').split('/').pop() || String(response.data.id);
   }
 
   private async setupAsanaWebhook(config: IntegrationConfig, webhookUrl: string, events: string[]): Promise<string> {
-    // Implementation would create Asana webhook
-    return 'webhook_id';
+    if (!config.settings.projectId) {
+      throw new Error('Asana project is not configured');
+    }
+
+    const actions = events.length > 0 ? events : ['added', 'changed', 'removed', 'deleted', 'undeleted'];
+    const response = await axios.post(`${this.getApiBaseUrl(config)}/webhooks`, {
+      data: {
+        resource: config.settings.projectId,
+        target: webhookUrl,
+        filters: actions.map(action => ({ resource_type: 'task', action }))
+      }
+    }, {
+      headers: { 'Authorization': `Bearer ${config.apiKey}`, 'Content-Type': 'application/json' }
+    });
+
+    return String(response.data.data.gid);
+  }
+
+  private async setupGitHubWebhook(config: IntegrationConfig, webhookUrl: string, events: string[], secret: string): Promise<string> {
+    if (!config.settings.repository) {
+      throw new Error('GitHub repository is not configured');
+    }
+
+    const response = await axios.post(`${this.getApiBaseUrl(config)}/repos/${config.settings.repository}/hooks`, {
+      name: 'web',
+      active: true,
+      events: events.length > 0 ? events : ['issues'],
+      config: { url: webhookUrl, content_type: 'json', secret, insecure_ssl: '0' }
+    }, {
+      headers: { 'Authorization': `token ${config.apiKey}`, 'Accept': 'application/vnd.github.v3+json' }
+    });
+
+    return String(response.data.id);
+  }
+
+  /**
+   * Asana proves the endpoint by sending a secret that must be echoed back.
+   * It is only taken while a registration is pending, so nobody can swap it later.
+   */
+  private async completeAsanaHandshake(userId: string, webhookRef: admin.firestore.DocumentReference, secret: string): Promise<void> {
+    await db.runTransaction(async transaction => {
+      const webhook = (await transaction.get(webhookRef)).data();
+      const setupAt = toDate(webhook?.setupAt);
+
+      if (!webhook || webhook.status !== 'pending' || webhook.secret ||
+          !setupAt || Date.now() - setupAt.getTime() > ASANA_HANDSHAKE_WINDOW_MS) {
+        throw new Error('Unexpected webhook handshake');
+      }
+
+      transaction.update(webhookRef, {
+        secret: securityService.encryptData(secret, userId, 'webhooks/asana'),
+        handshakeAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+  }
+
+  /**
+   * HMAC-SHA256 of the raw body with the webhook's secret: GitHub and Jira send
+   * it as "sha256=<hex>", Asana as bare hex
+   */
+  private verifyWebhookSignature(provider: string, secret: string, request: WebhookRequest): boolean {
+    const header = { github: 'x-hub-signature-256', jira: 'x-hub-signature', asana: 'x-hook-signature' }[provider];
+    const signature = header ? this.getHeader(request, header) : undefined;
+    if (!signature) return false;
+
+    const digest = crypto.createHmac('sha256', secret).update(request.rawBody).digest('hex');
+    const expected = Buffer.from(provider === 'asana' ? digest : `sha256=${digest}`);
+    const received = Buffer.from(signature);
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  // When the provider says it sent the delivery; GitHub does not say
+  private getWebhookSentAt(provider: string, payload: any): Date | null {
+    if (provider === 'jira' && typeof payload.timestamp === 'number') {
+      return new Date(payload.timestamp);
+    }
+    if (provider === 'asana' && Array.isArray(payload.events) && payload.events.length > 0) {
+      const times = payload.events
+        .map((event: any) => toDate(event.created_at))
+        .filter((time: Date | null): time is Date => time !== null)
+        .map((time: Date) => time.getTime());
+      return times.length > 0 ? new Date(Math.max(...times)) : null;
+    }
+    return null;
   }
 
-  private async setupGitHubWebhook(config: IntegrationConfig, webhookUrl: string, events: string[]): Promise<string> {
-    // Implementation would create GitHub webhook
-    return 'webhook_id';
+  // The provider's id for the delivery, which its retries share; otherwise the body's digest
+  private getWebhookDeliveryId(provider: string, request: WebhookRequest): string {
+    const header = provider === 'github' ? 'x-github-delivery' : provider === 'jira' ? 'x-atlassian-webhook-identifier' : '';
+    return (header && this.getHeader(request, header)) || crypto.createHash('sha256').update(request.rawBody).digest('hex');
   }
 
-  private verifyWebhookSignature(provider: string, payload: any): boolean {
-    // Implementation would verify webhook signature
-    return true;
+  private getHeader(request: WebhookRequest, name: string): string | undefined {
+    const value = request.headers[name];
+    return Array.isArray(value) ? value[0] : value;
   }
 
-  private async processJiraWebhook(userId: string, payload: any): Promise<void> {
-    // Process Jira webhook payload
+  private async parseWebhookEvents(config: IntegrationConfig, payload: any, githubEvent: string | undefined): Promise<WebhookEvent[]> {
+    switch (config.provider) {
+      case 'jira':
+        return [this.parseJiraWebhook(config, payload)];
+      case 'asana':
+        return this.parseAsanaWebhook(config, payload);
+      default:
+        return [this.parseGitHubWebhook(config, payload, githubEvent || 'unknown')];
+    }
+  }
+
+  private parseJiraWebhook(config: IntegrationConfig, payload: any): WebhookEvent {
+    const event = payload.webhookEvent || 'unknown';
+    const externalId = payload.issue?.key || null;
+
+    if (!payload.issue?.fields) {
+      return { event, externalId, task: null, skipReason: 'Event has no issue' };
+    }
+    if (event === 'jira:issue_deleted') {
+      return { event, externalId, task: null, skipReason: 'Issue deleted' };
+    }
+
+    return { event, externalId, task: this.mapJiraIssue(config, payload.issue) };
+  }
+
+  /**
+   * Asana events only name the task; each changed task is fetched once
+   */
+  private async parseAsanaWebhook(config: IntegrationConfig, payload: any): Promise<WebhookEvent[]> {
+    const fetched = new Map<string, Promise<ExternalTask | null>>();
+    const fetchTask = (gid: string) => {
+      if (!fetched.has(gid)) {
+        fetched.set(gid, axios.get(`${this.getApiBaseUrl(config)}/tasks/${encodeURIComponent(gid)}`, {
+          headers: { 'Authorization': `Bearer ${config.apiKey}` },
+          params: { opt_fields: ASANA_TASK_FIELDS }
+        }).then(
+          response => this.mapAsanaTask(response.data.data),
+          error => {
+            if (error.response?.status === 404) return null;
+            throw error;
+          }
+        ));
+      }
+      return fetched.get(gid) as Promise<ExternalTask | null>;
+    };
+
+    const events: WebhookEvent[] = [];
+    for (const change of payload.events || []) {
+      const event = `${change.resource?.resource_type || 'unknown'}.${change.action || 'unknown'}`;
+      const gid = change.resource?.gid ? String(change.resource.gid) : null;
+
+      if (change.resource?.resource_type !== 'task' || !gid) {
+        events.push({ event, externalId: gid, task: null, skipReason: 'Not a task event' });
+      } else if (change.action === 'deleted' || change.action === 'removed') {
+        events.push({ event, externalId: gid, task: null, skipReason: 'Task deleted or removed' });
+      } else {
+        const task = await fetchTask(gid);
+        events.push(task
+          ? { event, externalId: gid, task }
+          : { event, externalId: gid, task: null, skipReason: 'Task no longer exists' });
+      }
+    }
+
+    return events;
   }
 
-  private async processAsanaWebhook(userId: string, payload: any): Promise<void> {
-    // Process Asana webhook payload
+  private parseGitHubWebhook(config: IntegrationConfig, payload: any, githubEvent: string): WebhookEvent {
+    const event = payload.action ? `${githubEvent}.${payload.action}` : githubEvent;
+    const issue = payload.issue;
+    const externalId = issue?.id ? String(issue.id) : null;
+
+    if (githubEvent !== 'issues' || !issue || issue.pull_request) {
+      return { event, externalId, task: null, skipReason: 'Not an issue event' };
+    }
+    if (payload.repository?.full_name !== config.settings.repository) {
+      return { event, externalId, task: null, skipReason: 'Issue is in another repository' };
+    }
+    if (payload.action === 'deleted') {
+      return { event, externalId, task: null, skipReason: 'Issue deleted' };
+    }
+
+    const username = config.settings.username;
+    if (username && !(issue.assignees || []).some((assignee: any) => assignee.login === username)) {
+      return { event, externalId, task: null, skipReason: 'Issue is not assigned to the user' };
+    }
+
+    return { event, externalId, task: this.mapGitHubIssue(config, issue) };
   }
 
-  private async processGitHubWebhook(userId: string, payload: any): Promise<void> {
-    // Process GitHub webhook payload
+  private async exportToJira(config: IntegrationConfig, task: any, issueKey: string | undefined, timezone: string): Promise<ExportedTaskRef> {
+    const baseUrl = this.getApiBaseUrl(config);
+    const auth = Buffer.from(`${config.credentials.username}:${config.apiKey}`).toString('base64');
+    const headers = {
+      'Authorization': `Basic ${auth}`,
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    };
+
+    const dueDate = toDate(task.dueDate);
+    const category = task.category || 'general';
+    const fields: Record<string, any> = {
+      summary: task.title || 'Untitled task',
+      description: task.description || '',
+      priority: { name: this.mapPriorityToJira(task.priority) },
+      // Jira labels cannot contain spaces
+      labels: normalizeLabels(task.tags).map(tag => tag.replace(/\s+/g, '-')),
+      duedate: dueDate ? toLocalDateKey(dueDate, timezone) : null
+    };
+
+    let key = issueKey;
+    if (key) {
+      await axios.put(`${baseUrl}/rest/api/2/issue/${encodeURIComponent(key)}`, { fields }, { headers });
+    } else {
+      if (!config.settings.projectKey) {
+        throw new Error('Jira project key is not configured');
+      }
+      const response = await axios.post(`${baseUrl}/rest/api/2/issue`, {
+        fields: {
+          ...fields,
+          project: { key: config.settings.projectKey },
+          issuetype: { name: this.mapCategoryToJiraType(category) }
+        }
+      }, { headers });
+      key = response.data.key as string;
+    }
+
+    // Jira only changes status through workflow transitions
+    await this.transitionJiraIssue(baseUrl, headers, key, this.getLocalStatus(task), !issueKey);
+
+    return { externalId: key, url: `${baseUrl}/browse/${key}` };
   }
 
-  private async exportToJira(config: IntegrationConfig, task: any): Promise<void> {
-    // Export task to Jira
+  /**
+   * Move an issue to the status category matching ours, when the workflow allows it
+   */
+  private async transitionJiraIssue(
+    baseUrl: string,
+    headers: Record<string, string>,
+    key: string,
+    status: LocalStatus,
+    created: boolean
+  ): Promise<void> {
+    const target = { todo: 'new', in_progress: 'indeterminate', completed: 'done' }[status];
+    const issueUrl = `${baseUrl}/rest/api/2/issue/${encodeURIComponent(key)}`;
+
+    // New issues start in the workflow's initial "to do" status
+    if (created && target === 'new') return;
+    if (!created) {
+      const issue = await axios.get(issueUrl, { headers, params: { fields: 'status' } });
+      if (issue.data.fields?.status?.statusCategory?.key === target) return;
+    }
+
+    const response = await axios.get(`${issueUrl}/transitions`, { headers });
+    const transition = (response.data.transitions || []).find((t: any) => t.to?.statusCategory?.key === target);
+    if (!transition) {
+      console.warn(`No Jira transition to ${target} available for ${key}`);
+      return;
+    }
+
+    await axios.post(`${issueUrl}/transitions`, { transition: { id: transition.id } }, { headers });
   }
 
-  private async exportToAsana(config: IntegrationConfig, task: any): Promise<void> {
-    // Export task to Asana
+  private async exportToAsana(config: IntegrationConfig, task: any, taskGid: string | undefined, timezone: string): Promise<ExportedTaskRef> {
+    const baseUrl = this.getApiBaseUrl(config);
+    const headers = {
+      'Authorization': `Bearer ${config.apiKey}`,
+      'Content-Type': 'application/json'
+    };
+
+    const dueDate = toDate(task.dueDate);
+    const data: Record<string, any> = {
+      name: task.title || 'Untitled task',
+      notes: task.description || '',
+      completed: this.getLocalStatus(task) === 'completed',
+      due_on: dueDate ? toLocalDateKey(dueDate, timezone) : null
+    };
+
+    // Asana has no built-in priority or category; they map to enum custom fields when configured
+    const customFields: Record<string, string> = {};
+    const fieldSettings = config.settings.customFields || {};
+    const priorityOption = fieldSettings.priority?.options?.[task.priority || 'medium'];
+    const categoryOption = fieldSettings.category?.options?.[task.category || 'general'];
+    if (fieldSettings.priority?.id && priorityOption) customFields[fieldSettings.priority.id] = priorityOption;
+    if (fieldSettings.category?.id && categoryOption) customFields[fieldSettings.category.id] = categoryOption;
+    if (Object.keys(customFields).length > 0) data.custom_fields = customFields;
+
+    let response;
+    if (taskGid) {
+      response = await axios.put(`${baseUrl}/tasks/${encodeURIComponent(taskGid)}`, { data }, { headers });
+    } else {
+      if (config.settings.projectId) {
+        data.projects = [config.settings.projectId];
+      } else if (config.settings.workspace) {
+        data.workspace = config.settings.workspace;
+        data.assignee = 'me';
+      } else {
+        throw new Error('Asana workspace or project is not configured');
+      }
+      response = await axios.post(`${baseUrl}/tasks`, { data }, { headers });
+    }
+
+    const gid = String(response.data.data.gid);
+    return { externalId: gid, url: response.data.data.permalink_url || `https://app.asana.com/0/0/${gid}` };
   }
 
-  private async exportToTrello(config: IntegrationConfig, task: any): Promise<void> {
-    // Export task to Trello
+  private async exportToTrello(config: IntegrationConfig, task: any, cardId: string | undefined): Promise<ExportedTaskRef> {
+    const baseUrl = this.getApiBaseUrl(config);
+    const status = this.getLocalStatus(task);
+
+    // Status maps to a list on the board, falling back to the default list
+    const lists = config.settings.lists || {};
+    const listId = lists[status] || config.settings.listId;
+    if (!cardId && !listId) {
+      throw new Error('Trello list is not configured');
+    }
+
+    // Priority and category map to board labels when configured
+    const labels = config.settings.labels || {};
+    const labelIds = [labels.priority?.[task.priority || 'medium'], labels.category?.[task.category || 'general']]
+      .filter((id: any) => typeof id === 'string' && id);
+
+    const dueDate = toDate(task.dueDate);
+    const params: Record<string, any> = {
+      key: config.credentials.key,
+      token: config.apiKey,
+      name: task.title || 'Untitled task',
+      desc: task.description || '',
+      due: dueDate ? dueDate.toISOString() : '',
+      dueComplete: status === 'completed'
+    };
+    if (listId) params.idList = listId;
+    if (labelIds.length > 0) params.idLabels = labelIds.join(',');
+
+    const response = cardId
+      ? await axios.put(`${baseUrl}/cards/${encodeURIComponent(cardId)}`, null, { params })
+      : await axios.post(`${baseUrl}/cards`, null, { params });
+
+    return { externalId: response.data.id, url: response.data.shortUrl || `https://trello.com/c/${response.data.id}` };
   }
 
   private async updateSyncStatus(userId: string, provider: string, status: any): Promise<void> {
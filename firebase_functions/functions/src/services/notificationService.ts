@@ -5,6 +5,7 @@
 
 import * as admin from 'firebase-admin';
 import * as nodemailer from 'nodemailer';
+import { WeeklyReport, MetricComparison } from './weeklyReport';
 
 const db = admin.firestore();
 const messaging = admin.messaging();
@@ -232,7 +233,7 @@ export class NotificationService {
   /**
    * Send weekly productivity report
    */
-  async sendWeeklyReport(userId: string, reportData: any): Promise<void> {
+  async sendWeeklyReport(userId: string, report: WeeklyReport): Promise<void> {
     try {
       const notificationConfig = await this.getUserNotificationConfig(userId);
       
@@ -242,20 +243,23 @@ export class NotificationService {
 
       // Send email report
       if (notificationConfig.emailEnabled) {
-        await this.sendWeeklyEmailReport(userId, reportData);
+        await this.sendWeeklyEmailReport(userId, report);
       }
 
       // Send push notification summary
       if (notificationConfig.pushEnabled) {
+        const { tasksCompleted, focusTime } = report.metrics;
+        const highlight = report.wins[0] ? ` ${report.wins[0].summary}.` : '';
         const notification: NotificationTemplate = {
-          id: `weekly_report_${Date.now()}`,
+          id: `weekly_report_${report.weekStart}`,
           type: 'push',
           title: '📊 Your Weekly Report is Ready',
-          body: `You completed ${reportData.tasksCompleted} tasks this week!`,
+          body: `You completed ${tasksCompleted} tasks and focused for ${Math.round(focusTime / 60000)} minutes last week.${highlight}`,
           data: {
             type: 'weekly_report',
-            tasksCompleted: reportData.tasksCompleted,
-            totalTime: reportData.totalTime
+            weekStart: report.weekStart,
+            tasksCompleted,
+            focusTime
           },
           action: {
             type: 'deep_link',
@@ -312,6 +316,44 @@ export class NotificationService {
     }
   }
 
+  /**
+   * Tell the user their data export has finished, or that it failed. Only the
+   * request id is sent; the app asks getExportDownloadUrl for a link, so the
+   * notification itself cannot be used to download the export.
+   */
+  async sendExportNotification(userId: string, exportData: {
+    requestId: string;
+    status: 'completed' | 'failed';
+    filename?: string;
+  }): Promise<void> {
+    try {
+      const notificationConfig = await this.getUserNotificationConfig(userId);
+      const ready = exportData.status === 'completed';
+
+      // Exports are requested by the user, so no per-type preference or quiet hours hold them back;
+      // the push and in-app channel switches still decide where they are delivered
+      const notification: NotificationTemplate = {
+        id: `export_${exportData.requestId}`,
+        type: 'push',
+        title: ready ? '📦 Your Data Export is Ready' : 'Data Export Failed',
+        body: ready
+          ? `${exportData.filename} can be downloaded for the next 24 hours.`
+          : 'We could not finish your data export. Please try again.',
+        data: {
+          type: 'data_export',
+          requestId: exportData.requestId,
+          status: exportData.status
+        },
+        action: { type: 'deep_link', value: '/settings/export' }
+      };
+
+      await this.sendNotifications(userId, [notification], notificationConfig);
+
+    } catch (error) {
+      console.error('Export notification error:', error);
+    }
+  }
+
   /**
    * Send custom notification
    */
@@ -617,7 +659,7 @@ export class NotificationService {
     };
   }
 
-  private async sendWeeklyEmailReport(userId: string, reportData: any): Promise<void> {
+  private async sendWeeklyEmailReport(userId: string, report: WeeklyReport): Promise<void> {
     try {
       const userDoc = await db.collection('users').doc(userId).get();
       const userData = userDoc.data();
@@ -626,7 +668,7 @@ export class NotificationService {
         return;
       }
 
-      const htmlContent = this.generateWeeklyReportHTML(reportData);
+      const htmlContent = this.generateWeeklyReportHTML(report);
 
       const mailOptions = {
         from: process.env.EMAIL_USER,
@@ -674,7 +716,11 @@ export class NotificationService {
     `;
   }
 
-  private generateWeeklyReportHTML(reportData: any): string {
+  private generateWeeklyReportHTML(report: WeeklyReport): string {
+    const list = (items: MetricComparison[], empty: string) => items.length > 0
+      ? items.map(item => `<li>${escapeHtml(item.summary)}</li>`).join('')
+      : `<li>${empty}</li>`;
+
     return `
       <!DOCTYPE html>
       <html>
@@ -695,26 +741,30 @@ export class NotificationService {
         <div class="container">
           <div class="header">
             <h1>📊 Your Weekly Report</h1>
-            <p>Here's how you performed this week</p>
+            <p>Week of ${report.weekStart} to ${report.weekEnd}, compared with the week before</p>
           </div>
           <div class="stats">
             <div class="stat">
-              <div class="stat-number">${reportData.tasksCompleted || 0}</div>
+              <div class="stat-number">${report.metrics.tasksCompleted}</div>
               <div>Tasks Completed</div>
             </div>
             <div class="stat">
-              <div class="stat-number">${Math.round((reportData.totalTime || 0) / 60)} min</div>
+              <div class="stat-number">${Math.round(report.metrics.focusTime / 60000)} min</div>
               <div>Focus Time</div>
             </div>
             <div class="stat">
-              <div class="stat-number">${reportData.productivityScore || 0}%</div>
-              <div>Productivity Score</div>
+              <div class="stat-number">${Math.round(report.metrics.completionRate * 100)}%</div>
+              <div>Completion Rate</div>
             </div>
           </div>
           <div class="content">
-            <h3>Key Insights</h3>
+            <h3>Wins</h3>
+            <ul>
+              ${list(report.wins, 'Steady week: nothing changed much.')}
+            </ul>
+            <h3>Worth a Look</h3>
             <ul>
-              ${(reportData.insights || []).map((insight: string) => `<li>${insight}</li>`).join('')}
+              ${list(report.regressions, 'No regressions this week.')}
             </ul>
           </div>
         </div>
@@ -724,4 +774,8 @@ export class NotificationService {
   }
 }
 
+function escapeHtml(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 export const notificationService = new NotificationService();
\ No newline at end of file
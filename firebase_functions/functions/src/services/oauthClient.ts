@@ -0,0 +1,216 @@
+/**
+ * OAuth Client
+ * Authorization code + PKCE against each provider's OAuth 2.0 endpoints:
+ * authorization URLs, code exchange and token refresh
+ */
+
+import * as crypto from 'crypto';
+import axios from 'axios';
+
+export interface OAuthProvider {
+  id: string;
+  authorizeUrl: string;
+  tokenUrl: string;
+  scopes: string[];
+  scopeSeparator: string;
+  clientAuth: 'body' | 'basic'; // client secret in the form body, or as HTTP Basic auth
+  bodyFormat: 'form' | 'json';
+  authorizeParams?: Record<string, string>;
+}
+
+export interface OAuthClientCredentials {
+  clientId: string;
+  clientSecret: string;
+}
+
+export interface OAuthTokens {
+  accessToken: string;
+  refreshToken: string | null;
+  expiresAt: number | null; // epoch milliseconds; null for tokens that do not expire
+  scope: string | null;
+  tokenType: string;
+}
+
+export const OAUTH_PROVIDERS: Record<string, OAuthProvider> = {
+  asana: {
+    id: 'asana',
+    authorizeUrl: 'https://app.asana.com/-/oauth_authorize',
+    tokenUrl: 'https://app.asana.com/-/oauth_token',
+    scopes: ['default'],
+    scopeSeparator: ' ',
+    clientAuth: 'body',
+    bodyFormat: 'form'
+  },
+  github: {
+    id: 'github',
+    authorizeUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    scopes: ['repo'],
+    scopeSeparator: ' ',
+    clientAuth: 'body',
+    bodyFormat: 'form'
+  },
+  todoist: {
+    id: 'todoist',
+    authorizeUrl: 'https://todoist.com/oauth/authorize',
+    tokenUrl: 'https://todoist.com/oauth/access_token',
+    scopes: ['data:read_write'],
+    scopeSeparator: ',',
+    clientAuth: 'body',
+    bodyFormat: 'form'
+  },
+  notion: {
+    id: 'notion',
+    authorizeUrl: 'https://api.notion.com/v1/oauth/authorize',
+    tokenUrl: 'https://api.notion.com/v1/oauth/token',
+    scopes: [],
+    scopeSeparator: ' ',
+    clientAuth: 'basic',
+    bodyFormat: 'json',
+    authorizeParams: { owner: 'user' }
+  }
+};
+
+// Prefix of errors meaning the grant is gone and the user has to connect again
+export const OAUTH_GRANT_REJECTED = 'OAuth grant rejected';
+
+// Token endpoint error codes that no retry will fix
+const GRANT_ERRORS = ['invalid_grant', 'invalid_client', 'unauthorized_client', 'bad_refresh_token', 'bad_verification_code'];
+
+// Tokens this close to expiry are refreshed before use
+const EXPIRY_SKEW_MS = 60 * 1000;
+
+/**
+ * The app's client id and secret for a provider, from
+ * <PROVIDER>_OAUTH_CLIENT_ID and <PROVIDER>_OAUTH_CLIENT_SECRET
+ */
+export function getOAuthClientCredentials(providerId: string): OAuthClientCredentials {
+  const prefix = providerId.toUpperCase();
+  const clientId = process.env[`${prefix}_OAUTH_CLIENT_ID`];
+  const clientSecret = process.env[`${prefix}_OAUTH_CLIENT_SECRET`];
+  if (!clientId || !clientSecret) {
+    throw new Error(`OAuth client is not configured for ${providerId}`);
+  }
+  return { clientId, clientSecret };
+}
+
+/**
+ * A PKCE code verifier and its S256 challenge
+ */
+export function createPkcePair(): { codeVerifier: string; codeChallenge: string } {
+  const codeVerifier = base64Url(crypto.randomBytes(48));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+}
+
+export function buildAuthorizationUrl(
+  provider: OAuthProvider,
+  client: OAuthClientCredentials,
+  options: { redirectUri: string; state: string; codeChallenge: string }
+): string {
+  const url = new URL(provider.authorizeUrl);
+  const params: Record<string, string> = {
+    response_type: 'code',
+    client_id: client.clientId,
+    redirect_uri: options.redirectUri,
+    state: options.state,
+    code_challenge: options.codeChallenge,
+    code_challenge_method: 'S256',
+    ...(provider.scopes.length > 0 ? { scope: provider.scopes.join(provider.scopeSeparator) } : {}),
+    ...(provider.authorizeParams || {})
+  };
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+export async function exchangeAuthorizationCode(
+  provider: OAuthProvider,
+  client: OAuthClientCredentials,
+  options: { code: string; redirectUri: string; codeVerifier: string },
+  now: number = Date.now()
+): Promise<OAuthTokens> {
+  const data = await requestToken(provider, client, {
+    grant_type: 'authorization_code',
+    code: options.code,
+    redirect_uri: options.redirectUri,
+    code_verifier: options.codeVerifier
+  });
+  return toTokens(data, null, now);
+}
+
+/**
+ * Trade a refresh token for a new access token. Providers that rotate refresh
+ * tokens send a new one; the others keep the old one valid.
+ */
+export async function refreshAccessToken(
+  provider: OAuthProvider,
+  client: OAuthClientCredentials,
+  refreshToken: string,
+  now: number = Date.now()
+): Promise<OAuthTokens> {
+  const data = await requestToken(provider, client, {
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken
+  });
+  return toTokens(data, refreshToken, now);
+}
+
+export function isTokenExpired(tokens: { expiresAt?: number | null }, now: number = Date.now()): boolean {
+  return typeof tokens.expiresAt === 'number' && tokens.expiresAt - EXPIRY_SKEW_MS <= now;
+}
+
+export function isGrantRejected(error: unknown): boolean {
+  return error instanceof Error && error.message.startsWith(OAUTH_GRANT_REJECTED);
+}
+
+async function requestToken(provider: OAuthProvider, client: OAuthClientCredentials, params: Record<string, string>): Promise<any> {
+  const body: Record<string, string> = { ...params };
+  const headers: Record<string, string> = { 'Accept': 'application/json' };
+
+  if (provider.clientAuth === 'basic') {
+    headers['Authorization'] = `Basic ${Buffer.from(`${client.clientId}:${client.clientSecret}`).toString('base64')}`;
+  } else {
+    body.client_id = client.clientId;
+    body.client_secret = client.clientSecret;
+  }
+
+  let response;
+  try {
+    response = provider.bodyFormat === 'json'
+      ? await axios.post(provider.tokenUrl, body, { headers: { ...headers, 'Content-Type': 'application/json' } })
+      : await axios.post(provider.tokenUrl, new URLSearchParams(body).toString(), {
+        headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+  } catch (error: any) {
+    throw tokenError(error.response?.data?.error, error.message);
+  }
+
+  // GitHub reports token errors with a 200 status
+  if (response.data?.error || !response.data?.access_token) {
+    throw tokenError(response.data?.error, 'Token response has no access token');
+  }
+
+  return response.data;
+}
+
+function tokenError(code: string | undefined, fallback: string): Error {
+  if (code && GRANT_ERRORS.includes(code)) {
+    return new Error(`${OAUTH_GRANT_REJECTED}: ${code}`);
+  }
+  return new Error(`OAuth token request failed: ${code || fallback}`);
+}
+
+function toTokens(data: any, previousRefreshToken: string | null, now: number): OAuthTokens {
+  const expiresIn = Number(data.expires_in);
+  return {
+    accessToken: String(data.access_token),
+    refreshToken: data.refresh_token ? String(data.refresh_token) : previousRefreshToken,
+    expiresAt: Number.isFinite(expiresIn) && expiresIn > 0 ? now + expiresIn * 1000 : null,
+    scope: typeof data.scope === 'string' ? data.scope : null,
+    tokenType: typeof data.token_type === 'string' ? data.token_type : 'bearer'
+  };
+}
+
+function base64Url(buffer: Buffer): string {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
@@ -0,0 +1,131 @@
+/**
+ * OAuth Service for Focus Flow Timer
+ * Connects integrations through the provider's authorization code flow with
+ * PKCE. Each connect attempt keeps a single-use state record, holding its
+ * code verifier, until the provider redirects back.
+ */
+
+import * as admin from 'firebase-admin';
+import * as crypto from 'crypto';
+import { securityService } from './securityService';
+import { integrationService } from './integrationService';
+import {
+  OAUTH_PROVIDERS,
+  buildAuthorizationUrl,
+  createPkcePair,
+  exchangeAuthorizationCode,
+  getOAuthClientCredentials
+} from './oauthClient';
+
+const db = admin.firestore();
+
+// How long the user has to approve access before the attempt expires
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+export interface OAuthCallbackParams {
+  state?: string;
+  code?: string;
+  error?: string; // set by the provider when the user denies access
+}
+
+export interface OAuthCallbackResult {
+  provider: string;
+  returnUrl: string | null;
+  error: string | null; // access_denied, expired or exchange_failed
+}
+
+export class OAuthService {
+
+  /**
+   * Begin connecting an integration: returns the provider's consent page URL
+   */
+  async startAuthorization(userId: string, provider: string, returnUrl: string | null = null): Promise<{ authorizationUrl: string }> {
+    const definition = OAUTH_PROVIDERS[provider];
+    if (!definition) {
+      throw new Error(`OAuth not supported for ${provider}`);
+    }
+    const client = getOAuthClientCredentials(provider);
+
+    const state = crypto.randomBytes(32).toString('hex');
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    await this.stateRef(state).set({
+      userId,
+      provider,
+      codeVerifier: securityService.encryptData(codeVerifier, userId, `oauth_states/${provider}`),
+      returnUrl,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expireAt: new Date(Date.now() + STATE_TTL_MS)
+    });
+
+    return {
+      authorizationUrl: buildAuthorizationUrl(definition, client, {
+        redirectUri: this.getRedirectUri(),
+        state,
+        codeChallenge
+      })
+    };
+  }
+
+  /**
+   * Finish a connect attempt from the provider's redirect. The state record
+   * is consumed before anything else, so each attempt redeems one code at
+   * most. Throws only for a state that was never issued or is already used.
+   */
+  async handleCallback(params: OAuthCallbackParams): Promise<OAuthCallbackResult> {
+    if (!params.state) {
+      throw new Error('Invalid OAuth state');
+    }
+
+    const ref = this.stateRef(params.state);
+    const attempt = await db.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return null;
+      transaction.delete(ref);
+      return doc.data() as Record<string, any>;
+    });
+    if (!attempt) {
+      throw new Error('Invalid OAuth state');
+    }
+
+    const { userId, provider } = attempt;
+    const result: OAuthCallbackResult = { provider, returnUrl: attempt.returnUrl || null, error: null };
+
+    if (attempt.expireAt.toDate().getTime() < Date.now()) {
+      return { ...result, error: 'expired' };
+    }
+    if (params.error || !params.code) {
+      return { ...result, error: 'access_denied' };
+    }
+
+    try {
+      const codeVerifier = securityService.decryptData(attempt.codeVerifier, userId, `oauth_states/${provider}`);
+      const tokens = await exchangeAuthorizationCode(OAUTH_PROVIDERS[provider], getOAuthClientCredentials(provider), {
+        code: params.code,
+        redirectUri: this.getRedirectUri(),
+        codeVerifier
+      });
+
+      await integrationService.connectOAuth(userId, provider, tokens);
+      console.log(`Connected ${provider} for user ${userId}`);
+      return result;
+
+    } catch (error) {
+      console.error(`OAuth code exchange failed for ${provider}:`, error);
+      return { ...result, error: 'exchange_failed' };
+    }
+  }
+
+  // Stored under a hash, so the records cannot be turned back into working callback URLs
+  private stateRef(state: string): admin.firestore.DocumentReference {
+    return db.collection('oauth_states').doc(crypto.createHash('sha256').update(state).digest('hex'));
+  }
+
+  private getRedirectUri(): string {
+    if (process.env.OAUTH_CALLBACK_URL) return process.env.OAUTH_CALLBACK_URL;
+    const region = process.env.FUNCTION_REGION || 'us-central1';
+    return `https://${region}-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/integrationOAuthCallback`;
+  }
+}
+
+export const oauthService = new OAuthService();
@@ -5,10 +5,31 @@
 
 import * as admin from 'firebase-admin';
 import * as crypto from 'crypto';
+import { KeyRing, parseKeyRing, sealSecret, openSecret, sealedKeyId } from '../utils/secretBox';
 
 const db = admin.firestore();
 const auth = admin.auth();
 
+let cachedKeyRing: { spec: string; ring: KeyRing } | null = null;
+
+/**
+ * Keys from ENCRYPTION_KEYS ("id:base64key,..."); ENCRYPTION_KEY_ID picks the
+ * one that seals new values, otherwise the first. Rotate by adding a key,
+ * making it current, and keeping the old ones until rotateEncryptedSecrets has run.
+ */
+function getKeyRing(): KeyRing {
+  const spec = process.env.ENCRYPTION_KEYS;
+  if (!spec) {
+    throw new Error('Encryption keys are not configured');
+  }
+
+  const cacheKey = `${process.env.ENCRYPTION_KEY_ID || ''}|${spec}`;
+  if (!cachedKeyRing || cachedKeyRing.spec !== cacheKey) {
+    cachedKeyRing = { spec: cacheKey, ring: parseKeyRing(spec, process.env.ENCRYPTION_KEY_ID) };
+  }
+  return cachedKeyRing.ring;
+}
+
 export interface UserPermissions {
   userId: string;
   role: 'user' | 'premium' | 'admin' | 'enterprise';
@@ -334,43 +355,26 @@ export class SecurityService {
   }
 
   /**
-   * Encrypt sensitive data
+   * Encrypt sensitive data with the current key. `purpose` names where the
+   * value is stored; it must match when decrypting.
    */
-  encryptData(data: string, userId: string): string {
-    const algorithm = 'aes-256-gcm';
-    const key = crypto.scryptSync(process.env.ENCRYPTION_KEY || 'key', userId, 32);
-    const iv = crypto.randomBytes(16);
-    
-    const cipher = crypto.createCipher(algorithm, key);
-    cipher.setAAD(Buffer.from(userId));
-    
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    const tag = cipher.getAuthTag();
-    
-    return `${iv.toString('hex')}:${tag.toString('hex')}:${encrypted}`;
+  encryptData(data: string, userId: string, purpose: string = 'default'): string {
+    return sealSecret(data, getKeyRing(), { userId, purpose });
   }
 
   /**
-   * Decrypt sensitive data
+   * Decrypt sensitive data sealed with any key still in the ring
    */
-  decryptData(encryptedData: string, userId: string): string {
-    const algorithm = 'aes-256-gcm';
-    const key = crypto.scryptSync(process.env.ENCRYPTION_KEY || 'key', userId, 32);
-    
-    const [ivHex, tagHex, encrypted] = encryptedData.split(':');
-    const iv = Buffer.from(ivHex, 'hex');
-    const tag = Buffer.from(tagHex, 'hex');
-    
-    const decipher = crypto.createDecipher(algorithm, key);
-    decipher.setAAD(Buffer.from(userId));
-    decipher.setAuthTag(tag);
-    
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+  decryptData(encryptedData: string, userId: string, purpose: string = 'default'): string {
+    return openSecret(encryptedData, getKeyRing(), { userId, purpose });
+  }
+
+  /**
+   * Whether a stored value should be encrypted again: it is plaintext, or
+   * was sealed with a key that is no longer current
+   */
+  needsReencryption(value: unknown): boolean {
+    return sealedKeyId(value) !== getKeyRing().currentKeyId;
   }
 
   /**
@@ -384,8 +388,8 @@ export class SecurityService {
         resource,
         details: details || {},
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        ip: details?.ip,
-        userAgent: details?.userAgent
+        ip: details?.ip || null,
+        userAgent: details?.userAgent || null
       });
     } catch (error) {
       console.error('Audit logging error:', error);
@@ -0,0 +1,148 @@
+/**
+ * Sync Merge
+ * Field-level three-way merge between a local task and its copy in a provider,
+ * against the values both sides had when they were last in sync
+ */
+
+export type SyncField = 'title' | 'description' | 'status' | 'priority' | 'dueDate' | 'labels';
+
+export const SYNC_FIELDS: SyncField[] = ['title', 'description', 'status', 'priority', 'dueDate', 'labels'];
+
+export type SyncPolicy = 'remote_wins' | 'local_wins' | 'newest_wins' | 'flag_conflict';
+
+export const SYNC_POLICIES: SyncPolicy[] = ['remote_wins', 'local_wins', 'newest_wins', 'flag_conflict'];
+
+// Values are compared in normalized form: dates as YYYY-MM-DD, labels sorted
+export type SyncValue = string | string[] | null;
+
+export type SyncValues = Partial<Record<SyncField, SyncValue>>;
+
+// What each side held the last time the field was in sync
+export interface LedgerEntry {
+  local: SyncValue;
+  remote: SyncValue;
+}
+
+export type LedgerFields = Partial<Record<SyncField, LedgerEntry>>;
+
+export interface FieldConflict {
+  field: SyncField;
+  base: LedgerEntry;
+  local: SyncValue;
+  remote: SyncValue;
+}
+
+export interface MergeInput {
+  ledger: LedgerFields;
+  local: SyncValues;
+  remote: SyncValues; // only the fields the provider reports
+  policyFor: (field: SyncField) => SyncPolicy;
+  localUpdatedAt: Date | null;
+  remoteUpdatedAt: Date | null;
+}
+
+export interface MergeResult {
+  localUpdates: SyncValues; // remote values to write to the local task
+  push: SyncField[]; // local changes the provider has not seen yet
+  conflicts: FieldConflict[];
+  ledger: LedgerFields;
+}
+
+/**
+ * Merge each field the provider reports. A field changed on one side only
+ * takes that side's value; a field changed differently on both sides is
+ * settled by the field's policy. Conflicted fields keep their old ledger
+ * entry, so they stay in conflict until resolved. A field without a ledger
+ * entry has never been compared; both sides' values become its baseline.
+ */
+export function mergeSyncFields(input: MergeInput): MergeResult {
+  const result: MergeResult = { localUpdates: {}, push: [], conflicts: [], ledger: { ...input.ledger } };
+
+  SYNC_FIELDS.forEach(field => {
+    if (input.remote[field] === undefined) return;
+
+    const local = input.local[field] ?? null;
+    const remote = input.remote[field] as SyncValue;
+    const base = input.ledger[field];
+
+    if (!base) {
+      result.ledger[field] = { local, remote };
+      return;
+    }
+
+    const localChanged = !sameValue(local, base.local);
+    const remoteChanged = !sameValue(remote, base.remote);
+
+    if (!localChanged && !remoteChanged) return;
+
+    if (remoteChanged && !localChanged) {
+      takeRemote(result, field, remote);
+      return;
+    }
+
+    if (localChanged && !remoteChanged) {
+      takeLocal(result, field, local, base.remote);
+      return;
+    }
+
+    // Both sides moved to the same value
+    if (sameValue(local, remote)) {
+      result.ledger[field] = { local, remote };
+      return;
+    }
+
+    switch (resolvePolicy(input.policyFor(field), input.localUpdatedAt, input.remoteUpdatedAt)) {
+      case 'remote_wins':
+        takeRemote(result, field, remote);
+        break;
+      case 'local_wins':
+        takeLocal(result, field, local, remote);
+        break;
+      default:
+        result.conflicts.push({ field, base, local, remote });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * The policy that actually applies; "newest wins" needs both edit times,
+ * and is flagged for review without them
+ */
+export function resolvePolicy(policy: SyncPolicy, localUpdatedAt: Date | null, remoteUpdatedAt: Date | null): SyncPolicy {
+  if (policy !== 'newest_wins') return policy;
+  if (!localUpdatedAt || !remoteUpdatedAt) return 'flag_conflict';
+  return remoteUpdatedAt.getTime() > localUpdatedAt.getTime() ? 'remote_wins' : 'local_wins';
+}
+
+export function isSyncPolicy(value: unknown): value is SyncPolicy {
+  return typeof value === 'string' && (SYNC_POLICIES as string[]).includes(value);
+}
+
+export function isSyncField(value: unknown): value is SyncField {
+  return typeof value === 'string' && (SYNC_FIELDS as string[]).includes(value);
+}
+
+export function normalizeLabels(labels: unknown): string[] {
+  if (!Array.isArray(labels)) return [];
+  return Array.from(new Set(labels.filter(label => typeof label === 'string' && label.trim()).map(label => label.trim()))).sort();
+}
+
+export function sameValue(a: SyncValue | undefined, b: SyncValue | undefined): boolean {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((value, i) => value === b[i]);
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+function takeRemote(result: MergeResult, field: SyncField, remote: SyncValue): void {
+  result.localUpdates[field] = remote;
+  result.ledger[field] = { local: remote, remote };
+}
+
+// The remote side of the ledger stays as the provider last reported it until the push lands
+function takeLocal(result: MergeResult, field: SyncField, local: SyncValue, remote: SyncValue): void {
+  result.push.push(field);
+  result.ledger[field] = { local, remote };
+}
@@ -0,0 +1,135 @@
+/**
+ * Task Breakdown
+ * Proposes ordered subtasks for complex tasks from category templates
+ * and the action verbs found in the task description
+ */
+
+import { PomodoroSettings, DEFAULT_POMODORO_SETTINGS, pomodoroCount } from '../utils/pomodoro';
+
+export interface SubtaskProposal {
+  order: number;
+  title: string;
+  estimatedDuration: number; // minutes
+  pomodoroCount: number;
+  source: 'template' | 'description' | 'user';
+}
+
+interface TemplateStep {
+  title: string;
+  weight: number;
+}
+
+const CATEGORY_TEMPLATES: Record<string, TemplateStep[]> = {
+  planning: [
+    { title: 'Gather inputs and constraints', weight: 0.25 },
+    { title: 'Draft the plan', weight: 0.45 },
+    { title: 'Review plan with stakeholders', weight: 0.3 }
+  ],
+  coding: [
+    { title: 'Clarify requirements and approach', weight: 0.15 },
+    { title: 'Implement core changes', weight: 0.5 },
+    { title: 'Write and run tests', weight: 0.2 },
+    { title: 'Self-review and clean up', weight: 0.15 }
+  ],
+  testing: [
+    { title: 'Prepare test cases', weight: 0.3 },
+    { title: 'Execute tests', weight: 0.45 },
+    { title: 'Document findings', weight: 0.25 }
+  ],
+  documentation: [
+    { title: 'Outline the document', weight: 0.2 },
+    { title: 'Write the first draft', weight: 0.55 },
+    { title: 'Edit and publish', weight: 0.25 }
+  ],
+  meeting: [
+    { title: 'Prepare agenda and materials', weight: 0.3 },
+    { title: 'Hold the meeting', weight: 0.5 },
+    { title: 'Send notes and follow-ups', weight: 0.2 }
+  ],
+  research: [
+    { title: 'Define scope and questions', weight: 0.2 },
+    { title: 'Gather sources', weight: 0.35 },
+    { title: 'Analyze findings', weight: 0.3 },
+    { title: 'Summarize conclusions', weight: 0.15 }
+  ],
+  design: [
+    { title: 'Collect references', weight: 0.2 },
+    { title: 'Sketch wireframes', weight: 0.35 },
+    { title: 'Build high-fidelity design', weight: 0.3 },
+    { title: 'Gather feedback', weight: 0.15 }
+  ],
+  review: [
+    { title: 'Skim for context', weight: 0.2 },
+    { title: 'Detailed review', weight: 0.6 },
+    { title: 'Write up feedback', weight: 0.2 }
+  ],
+  general: [
+    { title: 'Plan the approach', weight: 0.2 },
+    { title: 'Do the main work', weight: 0.6 },
+    { title: 'Wrap up and verify', weight: 0.2 }
+  ]
+};
+
+const ACTION_VERBS = new Set([
+  'add', 'analyze', 'build', 'check', 'clean', 'configure', 'create', 'debug', 'define', 'deploy',
+  'design', 'document', 'draft', 'fix', 'implement', 'integrate', 'investigate', 'migrate', 'optimize',
+  'outline', 'plan', 'prepare', 'prototype', 'publish', 'refactor', 'remove', 'research', 'review',
+  'set', 'setup', 'ship', 'sketch', 'test', 'update', 'validate', 'verify', 'write'
+]);
+
+// Shortest subtask worth scheduling on its own
+const MIN_SUBTASK_MINUTES = 10;
+const MAX_SUBTASKS = 8;
+
+/**
+ * Propose an ordered subtask list that splits the parent's estimated duration
+ */
+export function proposeSubtasks(
+  task: { title: string; description: string; category: string; estimatedDuration: number },
+  settings: PomodoroSettings = DEFAULT_POMODORO_SETTINGS
+): SubtaskProposal[] {
+  const maxSteps = Math.max(1, Math.min(MAX_SUBTASKS, Math.floor(task.estimatedDuration / MIN_SUBTASK_MINUTES)));
+  const actionSteps = extractActionSteps(task.description);
+
+  // Explicit steps in the description beat the generic template
+  const useDescription = actionSteps.length >= 2;
+  const steps: TemplateStep[] = useDescription
+    ? actionSteps.slice(0, maxSteps).map(title => ({ title, weight: 1 }))
+    : (CATEGORY_TEMPLATES[task.category] || CATEGORY_TEMPLATES.general).slice(0, maxSteps);
+
+  const totalWeight = steps.reduce((sum, step) => sum + step.weight, 0);
+
+  return steps.map((step, index) => {
+    const minutes = Math.max(
+      MIN_SUBTASK_MINUTES,
+      Math.round((task.estimatedDuration * step.weight / totalWeight) / 5) * 5
+    );
+    return {
+      order: index + 1,
+      title: step.title,
+      estimatedDuration: minutes,
+      pomodoroCount: pomodoroCount(minutes, settings),
+      source: useDescription ? 'description' : 'template'
+    };
+  });
+}
+
+/**
+ * Pull "verb + object" clauses (bullets, sentences, "then" chains) out of a description
+ */
+function extractActionSteps(description: string): string[] {
+  return (description || '')
+    .split(/\n|[.;!?](?:\s|$)|\s+then\s+|,\s*(?:and\s+)?then\s+/i)
+    .map(clause => clause
+      .replace(/^\s*(?:[-*•]|\d+[.)]|\[\s?\])\s*/, '')
+      .replace(/^(?:and\s+)?(?:then|next|finally)\s+/i, '')
+      .trim())
+    .filter(clause => {
+      const firstWord = clause.split(/\s+/)[0]?.toLowerCase();
+      return clause.split(/\s+/).length >= 2 && ACTION_VERBS.has(firstWord);
+    })
+    .map(clause => {
+      const title = clause.charAt(0).toUpperCase() + clause.slice(1);
+      return title.length > 80 ? `${title.slice(0, 77)}...` : title;
+    });
+}
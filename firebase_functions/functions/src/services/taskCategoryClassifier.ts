@@ -0,0 +1,156 @@
+/**
+ * Task Category Classifier
+ * Offline multinomial naive Bayes over task text, seeded with category keywords
+ * and refined with each user's own labelled tasks
+ */
+
+import { tokenize } from './taskSimilarityIndex';
+
+export const TASK_CATEGORIES = [
+  'planning', 'coding', 'testing', 'documentation', 'meeting', 'research', 'design', 'review'
+] as const;
+
+export type TaskCategory = typeof TASK_CATEGORIES[number];
+
+export interface CategoryModel {
+  documentCounts: Record<string, number>;
+  termCounts: Record<string, Record<string, number>>;
+  totalTerms: Record<string, number>;
+  trainedExamples: number;
+}
+
+export interface CategorySuggestion {
+  category: string;
+  probability: number;
+  source: 'seed' | 'user_model';
+  alternatives: Array<{ category: string; probability: number }>;
+}
+
+const SEED_KEYWORDS: Record<TaskCategory, string[]> = {
+  planning: ['plan', 'planning', 'roadmap', 'sprint', 'backlog', 'prioritize', 'schedule', 'milestone', 'estimate', 'goals', 'okr', 'strategy', 'organize', 'agenda', 'timeline'],
+  coding: ['implement', 'code', 'refactor', 'bug', 'fix', 'feature', 'api', 'endpoint', 'function', 'deploy', 'build', 'migrate', 'database', 'backend', 'frontend', 'develop', 'script', 'integrate'],
+  testing: ['test', 'tests', 'qa', 'regression', 'unit', 'e2e', 'integration', 'coverage', 'verify', 'reproduce', 'validate', 'automation', 'flaky'],
+  documentation: ['document', 'docs', 'readme', 'wiki', 'write', 'guide', 'manual', 'changelog', 'tutorial', 'spec', 'notes', 'handbook'],
+  meeting: ['meeting', 'call', 'sync', 'standup', 'interview', 'retro', 'retrospective', 'demo', 'presentation', 'workshop', 'zoom', 'discuss'],
+  research: ['research', 'investigate', 'explore', 'analyze', 'analysis', 'study', 'evaluate', 'compare', 'survey', 'prototype', 'spike', 'learn', 'read'],
+  design: ['design', 'mockup', 'wireframe', 'ui', 'ux', 'figma', 'layout', 'prototype', 'logo', 'sketch', 'style', 'visual', 'architecture'],
+  review: ['review', 'pr', 'feedback', 'approve', 'audit', 'check', 'proofread', 'critique', 'inspect', 'merge', 'pull', 'request']
+};
+
+// Pseudo-count given to each seed keyword occurrence
+const SEED_WEIGHT = 3;
+
+// Laplace smoothing
+const ALPHA = 1;
+
+// Cap on distinct terms stored per category in a user model
+const MAX_TERMS_PER_CATEGORY = 400;
+
+let seedModel: CategoryModel | null = null;
+
+function getSeedModel(): CategoryModel {
+  if (!seedModel) {
+    seedModel = emptyCategoryModel();
+    TASK_CATEGORIES.forEach(category => {
+      seedModel!.documentCounts[category] = 1;
+      SEED_KEYWORDS[category].forEach(keyword => {
+        tokenize(keyword).forEach(term => {
+          seedModel!.termCounts[category][term] = (seedModel!.termCounts[category][term] || 0) + SEED_WEIGHT;
+          seedModel!.totalTerms[category] += SEED_WEIGHT;
+        });
+      });
+    });
+  }
+  return seedModel;
+}
+
+export function emptyCategoryModel(): CategoryModel {
+  const model: CategoryModel = { documentCounts: {}, termCounts: {}, totalTerms: {}, trainedExamples: 0 };
+  TASK_CATEGORIES.forEach(category => {
+    model.documentCounts[category] = 0;
+    model.termCounts[category] = {};
+    model.totalTerms[category] = 0;
+  });
+  return model;
+}
+
+export function isKnownCategory(category: unknown): category is TaskCategory {
+  return typeof category === 'string' && (TASK_CATEGORIES as readonly string[]).includes(category);
+}
+
+/**
+ * Return a copy of the model with one labelled example added
+ */
+export function addTrainingExample(model: CategoryModel | null, text: string, category: TaskCategory): CategoryModel {
+  const updated = model ? JSON.parse(JSON.stringify(model)) as CategoryModel : emptyCategoryModel();
+  const terms = tokenize(text);
+
+  updated.documentCounts[category] = (updated.documentCounts[category] || 0) + 1;
+  updated.termCounts[category] = updated.termCounts[category] || {};
+  terms.forEach(term => {
+    updated.termCounts[category][term] = (updated.termCounts[category][term] || 0) + 1;
+  });
+  updated.totalTerms[category] = (updated.totalTerms[category] || 0) + terms.length;
+  updated.trainedExamples = (updated.trainedExamples || 0) + 1;
+
+  // Keep the stored document bounded by dropping the rarest terms
+  const entries = Object.entries(updated.termCounts[category]);
+  if (entries.length > MAX_TERMS_PER_CATEGORY) {
+    const kept = entries.sort(([, a], [, b]) => b - a).slice(0, MAX_TERMS_PER_CATEGORY);
+    updated.termCounts[category] = Object.fromEntries(kept);
+    updated.totalTerms[category] = kept.reduce((sum, [, count]) => sum + count, 0);
+  }
+
+  return updated;
+}
+
+export class TaskCategoryClassifier {
+  private vocabulary = new Set<string>();
+
+  constructor(private userModel: CategoryModel | null = null) {
+    [getSeedModel(), userModel].forEach(model => {
+      if (!model) return;
+      Object.values(model.termCounts).forEach(terms => Object.keys(terms).forEach(term => this.vocabulary.add(term)));
+    });
+  }
+
+  /**
+   * Suggest a category for the task text with its posterior probability
+   */
+  classify(text: string): CategorySuggestion {
+    const seed = getSeedModel();
+    const user = this.userModel;
+    // Terms never seen in training carry no class evidence
+    const terms = tokenize(text).filter(term => this.vocabulary.has(term));
+    const totalDocuments = TASK_CATEGORIES.reduce(
+      (sum, c) => sum + seed.documentCounts[c] + (user?.documentCounts[c] || 0), 0);
+
+    const logScores = TASK_CATEGORIES.map(category => {
+      const documents = seed.documentCounts[category] + (user?.documentCounts[category] || 0);
+      const totalTerms = seed.totalTerms[category] + (user?.totalTerms[category] || 0);
+      let score = Math.log(documents / totalDocuments);
+
+      terms.forEach(term => {
+        const count = (seed.termCounts[category][term] || 0) + (user?.termCounts[category]?.[term] || 0);
+        score += Math.log((count + ALPHA) / (totalTerms + ALPHA * this.vocabulary.size));
+      });
+
+      return { category, score };
+    });
+
+    // Softmax over log scores
+    const maxScore = Math.max(...logScores.map(s => s.score));
+    const weights = logScores.map(s => ({ category: s.category, weight: Math.exp(s.score - maxScore) }));
+    const total = weights.reduce((sum, w) => sum + w.weight, 0);
+    const ranked = weights
+      .map(w => ({ category: w.category, probability: Math.round((w.weight / total) * 1000) / 1000 }))
+      .sort((a, b) => b.probability - a.probability);
+
+    return {
+      category: ranked[0].category,
+      probability: ranked[0].probability,
+      source: user && user.trainedExamples > 0 ? 'user_model' : 'seed',
+      alternatives: ranked.slice(1, 3)
+    };
+  }
+}
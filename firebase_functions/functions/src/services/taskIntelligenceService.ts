@@ -3,26 +3,101 @@
  * Handles AI-powered task processing and enhancement
  */
 
+import * as admin from 'firebase-admin';
+import { TaskSimilarityIndex, SimilarTask, PrerequisiteMatch } from './taskSimilarityIndex';
+import { parseTaskText, ParsedTaskText } from './taskTextParser';
+import {
+  TaskCategoryClassifier,
+  CategoryModel,
+  CategorySuggestion,
+  TaskCategory,
+  addTrainingExample,
+  isKnownCategory
+} from './taskCategoryClassifier';
+import { resolveTimeZone, startOfLocalWeek, addLocalDays, zonedTimeToUtc, formatLocalDate } from '../utils/timezone';
+import { resolvePomodoroSettings, pomodoroCount } from '../utils/pomodoro';
+import { proposeSubtasks, SubtaskProposal } from './taskBreakdown';
+
+const db = admin.firestore();
 
 interface TaskInput {
   title: string;
   description: string;
   category: string;
   priority: string;
+  userId?: string;
+  taskId?: string;
   userContext?: any;
 }
 
+interface CategoryDurationStats {
+  samples: number;
+  meanActual: number; // minutes
+  m2Actual: number; // sum of squared deviations (Welford)
+  estimatedSamples: number;
+  sumRatio: number; // sum of actual / estimated
+}
+
+interface DurationModel {
+  categories: Record<string, CategoryDurationStats>;
+  totalSamples: number;
+}
+
+interface DurationEstimate {
+  minutes: number;
+  source: 'model' | 'default';
+  samples: number;
+  confidence: number;
+}
+
+interface TaskOutcome {
+  category?: string;
+  estimatedDuration?: number;
+  actualDuration: number;
+  aiData?: { estimatedDuration?: number };
+}
+
+interface CategoryAccuracy {
+  category: string;
+  samples: number;
+  meanAbsoluteError: number; // minutes
+  accuracy: number; // 0-1
+}
+
+interface AccuracyTrendPoint {
+  weekOf: string; // ISO date of the Monday starting the week, in the user's time zone
+  samples: number;
+  meanAbsoluteError: number | null;
+  accuracy: number | null;
+}
+
+export interface IntelligenceSummary {
+  totalTasksProcessed: number;
+  totalOutcomes: number;
+  meanAbsoluteError: number; // minutes
+  averageAccuracy: number; // 0-1
+  topCategories: string[];
+  categoryAccuracy: CategoryAccuracy[];
+  worstCategories: string[];
+  trend: AccuracyTrendPoint[];
+  trendDirection: 'improving' | 'declining' | 'stable';
+  improvementSuggestions: string[];
+}
+
 interface TaskIntelligenceResult {
   estimatedDuration: number;
   complexityScore: number;
   tags: string[];
   suggestedTimeSlots: string[];
   optimizationTips: string[];
-  relatedTasks: string[];
+  relatedTasks: SimilarTask[];
   urgency: string;
   cognitiveLoad: number;
-  prerequisites: string[];
+  prerequisites: PrerequisiteMatch[];
+  suggestedSubtasks: SubtaskProposal[];
   confidence: number;
+  durationEstimate?: DurationEstimate;
+  suggestedCategory?: CategorySuggestion;
   processingMetadata: {
     processedAt: string;
     version: string;
@@ -30,6 +105,35 @@ interface TaskIntelligenceResult {
   };
 }
 
+// Default durations (minutes) used until a user has history in a category
+const CATEGORY_DURATIONS: { [key: string]: number } = {
+  'planning': 30,
+  'coding': 60,
+  'testing': 45,
+  'documentation': 35,
+  'meeting': 30,
+  'research': 90,
+  'design': 75,
+  'review': 20,
+  'general': 25
+};
+
+// Pseudo-sample weight given to the category default when blending with user history
+const PRIOR_WEIGHT = 3;
+
+// Accuracy summary tuning
+const SUMMARY_SAMPLE_LIMIT = 500;
+const MIN_CATEGORY_SAMPLES = 3;
+
+// Complexity at which a task gets a proposed subtask breakdown
+const SUBTASK_COMPLEXITY_THRESHOLD = 0.7;
+
+// Minimum probability before a classified category replaces 'general'
+export const CATEGORY_SUGGESTION_THRESHOLD = 0.4;
+
+// Upper bound on open tasks indexed for related-task detection
+const SIMILARITY_INDEX_LIMIT = 200;
+
 export class TaskIntelligenceService {
 
   /**
@@ -42,17 +146,37 @@ export class TaskIntelligenceService {
       // Start processing timestamp
       const startTime = Date.now();
 
+      // Load the user's learned models and open-task index (if any)
+      const [durationModel, similarityIndex, categoryModel] = taskInput.userId
+        ? await Promise.all([
+            this.getDurationModel(taskInput.userId),
+            this.getSimilarityIndex(taskInput.userId),
+            this.getCategoryModel(taskInput.userId)
+          ])
+        : [null, null, null];
+
+      // Classify the task when the client did not pick a specific category
+      const suggestedCategory = isKnownCategory(taskInput.category)
+        ? undefined
+        : new TaskCategoryClassifier(categoryModel).classify(`${taskInput.title} ${taskInput.description}`);
+      const effectiveInput: TaskInput = suggestedCategory && suggestedCategory.probability >= CATEGORY_SUGGESTION_THRESHOLD
+        ? { ...taskInput, category: suggestedCategory.category }
+        : taskInput;
+
       // Process task using local intelligence (without external AI)
-      const aiResult = this.processTaskLocally(taskInput);
+      const aiResult = this.processTaskLocally(effectiveInput, durationModel, similarityIndex);
 
       // Calculate confidence based on available data
-      const confidence = this.calculateConfidence(taskInput, aiResult);
+      const confidence = this.calculateConfidence(effectiveInput, aiResult);
 
       // Processing metadata
       const processingMetadata = {
         processedAt: new Date().toISOString(),
         version: '1.0.0',
-        methods: ['nlp', 'duration_estimation', 'complexity_analysis', 'recommendations'],
+        methods: ['nlp', 'duration_estimation', 'complexity_analysis', 'recommendations']
+          .concat(aiResult.durationEstimate.source === 'model' ? ['user_duration_model'] : [])
+          .concat(similarityIndex ? ['task_similarity'] : [])
+          .concat(suggestedCategory ? ['category_classification'] : []),
         processingTimeMs: Date.now() - startTime,
       };
 
@@ -66,7 +190,10 @@ export class TaskIntelligenceService {
         urgency: aiResult.urgency,
         cognitiveLoad: aiResult.cognitiveLoad,
         prerequisites: aiResult.prerequisites,
+        suggestedSubtasks: aiResult.suggestedSubtasks,
         confidence,
+        durationEstimate: aiResult.durationEstimate,
+        ...(suggestedCategory && { suggestedCategory }),
         processingMetadata,
       };
 
@@ -81,6 +208,21 @@ export class TaskIntelligenceService {
     }
   }
 
+  /**
+   * Parse quick-add free text into structured task fields, resolving dates
+   * in the user's time zone (explicit timezone wins over the stored one)
+   */
+  async parseTaskText(text: string, options: { userId?: string; timezone?: string; now?: Date } = {}): Promise<ParsedTaskText> {
+    let timezone = options.timezone;
+
+    if (!timezone && options.userId) {
+      const userDoc = await db.collection('users').doc(options.userId).get();
+      timezone = userDoc.data()?.timezone;
+    }
+
+    return parseTaskText(text, resolveTimeZone(timezone), options.now);
+  }
+
   /**
    * Calculate confidence score based on available data and processing results
    */
@@ -109,31 +251,30 @@ export class TaskIntelligenceService {
     // Priority specificity
     if (taskInput.priority !== 'medium') confidence += 0.05;
 
+    // Learned duration history for this category
+    if (aiResult.durationEstimate?.source === 'model') {
+      confidence += 0.1 * aiResult.durationEstimate.confidence;
+    }
+
     return Math.min(confidence, 0.95); // Cap at 95%
   }
 
   /**
    * Process task locally without external AI services
    */
-  private processTaskLocally(taskInput: TaskInput): any {
+  private processTaskLocally(
+    taskInput: TaskInput,
+    durationModel: DurationModel | null = null,
+    similarityIndex: TaskSimilarityIndex | null = null
+  ): any {
     const text = (taskInput.title + ' ' + taskInput.description).toLowerCase();
     
     // Extract basic keywords
     const words = text.split(/\s+/).filter(word => word.length > 3);
     const keywords = [...new Set(words)].slice(0, 5);
 
-    // Estimate duration based on category and complexity
-    const categoryDurations: { [key: string]: number } = {
-      'planning': 30,
-      'coding': 60,
-      'testing': 45,
-      'documentation': 35,
-      'meeting': 30,
-      'research': 90,
-      'design': 75,
-      'review': 20,
-      'general': 25
-    };
+    // Estimate duration from the user's history, falling back to category defaults
+    const durationEstimate = this.estimateDuration(taskInput.category, durationModel);
 
     // Calculate complexity score
     const complexKeywords = [
@@ -152,23 +293,108 @@ export class TaskIntelligenceService {
       'critical': 'critical',
     };
 
+    // Propose a breakdown for complex work
+    const suggestedSubtasks = complexityScore >= SUBTASK_COMPLEXITY_THRESHOLD
+      ? proposeSubtasks({
+          title: taskInput.title,
+          description: taskInput.description,
+          category: taskInput.category,
+          estimatedDuration: durationEstimate.minutes
+        }, resolvePomodoroSettings(taskInput.userContext))
+      : [];
+
+    // Link to similar open tasks and anything this task says it waits on
+    const excludeIds = taskInput.taskId ? [taskInput.taskId] : [];
+    const relatedTasks = similarityIndex
+      ? similarityIndex.findSimilar({ title: taskInput.title, description: taskInput.description }, { excludeIds })
+      : [];
+    const prerequisites = similarityIndex
+      ? similarityIndex.findPrerequisites(`${taskInput.title}\n${taskInput.description}`, { excludeIds })
+      : [];
+
     // Generate basic recommendations
     const timeSlots = this.getTimeSlotRecommendations(taskInput.category);
     const tips = this.getOptimizationTips(taskInput.category);
 
     return {
-      estimatedDuration: categoryDurations[taskInput.category] || 25,
+      estimatedDuration: durationEstimate.minutes,
+      durationEstimate,
       complexityScore,
       tags: [taskInput.category, taskInput.priority, ...keywords],
       suggestedTimeSlots: timeSlots,
       optimizationTips: tips,
-      relatedTasks: [],
+      relatedTasks: relatedTasks.filter(related => !prerequisites.some(p => p.taskId === related.taskId)),
       urgency: priorityUrgencyMap[taskInput.priority] || 'medium',
       cognitiveLoad: complexityScore,
-      prerequisites: []
+      prerequisites,
+      suggestedSubtasks
+    };
+  }
+
+  /**
+   * Estimate task duration for a category by blending the category default
+   * with the user's observed durations (shrinks towards the default while
+   * the sample count is small)
+   */
+  private estimateDuration(category: string, durationModel: DurationModel | null): DurationEstimate {
+    const prior = CATEGORY_DURATIONS[category] || 25;
+    const stats = durationModel?.categories?.[category];
+
+    if (!stats || stats.samples === 0) {
+      return { minutes: prior, source: 'default', samples: 0, confidence: 0 };
+    }
+
+    // Correct the default for the user's systematic over/under-run against estimates
+    let bias = 1;
+    if (stats.estimatedSamples > 0) {
+      const meanRatio = stats.sumRatio / stats.estimatedSamples;
+      const ratioWeight = stats.estimatedSamples / (stats.estimatedSamples + PRIOR_WEIGHT);
+      bias = 1 + (meanRatio - 1) * ratioWeight;
+    }
+
+    const weight = stats.samples / (stats.samples + PRIOR_WEIGHT);
+    const minutes = weight * stats.meanActual + (1 - weight) * prior * bias;
+
+    // Confidence grows with sample count and shrinks with spread
+    const variance = stats.samples > 1 ? stats.m2Actual / (stats.samples - 1) : 0;
+    const coefficientOfVariation = stats.meanActual > 0 ? Math.sqrt(variance) / stats.meanActual : 1;
+    const confidence = weight / (1 + coefficientOfVariation);
+
+    return {
+      minutes: Math.max(5, Math.round(minutes)),
+      source: 'model',
+      samples: stats.samples,
+      confidence: Math.round(Math.min(confidence, 0.95) * 100) / 100,
     };
   }
 
+  /**
+   * Build a similarity index over the user's open tasks
+   */
+  private async getSimilarityIndex(userId: string): Promise<TaskSimilarityIndex | null> {
+    try {
+      const tasksSnapshot = await db.collection('users').doc(userId).collection('tasks')
+        .where('isCompleted', '==', false)
+        .limit(SIMILARITY_INDEX_LIMIT)
+        .get();
+
+      if (tasksSnapshot.empty) return null;
+
+      return new TaskSimilarityIndex(tasksSnapshot.docs.map(doc => {
+        const task = doc.data();
+        return {
+          id: doc.id,
+          title: task.title || '',
+          description: task.description || '',
+          tags: Array.isArray(task.tags) ? task.tags : []
+        };
+      }));
+    } catch (error) {
+      console.error('Error building task similarity index:', error);
+      return null;
+    }
+  }
+
   /**
    * Get time slot recommendations based on category
    */
@@ -288,6 +514,7 @@ export class TaskIntelligenceService {
       urgency: priorityUrgencyMap[taskInput.priority] || 'medium',
       cognitiveLoad: defaults.cognitiveLoad || 0.5,
       prerequisites: [],
+      suggestedSubtasks: [],
       confidence: 0.3, // Lower confidence for fallback
       processingMetadata: {
         processedAt: new Date().toISOString(),
@@ -343,9 +570,10 @@ export class TaskIntelligenceService {
    * Update task intelligence based on completion feedback
    */
   async updateTaskIntelligence(
+    userId: string,
     taskId: string,
-    actualDuration: number,
-    userFeedback: {
+    outcome: TaskOutcome,
+    userFeedback?: {
       accuracyRating: number; // 1-5
       difficultyRating: number; // 1-5
       timeSlotEffectiveness: number; // 1-5
@@ -353,49 +581,290 @@ export class TaskIntelligenceService {
     }
   ): Promise<void> {
     try {
-      // This would be used to improve future predictions
-      // Store feedback for machine learning model training
-      const feedbackData = {
-        taskId,
-        actualDuration,
-        userFeedback,
-        timestamp: new Date().toISOString(),
-      };
+      if (!outcome.actualDuration || outcome.actualDuration <= 0) {
+        return;
+      }
+
+      const category = outcome.category || 'general';
+      const predictedDuration = outcome.aiData?.estimatedDuration ?? null;
+      const estimatedDuration = outcome.estimatedDuration || predictedDuration;
+
+      const userRef = db.collection('users').doc(userId);
+      const feedbackRef = userRef.collection('task_feedback').doc(taskId);
+      const modelRef = userRef.collection('intelligence').doc('duration_model');
+
+      await db.runTransaction(async (transaction) => {
+        const [feedbackDoc, modelDoc] = await Promise.all([
+          transaction.get(feedbackRef),
+          transaction.get(modelRef)
+        ]);
+
+        // Each task only trains the model once
+        if (feedbackDoc.exists) {
+          return;
+        }
+
+        const model = (modelDoc.data() as DurationModel | undefined) || { categories: {}, totalSamples: 0 };
+        const stats: CategoryDurationStats = model.categories?.[category] || {
+          samples: 0,
+          meanActual: 0,
+          m2Actual: 0,
+          estimatedSamples: 0,
+          sumRatio: 0
+        };
+
+        // Welford's online update of mean/variance
+        const samples = stats.samples + 1;
+        const delta = outcome.actualDuration - stats.meanActual;
+        const meanActual = stats.meanActual + delta / samples;
+        const m2Actual = stats.m2Actual + delta * (outcome.actualDuration - meanActual);
+
+        const updatedStats: CategoryDurationStats = {
+          samples,
+          meanActual,
+          m2Actual,
+          estimatedSamples: stats.estimatedSamples + (estimatedDuration ? 1 : 0),
+          sumRatio: stats.sumRatio + (estimatedDuration ? outcome.actualDuration / estimatedDuration : 0)
+        };
+
+        transaction.set(modelRef, {
+          categories: { ...(model.categories || {}), [category]: updatedStats },
+          totalSamples: (model.totalSamples || 0) + 1,
+          lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        transaction.set(feedbackRef, {
+          taskId,
+          category,
+          actualDuration: outcome.actualDuration,
+          estimatedDuration: estimatedDuration || null,
+          predictedDuration,
+          userFeedback: userFeedback || null,
+          recordedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
 
-      console.log('Task intelligence feedback recorded:', feedbackData);
-      
-      // In a production system, this would:
-      // 1. Store feedback in a training dataset
-      // 2. Trigger model retraining if enough feedback is collected
-      // 3. Update user-specific prediction models
-      
     } catch (error) {
       console.error('Error updating task intelligence:', error);
     }
   }
 
   /**
-   * Get intelligence summary for a user's tasks
+   * Create child tasks from an accepted (optionally edited) subtask proposal.
+   * Children are chained in order through `dependencies` and linked to the parent.
+   * A parent only gets one set of children; repeat calls are refused.
    */
-  async getIntelligenceSummary(userId: string): Promise<{
-    totalTasksProcessed: number;
-    averageAccuracy: number;
-    topCategories: string[];
-    improvementSuggestions: string[];
-  }> {
+  async createSubtasks(
+    userId: string,
+    parentTaskId: string,
+    edits?: Array<{ title: string; estimatedDuration?: number }>
+  ): Promise<{ parentTaskId: string; subtasks: Array<SubtaskProposal & { id: string }> }> {
+    const userRef = db.collection('users').doc(userId);
+    const parentRef = userRef.collection('tasks').doc(parentTaskId);
+
+    // Read and write in one transaction, so two concurrent calls cannot both create children
+    return db.runTransaction(async transaction => {
+      const [parentDoc, userDoc] = await Promise.all([transaction.get(parentRef), transaction.get(userRef)]);
+
+      if (!parentDoc.exists) {
+        throw new Error('Parent task not found');
+      }
+      if (parentDoc.data()!.subtaskIds?.length) {
+        throw new Error('Subtasks already created');
+      }
+
+      const parent = parentDoc.data()!;
+      const settings = resolvePomodoroSettings(userDoc.data());
+      const category = parent.category || 'general';
+
+      const proposals: SubtaskProposal[] = edits
+        ? edits.map((edit, index) => {
+            const minutes = Math.round(edit.estimatedDuration || settings.workDuration);
+            return {
+              order: index + 1,
+              title: edit.title.trim(),
+              estimatedDuration: minutes,
+              pomodoroCount: pomodoroCount(minutes, settings),
+              source: 'user' as const
+            };
+          })
+        : (parent.aiData?.suggestedSubtasks?.length
+            ? parent.aiData.suggestedSubtasks
+            : proposeSubtasks({
+                title: parent.title,
+                description: parent.description || '',
+                category,
+                estimatedDuration: parent.aiData?.estimatedDuration || parent.estimatedDuration || settings.workDuration
+              }, settings));
+
+      const created: Array<SubtaskProposal & { id: string }> = [];
+      let previousId: string | null = null;
+
+      for (const proposal of proposals) {
+        const childRef = userRef.collection('tasks').doc();
+        transaction.set(childRef, {
+          title: proposal.title,
+          description: `Step ${proposal.order} of "${parent.title}"`,
+          category,
+          priority: parent.priority || 'medium',
+          tags: parent.tags || [],
+          dueDate: parent.dueDate || null,
+          userId,
+          isCompleted: false,
+          status: 'todo',
+          estimatedDuration: proposal.estimatedDuration,
+          pomodoroCount: proposal.pomodoroCount,
+          parentTaskId,
+          subtaskOrder: proposal.order,
+          dependencies: previousId ? [previousId] : [],
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        created.push({ ...proposal, id: childRef.id });
+        previousId = childRef.id;
+      }
+
+      transaction.update(parentRef, {
+        subtaskIds: created.map(c => c.id),
+        'aiData.subtasksCreatedAt': admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { parentTaskId, subtasks: created };
+    });
+  }
+
+  /**
+   * Train the user's category classifier on a task they labelled themselves
+   */
+  async learnTaskCategory(userId: string, text: string, category: TaskCategory): Promise<void> {
     try {
-      // This would analyze the user's historical task intelligence data
-      // and provide insights about prediction accuracy and suggestions
+      const modelRef = db.collection('users').doc(userId).collection('intelligence').doc('category_model');
+
+      await db.runTransaction(async (transaction) => {
+        const modelDoc = await transaction.get(modelRef);
+        const updated = addTrainingExample((modelDoc.data() as CategoryModel | undefined) || null, text, category);
+
+        transaction.set(modelRef, {
+          ...updated,
+          lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+
+    } catch (error) {
+      console.error('Error training category model:', error);
+    }
+  }
+
+  private async getCategoryModel(userId: string): Promise<CategoryModel | null> {
+    try {
+      const modelDoc = await db.collection('users').doc(userId).collection('intelligence')
+        .doc('category_model')
+        .get();
+      return modelDoc.exists ? modelDoc.data() as CategoryModel : null;
+    } catch (error) {
+      console.error('Error loading category model:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load the user's learned per-category duration model
+   */
+  private async getDurationModel(userId: string): Promise<DurationModel | null> {
+    try {
+      const modelDoc = await db.collection('users').doc(userId).collection('intelligence')
+        .doc('duration_model')
+        .get();
+      return modelDoc.exists ? modelDoc.data() as DurationModel : null;
+    } catch (error) {
+      console.error('Error loading duration model:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get intelligence summary for a user's tasks, computed from stored
+   * predictions and their actual outcomes
+   */
+  async getIntelligenceSummary(userId: string, weeks: number = 8): Promise<IntelligenceSummary> {
+    try {
+      const userRef = db.collection('users').doc(userId);
+
+      const [userDoc, processedCount, feedbackSnapshot] = await Promise.all([
+        userRef.get(),
+        userRef.collection('tasks').where('aiData.processed', '==', true).count().get(),
+        userRef.collection('task_feedback')
+          .orderBy('recordedAt', 'desc')
+          .limit(SUMMARY_SAMPLE_LIMIT)
+          .get()
+      ]);
+
+      // Pair every outcome with the prediction that was made for it
+      const outcomes = feedbackSnapshot.docs
+        .map(doc => doc.data())
+        .filter(f => (f.predictedDuration || f.estimatedDuration) && f.actualDuration > 0)
+        .map(f => {
+          const predicted = f.predictedDuration || f.estimatedDuration;
+          return {
+            category: (f.category as string) || 'general',
+            absoluteError: Math.abs(f.actualDuration - predicted),
+            accuracy: this.predictionAccuracy(predicted, f.actualDuration),
+            recordedAt: f.recordedAt?.toDate ? f.recordedAt.toDate() as Date : new Date()
+          };
+        });
+
+      // Per-category accuracy
+      const byCategory: Record<string, typeof outcomes> = {};
+      outcomes.forEach(outcome => {
+        (byCategory[outcome.category] = byCategory[outcome.category] || []).push(outcome);
+      });
+
+      const categoryAccuracy: CategoryAccuracy[] = Object.entries(byCategory)
+        .map(([category, items]) => ({
+          category,
+          samples: items.length,
+          meanAbsoluteError: this.round(this.mean(items.map(i => i.absoluteError))),
+          accuracy: this.round(this.mean(items.map(i => i.accuracy)))
+        }))
+        .sort((a, b) => b.samples - a.samples);
+
+      // Weekly trend over the user's local Monday-to-Sunday weeks, oldest first
+      const timezone = resolveTimeZone(userDoc.data()?.timezone);
+      const weekStart = startOfLocalWeek(new Date(), timezone);
+      const trend: AccuracyTrendPoint[] = [];
+      for (let i = weeks - 1; i >= 0; i--) {
+        const localStart = addLocalDays(weekStart, -7 * i);
+        const start = zonedTimeToUtc(localStart, timezone);
+        const end = zonedTimeToUtc(addLocalDays(localStart, 7), timezone);
+        const items = outcomes.filter(o => o.recordedAt >= start && o.recordedAt < end);
+        trend.push({
+          weekOf: formatLocalDate(localStart),
+          samples: items.length,
+          meanAbsoluteError: items.length > 0 ? this.round(this.mean(items.map(o => o.absoluteError))) : null,
+          accuracy: items.length > 0 ? this.round(this.mean(items.map(o => o.accuracy))) : null
+        });
+      }
+
+      // Only categories with enough samples are reliable enough to call out
+      const worstCategories = categoryAccuracy
+        .filter(c => c.samples >= MIN_CATEGORY_SAMPLES)
+        .sort((a, b) => a.accuracy - b.accuracy)
+        .slice(0, 3)
+        .map(c => c.category);
+
+      const meanAbsoluteError = outcomes.length > 0 ? this.round(this.mean(outcomes.map(o => o.absoluteError))) : 0;
+      const averageAccuracy = outcomes.length > 0 ? this.round(this.mean(outcomes.map(o => o.accuracy))) : 0;
 
       return {
-        totalTasksProcessed: 0,
-        averageAccuracy: 0,
-        topCategories: [],
-        improvementSuggestions: [
-          'Provide more detailed task descriptions for better estimates',
-          'Use specific categories to improve accuracy',
-          'Rate completed tasks to help improve predictions',
-        ],
+        totalTasksProcessed: processedCount.data().count,
+        totalOutcomes: outcomes.length,
+        meanAbsoluteError,
+        averageAccuracy,
+        topCategories: categoryAccuracy.slice(0, 3).map(c => c.category),
+        categoryAccuracy,
+        worstCategories,
+        trend,
+        trendDirection: this.trendDirection(trend),
+        improvementSuggestions: this.getSummarySuggestions(outcomes.length, averageAccuracy, categoryAccuracy, worstCategories),
       };
 
     } catch (error) {
@@ -403,6 +872,65 @@ export class TaskIntelligenceService {
       throw error;
     }
   }
+
+  /**
+   * Accuracy of a single prediction, using the same formula as analytics
+   * (1 - relative error) but clamped to 0..1
+   */
+  private predictionAccuracy(predicted: number, actual: number): number {
+    return Math.max(0, Math.min(1, 1 - Math.abs(actual - predicted) / predicted));
+  }
+
+  /**
+   * Compare the first and second halves of the weeks that have data
+   */
+  private trendDirection(trend: AccuracyTrendPoint[]): 'improving' | 'declining' | 'stable' {
+    const points = trend.filter(p => p.accuracy !== null).map(p => p.accuracy as number);
+    if (points.length < 2) return 'stable';
+
+    const half = Math.floor(points.length / 2);
+    const delta = this.mean(points.slice(half)) - this.mean(points.slice(0, half));
+
+    if (delta > 0.05) return 'improving';
+    if (delta < -0.05) return 'declining';
+    return 'stable';
+  }
+
+  private getSummarySuggestions(
+    sampleCount: number,
+    averageAccuracy: number,
+    categoryAccuracy: CategoryAccuracy[],
+    worstCategories: string[]
+  ): string[] {
+    const suggestions: string[] = [];
+
+    if (sampleCount < MIN_CATEGORY_SAMPLES * 2) {
+      suggestions.push('Record actual durations when completing tasks so estimates can learn from your history');
+    }
+
+    if (worstCategories.length > 0 && averageAccuracy < 0.7) {
+      suggestions.push(`Estimates are least reliable for ${worstCategories.join(', ')} tasks - consider breaking them down`);
+    }
+
+    const general = categoryAccuracy.find(c => c.category === 'general');
+    if (general && general.samples >= sampleCount / 2) {
+      suggestions.push('Use specific categories to improve accuracy');
+    }
+
+    if (suggestions.length === 0) {
+      suggestions.push('Estimates are tracking your actual durations well - keep rating completed tasks');
+    }
+
+    return suggestions;
+  }
+
+  private mean(values: number[]): number {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+  }
+
+  private round(value: number): number {
+    return Math.round(value * 100) / 100;
+  }
 }
 
 export const taskIntelligenceService = new TaskIntelligenceService();
\ No newline at end of file
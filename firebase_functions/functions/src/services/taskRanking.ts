@@ -0,0 +1,231 @@
+/**
+ * Task Ranking Engine
+ * Scores open tasks on weighted, pluggable signals and explains each score
+ */
+
+import { getZonedParts, toDate } from '../utils/timezone';
+
+export interface RankingContext {
+  now: Date;
+  currentHour: number; // local hour in the user's time zone
+  minutesLeftToday: number; // working minutes left before the end of the day
+  peakHours: number[];
+  openTaskIds: Set<string>;
+  estimationAccuracy: number | null; // 0-1 from the user's analytics
+}
+
+export interface SignalResult {
+  value: number; // 0-1
+  reason: string;
+}
+
+export interface RankingSignal {
+  name: string;
+  weight: number;
+  evaluate(task: any, context: RankingContext): SignalResult;
+}
+
+export interface SignalExplanation {
+  signal: string;
+  value: number;
+  weight: number;
+  contribution: number;
+  reason: string;
+}
+
+export interface RankedTask {
+  task: any;
+  score: number; // 0-1
+  explanation: SignalExplanation[];
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRIORITY_WEIGHTS: Record<string, number> = { low: 1, medium: 2, high: 3, critical: 4 };
+
+// Tasks at or above this cognitive load want peak hours
+const HEAVY_TASK_LOAD = 0.7;
+
+// Default estimate for tasks without one, in minutes
+const DEFAULT_EFFORT_MINUTES = 25;
+
+const prioritySignal: RankingSignal = {
+  name: 'priority',
+  weight: 0.25,
+  evaluate(task) {
+    const priority = PRIORITY_WEIGHTS[task.priority] ? task.priority : 'medium';
+    return { value: PRIORITY_WEIGHTS[priority] / 4, reason: `${capitalize(priority)} priority` };
+  }
+};
+
+const deadlineSignal: RankingSignal = {
+  name: 'deadline',
+  weight: 0.25,
+  evaluate(task, context) {
+    const dueDate = toDate(task.dueDate);
+    if (!dueDate) return { value: 0, reason: 'No due date' };
+
+    const hoursLeft = (dueDate.getTime() - context.now.getTime()) / (60 * 60 * 1000);
+    if (hoursLeft <= 0) return { value: 1, reason: 'Overdue' };
+
+    // Pressure halves roughly every two days of slack
+    const value = Math.exp(-hoursLeft / 72);
+    const reason = hoursLeft < 24
+      ? `Due in ${Math.max(1, Math.round(hoursLeft))}h`
+      : `Due in ${Math.round(hoursLeft / 24)} days`;
+    return { value, reason };
+  }
+};
+
+const ageSignal: RankingSignal = {
+  name: 'age',
+  weight: 0.1,
+  evaluate(task, context) {
+    const createdAt = toDate(task.createdAt);
+    if (!createdAt) return { value: 0, reason: 'Creation date unknown' };
+
+    // Older tasks slowly rise so nothing waits forever
+    const days = Math.max(0, (context.now.getTime() - createdAt.getTime()) / DAY_MS);
+    return {
+      value: Math.min(1, days / 14),
+      reason: days < 1 ? 'Created today' : `Open for ${Math.floor(days)} days`
+    };
+  }
+};
+
+const effortSignal: RankingSignal = {
+  name: 'effort',
+  weight: 0.15,
+  evaluate(task, context) {
+    const estimate = task.aiData?.estimatedDuration || task.estimatedDuration || DEFAULT_EFFORT_MINUTES;
+
+    // Users who underestimate need more room than the estimate says
+    const accuracy = context.estimationAccuracy;
+    const effort = accuracy && accuracy > 0 ? estimate / Math.max(accuracy, 0.5) : estimate;
+
+    if (context.minutesLeftToday <= 0) {
+      return { value: 0.5, reason: 'Outside working hours' };
+    }
+    if (effort <= context.minutesLeftToday) {
+      return { value: 1, reason: `Fits in the ${Math.round(context.minutesLeftToday)} min left today` };
+    }
+    return {
+      value: context.minutesLeftToday / effort,
+      reason: `Needs ~${Math.round(effort)} min, ${Math.round(context.minutesLeftToday)} min left today`
+    };
+  }
+};
+
+const energySignal: RankingSignal = {
+  name: 'energy',
+  weight: 0.1,
+  evaluate(task, context) {
+    const load = task.aiData?.cognitiveLoad;
+    if (typeof load !== 'number') return { value: 0.5, reason: 'Cognitive load unknown' };
+    if (context.peakHours.length === 0) return { value: 0.5, reason: 'Peak hours not measured yet' };
+
+    const isPeak = context.peakHours.includes(context.currentHour);
+    if (load >= HEAVY_TASK_LOAD) {
+      return isPeak
+        ? { value: 1, reason: 'Demanding task during your peak hours' }
+        : { value: 0.3, reason: 'Demanding task outside your peak hours' };
+    }
+    return isPeak
+      ? { value: 0.6, reason: 'Light task during your peak hours' }
+      : { value: 0.8, reason: 'Light task suits an off-peak hour' };
+  }
+};
+
+const dependencySignal: RankingSignal = {
+  name: 'dependencies',
+  weight: 0.15,
+  evaluate(task, context) {
+    // Dependencies that are no longer open have been completed or removed
+    const waiting = (task.dependencies || []).filter((id: string) => context.openTaskIds.has(id));
+    if (waiting.length === 0) return { value: 1, reason: 'Ready to start' };
+    return { value: 0, reason: `Waiting on ${waiting.length} task${waiting.length > 1 ? 's' : ''}` };
+  }
+};
+
+export const DEFAULT_SIGNALS: RankingSignal[] = [
+  prioritySignal,
+  deadlineSignal,
+  ageSignal,
+  effortSignal,
+  energySignal,
+  dependencySignal
+];
+
+export class TaskRanker {
+  private signals: RankingSignal[];
+
+  /**
+   * Signal weights can be overridden by name; a weight of 0 disables a signal
+   */
+  constructor(signals: RankingSignal[] = DEFAULT_SIGNALS, weights: Record<string, number> = {}) {
+    this.signals = signals
+      .map(signal => ({ ...signal, weight: weights[signal.name] ?? signal.weight }))
+      .filter(signal => signal.weight > 0);
+  }
+
+  /**
+   * Score every task and return them best first
+   */
+  rank(tasks: any[], context: RankingContext): RankedTask[] {
+    const totalWeight = this.signals.reduce((sum, signal) => sum + signal.weight, 0) || 1;
+
+    return tasks
+      .map(task => {
+        const explanation = this.signals.map(signal => {
+          const result = signal.evaluate(task, context);
+          const value = Math.min(1, Math.max(0, result.value));
+          return {
+            signal: signal.name,
+            value: round(value),
+            weight: signal.weight,
+            contribution: round(value * signal.weight / totalWeight),
+            reason: result.reason
+          };
+        });
+        const score = explanation.reduce((sum, e) => sum + e.value * e.weight, 0) / totalWeight;
+        return { task, score: round(score), explanation };
+      })
+      .sort((a, b) => b.score - a.score || String(a.task.id).localeCompare(String(b.task.id)));
+  }
+}
+
+/**
+ * Build the ranking context from the user's profile and stored analytics.
+ * Peak hours come from analyticsService.getPeakHours, as for the day planner.
+ */
+export function buildRankingContext(
+  tasks: any[],
+  userData: any,
+  userAnalytics: any,
+  peakHours: number[],
+  timezone: string,
+  now: Date = new Date()
+): RankingContext {
+  const local = getZonedParts(now, timezone);
+  const match = /^(\d{1,2}):(\d{2})$/.exec(userData?.workingHours?.end || '');
+  const endMinutes = match ? Number(match[1]) * 60 + Number(match[2]) : 17 * 60;
+
+  const accuracy = userAnalytics?.metrics?.estimationAccuracy;
+
+  return {
+    now,
+    currentHour: local.hour,
+    minutesLeftToday: Math.max(0, endMinutes - (local.hour * 60 + local.minute)),
+    peakHours,
+    openTaskIds: new Set(tasks.map(task => task.id)),
+    estimationAccuracy: typeof accuracy === 'number' && accuracy > 0 ? accuracy : null
+  };
+}
+
+function capitalize(value: string): string {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,166 @@
+/**
+ * Task Similarity Index
+ * Local TF-IDF index over a user's tasks for related-task and prerequisite detection
+ */
+
+export interface IndexedTask {
+  id: string;
+  title: string;
+  description?: string;
+  tags?: string[];
+}
+
+export interface SimilarTask {
+  taskId: string;
+  title: string;
+  score: number; // cosine similarity 0-1
+}
+
+export interface PrerequisiteMatch extends SimilarTask {
+  phrase: string;
+}
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with',
+  'we', 'our', 'you', 'your', 'i', 'me', 'my', 'do', 'does', 'done', 'need', 'needs', 'task', 'todo'
+]);
+
+// Phrases that introduce something the task has to wait for
+const PREREQUISITE_PATTERN = /\b(?:after|depends on|dependent on|blocked by|requires|waiting (?:on|for)|once)\s+([^.,;:!?\n]+)/gi;
+
+// Title and tag terms describe a task better than its description
+const FIELD_WEIGHTS = { title: 2, description: 1, tags: 2 };
+
+/**
+ * Split text into normalized terms (lower-cased, stop words removed, light stemming)
+ */
+export function tokenize(text: string): string[] {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s#-]/g, ' ')
+    .split(/[\s-]+/)
+    .map(word => word.replace(/^#/, ''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+function stem(word: string): string {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+export class TaskSimilarityIndex {
+  private vectors = new Map<string, Map<string, number>>();
+  private titles = new Map<string, string>();
+  private documentFrequency = new Map<string, number>();
+  private documentCount: number;
+
+  constructor(tasks: IndexedTask[]) {
+    this.documentCount = tasks.length;
+    const termCounts = tasks.map(task => ({ task, counts: this.countTerms(task.title, task.description, task.tags) }));
+
+    termCounts.forEach(({ counts }) => {
+      counts.forEach((_, term) => {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      });
+    });
+
+    termCounts.forEach(({ task, counts }) => {
+      this.vectors.set(task.id, this.weigh(counts));
+      this.titles.set(task.id, task.title);
+    });
+  }
+
+  get size(): number {
+    return this.vectors.size;
+  }
+
+  /**
+   * Find indexed tasks most similar to the given text
+   */
+  findSimilar(
+    query: { title: string; description?: string; tags?: string[] },
+    options: { limit?: number; minScore?: number; excludeIds?: string[] } = {}
+  ): SimilarTask[] {
+    const { limit = 5, minScore = 0.15, excludeIds = [] } = options;
+    const queryVector = this.weigh(this.countTerms(query.title, query.description, query.tags));
+    if (queryVector.size === 0) return [];
+
+    const results: SimilarTask[] = [];
+    this.vectors.forEach((vector, taskId) => {
+      if (excludeIds.includes(taskId)) return;
+      const score = this.cosine(queryVector, vector);
+      if (score >= minScore) {
+        results.push({ taskId, title: this.titles.get(taskId) || '', score: Math.round(score * 100) / 100 });
+      }
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Infer prerequisites from dependency phrases ("after ...", "blocked by ...")
+   * by matching the referenced text against indexed tasks
+   */
+  findPrerequisites(text: string, options: { minScore?: number; excludeIds?: string[] } = {}): PrerequisiteMatch[] {
+    const { minScore = 0.25, excludeIds = [] } = options;
+    const matches = new Map<string, PrerequisiteMatch>();
+
+    const pattern = new RegExp(PREREQUISITE_PATTERN.source, 'gi');
+    let match: RegExpExecArray | null;
+
+    while ((match = pattern.exec(text || '')) !== null) {
+      const phrase = match[1].trim();
+      const [best] = this.findSimilar({ title: phrase }, { limit: 1, minScore, excludeIds });
+
+      if (best && (!matches.has(best.taskId) || matches.get(best.taskId)!.score < best.score)) {
+        matches.set(best.taskId, { ...best, phrase });
+      }
+    }
+
+    return [...matches.values()].sort((a, b) => b.score - a.score);
+  }
+
+  private countTerms(title: string, description?: string, tags?: string[]): Map<string, number> {
+    const counts = new Map<string, number>();
+    const add = (terms: string[], weight: number) => {
+      terms.forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+    };
+
+    add(tokenize(title), FIELD_WEIGHTS.title);
+    add(tokenize(description || ''), FIELD_WEIGHTS.description);
+    add((tags || []).flatMap(tag => tokenize(tag)), FIELD_WEIGHTS.tags);
+    return counts;
+  }
+
+  private weigh(counts: Map<string, number>): Map<string, number> {
+    const documents = this.documentCount || 1;
+    const vector = new Map<string, number>();
+
+    counts.forEach((count, term) => {
+      // Smoothed IDF so terms unseen in the index still carry weight
+      const idf = Math.log((documents + 1) / ((this.documentFrequency.get(term) || 0) + 1)) + 1;
+      vector.set(term, (1 + Math.log(count)) * idf);
+    });
+
+    return vector;
+  }
+
+  private cosine(a: Map<string, number>, b: Map<string, number>): number {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    a.forEach((weight, term) => {
+      normA += weight * weight;
+      const other = b.get(term);
+      if (other) dot += weight * other;
+    });
+    b.forEach(weight => { normB += weight * weight; });
+
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Task Text Parser
+ * Turns quick-add free text into structured task fields
+ *
+ * Example: "Review PR #42 tomorrow 3pm ~45m !high #backend"
+ */
+
+import { getZonedParts, zonedTimeToUtc, addLocalDays } from '../utils/timezone';
+
+export interface ParsedTaskText {
+  title: string;
+  dueDate: string | null; // ISO-8601 UTC instant
+  dueDateHasTime: boolean;
+  estimatedDuration: number | null; // minutes
+  priority: string | null;
+  tags: string[];
+  timezone: string;
+  confidence: {
+    title: number;
+    dueDate: number;
+    estimatedDuration: number;
+    priority: number;
+    tags: number;
+  };
+}
+
+interface LocalDate {
+  year: number;
+  month: number;
+  day: number;
+}
+
+interface Match {
+  start: number;
+  end: number;
+}
+
+const PRIORITY_ALIASES: Record<string, string> = {
+  low: 'low',
+  med: 'medium',
+  medium: 'medium',
+  high: 'high',
+  urgent: 'critical',
+  critical: 'critical'
+};
+
+const WEEKDAY_NAMES: Record<string, number> = {
+  sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5, sat: 6, saturday: 6
+};
+
+const MONTH_NAMES: Record<string, number> = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5,
+  jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+
+const WEEKDAY_PATTERN = Object.keys(WEEKDAY_NAMES).join('|');
+const MONTH_PATTERN = Object.keys(MONTH_NAMES).join('|');
+
+// Leftover connector words that should not end (or start) a title
+const DANGLING_WORDS = /^(?:(?:due|by|at|on|for|before|until)\s+)+|(?:\s+(?:due|by|at|on|for|before|until))+$/i;
+
+// Time used when only a date is given (end of the working day)
+const DEFAULT_DUE_HOUR = 17;
+
+/**
+ * Parse free text into task fields. `now` is injectable so results are deterministic.
+ */
+export function parseTaskText(text: string, timezone: string, now: Date = new Date()): ParsedTaskText {
+  const source = (text || '').replace(/\s+/g, ' ').trim();
+  const consumed: Match[] = [];
+
+  const take = (pattern: RegExp): RegExpExecArray | null => {
+    const regex = new RegExp(pattern.source, pattern.flags.includes('i') ? 'gi' : 'g');
+    let match: RegExpExecArray | null;
+    while ((match = regex.exec(source)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!consumed.some(c => start < c.end && end > c.start)) {
+        consumed.push({ start, end });
+        return match;
+      }
+    }
+    return null;
+  };
+
+  // Tags: #word (numeric references such as "#42" stay in the title)
+  const tags: string[] = [];
+  let tagMatch: RegExpExecArray | null;
+  while ((tagMatch = take(/(?:^|\s)#([a-z][\w-]*)/i)) !== null) {
+    const tag = tagMatch[1].toLowerCase();
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+
+  // Priority: !high, !urgent, !!!, p1-p4, or urgency words such as "asap". The first kind
+  // found in that order sets it; every recognised marker is removed from the title
+  const priorityMarkers: Array<[RegExp, (match: RegExpExecArray) => string, number]> = [
+    [/(?:^|\s)!(low|med|medium|high|urgent|critical)\b/i, match => PRIORITY_ALIASES[match[1].toLowerCase()], 0.95],
+    [/(?:^|\s)(!{1,3})(?=\s|$)/, match => ['medium', 'high', 'critical'][match[1].length - 1], 0.85],
+    [/(?:^|\s)p([1-4])\b/i, match => ['critical', 'high', 'medium', 'low'][Number(match[1]) - 1], 0.85],
+    [/\b(?:asap|urgently)\b/i, () => 'high', 0.6]
+  ];
+  let priority: string | null = null;
+  let priorityConfidence = 0;
+  priorityMarkers.forEach(([pattern, level, confidence]) => {
+    let match: RegExpExecArray | null;
+    while ((match = take(pattern)) !== null) {
+      if (!priority) {
+        priority = level(match);
+        priorityConfidence = confidence;
+      }
+    }
+  });
+
+  // Estimate: ~45m, ~1.5h, ~1h30m, or "for 45 minutes"
+  let estimatedDuration: number | null = null;
+  let estimateConfidence = 0;
+  const tildeEstimate = take(/(?:^|\s)~\s*(\d+(?:\.\d+)?)\s*(h|hr|hrs|hours?|m|min|mins|minutes?)?(?:\s*(\d+)\s*(?:m|min|mins|minutes?))?(?=\s|$)/i);
+  const estimate = tildeEstimate || take(/\bfor\s+(\d+(?:\.\d+)?)\s*(h|hr|hrs|hours?|m|min|mins|minutes?)\b/i);
+  if (estimate) {
+    const amount = parseFloat(estimate[1]);
+    const isHours = /^h/i.test(estimate[2] || '');
+    const extraMinutes = tildeEstimate && estimate[3] ? Number(estimate[3]) : 0;
+    estimatedDuration = Math.round(isHours ? amount * 60 + extraMinutes : amount);
+    estimateConfidence = tildeEstimate ? (estimate[2] ? 0.95 : 0.75) : 0.7;
+  }
+
+  // Due date and time in the user's time zone
+  const today = getZonedParts(now, timezone);
+  const due = parseDueDate(take, today);
+
+  let dueDate: string | null = null;
+  let dueDateConfidence = 0;
+  if (due.date || due.time) {
+    let date = due.date || { year: today.year, month: today.month, day: today.day };
+    const time = due.time || { hour: DEFAULT_DUE_HOUR, minute: 0 };
+
+    // A bare time that has already passed today means tomorrow
+    if (!due.date && (time.hour * 60 + time.minute) <= (today.hour * 60 + today.minute)) {
+      date = addLocalDays(date, 1);
+    }
+
+    dueDate = zonedTimeToUtc({ ...date, ...time }, timezone).toISOString();
+    dueDateConfidence = due.confidence;
+  }
+
+  // Title is whatever is left over
+  const title = consumed
+    .sort((a, b) => b.start - a.start)
+    .reduce((remaining, c) => remaining.slice(0, c.start) + ' ' + remaining.slice(c.end), source)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(DANGLING_WORDS, '')
+    .trim();
+
+  return {
+    title: title || source,
+    dueDate,
+    dueDateHasTime: !!due.time,
+    estimatedDuration,
+    priority,
+    tags,
+    timezone,
+    confidence: {
+      title: title ? (title.split(' ').length >= 2 ? 0.9 : 0.7) : 0.3,
+      dueDate: dueDateConfidence,
+      estimatedDuration: estimateConfidence,
+      priority: priorityConfidence,
+      tags: tags.length > 0 ? 0.95 : 0
+    }
+  };
+}
+
+function parseDueDate(
+  take: (pattern: RegExp) => RegExpExecArray | null,
+  today: { year: number; month: number; day: number; weekday: number }
+): { date: LocalDate | null; time: { hour: number; minute: number } | null; confidence: number } {
+  const todayDate: LocalDate = { year: today.year, month: today.month, day: today.day };
+  let date: LocalDate | null = null;
+  let dateConfidence = 0;
+
+  let match: RegExpExecArray | null;
+  if ((match = take(/\b(\d{4})-(\d{2})-(\d{2})\b/)) !== null) {
+    date = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+    dateConfidence = 0.95;
+  } else if ((match = take(/\b(?:day after tomorrow)\b/i)) !== null) {
+    date = addLocalDays(todayDate, 2);
+    dateConfidence = 0.9;
+  } else if ((match = take(/\b(?:tomorrow|tmrw|tmr)\b/i)) !== null) {
+    date = addLocalDays(todayDate, 1);
+    dateConfidence = 0.9;
+  } else if ((match = take(/\b(?:today|tonight|eod)\b/i)) !== null) {
+    date = todayDate;
+    dateConfidence = 0.9;
+  } else if ((match = take(/\bin\s+(\d+)\s+(days?|weeks?)\b/i)) !== null) {
+    const amount = Number(match[1]) * (/^w/i.test(match[2]) ? 7 : 1);
+    date = addLocalDays(todayDate, amount);
+    dateConfidence = 0.85;
+  } else if ((match = take(new RegExp(`\\b(next\\s+|this\\s+)?(${WEEKDAY_PATTERN})\\b`, 'i'))) !== null) {
+    const target = WEEKDAY_NAMES[match[2].toLowerCase()];
+    let days = (target - today.weekday + 7) % 7;
+    if (days === 0 || /next/i.test(match[1] || '')) days += 7;
+    date = addLocalDays(todayDate, days);
+    dateConfidence = match[1] ? 0.85 : 0.75;
+  } else if ((match = take(new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'))) !== null) {
+    date = nextOccurrence(todayDate, MONTH_NAMES[match[1].toLowerCase()], Number(match[2]));
+    dateConfidence = 0.85;
+  } else if ((match = take(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_PATTERN})\\b`, 'i'))) !== null) {
+    date = nextOccurrence(todayDate, MONTH_NAMES[match[2].toLowerCase()], Number(match[1]));
+    dateConfidence = 0.85;
+  }
+
+  if (date && !isValidDate(date)) {
+    date = null;
+    dateConfidence = 0;
+  }
+
+  // Times: 3pm, 3:30pm, 15:00, noon, midnight
+  let time: { hour: number; minute: number } | null = null;
+  let timeConfidence = 0;
+  if ((match = take(/\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i)) !== null) {
+    const hour = Number(match[1]) % 12 + (match[3].toLowerCase() === 'pm' ? 12 : 0);
+    time = { hour, minute: Number(match[2] || 0) };
+    timeConfidence = Number(match[1]) <= 12 ? 0.9 : 0;
+  } else if ((match = take(/\b(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/)) !== null) {
+    time = { hour: Number(match[1]), minute: Number(match[2]) };
+    timeConfidence = 0.9;
+  } else if ((match = take(/\b(?:at\s+)?(noon|midnight)\b/i)) !== null) {
+    time = { hour: match[1].toLowerCase() === 'noon' ? 12 : 23, minute: match[1].toLowerCase() === 'noon' ? 0 : 59 };
+    timeConfidence = 0.85;
+  }
+
+  if (time && (time.minute > 59 || timeConfidence === 0)) {
+    time = null;
+    timeConfidence = 0;
+  }
+
+  const confidence = date && time
+    ? Math.min(dateConfidence, timeConfidence)
+    : (date ? dateConfidence * 0.9 : timeConfidence * 0.9);
+
+  return { date, time, confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * The next date (today or later) with the given month and day
+ */
+function nextOccurrence(today: LocalDate, month: number, day: number): LocalDate {
+  const thisYear = { year: today.year, month, day };
+  const isPast = month < today.month || (month === today.month && day < today.day);
+  return isPast ? { year: today.year + 1, month, day } : thisYear;
+}
+
+function isValidDate(date: LocalDate): boolean {
+  const check = new Date(Date.UTC(date.year, date.month - 1, date.day));
+  return check.getUTCFullYear() === date.year && check.getUTCMonth() === date.month - 1 && check.getUTCDate() === date.day;
+}
@@ -0,0 +1,43 @@
+/**
+ * User Data Locations
+ * Per-user data the client keeps outside users/{uid}: documents keyed by the
+ * uid, and documents in shared collections tagged with a userId field. Full
+ * exports include them, with their subcollections, and account erasure
+ * deletes them.
+ */
+
+import * as admin from 'firebase-admin';
+
+// The client's LeaderboardType values; each leaderboard keeps one entry per user
+const LEADERBOARD_TYPES = ['productivity', 'focusTime', 'streaks', 'sessions', 'tasks', 'consistency'];
+
+/**
+ * The user's documents outside users/{uid}, by the name exports and erasure
+ * receipts list them under
+ */
+export function getTopLevelUserDocuments(db: admin.firestore.Firestore, userId: string): Record<string, admin.firestore.DocumentReference> {
+  const documents: Record<string, admin.firestore.DocumentReference> = {
+    user_productivity_scores: db.collection('user_productivity_scores').doc(userId),
+    user_achievements: db.collection('user_achievements').doc(userId),
+    leaderboard_users: db.collection('leaderboard_users').doc(userId),
+    goals: db.collection('goals').doc(userId)
+  };
+
+  LEADERBOARD_TYPES.forEach(type => {
+    documents[`leaderboard_entries/${type}`] = db.collection('leaderboards').doc(`LeaderboardType.${type}`)
+      .collection('entries').doc(userId);
+  });
+
+  return documents;
+}
+
+/**
+ * The user's documents in shared top-level collections, by the name exports
+ * and erasure receipts list them under. Top-level sessions get their own name,
+ * since "sessions" is already the subcollection under users/{uid}.
+ */
+export function getTopLevelUserQueries(db: admin.firestore.Firestore, userId: string): Record<string, admin.firestore.Query> {
+  return {
+    top_level_sessions: db.collection('sessions').where('userId', '==', userId)
+  };
+}
@@ -0,0 +1,230 @@
+/**
+ * Weekly Report
+ * Calendar-week metrics from daily rollups, compared with the week before,
+ * with the biggest wins and regressions picked out
+ */
+
+import { deriveDailyMetrics } from './analyticsRollups';
+
+export interface WeeklyMetrics {
+  tasksCreated: number;
+  tasksCompleted: number;
+  completionRate: number; // 0-1, completed over created
+  focusTime: number; // milliseconds
+  focusSessions: number;
+  averageSessionLength: number; // milliseconds per focus session
+  interruptionsPerSession: number;
+  estimationAccuracy: number; // 0-1, pooled over tasks with estimates
+  activeDays: number; // days with at least one session
+  consistency: number; // 0-1, how evenly sessions are spread over the week
+}
+
+export type WeeklyMetricName = keyof WeeklyMetrics;
+
+export interface MetricComparison {
+  metric: WeeklyMetricName;
+  label: string;
+  unit: 'count' | 'duration' | 'ratio';
+  value: number;
+  previous: number;
+  change: number; // value - previous
+  percentChange: number | null; // null when the previous week was zero
+  direction: 'improved' | 'declined' | 'unchanged';
+  summary: string;
+}
+
+export interface CategoryWeek {
+  category: string;
+  completed: number;
+  minutes: number;
+}
+
+export interface WeeklyReport {
+  weekStart: string; // YYYY-MM-DD, the Monday the week starts on in the user's time zone
+  weekEnd: string; // YYYY-MM-DD, the Sunday
+  timezone: string;
+  metrics: WeeklyMetrics;
+  previousMetrics: WeeklyMetrics;
+  comparisons: MetricComparison[];
+  wins: MetricComparison[]; // up to three, biggest first
+  regressions: MetricComparison[]; // up to three, biggest first
+  topCategories: CategoryWeek[];
+}
+
+interface MetricDefinition {
+  metric: WeeklyMetricName;
+  label: string;
+  unit: MetricComparison['unit'];
+  higherIsBetter: boolean;
+  minChange: number; // smaller absolute changes are noise, never a win or regression
+  // Whether the metric means anything for the week; rates need something to be a rate of
+  measured: (metrics: WeeklyMetrics) => boolean;
+}
+
+const MINUTE_MS = 60 * 1000;
+
+const HIGHLIGHT_COUNT = 3;
+
+const METRICS: MetricDefinition[] = [
+  { metric: 'tasksCompleted', label: 'Tasks completed', unit: 'count', higherIsBetter: true, minChange: 1, measured: () => true },
+  { metric: 'completionRate', label: 'Completion rate', unit: 'ratio', higherIsBetter: true, minChange: 0.05, measured: m => m.tasksCreated > 0 },
+  { metric: 'focusTime', label: 'Focus time', unit: 'duration', higherIsBetter: true, minChange: 15 * MINUTE_MS, measured: () => true },
+  { metric: 'focusSessions', label: 'Focus sessions', unit: 'count', higherIsBetter: true, minChange: 1, measured: () => true },
+  { metric: 'averageSessionLength', label: 'Average session length', unit: 'duration', higherIsBetter: true, minChange: 2 * MINUTE_MS, measured: m => m.focusSessions > 0 },
+  { metric: 'interruptionsPerSession', label: 'Interruptions per session', unit: 'count', higherIsBetter: false, minChange: 0.25, measured: m => m.focusSessions > 0 },
+  { metric: 'estimationAccuracy', label: 'Estimation accuracy', unit: 'ratio', higherIsBetter: true, minChange: 0.05, measured: m => m.estimationAccuracy > 0 },
+  { metric: 'activeDays', label: 'Active days', unit: 'count', higherIsBetter: true, minChange: 1, measured: () => true },
+  { metric: 'consistency', label: 'Consistency', unit: 'ratio', higherIsBetter: true, minChange: 0.1, measured: m => m.activeDays > 0 }
+];
+
+/**
+ * Build the report for one week. Both arrays hold seven rollups (or null for
+ * a day without one), Monday first.
+ */
+export function buildWeeklyReport(input: {
+  weekStart: string;
+  weekEnd: string;
+  timezone: string;
+  current: Array<any | null>;
+  previous: Array<any | null>;
+}): WeeklyReport {
+  const metrics = weekMetrics(input.current);
+  const previousMetrics = weekMetrics(input.previous);
+
+  const comparisons: MetricComparison[] = [];
+  const scored: Array<{ comparison: MetricComparison; score: number }> = [];
+
+  METRICS.forEach(definition => {
+    // Rates are only compared when both weeks have something to measure
+    if (!definition.measured(metrics) || !definition.measured(previousMetrics)) return;
+
+    const comparison = compareMetric(definition, metrics[definition.metric], previousMetrics[definition.metric]);
+    comparisons.push(comparison);
+
+    if (comparison.direction !== 'unchanged') {
+      // Rank by relative change; a change from zero counts as 100%
+      const relative = comparison.percentChange !== null ? Math.abs(comparison.percentChange) / 100 : 1;
+      scored.push({ comparison, score: relative });
+    }
+  });
+
+  scored.sort((a, b) => b.score - a.score);
+
+  return {
+    weekStart: input.weekStart,
+    weekEnd: input.weekEnd,
+    timezone: input.timezone,
+    metrics,
+    previousMetrics,
+    comparisons,
+    wins: scored.filter(s => s.comparison.direction === 'improved').slice(0, HIGHLIGHT_COUNT).map(s => s.comparison),
+    regressions: scored.filter(s => s.comparison.direction === 'declined').slice(0, HIGHLIGHT_COUNT).map(s => s.comparison),
+    topCategories: topCategories(input.current)
+  };
+}
+
+/**
+ * Totals and rates for a week of daily rollups
+ */
+export function weekMetrics(days: Array<any | null>): WeeklyMetrics {
+  const daily = days.map(day => deriveDailyMetrics(day));
+  const sum = (values: number[]) => values.reduce((total, value) => total + value, 0);
+
+  const tasksCreated = sum(daily.map(d => d.totalTasks));
+  const tasksCompleted = sum(daily.map(d => d.completedTasks));
+  const focusTime = sum(daily.map(d => d.focusTime));
+  const focusSessions = sum(daily.map(d => d.focusSessions));
+  const interruptions = sum(daily.map(d => d.interruptions));
+  const estimatedTasks = sum(days.map(day => day?.estimatedTasks || 0));
+  const estimationAccuracySum = sum(days.map(day => day?.estimationAccuracySum || 0));
+
+  const sessionCounts = days.map(day => day?.sessions || 0);
+  const averageSessions = sum(sessionCounts) / Math.max(1, sessionCounts.length);
+  const deviation = Math.sqrt(sum(sessionCounts.map(count => Math.pow(count - averageSessions, 2))) / Math.max(1, sessionCounts.length));
+
+  return {
+    tasksCreated,
+    tasksCompleted,
+    completionRate: round(tasksCreated > 0 ? Math.min(1, tasksCompleted / tasksCreated) : 0),
+    focusTime,
+    focusSessions,
+    averageSessionLength: Math.round(focusSessions > 0 ? focusTime / focusSessions : 0),
+    interruptionsPerSession: round(focusSessions > 0 ? interruptions / focusSessions : 0),
+    estimationAccuracy: round(estimatedTasks > 0 ? Math.max(0, estimationAccuracySum / estimatedTasks) : 0),
+    activeDays: sessionCounts.filter(count => count > 0).length,
+    consistency: round(averageSessions > 0 ? Math.max(0, 1 - deviation / averageSessions) : 0)
+  };
+}
+
+function compareMetric(definition: MetricDefinition, value: number, previous: number): MetricComparison {
+  const change = value - previous;
+  const percentChange = previous !== 0 ? round((change / Math.abs(previous)) * 100) : null;
+  const better = definition.higherIsBetter ? change > 0 : change < 0;
+  const direction = Math.abs(change) < definition.minChange ? 'unchanged' : (better ? 'improved' : 'declined');
+
+  return {
+    metric: definition.metric,
+    label: definition.label,
+    unit: definition.unit,
+    value,
+    previous,
+    change: definition.unit === 'duration' ? Math.round(change) : round(change),
+    percentChange,
+    direction,
+    summary: summarize(definition, value, previous, change, percentChange)
+  };
+}
+
+// "Focus time up 35% (4h 10m, was 3h 5m)"
+function summarize(definition: MetricDefinition, value: number, previous: number, change: number, percentChange: number | null): string {
+  if (change === 0) return `${definition.label} unchanged at ${formatValue(value, definition.unit)}`;
+
+  const verb = change > 0 ? 'up' : 'down';
+  const amount = percentChange !== null && definition.unit !== 'ratio'
+    ? `${Math.round(Math.abs(percentChange))}%`
+    : formatChange(Math.abs(change), definition.unit);
+  return `${definition.label} ${verb} ${amount} (${formatValue(value, definition.unit)}, was ${formatValue(previous, definition.unit)})`;
+}
+
+function formatValue(value: number, unit: MetricComparison['unit']): string {
+  switch (unit) {
+    case 'duration': return formatDuration(value);
+    case 'ratio': return `${Math.round(value * 100)}%`;
+    default: return String(Math.round(value * 100) / 100);
+  }
+}
+
+function formatChange(change: number, unit: MetricComparison['unit']): string {
+  return unit === 'ratio' ? `${Math.round(change * 100)} points` : formatValue(change, unit);
+}
+
+function formatDuration(ms: number): string {
+  const minutes = Math.round(ms / MINUTE_MS);
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes}m`;
+  return minutes % 60 === 0 ? `${hours}h` : `${hours}h ${minutes % 60}m`;
+}
+
+/**
+ * Categories with the most completed tasks over the week
+ */
+function topCategories(days: Array<any | null>): CategoryWeek[] {
+  const totals = new Map<string, CategoryWeek>();
+  days.forEach(day => {
+    Object.entries(day?.byCategory || {}).forEach(([category, counters]: [string, any]) => {
+      const entry = totals.get(category) || { category, completed: 0, minutes: 0 };
+      entry.completed += counters?.completed || 0;
+      entry.minutes += counters?.minutes || 0;
+      totals.set(category, entry);
+    });
+  });
+
+  return Array.from(totals.values())
+    .filter(entry => entry.completed > 0 || entry.minutes > 0)
+    .sort((a, b) => b.completed - a.completed || b.minutes - a.minutes)
+    .slice(0, HIGHLIGHT_COUNT);
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
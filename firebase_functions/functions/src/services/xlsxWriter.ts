@@ -0,0 +1,276 @@
+/**
+ * XLSX Writer
+ * Streams export tables as an Office Open XML workbook: one sheet per table,
+ * a bold frozen header row with filters, and typed date, duration and percent
+ * cells. Strings are written inline so rows can be emitted page by page.
+ */
+
+import { ExportColumn, ExportTable, ColumnType, TypedCell } from './exportTables';
+import { ZipWriter } from '../utils/zip';
+import { getTimeZoneOffset, toDate } from '../utils/timezone';
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Indexes into cellXfs in styles.xml
+const STYLE_DEFAULT = 0;
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+const STYLE_DURATION = 3;
+const STYLE_PERCENT = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Serial number of 1970-01-01 in the 1900 date system
+const EXCEL_EPOCH_OFFSET = 25569;
+
+// Excel's limits on characters in one cell and rows in one sheet
+const MAX_CELL_LENGTH = 32767;
+const MAX_ROWS = 1048576;
+
+const STYLES_XML = `${XML_DECLARATION}<styleSheet xmlns="${MAIN_NS}">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/><numFmt numFmtId="165" formatCode="[h]:mm:ss"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/><family val="2"/></font><font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/><family val="2"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FF2F5597"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+interface OpenSheet {
+  columns: ExportColumn[];
+  rows: number; // data rows written so far
+}
+
+/**
+ * Writes a workbook into a ZIP stream. Sheet names are fixed up front; each
+ * sheet is then started, filled with rows in any number of calls, and ended
+ * in that order.
+ */
+export class XlsxWriter {
+  private names: string[];
+  private rowCounts: number[] = [];
+  private columnCounts: number[] = [];
+  private sheet: OpenSheet | null = null;
+
+  constructor(private zip: ZipWriter, sheetNames: string[], private timezone: string = 'UTC', private createdAt: Date = new Date()) {
+    this.names = uniqueSheetNames(sheetNames);
+  }
+
+  /**
+   * Write the package parts that do not depend on the data
+   */
+  async start(): Promise<void> {
+    const modifiedAt = this.createdAt;
+
+    await this.zip.addEntry('[Content_Types].xml', `${XML_DECLARATION}` +
+      `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+      `<Default Extension="xml" ContentType="application/xml"/>` +
+      `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+      this.names.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+      `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+      `<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>` +
+      `<Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>` +
+      `</Types>`, modifiedAt);
+
+    await this.zip.addEntry('_rels/.rels', `${XML_DECLARATION}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+      `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+      `<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>` +
+      `<Relationship Id="rId3" Type="${REL_NS}/extended-properties" Target="docProps/app.xml"/>` +
+      `</Relationships>`, modifiedAt);
+
+    await this.zip.addEntry('docProps/core.xml', `${XML_DECLARATION}` +
+      `<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+      `xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ` +
+      `xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">` +
+      `<dc:title>Focus Flow Timer export</dc:title><dc:creator>Focus Flow Timer</dc:creator>` +
+      `<dcterms:created xsi:type="dcterms:W3CDTF">${this.createdAt.toISOString().split('.')[0]}Z</dcterms:created>` +
+      `</cp:coreProperties>`, modifiedAt);
+
+    await this.zip.addEntry('docProps/app.xml', `${XML_DECLARATION}` +
+      `<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>Focus Flow Timer</Application></Properties>`,
+      modifiedAt);
+
+    await this.zip.addEntry('xl/_rels/workbook.xml.rels', `${XML_DECLARATION}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+      this.names.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+      `<Relationship Id="rId${this.names.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+      `</Relationships>`, modifiedAt);
+
+    await this.zip.addEntry('xl/styles.xml', STYLES_XML, modifiedAt);
+  }
+
+  /**
+   * Begin the next sheet with its header row
+   */
+  async startSheet(columns: ExportColumn[]): Promise<void> {
+    await this.endSheet();
+    const index = this.rowCounts.length;
+    if (index >= this.names.length) throw new Error('More sheets than were declared');
+    this.sheet = { columns, rows: 0 };
+
+    const cols = columns
+      .map((column, c) => `<col min="${c + 1}" max="${c + 1}" width="${column.width || Math.max(10, column.header.length + 2)}" customWidth="1"/>`)
+      .join('');
+    const header = `<row r="1">` + columns
+      .map((column, c) => `<c r="${columnName(c)}1" t="inlineStr" s="${STYLE_HEADER}"><is><t>${escapeXml(column.header)}</t></is></c>`)
+      .join('') + `</row>`;
+
+    await this.zip.startEntry(`xl/worksheets/sheet${index + 1}.xml`, this.createdAt);
+    await this.zip.write(`${XML_DECLARATION}<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+      `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+      `<sheetFormatPr defaultRowHeight="15"/>` +
+      (cols ? `<cols>${cols}</cols>` : '') +
+      `<sheetData>${header}`);
+  }
+
+  /**
+   * Append data rows to the current sheet. Rows beyond Excel's limit are dropped.
+   */
+  async writeRows(rows: any[][]): Promise<void> {
+    const sheet = this.sheet;
+    if (!sheet) throw new Error('No sheet has been started');
+
+    const room = Math.max(0, MAX_ROWS - 1 - sheet.rows);
+    const kept = rows.slice(0, room);
+    const xml = kept.map((row, i) => {
+      const r = sheet.rows + i + 2;
+      const cells = sheet.columns.map((column, c) => cellXml(`${columnName(c)}${r}`, row[c], column.type, this.timezone)).join('');
+      return `<row r="${r}">${cells}</row>`;
+    }).join('');
+
+    sheet.rows += kept.length;
+    if (xml) await this.zip.write(xml);
+  }
+
+  async endSheet(): Promise<void> {
+    const sheet = this.sheet;
+    if (!sheet) return;
+    this.sheet = null;
+
+    const filter = sheet.rows > 0
+      ? `<autoFilter ref="A1:${columnName(Math.max(0, sheet.columns.length - 1))}${sheet.rows + 1}"/>`
+      : '';
+    await this.zip.write(`</sheetData>${filter}</worksheet>`);
+    await this.zip.endEntry();
+
+    this.rowCounts.push(sheet.rows);
+    this.columnCounts.push(sheet.columns.length);
+  }
+
+  /**
+   * Write a whole table as the next sheet
+   */
+  async writeTable(table: ExportTable): Promise<void> {
+    await this.startSheet(table.columns);
+    await this.writeRows(table.rows);
+    await this.endSheet();
+  }
+
+  /**
+   * Write the workbook part, which records each sheet's filter range
+   */
+  async finish(): Promise<void> {
+    await this.endSheet();
+    if (this.rowCounts.length !== this.names.length) throw new Error('Not every declared sheet was written');
+
+    const definedNames = this.names
+      .map((name, i) => this.rowCounts[i] > 0
+        ? `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">` +
+          `${escapeXml(quoteSheetName(name))}!$A$1:$${columnName(Math.max(0, this.columnCounts[i] - 1))}$${this.rowCounts[i] + 1}</definedName>`
+        : '')
+      .join('');
+
+    await this.zip.addEntry('xl/workbook.xml', `${XML_DECLARATION}` +
+      `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><bookViews><workbookView/></bookViews><sheets>` +
+      this.names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+      `</sheets>${definedNames ? `<definedNames>${definedNames}</definedNames>` : ''}</workbook>`, this.createdAt);
+  }
+}
+
+function cellXml(ref: string, raw: any, columnType: ColumnType, timezone: string): string {
+  const typed = raw !== null && typeof raw === 'object' && 'type' in raw && 'value' in raw ? raw as TypedCell : null;
+  const type = typed ? typed.type : columnType;
+  const value = typed ? typed.value : raw;
+
+  if (value === null || value === undefined || value === '') return '';
+
+  switch (type) {
+    case 'date': {
+      const date = toDate(value);
+      if (!date) return '';
+      const serial = (date.getTime() + getTimeZoneOffset(date, timezone)) / DAY_MS + EXCEL_EPOCH_OFFSET;
+      return `<c r="${ref}" s="${STYLE_DATE}"><v>${serial}</v></c>`;
+    }
+    case 'duration':
+      return numberCell(ref, Number(value) / DAY_MS, STYLE_DURATION);
+    case 'percent':
+      return numberCell(ref, Number(value), STYLE_PERCENT);
+    case 'number':
+      return numberCell(ref, Number(value), STYLE_DEFAULT);
+    case 'boolean':
+      return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    default: {
+      const text = String(value).slice(0, MAX_CELL_LENGTH);
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    }
+  }
+}
+
+function numberCell(ref: string, value: number, style: number): string {
+  if (!Number.isFinite(value)) return '';
+  return style === STYLE_DEFAULT
+    ? `<c r="${ref}"><v>${value}</v></c>`
+    : `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+}
+
+/**
+ * Zero-based column index to its letter name (0 -> A, 26 -> AA)
+ */
+function columnName(index: number): string {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+// Sheet names are limited to 31 characters, may not contain []:*?/\ and must be unique
+function uniqueSheetNames(names: string[]): string[] {
+  const used = new Set<string>();
+  return names.map((name, i) => {
+    const base = (name.replace(/[[\]:*?/\\]/g, ' ').trim() || `Sheet${i + 1}`).slice(0, 31);
+    let candidate = base;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      candidate = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+function quoteSheetName(name: string): string {
+  return `'${name.replace(/'/g, "''")}'`;
+}
+
+function escapeXml(value: string): string {
+  return value
+    // Characters that are not allowed anywhere in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
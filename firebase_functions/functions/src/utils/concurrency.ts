@@ -0,0 +1,62 @@
+/**
+ * Concurrency helpers
+ * Bounded parallelism and paginated iteration for jobs that touch many users
+ */
+
+import * as admin from 'firebase-admin';
+
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight, preserving result order
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  worker: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, run));
+  return results;
+}
+
+/**
+ * Walk a query page by page in document-id order, handing each page to `handler`.
+ * Queries with a range filter must pass the filtered field as `orderField`;
+ * pages are then ordered by it first.
+ */
+export async function forEachPage(
+  query: admin.firestore.Query,
+  pageSize: number,
+  handler: (docs: admin.firestore.QueryDocumentSnapshot[]) => Promise<void>,
+  orderField?: string
+): Promise<number> {
+  const ordered = orderField
+    ? query.orderBy(orderField).orderBy(admin.firestore.FieldPath.documentId())
+    : query.orderBy(admin.firestore.FieldPath.documentId());
+  let last: admin.firestore.QueryDocumentSnapshot | undefined;
+  let total = 0;
+
+  for (;;) {
+    let page = ordered.limit(pageSize);
+    if (last) page = page.startAfter(last);
+
+    const snapshot = await page.get();
+    if (snapshot.empty) break;
+
+    await handler(snapshot.docs);
+    total += snapshot.size;
+    last = snapshot.docs[snapshot.docs.length - 1];
+
+    if (snapshot.size < pageSize) break;
+  }
+
+  return total;
+}
@@ -0,0 +1,81 @@
+/**
+ * CSV reader
+ * Parses RFC 4180 CSV, including quoted fields with embedded delimiters,
+ * doubled quotes and line breaks
+ */
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Parse CSV text into records of fields. The delimiter is detected from the
+ * header line when not given. Blank lines are skipped.
+ */
+export function parseCsv(text: string, delimiter?: string): string[][] {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const separator = delimiter || detectDelimiter(input);
+
+  const records: string[][] = [];
+  let record: string[] = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      endRecord();
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (field !== '' || record.length > 0) endRecord();
+  return records;
+}
+
+// The candidate that splits the first line into the most fields, ignoring quoted text
+function detectDelimiter(text: string): string {
+  const newline = text.search(/[\r\n]/);
+  const header = (newline === -1 ? text : text.slice(0, newline)).replace(/"[^"]*"/g, '');
+
+  let best = ',';
+  let bestCount = 0;
+  CANDIDATE_DELIMITERS.forEach(candidate => {
+    const count = header.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  });
+  return best;
+}
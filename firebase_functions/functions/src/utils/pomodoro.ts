@@ -0,0 +1,43 @@
+/**
+ * Pomodoro helpers
+ * Resolve a user's timer lengths and convert durations to pomodoro counts
+ */
+
+export interface PomodoroSettings {
+  workDuration: number; // minutes
+  shortBreakDuration: number; // minutes
+  longBreakDuration: number; // minutes
+  longBreakInterval: number; // focus blocks between long breaks
+}
+
+export const DEFAULT_POMODORO_SETTINGS: PomodoroSettings = {
+  workDuration: 25,
+  shortBreakDuration: 5,
+  longBreakDuration: 15,
+  longBreakInterval: 4
+};
+
+/**
+ * Read timer settings from the user document, ignoring missing or invalid values
+ */
+export function resolvePomodoroSettings(userData: any, overrides: Partial<PomodoroSettings> = {}): PomodoroSettings {
+  const stored = userData?.timerSettings || userData?.settings?.timer || {};
+  const pick = (key: keyof PomodoroSettings): number => {
+    const value = Number(overrides[key] ?? stored[key]);
+    return Number.isFinite(value) && value > 0 && value <= 999 ? Math.round(value) : DEFAULT_POMODORO_SETTINGS[key];
+  };
+
+  return {
+    workDuration: pick('workDuration'),
+    shortBreakDuration: pick('shortBreakDuration'),
+    longBreakDuration: pick('longBreakDuration'),
+    longBreakInterval: pick('longBreakInterval')
+  };
+}
+
+/**
+ * Number of focus blocks needed to cover a duration
+ */
+export function pomodoroCount(minutes: number, settings: PomodoroSettings = DEFAULT_POMODORO_SETTINGS): number {
+  return Math.max(1, Math.ceil(minutes / settings.workDuration));
+}
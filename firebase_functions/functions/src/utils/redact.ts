@@ -0,0 +1,34 @@
+/**
+ * Secret redaction
+ * Masks credential fields (API keys, tokens, passwords, secrets) in stored
+ * documents before they leave the backend
+ */
+
+export const REDACTED = '[redacted]';
+
+// Field names that hold credentials, matched case-insensitively anywhere in the name
+const SECRET_FIELD_PATTERN = /(secret|token|password|passphrase|api_?key|private_?key|credential)/i;
+
+export function isSecretField(name: string): boolean {
+  return SECRET_FIELD_PATTERN.test(name);
+}
+
+/**
+ * Deep copy of `value` with every secret field replaced by REDACTED.
+ * Empty values are kept as they are, so a missing credential stays visible.
+ */
+export function redactSecrets(value: any): any {
+  if (Array.isArray(value)) {
+    return value.map(item => redactSecrets(item));
+  }
+  if (value === null || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+
+  const result: Record<string, any> = {};
+  for (const [key, field] of Object.entries(value)) {
+    const empty = field === null || field === undefined || field === '';
+    result[key] = isSecretField(key) && !empty ? REDACTED : redactSecrets(field);
+  }
+  return result;
+}
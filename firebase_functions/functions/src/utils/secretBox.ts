@@ -0,0 +1,131 @@
+/**
+ * Secret box
+ * Versioned authenticated encryption for stored secrets. Each value names the
+ * key that sealed it, so keys can be rotated without losing older values.
+ *
+ * Sealed format: ffsec:v1:<keyId>:<iv>:<tag>:<ciphertext>, parts base64url
+ */
+
+import * as crypto from 'crypto';
+
+const PREFIX = 'ffsec';
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+export interface KeyRing {
+  currentKeyId: string;
+  keys: Map<string, Buffer>;
+}
+
+// Who a secret belongs to and where it is stored; a sealed value only opens in the same place
+export interface SecretContext {
+  userId: string;
+  purpose: string;
+}
+
+/**
+ * Build a key ring from "id:base64key,id:base64key". The current key seals
+ * new values; the others only open values sealed before a rotation.
+ */
+export function parseKeyRing(spec: string, currentKeyId?: string): KeyRing {
+  const keys = new Map<string, Buffer>();
+
+  spec.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator <= 0 || !KEY_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid encryption key id in "${id || entry.slice(0, 8)}..."`);
+    }
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`Encryption key ${id} must be ${KEY_BYTES} bytes`);
+    }
+    if (keys.has(id)) {
+      throw new Error(`Duplicate encryption key id ${id}`);
+    }
+    keys.set(id, key);
+  });
+
+  if (keys.size === 0) {
+    throw new Error('No encryption keys configured');
+  }
+
+  const current = currentKeyId || keys.keys().next().value as string;
+  if (!keys.has(current)) {
+    throw new Error(`Current encryption key ${current} is not in the key ring`);
+  }
+
+  return { currentKeyId: current, keys };
+}
+
+export function sealSecret(plaintext: string, ring: KeyRing, context: SecretContext): string {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(ring, ring.currentKeyId, context), iv);
+  cipher.setAAD(additionalData(ring.currentKeyId, context));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [PREFIX, VERSION, ring.currentKeyId, encode(iv), encode(cipher.getAuthTag()), encode(ciphertext)].join(':');
+}
+
+/**
+ * Open a sealed value. Throws if it was altered, sealed for another context,
+ * or sealed with a key no longer in the ring.
+ */
+export function openSecret(sealed: string, ring: KeyRing, context: SecretContext): string {
+  const parts = sealed.split(':');
+  if (parts.length !== 6 || parts[0] !== PREFIX) {
+    throw new Error('Not a sealed secret');
+  }
+
+  const [, version, keyId, iv, tag, ciphertext] = parts;
+  if (version !== VERSION) {
+    throw new Error(`Unsupported secret version ${version}`);
+  }
+  if (!ring.keys.has(keyId)) {
+    throw new Error(`Encryption key ${keyId} is not in the key ring`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(ring, keyId, context), decode(iv));
+  decipher.setAAD(additionalData(keyId, context));
+  decipher.setAuthTag(decode(tag));
+
+  try {
+    return Buffer.concat([decipher.update(decode(ciphertext)), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Secret failed authentication');
+  }
+}
+
+export function isSealedSecret(value: unknown): value is string {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * The key a value was sealed with, or null for anything not sealed
+ */
+export function sealedKeyId(value: unknown): string | null {
+  return isSealedSecret(value) ? value.split(':')[2] || null : null;
+}
+
+// Each user gets their own key, so one user's ciphertext says nothing about another's
+function deriveKey(ring: KeyRing, keyId: string, context: SecretContext): Buffer {
+  const master = ring.keys.get(keyId) as Buffer;
+  return Buffer.from(crypto.hkdfSync('sha256', master, context.userId, `focus-flow-secrets:${VERSION}`, KEY_BYTES));
+}
+
+function additionalData(keyId: string, context: SecretContext): Buffer {
+  return Buffer.from(`${VERSION}:${keyId}:${context.userId}:${context.purpose}`, 'utf8');
+}
+
+function encode(buffer: Buffer): string {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decode(value: string): Buffer {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
@@ -0,0 +1,78 @@
+/**
+ * Byte sinks
+ * Destinations for streamed export output: a Node writable stream (such as a
+ * Storage upload) with backpressure, or an in-memory buffer
+ */
+
+import { Writable } from 'stream';
+
+export interface ByteSink {
+  write(chunk: Buffer | string): Promise<void>;
+  readonly bytesWritten: number;
+}
+
+/**
+ * Writes to a Node stream, waiting for 'drain' when its buffer is full
+ */
+export class WritableSink implements ByteSink {
+  bytesWritten = 0;
+  private error: Error | null = null;
+
+  constructor(private stream: Writable) {
+    stream.on('error', error => {
+      this.error = error;
+    });
+  }
+
+  async write(chunk: Buffer | string): Promise<void> {
+    if (this.error) throw this.error;
+    const data = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+    this.bytesWritten += data.length;
+    if (!this.stream.write(data)) {
+      await this.waitFor('drain');
+    }
+  }
+
+  /**
+   * End the stream and wait until everything has been flushed
+   */
+  async end(): Promise<void> {
+    if (this.error) throw this.error;
+    const finished = this.waitFor('finish');
+    this.stream.end();
+    await finished;
+  }
+
+  private waitFor(event: 'drain' | 'finish'): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const onEvent = () => {
+        this.stream.removeListener('error', onError);
+        resolve();
+      };
+      const onError = (error: Error) => {
+        this.stream.removeListener(event, onEvent);
+        reject(error);
+      };
+      this.stream.once(event, onEvent);
+      this.stream.once('error', onError);
+    });
+  }
+}
+
+/**
+ * Collects output in memory
+ */
+export class BufferSink implements ByteSink {
+  bytesWritten = 0;
+  private chunks: Buffer[] = [];
+
+  async write(chunk: Buffer | string): Promise<void> {
+    const data = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+    this.chunks.push(data);
+    this.bytesWritten += data.length;
+  }
+
+  toBuffer(): Buffer {
+    return Buffer.concat(this.chunks);
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Time zone helpers
+ * Convert between UTC instants and wall-clock time in a user's IANA time zone
+ */
+
+export interface ZonedParts {
+  year: number;
+  month: number; // 1-12
+  day: number;
+  hour: number;
+  minute: number;
+  second: number;
+  weekday: number; // 0 = Sunday
+}
+
+const formatterCache = new Map<string, Intl.DateTimeFormat>();
+
+const WEEKDAYS: Record<string, number> = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function getFormatter(timeZone: string): Intl.DateTimeFormat {
+  let formatter = formatterCache.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Check whether a string is an IANA time zone the runtime understands
+ */
+export function isValidTimeZone(timeZone: unknown): timeZone is string {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolve a time zone, falling back to UTC for missing or unknown values
+ */
+export function resolveTimeZone(timeZone: unknown): string {
+  return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+/**
+ * Wall-clock components of an instant in the given time zone
+ */
+export function getZonedParts(date: Date, timeZone: string): ZonedParts {
+  const parts: Record<string, string> = {};
+  getFormatter(timeZone).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Offset of the time zone from UTC at the given instant, in milliseconds
+ */
+export function getTimeZoneOffset(date: Date, timeZone: string): number {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in the given time zone to a UTC instant.
+ * Times skipped by a DST jump resolve to the same wall time after the jump;
+ * repeated times resolve to the first occurrence.
+ */
+export function zonedTimeToUtc(
+  local: { year: number; month: number; day: number; hour?: number; minute?: number; second?: number },
+  timeZone: string
+): Date {
+  const wallClock = Date.UTC(local.year, local.month - 1, local.day, local.hour || 0, local.minute || 0, local.second || 0);
+
+  // Try the offsets in effect a day either side of the target; pick the earliest that round-trips
+  const candidates = [
+    getTimeZoneOffset(new Date(wallClock - 24 * 60 * 60 * 1000), timeZone),
+    getTimeZoneOffset(new Date(wallClock + 24 * 60 * 60 * 1000), timeZone)
+  ];
+  const matches = candidates
+    .map(offset => wallClock - offset)
+    .filter(instant => getTimeZoneOffset(new Date(instant), timeZone) === wallClock - instant)
+    .sort((a, b) => a - b);
+
+  if (matches.length > 0) {
+    return new Date(matches[0]);
+  }
+
+  // Wall time falls in a DST gap: shift forward by the size of the gap
+  return new Date(wallClock - Math.min(...candidates));
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant in the given time zone
+ */
+export function toLocalDateKey(date: Date, timeZone: string): string {
+  return formatLocalDate(getZonedParts(date, timeZone));
+}
+
+/**
+ * Format a local calendar date as YYYY-MM-DD
+ */
+export function formatLocalDate(date: { year: number; month: number; day: number }): string {
+  return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+}
+
+/**
+ * Add calendar days to a local date, independent of time zone
+ */
+export function addLocalDays(date: { year: number; month: number; day: number }, days: number): { year: number; month: number; day: number } {
+  const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+}
+
+/**
+ * Monday of the local calendar week containing the instant
+ */
+export function startOfLocalWeek(date: Date, timeZone: string): { year: number; month: number; day: number } {
+  const p = getZonedParts(date, timeZone);
+  return addLocalDays(p, -((p.weekday + 6) % 7));
+}
+
+/**
+ * Coerce a Firestore Timestamp, Date, ISO string or epoch value to a Date
+ */
+export function toDate(value: any): Date | null {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
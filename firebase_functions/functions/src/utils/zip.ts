@@ -0,0 +1,187 @@
+/**
+ * ZIP archive writer
+ * Streams a deflate-compressed ZIP entry by entry (no ZIP64, so entries stay
+ * under 4 GB). Sizes and checksums follow each entry's data in a data
+ * descriptor, so no entry has to be held in memory whole.
+ */
+
+import * as zlib from 'zlib';
+import { ByteSink } from './streams';
+
+// UTF-8 file names, sizes and CRC in a data descriptor after the data
+const GENERAL_PURPOSE_FLAGS = 0x0808;
+const DEFLATE = 8;
+const VERSION = 20;
+
+let crcTable: Uint32Array | null = null;
+
+/**
+ * CRC-32 of `data`, continuing from `previous` when checksumming in chunks
+ */
+function crc32(data: Buffer, previous: number = 0): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields, in UTC
+function dosDateTime(date: Date): { time: number; date: number } {
+  const year = Math.max(1980, date.getUTCFullYear());
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  };
+}
+
+interface OpenEntry {
+  name: Buffer;
+  time: number;
+  date: number;
+  offset: number;
+  crc: number;
+  size: number;
+  compressedSize: number;
+}
+
+export class ZipWriter {
+  private central: Buffer[] = [];
+  private offset = 0;
+  private count = 0;
+  private entry: OpenEntry | null = null;
+
+  constructor(private output: ByteSink) {}
+
+  /**
+   * Start a new entry, closing the current one
+   */
+  async startEntry(name: string, modifiedAt: Date = new Date()): Promise<void> {
+    if (this.entry) await this.endEntry();
+
+    const nameBytes = Buffer.from(name, 'utf8');
+    const { time, date } = dosDateTime(modifiedAt);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // local file header signature
+    local.writeUInt16LE(VERSION, 4); // version needed to extract
+    local.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 6);
+    local.writeUInt16LE(DEFLATE, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    // CRC and sizes (14-25) stay zero; they follow the data in the descriptor
+    local.writeUInt16LE(nameBytes.length, 26);
+    local.writeUInt16LE(0, 28); // extra field length
+
+    this.entry = { name: nameBytes, time, date, offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+    await this.emit(local);
+    await this.emit(nameBytes);
+  }
+
+  /**
+   * Append data to the current entry
+   */
+  async write(data: Buffer | string): Promise<void> {
+    const entry = this.entry;
+    if (!entry) throw new Error('No ZIP entry has been started');
+
+    const raw = typeof data === 'string' ? Buffer.from(data, 'utf8') : data;
+    if (raw.length === 0) return;
+
+    // A sync flush ends each chunk on a byte boundary, so the chunks join into one deflate stream
+    const compressed = zlib.deflateRawSync(raw, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    entry.crc = crc32(raw, entry.crc);
+    entry.size += raw.length;
+    entry.compressedSize += compressed.length;
+    await this.emit(compressed);
+  }
+
+  /**
+   * Close the current entry with its data descriptor
+   */
+  async endEntry(): Promise<void> {
+    const entry = this.entry;
+    if (!entry) return;
+    this.entry = null;
+
+    // An empty final block terminates the deflate stream
+    const final = zlib.deflateRawSync(Buffer.alloc(0));
+    entry.compressedSize += final.length;
+    await this.emit(final);
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0); // data descriptor signature
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.emit(descriptor);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // central directory header signature
+    central.writeUInt16LE(VERSION, 4); // version made by
+    central.writeUInt16LE(VERSION, 6); // version needed to extract
+    central.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 8);
+    central.writeUInt16LE(DEFLATE, 10);
+    central.writeUInt16LE(entry.time, 12);
+    central.writeUInt16LE(entry.date, 14);
+    central.writeUInt32LE(entry.crc, 16);
+    central.writeUInt32LE(entry.compressedSize, 20);
+    central.writeUInt32LE(entry.size, 24);
+    central.writeUInt16LE(entry.name.length, 28);
+    central.writeUInt16LE(0, 30); // extra field length
+    central.writeUInt16LE(0, 32); // comment length
+    central.writeUInt16LE(0, 34); // disk number
+    central.writeUInt16LE(0, 36); // internal attributes
+    central.writeUInt32LE(0, 38); // external attributes
+    central.writeUInt32LE(entry.offset, 42);
+
+    this.central.push(central, entry.name);
+    this.count++;
+  }
+
+  /**
+   * Write a whole entry at once
+   */
+  async addEntry(name: string, data: Buffer | string, modifiedAt?: Date): Promise<void> {
+    await this.startEntry(name, modifiedAt);
+    await this.write(data);
+    await this.endEntry();
+  }
+
+  /**
+   * Close the last entry and write the central directory
+   */
+  async finish(): Promise<void> {
+    await this.endEntry();
+
+    const centralDirectory = Buffer.concat(this.central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+    end.writeUInt16LE(0, 4);
+    end.writeUInt16LE(0, 6);
+    end.writeUInt16LE(this.count, 8);
+    end.writeUInt16LE(this.count, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(this.offset, 16);
+    end.writeUInt16LE(0, 20); // comment length
+
+    await this.emit(centralDirectory);
+    await this.emit(end);
+  }
+
+  private async emit(chunk: Buffer): Promise<void> {
+    this.offset += chunk.length;
+    await this.output.write(chunk);
+  }
+}
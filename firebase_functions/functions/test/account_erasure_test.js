@@ -0,0 +1,94 @@
+/**
+ * Account erasure tests
+ * Focus Flow Timer - Cloud Functions
+ *
+ * Covers the per-user data the client keeps outside users/{uid}. An in-memory
+ * store stands in for Firestore; Storage and Auth are stubbed.
+ * Run with: npm test -- test/account_erasure_test.js
+ */
+
+const admin = require('firebase-admin');
+
+process.env.ERASURE_RECEIPT_SECRET = 'receipt-secret';
+
+if (admin.apps.length === 0) {
+  admin.initializeApp({ projectId: 'demo-focus-flow' });
+}
+
+const { accountErasureService } = require('../lib/services/accountErasureService');
+const { useMemoryStore } = require('./support/memory_store');
+
+let store;
+let deleteUser;
+
+beforeEach(() => {
+  store = useMemoryStore();
+  jest.spyOn(admin.storage(), 'bucket').mockReturnValue({ getFiles: async () => [[]] });
+  deleteUser = jest.spyOn(admin.auth(), 'deleteUser').mockResolvedValue(undefined);
+
+  const seed = {
+    'users/user-1': { displayName: 'Ada' },
+    'users/user-1/tasks/t1': { title: 'Write tests' },
+    'user_achievements/user-1': { unlocked: ['first_focus'] },
+    'goals/user-1': { dailyMinutes: 120 },
+    'goals/user-2': { dailyMinutes: 60 },
+    'sessions/s1': { userId: 'user-1', durationMinutes: 25 },
+    'sessions/s2': { userId: 'user-1', durationMinutes: 50 },
+    'sessions/s3': { userId: 'user-2', durationMinutes: 25 },
+    'erasure_requests/r1': { userId: 'user-1', status: 'queued', createdAt: new Date('2026-03-10T09:00:00Z') }
+  };
+  Object.entries(seed).forEach(([path, data]) => store.docs.set(path, data));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Data outside users/{uid}', () => {
+  test('Deletes the goals document and top-level sessions, and lists them on the receipt', async () => {
+    await accountErasureService.processErasureRequest('r1');
+
+    const request = store.docs.get('erasure_requests/r1');
+    expect(request.status).toBe('completed');
+    expect(request.receipt.erased.userDocuments).toEqual({
+      user_achievements: 1,
+      goals: 1,
+      top_level_sessions: 2
+    });
+    expect(accountErasureService.verifyReceipt(request.receipt)).toBe(true);
+
+    const remaining = [...store.docs.keys()].filter(path => !path.startsWith('security_audit/'));
+    expect(remaining.sort()).toEqual(['erasure_requests/r1', 'goals/user-2', 'sessions/s3']);
+    expect(deleteUser).toHaveBeenCalledWith('user-1');
+  });
+
+  test('Leaves locations the user never wrote off the receipt', async () => {
+    store.docs.delete('goals/user-1');
+    store.docs.delete('sessions/s1');
+    store.docs.delete('sessions/s2');
+
+    await accountErasureService.processErasureRequest('r1');
+
+    expect(store.docs.get('erasure_requests/r1').receipt.erased.userDocuments).toEqual({ user_achievements: 1 });
+  });
+});
+
+describe('Receipt secret', () => {
+  const configured = process.env.ERASURE_RECEIPT_SECRET;
+
+  afterEach(() => {
+    process.env.ERASURE_RECEIPT_SECRET = configured;
+    delete process.env.API_KEY_SECRET;
+  });
+
+  test('Fails before deleting anything without a dedicated secret', async () => {
+    delete process.env.ERASURE_RECEIPT_SECRET;
+    process.env.API_KEY_SECRET = 'api-key-secret';
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+
+    await accountErasureService.processErasureRequest('r1');
+
+    expect(store.docs.get('erasure_requests/r1').status).toBe('failed');
+    expect(store.docs.has('goals/user-1')).toBe(true);
+    expect(store.docs.has('users/user-1')).toBe(true);
+    expect(deleteUser).not.toHaveBeenCalled();
+  });
+});
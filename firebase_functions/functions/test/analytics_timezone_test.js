@@ -0,0 +1,149 @@
+/**
+ * Time zone bucketing tests for analytics
+ * Focus Flow Timer - Cloud Functions
+ *
+ * Covers DST gaps and overlaps, half-hour offsets and local day/week boundaries
+ * Run with: npm test -- test/analytics_timezone_test.js
+ */
+
+const {
+  zonedTimeToUtc,
+  toLocalDateKey,
+  resolveTimeZone,
+  startOfLocalWeek,
+  getZonedParts
+} = require('../lib/utils/timezone');
+const { countSessionsByHour, sumSessionTime, countSessionsByDate } = require('../lib/services/analyticsBuckets');
+const { sessionContribution, taskContribution } = require('../lib/services/analyticsRollups');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const session = (iso, minutes = 25) => ({ startTime: new Date(iso), duration: minutes * 60 * 1000 });
+
+describe('zonedTimeToUtc', () => {
+  test('Resolves a wall time in the spring-forward gap to the same time after the jump', () => {
+    // 02:30 does not exist in New York on 2026-03-08; clocks go 01:59 EST -> 03:00 EDT
+    const instant = zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York');
+    expect(instant.toISOString()).toBe('2026-03-08T07:30:00.000Z');
+  });
+
+  test('Resolves a repeated wall time in the fall-back overlap to its first occurrence', () => {
+    // 01:30 happens twice in New York on 2026-11-01, first in EDT (UTC-4)
+    const instant = zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/New_York');
+    expect(instant.toISOString()).toBe('2026-11-01T05:30:00.000Z');
+  });
+
+  test('Local days are 23 and 25 hours long on transition days', () => {
+    const length = (month, day) => {
+      const start = zonedTimeToUtc({ year: 2026, month, day }, 'America/New_York');
+      const end = zonedTimeToUtc({ year: 2026, month, day: day + 1 }, 'America/New_York');
+      return (end.getTime() - start.getTime()) / HOUR_MS;
+    };
+    expect(length(3, 8)).toBe(23);
+    expect(length(11, 1)).toBe(25);
+    expect(length(6, 1)).toBe(24);
+  });
+
+  test('Southern hemisphere transitions run the other way', () => {
+    // Sydney leaves daylight time on 2026-04-05 at 03:00 AEDT -> 02:00 AEST
+    const start = zonedTimeToUtc({ year: 2026, month: 4, day: 5 }, 'Australia/Sydney');
+    const end = zonedTimeToUtc({ year: 2026, month: 4, day: 6 }, 'Australia/Sydney');
+    expect((end.getTime() - start.getTime()) / HOUR_MS).toBe(25);
+  });
+});
+
+describe('Local date keys', () => {
+  test('An evening session in New York belongs to the local date, not the UTC date', () => {
+    expect(toLocalDateKey(new Date('2026-03-08T04:30:00Z'), 'America/New_York')).toBe('2026-03-07');
+  });
+
+  test('Half-hour offsets cross midnight at the right instant', () => {
+    // India is UTC+5:30 all year
+    expect(toLocalDateKey(new Date('2026-10-18T18:29:00Z'), 'Asia/Kolkata')).toBe('2026-10-18');
+    expect(toLocalDateKey(new Date('2026-10-18T18:30:00Z'), 'Asia/Kolkata')).toBe('2026-10-19');
+  });
+
+  test('Unknown time zones fall back to UTC', () => {
+    expect(resolveTimeZone('Mars/Olympus_Mons')).toBe('UTC');
+    expect(resolveTimeZone(undefined)).toBe('UTC');
+    expect(resolveTimeZone('Europe/Berlin')).toBe('Europe/Berlin');
+  });
+
+  test('Weeks start on the local Monday', () => {
+    // Sunday 2026-03-08 23:00 EDT is already Monday in UTC
+    expect(startOfLocalWeek(new Date('2026-03-09T03:00:00Z'), 'America/New_York')).toEqual({ year: 2026, month: 3, day: 2 });
+    expect(startOfLocalWeek(new Date('2026-03-09T03:00:00Z'), 'UTC')).toEqual({ year: 2026, month: 3, day: 9 });
+  });
+});
+
+describe('Session buckets', () => {
+  test('Hour buckets skip the hour lost to spring-forward', () => {
+    const byHour = countSessionsByHour([
+      session('2026-03-08T06:30:00Z'), // 01:30 EST
+      session('2026-03-08T07:30:00Z') // 03:30 EDT
+    ], 'America/New_York');
+    expect(byHour).toEqual({ 1: 1, 3: 1 });
+  });
+
+  test('Both passes through the repeated fall-back hour land in the same local hour', () => {
+    const byHour = countSessionsByHour([
+      session('2026-11-01T05:30:00Z'), // 01:30 EDT
+      session('2026-11-01T06:30:00Z') // 01:30 EST
+    ], 'America/New_York');
+    expect(byHour).toEqual({ 1: 2 });
+  });
+
+  test('Weekday buckets follow the local calendar', () => {
+    // 23:30 UTC on Sunday is Monday morning in Tokyo
+    const { byHour, byDay } = sumSessionTime([session('2026-10-18T23:30:00Z', 30)], 'Asia/Tokyo');
+    expect(byDay).toEqual({ 1: 30 * 60 * 1000 });
+    expect(byHour).toEqual({ 8: 30 * 60 * 1000 });
+  });
+
+  test('Date buckets split at local midnight, not UTC midnight', () => {
+    const byDate = countSessionsByDate([
+      session('2026-10-18T22:00:00Z'), // 15:00 PDT
+      session('2026-10-19T02:00:00Z'), // 19:00 PDT, already the 19th in UTC
+      session('2026-10-19T07:30:00Z') // 00:30 PDT on the 19th
+    ], 'America/Los_Angeles');
+    expect(byDate).toEqual({ '2026-10-18': 2, '2026-10-19': 1 });
+  });
+
+  test('Firestore timestamps and ISO strings are both accepted', () => {
+    const timestamp = { toDate: () => new Date('2026-10-18T12:00:00Z') };
+    const byHour = countSessionsByHour([
+      { startTime: timestamp },
+      { startTime: '2026-10-18T12:10:00Z' },
+      { startTime: null }
+    ], 'Europe/London');
+    expect(byHour).toEqual({ 13: 2 });
+  });
+});
+
+describe('Daily rollup contributions', () => {
+  test('A session after the spring-forward jump counts in the local day and hour', () => {
+    const contribution = sessionContribution(session('2026-03-08T07:30:00Z'), 'America/New_York');
+    expect(Object.keys(contribution)).toEqual(['2026-03-08']);
+    expect(contribution['2026-03-08']['byHour.3.sessions']).toBe(1);
+  });
+
+  test('A task completed late in the evening counts on the local completion day', () => {
+    const contribution = taskContribution({
+      createdAt: '2026-11-01T12:00:00Z',
+      isCompleted: true,
+      completedAt: '2026-11-02T04:30:00Z', // 23:30 EST on Nov 1
+      category: 'coding'
+    }, 'America/New_York');
+    expect(contribution['2026-11-01'].tasksCreated).toBe(1);
+    expect(contribution['2026-11-01'].tasksCompleted).toBe(1);
+    expect(contribution['2026-11-02']).toBeUndefined();
+  });
+
+  test('Local hours are stable across the DST change', () => {
+    // 09:00 local both before and after the change
+    const before = getZonedParts(new Date('2026-03-06T14:00:00Z'), 'America/New_York');
+    const after = getZonedParts(new Date('2026-03-09T13:00:00Z'), 'America/New_York');
+    expect(before.hour).toBe(9);
+    expect(after.hour).toBe(9);
+  });
+});
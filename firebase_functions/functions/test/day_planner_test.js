@@ -0,0 +1,172 @@
+/**
+ * Day planner tests
+ * Focus Flow Timer - Cloud Functions
+ *
+ * Covers pomodoro splitting, fixed blocks, working-hour edges and peak-hour placement
+ * Run with: npm test -- test/day_planner_test.js
+ */
+
+const admin = require('firebase-admin');
+
+if (admin.apps.length === 0) {
+  admin.initializeApp({ projectId: 'demo-focus-flow' });
+}
+
+const { planDay } = require('../lib/services/dayPlanner');
+const { DEFAULT_POMODORO_SETTINGS } = require('../lib/utils/pomodoro');
+
+// Tuesday 2026-03-10 in Berlin (CET, UTC+1), planned before the working day starts
+const input = overrides => ({
+  tasks: [],
+  date: { year: 2026, month: 3, day: 10 },
+  timezone: 'Europe/Berlin',
+  workingHours: { start: '09:00', end: '12:00' },
+  fixedBlocks: [],
+  settings: DEFAULT_POMODORO_SETTINGS,
+  peakHours: [],
+  now: new Date('2026-03-10T06:00:00Z'),
+  ...overrides
+});
+
+const task = (id, minutes, extra = {}) => ({ id, title: `Task ${id}`, estimatedDuration: minutes, ...extra });
+
+// Blocks as "type start-end" in UTC hours and minutes, for compact expectations
+const timeline = plan => plan.blocks.map(block => `${block.type} ${block.start.slice(11, 16)}-${block.end.slice(11, 16)}`);
+
+describe('Pomodoro splitting', () => {
+  test('Splits a task into consecutive focus blocks with short breaks between them', () => {
+    const plan = planDay(input({ tasks: [task('a', 60)] }));
+
+    expect(timeline(plan)).toEqual([
+      'focus 08:00-08:25',
+      'break 08:25-08:30',
+      'focus 08:30-08:55',
+      'break 08:55-09:00',
+      'focus 09:00-09:25'
+    ]);
+    expect(plan.blocks.filter(block => block.type === 'focus').map(block => block.pomodoro)).toEqual([1, 2, 3]);
+    expect(plan.summary).toEqual({ focusMinutes: 75, breakMinutes: 10, tasksScheduled: 1 });
+  });
+
+  test('Takes a long break after every fourth pomodoro', () => {
+    const plan = planDay(input({ tasks: [task('a', 125)] }));
+
+    const breaks = plan.blocks.filter(block => block.type === 'break');
+    expect(breaks.map(block => [block.minutes, block.title])).toEqual([
+      [5, 'Short break'],
+      [5, 'Short break'],
+      [5, 'Short break'],
+      [15, 'Long break']
+    ]);
+    expect(plan.blocks[plan.blocks.length - 1]).toMatchObject({ type: 'focus', start: '2026-03-10T10:10:00.000Z', pomodoro: 5 });
+  });
+
+  test('Uses the user\'s own timer lengths', () => {
+    const settings = { workDuration: 50, shortBreakDuration: 10, longBreakDuration: 30, longBreakInterval: 2 };
+    const plan = planDay(input({ tasks: [task('a', 90)], settings }));
+
+    expect(timeline(plan)).toEqual(['focus 08:00-08:50', 'break 08:50-09:00', 'focus 09:00-09:50']);
+  });
+});
+
+describe('Fixed blocks', () => {
+  test('Plans around a meeting without a break across it', () => {
+    const meeting = { start: new Date('2026-03-10T08:40:00Z'), end: new Date('2026-03-10T09:20:00Z'), title: 'Standup' };
+    const plan = planDay(input({ tasks: [task('a', 100)], fixedBlocks: [meeting] }));
+
+    expect(timeline(plan)).toEqual([
+      'focus 08:00-08:25',
+      'fixed 08:40-09:20',
+      'focus 09:20-09:45',
+      'break 09:45-09:50',
+      'focus 09:50-10:15',
+      'break 10:15-10:20',
+      'focus 10:20-10:45'
+    ]);
+    expect(plan.blocks.find(block => block.type === 'fixed')).toMatchObject({ title: 'Standup', minutes: 40 });
+  });
+
+  test('Ignores blocks outside the working hours', () => {
+    const evening = { start: new Date('2026-03-10T17:00:00Z'), end: new Date('2026-03-10T18:00:00Z') };
+    const plan = planDay(input({ tasks: [task('a', 25)], fixedBlocks: [evening] }));
+
+    expect(timeline(plan)).toEqual(['focus 08:00-08:25']);
+  });
+});
+
+describe('Working hours', () => {
+  test('Starts on the next five-minute boundary when planning mid-morning, and fills up to the end', () => {
+    // 10:02 local
+    const plan = planDay(input({ tasks: [task('a', 100)], now: new Date('2026-03-10T09:02:00Z') }));
+
+    const focus = plan.blocks.filter(block => block.type === 'focus');
+    expect(focus[0].start).toBe('2026-03-10T09:05:00.000Z');
+    // The last block ends exactly when the working day does
+    expect(focus[focus.length - 1].end).toBe('2026-03-10T11:00:00.000Z');
+    expect(focus).toHaveLength(4);
+    expect(plan.unscheduled).toEqual([]);
+  });
+
+  test('Reports the pomodoros that do not fit', () => {
+    const plan = planDay(input({ tasks: [task('a', 200)] }));
+
+    expect(plan.blocks.filter(block => block.type === 'focus')).toHaveLength(5);
+    expect(plan.unscheduled).toEqual([{ taskId: 'a', title: 'Task a', remainingPomodoros: 3, reason: 'not_enough_time' }]);
+  });
+
+  test('Plans nothing once the working day is over', () => {
+    const plan = planDay(input({ tasks: [task('a', 25)], now: new Date('2026-03-10T11:30:00Z') }));
+
+    expect(plan.blocks).toEqual([]);
+    expect(plan.unscheduled[0]).toMatchObject({ taskId: 'a', reason: 'not_enough_time' });
+  });
+
+  test('Working hours across the spring-forward gap are an hour shorter', () => {
+    // 01:00 EST to 04:00 EDT in New York is two hours of real time
+    const plan = planDay(input({
+      tasks: [task('a', 200)],
+      date: { year: 2026, month: 3, day: 8 },
+      timezone: 'America/New_York',
+      workingHours: { start: '01:00', end: '04:00' },
+      now: new Date('2026-03-08T00:00:00Z')
+    }));
+
+    const focus = plan.blocks.filter(block => block.type === 'focus');
+    expect(focus[0].start).toBe('2026-03-08T06:00:00.000Z');
+    expect(focus).toHaveLength(4);
+    expect(focus[3].end).toBe('2026-03-08T07:55:00.000Z');
+  });
+});
+
+describe('Peak hours', () => {
+  // Local 11:00 holds the only peak slot (10:10-10:35 UTC)
+  const peak = { peakHours: [11] };
+
+  test('Places heavy work in peak hours and light work outside them', () => {
+    const plan = planDay(input({
+      ...peak,
+      tasks: [task('heavy', 25, { cognitiveLoad: 0.9 }), task('light', 25, { cognitiveLoad: 0.2 })]
+    }));
+
+    const placed = Object.fromEntries(plan.blocks.map(block => [block.taskId, block]));
+    expect(placed.heavy).toMatchObject({ start: '2026-03-10T10:10:00.000Z', peakHour: true });
+    expect(placed.light).toMatchObject({ start: '2026-03-10T08:00:00.000Z', peakHour: false });
+  });
+
+  test('Work due today takes the earliest slots, even when heavy', () => {
+    const plan = planDay(input({
+      ...peak,
+      tasks: [task('heavy', 25, { cognitiveLoad: 0.9, dueDate: new Date('2026-03-10T16:00:00Z') })]
+    }));
+
+    expect(plan.blocks[0]).toMatchObject({ taskId: 'heavy', start: '2026-03-10T08:00:00.000Z', peakHour: false });
+  });
+
+  test('Light work moves into peak hours only when nothing else is free', () => {
+    const plan = planDay(input({ ...peak, tasks: [task('light', 125, { cognitiveLoad: 0.1 })] }));
+
+    const focus = plan.blocks.filter(block => block.type === 'focus');
+    expect(focus).toHaveLength(5);
+    expect(focus[4]).toMatchObject({ peakHour: true, pomodoro: 5 });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Export download link tests
+ * Focus Flow Timer - Cloud Functions
+ *
+ * Covers who can get a link to a finished export, and for how long. An
+ * in-memory store stands in for Firestore; Storage is stubbed.
+ * Run with: npm test -- test/export_download_test.js
+ */
+
+const admin = require('firebase-admin');
+
+if (admin.apps.length === 0) {
+  admin.initializeApp({ projectId: 'demo-focus-flow' });
+}
+
+const { exportJobService } = require('../lib/services/exportJobService');
+const { useMemoryStore } = require('./support/memory_store');
+
+const MINUTE = 60 * 1000;
+
+let store;
+let signed;
+
+beforeEach(() => {
+  store = useMemoryStore();
+  signed = [];
+  jest.spyOn(admin.storage(), 'bucket').mockReturnValue({
+    file: path => ({
+      getSignedUrl: async options => {
+        signed.push({ path, ...options });
+        return [`https://storage.example.com/${path}?signed`];
+      }
+    })
+  });
+
+  store.docs.set('export_requests/r1', {
+    userId: 'user-1',
+    status: 'completed',
+    filePath: 'exports/user-1/focus-flow-export.csv',
+    filename: 'focus-flow-export.csv',
+    expiresAt: new Date(Date.now() + 20 * 60 * MINUTE)
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Download links', () => {
+  test('Signs a fifteen-minute link for the owner', async () => {
+    const link = await exportJobService.getDownloadUrl('user-1', 'r1');
+
+    expect(link).toMatchObject({
+      downloadUrl: 'https://storage.example.com/exports/user-1/focus-flow-export.csv?signed',
+      filename: 'focus-flow-export.csv'
+    });
+    expect(signed).toHaveLength(1);
+    expect(signed[0].action).toBe('read');
+    expect(signed[0].expires.getTime() - Date.now()).toBeLessThanOrEqual(15 * MINUTE);
+    expect(link.expiresAt).toBe(signed[0].expires.toISOString());
+  });
+
+  test('Never outlives the export itself', async () => {
+    const availableUntil = new Date(Date.now() + 5 * MINUTE);
+    store.docs.get('export_requests/r1').expiresAt = availableUntil;
+
+    await exportJobService.getDownloadUrl('user-1', 'r1');
+
+    expect(signed[0].expires).toEqual(availableUntil);
+  });
+
+  test.each([
+    ['another user', 'user-2', 'r1'],
+    ['a missing request', 'user-1', 'r2']
+  ])('Treats %s as not found', async (_, userId, requestId) => {
+    await expect(exportJobService.getDownloadUrl(userId, requestId)).rejects.toThrow('Export request not found');
+    expect(signed).toHaveLength(0);
+  });
+
+  test('Refuses exports that have not finished', async () => {
+    store.docs.set('export_requests/r1', { userId: 'user-1', status: 'processing' });
+
+    await expect(exportJobService.getDownloadUrl('user-1', 'r1')).rejects.toThrow('Export is not ready');
+  });
+
+  test('Refuses exports past their download window', async () => {
+    store.docs.get('export_requests/r1').expiresAt = new Date(Date.now() - MINUTE);
+
+    await expect(exportJobService.getDownloadUrl('user-1', 'r1')).rejects.toThrow('Export download has expired');
+    expect(signed).toHaveLength(0);
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Task export tests for integrations
+ * Focus Flow Timer - Cloud Functions
+ *
+ * Local HTTP servers stand in for the Jira, Asana and Trello APIs
+ * Run with: npm test -- test/integration_export_test.js
+ */
+
+const http = require('http');
+const admin = require('firebase-admin');
+
+if (admin.apps.length === 0) {
+  admin.initializeApp({ projectId: 'demo-focus-flow' });
+}
+
+const { integrationService } = require('../lib/services/integrationService');
+
+/**
+ * Start a server that records every request and answers from `routes`,
+ * keyed by "METHOD /path" (query string excluded)
+ */
+function startMockApi(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null
+      };
+      requests.push(request);
+
+      const route = routes[`${req.method} ${url.pathname}`];
+      const [status, payload] = route ? route(request) : [404, { error: 'not found' }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(payload === undefined ? '' : JSON.stringify(payload));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+const task = {
+  id: 'task-1',
+  title: 'Write release notes',
+  description: 'For 2.4',
+  priority: 'critical',
+  category: 'documentation',
+  tags: ['release', 'docs site'],
+  status: 'pending',
+  isCompleted: false,
+  dueDate: '2024-03-15T23:30:00.000Z'
+};
+
+describe('Jira export', () => {
+  let api;
+  let issueStatus;
+
+  beforeEach(async () => {
+    issueStatus = 'indeterminate';
+    api = await startMockApi({
+      'POST /rest/api/2/issue': () => [201, { id: '10001', key: 'FF-7' }],
+      'PUT /rest/api/2/issue/FF-7': () => [204],
+      'GET /rest/api/2/issue/FF-7': () => [200, { key: 'FF-7', fields: { status: { statusCategory: { key: issueStatus } } } }],
+      'GET /rest/api/2/issue/FF-7/transitions': () => [200, {
+        transitions: [
+          { id: '11', to: { statusCategory: { key: 'new' } } },
+          { id: '21', to: { statusCategory: { key: 'indeterminate' } } },
+          { id: '31', to: { statusCategory: { key: 'done' } } }
+        ]
+      }],
+      'POST /rest/api/2/issue/FF-7/transitions': () => [204]
+    });
+  });
+
+  afterEach(() => api.close());
+
+  const config = () => ({
+    provider: 'jira',
+    apiKey: 'jira-token',
+    baseUrl: api.baseUrl,
+    credentials: { username: 'me@example.com' },
+    settings: { projectKey: 'FF' },
+    isEnabled: true
+  });
+
+  test('creates an issue with mapped fields', async () => {
+    const ref = await integrationService.exportTask(config(), task, 'Europe/Berlin');
+
+    expect(ref).toEqual({ externalId: 'FF-7', url: `${api.baseUrl}/browse/FF-7` });
+    expect(api.requests).toHaveLength(1);
+
+    const [create] = api.requests;
+    expect(create.headers.authorization).toBe(`Basic ${Buffer.from('me@example.com:jira-token').toString('base64')}`);
+    expect(create.body.fields).toEqual({
+      project: { key: 'FF' },
+      issuetype: { name: 'Task' },
+      summary: 'Write release notes',
+      description: 'For 2.4',
+      priority: { name: 'Highest' },
+      labels: ['docs-site', 'release'],
+      // 23:30 UTC is already the next day in Berlin
+      duedate: '2024-03-16'
+    });
+  });
+
+  test('updates an exported issue and transitions it to done', async () => {
+    const exported = {
+      ...task,
+      isCompleted: true,
+      status: 'completed',
+      metadata: { exports: { jira: { externalId: 'FF-7' } } }
+    };
+
+    await integrationService.exportTask(config(), exported, 'UTC');
+
+    const calls = api.requests.map(r => `${r.method} ${r.path}`);
+    expect(calls).toEqual([
+      'PUT /rest/api/2/issue/FF-7',
+      'GET /rest/api/2/issue/FF-7',
+      'GET /rest/api/2/issue/FF-7/transitions',
+      'POST /rest/api/2/issue/FF-7/transitions'
+    ]);
+    expect(api.requests[0].body.fields.duedate).toBe('2024-03-15');
+    expect(api.requests[3].body).toEqual({ transition: { id: '31' } });
+  });
+
+  test('skips the transition when the status already matches', async () => {
+    issueStatus = 'done';
+    const exported = { ...task, isCompleted: true, metadata: { exports: { jira: { externalId: 'FF-7' } } } };
+
+    await integrationService.exportTask(config(), exported, 'UTC');
+
+    expect(api.requests.map(r => r.method)).toEqual(['PUT', 'GET']);
+  });
+
+  test('requires a project key to create issues', async () => {
+    await expect(integrationService.exportTask({ ...config(), settings: {} }, task, 'UTC'))
+      .rejects.toThrow('Jira project key is not configured');
+    expect(api.requests).toHaveLength(0);
+  });
+});
+
+describe('Asana export', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startMockApi({
+      'POST /tasks': () => [201, { data: { gid: '1203', permalink_url: 'https://app.asana.com/0/42/1203' } }],
+      'PUT /tasks/1203': () => [200, { data: { gid: '1203', permalink_url: 'https://app.asana.com/0/42/1203' } }]
+    });
+  });
+
+  afterEach(() => api.close());
+
+  const config = settings => ({
+    provider: 'asana',
+    apiKey: 'asana-token',
+    baseUrl: api.baseUrl,
+    credentials: {},
+    settings,
+    isEnabled: true
+  });
+
+  test('creates a task in the project with custom fields', async () => {
+    const settings = {
+      projectId: '42',
+      customFields: {
+        priority: { id: 'cf-priority', options: { critical: 'opt-urgent', low: 'opt-low' } },
+        category: { id: 'cf-category', options: { coding: 'opt-coding' } }
+      }
+    };
+
+    const ref = await integrationService.exportTask(config(settings), task, 'America/New_York');
+
+    expect(ref).toEqual({ externalId: '1203', url: 'https://app.asana.com/0/42/1203' });
+    const [create] = api.requests;
+    expect(create.headers.authorization).toBe('Bearer asana-token');
+    expect(create.body.data).toEqual({
+      name: 'Write release notes',
+      notes: 'For 2.4',
+      completed: false,
+      due_on: '2024-03-15',
+      projects: ['42'],
+      // No option is configured for the documentation category
+      custom_fields: { 'cf-priority': 'opt-urgent' }
+    });
+  });
+
+  test('updates an exported task without moving it', async () => {
+    const exported = { ...task, status: 'completed', dueDate: null, metadata: { exports: { asana: { externalId: '1203' } } } };
+
+    await integrationService.exportTask(config({ projectId: '42' }), exported, 'UTC');
+
+    const [update] = api.requests;
+    expect(`${update.method} ${update.path}`).toBe('PUT /tasks/1203');
+    expect(update.body.data).toEqual({
+      name: 'Write release notes',
+      notes: 'For 2.4',
+      completed: true,
+      due_on: null
+    });
+  });
+
+  test('requires a workspace or project to create tasks', async () => {
+    await expect(integrationService.exportTask(config({}), task, 'UTC'))
+      .rejects.toThrow('Asana workspace or project is not configured');
+  });
+});
+
+describe('Trello export', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startMockApi({
+      'POST /cards': () => [200, { id: 'card-9', shortUrl: 'https://trello.com/c/abc' }],
+      'PUT /cards/card-9': () => [200, { id: 'card-9', shortUrl: 'https://trello.com/c/abc' }],
+      'PUT /cards/missing': () => [404, { message: 'card not found' }]
+    });
+  });
+
+  afterEach(() => api.close());
+
+  const config = () => ({
+    provider: 'trello',
+    apiKey: 'trello-token',
+    baseUrl: api.baseUrl,
+    credentials: { key: 'trello-key' },
+    settings: {
+      listId: 'list-inbox',
+      lists: { in_progress: 'list-doing', completed: 'list-done' },
+      labels: { priority: { critical: 'label-red' }, category: { documentation: 'label-docs' } }
+    },
+    isEnabled: true
+  });
+
+  test('creates a card in the list for its status', async () => {
+    const ref = await integrationService.exportTask(config(), { ...task, status: 'in_progress' }, 'UTC');
+
+    expect(ref).toEqual({ externalId: 'card-9', url: 'https://trello.com/c/abc' });
+    const [create] = api.requests;
+    expect(create.query).toEqual({
+      key: 'trello-key',
+      token: 'trello-token',
+      idList: 'list-doing',
+      name: 'Write release notes',
+      desc: 'For 2.4',
+      due: '2024-03-15T23:30:00.000Z',
+      dueComplete: 'false',
+      idLabels: 'label-red,label-docs'
+    });
+  });
+
+  test('moves a completed card to the done list', async () => {
+    const exported = { ...task, isCompleted: true, metadata: { exports: { trello: { externalId: 'card-9' } } } };
+
+    await integrationService.exportTask(config(), exported, 'UTC');
+
+    const [update] = api.requests;
+    expect(`${update.method} ${update.path}`).toBe('PUT /cards/card-9');
+    expect(update.query.idList).toBe('list-done');
+    expect(update.query.dueComplete).toBe('true');
+  });
+
+  test('surfaces provider errors', async () => {
+    const exported = { ...task, metadata: { exports: { trello: { externalId: 'missing' } } } };
+
+    await expect(integrationService.exportTask(config(), exported, 'UTC')).rejects.toThrow('404');
+  });
+});
@@ -0,0 +1,333 @@
+/**
+ * OAuth connect flow tests for integrations
+ * Focus Flow Timer - Cloud Functions
+ *
+ * A local HTTP server stands in for a provider's OAuth 2.0 endpoints
+ * Run with: npm test -- test/oauth_flow_test.js
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const {
+  buildAuthorizationUrl,
+  createPkcePair,
+  exchangeAuthorizationCode,
+  refreshAccessToken,
+  getOAuthClientCredentials,
+  isGrantRejected,
+  isTokenExpired
+} = require('../lib/services/oauthClient');
+
+const CLIENT = { clientId: 'focus-flow', clientSecret: 'client-secret' };
+const REDIRECT_URI = 'https://app.example.com/integrationOAuthCallback';
+
+/**
+ * Start an authorization server that approves every consent request. It
+ * checks PKCE, redirect URIs and client secrets, issues single-use codes and
+ * rotates refresh tokens unless `options.rotateRefreshTokens` is false.
+ */
+function startOAuthServer(options = {}) {
+  const codes = new Map();
+  const refreshTokens = new Set();
+  const tokenRequests = [];
+  let issued = 0;
+
+  const fail = (res, status, error) => {
+    // GitHub answers token errors with 200
+    res.writeHead(options.errorsWith200 ? 200 : status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error }));
+  };
+
+  const issueTokens = res => {
+    issued++;
+    const refreshToken = `refresh-${issued}`;
+    refreshTokens.add(refreshToken);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      access_token: `access-${issued}`,
+      token_type: 'bearer',
+      expires_in: 3600,
+      ...(options.rotateRefreshTokens === false && issued > 1 ? {} : { refresh_token: refreshToken })
+    }));
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (req.method === 'GET' && url.pathname === '/authorize') {
+        const query = Object.fromEntries(url.searchParams);
+        if (query.client_id !== CLIENT.clientId || query.redirect_uri !== REDIRECT_URI ||
+            query.response_type !== 'code' || query.code_challenge_method !== 'S256' || !query.code_challenge) {
+          res.writeHead(400);
+          res.end('invalid authorization request');
+          return;
+        }
+
+        const code = crypto.randomBytes(8).toString('hex');
+        codes.set(code, { challenge: query.code_challenge, redirectUri: query.redirect_uri });
+        res.writeHead(302, { Location: `${query.redirect_uri}?code=${code}&state=${encodeURIComponent(query.state)}` });
+        res.end();
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/token') {
+        if (options.failWith) {
+          res.writeHead(options.failWith, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ message: 'unavailable' }));
+          return;
+        }
+
+        const params = req.headers['content-type'] === 'application/json'
+          ? JSON.parse(body)
+          : Object.fromEntries(new URLSearchParams(body));
+        tokenRequests.push({ headers: req.headers, params });
+
+        let client = { clientId: params.client_id, clientSecret: params.client_secret };
+        const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+        if (basic) {
+          const [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString().split(':');
+          client = { clientId, clientSecret };
+        }
+        if (client.clientId !== CLIENT.clientId || client.clientSecret !== CLIENT.clientSecret) {
+          return fail(res, 401, 'invalid_client');
+        }
+
+        if (params.grant_type === 'authorization_code') {
+          const grant = codes.get(params.code);
+          codes.delete(params.code);
+          const challenge = crypto.createHash('sha256').update(params.code_verifier || '').digest('base64url');
+          if (!grant || grant.redirectUri !== params.redirect_uri || grant.challenge !== challenge) {
+            return fail(res, 400, options.errorsWith200 ? 'bad_verification_code' : 'invalid_grant');
+          }
+          return issueTokens(res);
+        }
+
+        if (params.grant_type === 'refresh_token') {
+          if (!refreshTokens.has(params.refresh_token)) {
+            return fail(res, 400, 'invalid_grant');
+          }
+          if (options.rotateRefreshTokens !== false) {
+            refreshTokens.delete(params.refresh_token);
+          }
+          return issueTokens(res);
+        }
+
+        return fail(res, 400, 'unsupported_grant_type');
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        baseUrl,
+        tokenRequests,
+        provider: overrides => ({
+          id: 'standin',
+          authorizeUrl: `${baseUrl}/authorize`,
+          tokenUrl: `${baseUrl}/token`,
+          scopes: ['tasks:read', 'tasks:write'],
+          scopeSeparator: ' ',
+          clientAuth: 'body',
+          bodyFormat: 'form',
+          ...overrides
+        }),
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Follow the consent page like a browser that approves, returning the redirect's query
+function approveConsent(authorizationUrl) {
+  return new Promise((resolve, reject) => {
+    http.get(authorizationUrl, res => {
+      res.resume();
+      if (res.statusCode !== 302) {
+        reject(new Error(`Consent page answered ${res.statusCode}`));
+        return;
+      }
+      resolve(Object.fromEntries(new URL(res.headers.location).searchParams));
+    }).on('error', reject);
+  });
+}
+
+async function authorize(server, provider) {
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const url = buildAuthorizationUrl(provider, CLIENT, { redirectUri: REDIRECT_URI, state: 'state-123', codeChallenge });
+  const callback = await approveConsent(url);
+  return { codeVerifier, callback };
+}
+
+describe('OAuth authorization code flow', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startOAuthServer();
+  });
+
+  afterEach(() => server.close());
+
+  test('exchanges an approved code with its PKCE verifier', async () => {
+    const provider = server.provider();
+    const { codeVerifier, callback } = await authorize(server, provider);
+
+    expect(callback.state).toBe('state-123');
+
+    const now = Date.UTC(2024, 2, 15, 12);
+    const tokens = await exchangeAuthorizationCode(provider, CLIENT, { code: callback.code, redirectUri: REDIRECT_URI, codeVerifier }, now);
+
+    expect(tokens).toEqual({
+      accessToken: 'access-1',
+      refreshToken: 'refresh-1',
+      expiresAt: now + 3600 * 1000,
+      scope: null,
+      tokenType: 'bearer'
+    });
+    expect(server.tokenRequests[0].params).toMatchObject({ client_id: 'focus-flow', client_secret: 'client-secret' });
+  });
+
+  test('builds the consent URL with scopes and provider parameters', () => {
+    const provider = server.provider({ scopeSeparator: ',', authorizeParams: { owner: 'user' } });
+    const url = new URL(buildAuthorizationUrl(provider, CLIENT, { redirectUri: REDIRECT_URI, state: 's', codeChallenge: 'c' }));
+
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      response_type: 'code',
+      client_id: 'focus-flow',
+      redirect_uri: REDIRECT_URI,
+      state: 's',
+      code_challenge: 'c',
+      code_challenge_method: 'S256',
+      scope: 'tasks:read,tasks:write',
+      owner: 'user'
+    });
+
+    const unscoped = new URL(buildAuthorizationUrl(server.provider({ scopes: [] }), CLIENT, { redirectUri: REDIRECT_URI, state: 's', codeChallenge: 'c' }));
+    expect(unscoped.searchParams.has('scope')).toBe(false);
+  });
+
+  test('rejects a code redeemed with another verifier', async () => {
+    const provider = server.provider();
+    const { callback } = await authorize(server, provider);
+
+    const exchange = exchangeAuthorizationCode(provider, CLIENT, {
+      code: callback.code,
+      redirectUri: REDIRECT_URI,
+      codeVerifier: createPkcePair().codeVerifier
+    });
+
+    await expect(exchange).rejects.toThrow('OAuth grant rejected: invalid_grant');
+  });
+
+  test('redeems each code once', async () => {
+    const provider = server.provider();
+    const { codeVerifier, callback } = await authorize(server, provider);
+    const options = { code: callback.code, redirectUri: REDIRECT_URI, codeVerifier };
+
+    await exchangeAuthorizationCode(provider, CLIENT, options);
+    const error = await exchangeAuthorizationCode(provider, CLIENT, options).catch(e => e);
+
+    expect(isGrantRejected(error)).toBe(true);
+  });
+
+  test('authenticates with Basic auth and a JSON body where the provider wants it', async () => {
+    const provider = server.provider({ clientAuth: 'basic', bodyFormat: 'json' });
+    const { codeVerifier, callback } = await authorize(server, provider);
+
+    const tokens = await exchangeAuthorizationCode(provider, CLIENT, { code: callback.code, redirectUri: REDIRECT_URI, codeVerifier });
+
+    expect(tokens.accessToken).toBe('access-1');
+    const [request] = server.tokenRequests;
+    expect(request.headers.authorization).toBe(`Basic ${Buffer.from('focus-flow:client-secret').toString('base64')}`);
+    expect(request.params.client_secret).toBeUndefined();
+  });
+});
+
+describe('OAuth token refresh', () => {
+  let server;
+
+  afterEach(() => server.close());
+
+  async function connect() {
+    const provider = server.provider();
+    const { codeVerifier, callback } = await authorize(server, provider);
+    const tokens = await exchangeAuthorizationCode(provider, CLIENT, { code: callback.code, redirectUri: REDIRECT_URI, codeVerifier });
+    return { provider, tokens };
+  }
+
+  test('uses rotated refresh tokens and rejects the spent one', async () => {
+    server = await startOAuthServer();
+    const { provider, tokens } = await connect();
+
+    const refreshed = await refreshAccessToken(provider, CLIENT, tokens.refreshToken);
+    expect(refreshed).toMatchObject({ accessToken: 'access-2', refreshToken: 'refresh-2' });
+
+    const replay = await refreshAccessToken(provider, CLIENT, tokens.refreshToken).catch(e => e);
+    expect(replay.message).toBe('OAuth grant rejected: invalid_grant');
+    expect(isGrantRejected(replay)).toBe(true);
+  });
+
+  test('keeps the refresh token when the provider does not rotate it', async () => {
+    server = await startOAuthServer({ rotateRefreshTokens: false });
+    const { provider, tokens } = await connect();
+
+    const refreshed = await refreshAccessToken(provider, CLIENT, tokens.refreshToken);
+
+    expect(refreshed).toMatchObject({ accessToken: 'access-2', refreshToken: 'refresh-1' });
+  });
+
+  test('reads token errors sent with a 200 status', async () => {
+    server = await startOAuthServer({ errorsWith200: true });
+    const provider = server.provider();
+
+    const error = await refreshAccessToken(provider, CLIENT, 'unknown').catch(e => e);
+
+    expect(isGrantRejected(error)).toBe(true);
+  });
+
+  test('does not treat an unavailable provider as a rejected grant', async () => {
+    server = await startOAuthServer({ failWith: 503 });
+
+    const error = await refreshAccessToken(server.provider(), CLIENT, 'refresh-1').catch(e => e);
+
+    expect(error.message).toContain('OAuth token request failed');
+    expect(isGrantRejected(error)).toBe(false);
+  });
+});
+
+describe('OAuth helpers', () => {
+  test('treats tokens within a minute of expiry as expired', () => {
+    const now = Date.UTC(2024, 2, 15, 12);
+
+    expect(isTokenExpired({ expiresAt: now + 2 * 60 * 1000 }, now)).toBe(false);
+    expect(isTokenExpired({ expiresAt: now + 30 * 1000 }, now)).toBe(true);
+    expect(isTokenExpired({ expiresAt: null }, now)).toBe(false);
+  });
+
+  test('creates an S256 PKCE pair', () => {
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/);
+    expect(codeChallenge).toBe(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+  });
+
+  test('reads client credentials from the environment', () => {
+    process.env.STANDIN_OAUTH_CLIENT_ID = 'id';
+    process.env.STANDIN_OAUTH_CLIENT_SECRET = 'secret';
+    try {
+      expect(getOAuthClientCredentials('standin')).toEqual({ clientId: 'id', clientSecret: 'secret' });
+      expect(() => getOAuthClientCredentials('missing')).toThrow('OAuth client is not configured for missing');
+    } finally {
+      delete process.env.STANDIN_OAUTH_CLIENT_ID;
+      delete process.env.STANDIN_OAUTH_CLIENT_SECRET;
+    }
+  });
+});
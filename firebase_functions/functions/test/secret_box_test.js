@@ -0,0 +1,167 @@
+/**
+ * Secret box tests
+ * Focus Flow Timer - Cloud Functions
+ *
+ * Covers sealing and opening, tampering, secrets opened for another user or
+ * purpose, key ring parsing and rotation
+ * Run with: npm test -- test/secret_box_test.js
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+if (admin.apps.length === 0) {
+  admin.initializeApp({ projectId: 'demo-focus-flow' });
+}
+
+const { parseKeyRing, sealSecret, openSecret, isSealedSecret, sealedKeyId } = require('../lib/utils/secretBox');
+const { securityService } = require('../lib/services/securityService');
+
+const KEY_1 = crypto.randomBytes(32).toString('base64');
+const KEY_2 = crypto.randomBytes(32).toString('base64');
+const CONTEXT = { userId: 'user-1', purpose: 'integrations/jira' };
+
+// Replace one base64url character, keeping the value well-formed
+const flip = part => (part[0] === 'A' ? 'B' : 'A') + part.slice(1);
+
+describe('Sealing and opening', () => {
+  const ring = parseKeyRing(`k1:${KEY_1}`);
+
+  test('Opens what it sealed', () => {
+    const sealed = sealSecret('api-token-é✓', ring, CONTEXT);
+
+    expect(sealed).toMatch(/^ffsec:v1:k1:[\w-]+:[\w-]+:[\w-]+$/);
+    expect(sealed).not.toContain('api-token');
+    expect(openSecret(sealed, ring, CONTEXT)).toBe('api-token-é✓');
+  });
+
+  test('Seals the same value differently each time', () => {
+    expect(sealSecret('token', ring, CONTEXT)).not.toBe(sealSecret('token', ring, CONTEXT));
+  });
+
+  test('Recognizes sealed values and the key that sealed them', () => {
+    const sealed = sealSecret('token', ring, CONTEXT);
+
+    expect(isSealedSecret(sealed)).toBe(true);
+    expect(sealedKeyId(sealed)).toBe('k1');
+    expect(isSealedSecret('token')).toBe(false);
+    expect(sealedKeyId('token')).toBeNull();
+    expect(sealedKeyId(undefined)).toBeNull();
+  });
+
+  test.each([
+    ['initialization vector', 3],
+    ['authentication tag', 4],
+    ['ciphertext', 5]
+  ])('Rejects a value whose %s was altered', (_, index) => {
+    const parts = sealSecret('token', ring, CONTEXT).split(':');
+    parts[index] = flip(parts[index]);
+
+    expect(() => openSecret(parts.join(':'), ring, CONTEXT)).toThrow('Secret failed authentication');
+  });
+
+  test('Rejects a value relabelled with another key id', () => {
+    const ringWithTwoKeys = parseKeyRing(`k1:${KEY_1},k2:${KEY_2}`);
+    const relabelled = sealSecret('token', ringWithTwoKeys, CONTEXT).replace(':k1:', ':k2:');
+
+    expect(() => openSecret(relabelled, ringWithTwoKeys, CONTEXT)).toThrow('Secret failed authentication');
+  });
+
+  test.each([
+    ['another user', { ...CONTEXT, userId: 'user-2' }],
+    ['another purpose', { ...CONTEXT, purpose: 'webhooks/jira' }]
+  ])('Will not open for %s', (_, context) => {
+    const sealed = sealSecret('token', ring, CONTEXT);
+
+    expect(() => openSecret(sealed, ring, context)).toThrow('Secret failed authentication');
+  });
+
+  test.each([
+    ['plaintext', 'token'],
+    ['a value with missing parts', 'ffsec:v1:k1:abc'],
+    ['another format', 'enc:v1:k1:a:b:c']
+  ])('Refuses %s', (_, value) => {
+    expect(() => openSecret(value, ring, CONTEXT)).toThrow('Not a sealed secret');
+  });
+
+  test('Refuses an unknown format version', () => {
+    const sealed = sealSecret('token', ring, CONTEXT).replace(':v1:', ':v9:');
+
+    expect(() => openSecret(sealed, ring, CONTEXT)).toThrow('Unsupported secret version v9');
+  });
+});
+
+describe('Key rings', () => {
+  test('Uses the first key unless another is named current', () => {
+    expect(parseKeyRing(`k1:${KEY_1}, k2:${KEY_2}`).currentKeyId).toBe('k1');
+    expect(parseKeyRing(`k1:${KEY_1},k2:${KEY_2}`, 'k2').currentKeyId).toBe('k2');
+  });
+
+  test('Ignores empty entries', () => {
+    expect(parseKeyRing(`,k1:${KEY_1},`).keys.size).toBe(1);
+  });
+
+  test.each([
+    ['a key without an id', KEY_1, 'Invalid encryption key id'],
+    ['an empty id', `:${KEY_1}`, 'Invalid encryption key id'],
+    ['an id with other characters', `k.1:${KEY_1}`, 'Invalid encryption key id'],
+    ['a short key', `k1:${crypto.randomBytes(16).toString('base64')}`, 'Encryption key k1 must be 32 bytes'],
+    ['a repeated id', `k1:${KEY_1},k1:${KEY_2}`, 'Duplicate encryption key id k1'],
+    ['no keys', ' , ', 'No encryption keys configured']
+  ])('Rejects %s', (_, spec, message) => {
+    expect(() => parseKeyRing(spec)).toThrow(message);
+  });
+
+  test('Rejects a current key id that is not in the ring', () => {
+    expect(() => parseKeyRing(`k1:${KEY_1}`, 'k2')).toThrow('Current encryption key k2 is not in the key ring');
+  });
+});
+
+describe('Rotation', () => {
+  const environment = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...environment };
+  });
+
+  test('Opens older values after a rotation and flags them for re-encryption', () => {
+    process.env.ENCRYPTION_KEYS = `k1:${KEY_1}`;
+    delete process.env.ENCRYPTION_KEY_ID;
+    const before = securityService.encryptData('token', 'user-1', 'integrations/jira');
+    expect(securityService.needsReencryption(before)).toBe(false);
+
+    process.env.ENCRYPTION_KEYS = `k1:${KEY_1},k2:${KEY_2}`;
+    process.env.ENCRYPTION_KEY_ID = 'k2';
+
+    expect(securityService.needsReencryption(before)).toBe(true);
+    expect(securityService.decryptData(before, 'user-1', 'integrations/jira')).toBe('token');
+
+    const after = securityService.encryptData('token', 'user-1', 'integrations/jira');
+    expect(sealedKeyId(after)).toBe('k2');
+    expect(securityService.needsReencryption(after)).toBe(false);
+  });
+
+  test('Flags plaintext and missing values for encryption', () => {
+    process.env.ENCRYPTION_KEYS = `k1:${KEY_1}`;
+
+    expect(securityService.needsReencryption('legacy-token')).toBe(true);
+    expect(securityService.needsReencryption(undefined)).toBe(true);
+  });
+
+  test('Cannot open values sealed with a key removed from the ring', () => {
+    process.env.ENCRYPTION_KEYS = `k1:${KEY_1}`;
+    const sealed = securityService.encryptData('token', 'user-1', 'integrations/jira');
+
+    process.env.ENCRYPTION_KEYS = `k2:${KEY_2}`;
+
+    expect(() => securityService.decryptData(sealed, 'user-1', 'integrations/jira'))
+      .toThrow('Encryption key k1 is not in the key ring');
+  });
+
+  test('Fails clearly when no keys are configured', () => {
+    delete process.env.ENCRYPTION_KEYS;
+
+    expect(() => securityService.encryptData('token', 'user-1', 'integrations/jira'))
+      .toThrow('Encryption keys are not configured');
+  });
+});
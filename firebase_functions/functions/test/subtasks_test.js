@@ -0,0 +1,65 @@
+/**
+ * Subtask creation tests
+ * Focus Flow Timer - Cloud Functions
+ *
+ * Covers chaining accepted subtasks and repeat calls on the same parent. An
+ * in-memory store stands in for Firestore.
+ * Run with: npm test -- test/subtasks_test.js
+ */
+
+const admin = require('firebase-admin');
+
+if (admin.apps.length === 0) {
+  admin.initializeApp({ projectId: 'demo-focus-flow' });
+}
+
+const { taskIntelligenceService } = require('../lib/services/taskIntelligenceService');
+const { useMemoryStore } = require('./support/memory_store');
+
+const TASKS = 'users/user-1/tasks/';
+
+let store;
+
+beforeEach(() => {
+  store = useMemoryStore();
+  store.docs.set('users/user-1', { timezone: 'UTC' });
+  store.docs.set(`${TASKS}parent`, { title: 'Launch site', category: 'coding', priority: 'high' });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const children = () => [...store.docs.entries()]
+  .filter(([path, data]) => path.startsWith(TASKS) && data.parentTaskId === 'parent')
+  .map(([path, data]) => ({ id: path.slice(TASKS.length), ...data }));
+
+describe('Creating subtasks', () => {
+  test('Chains the children in order and links them to the parent', async () => {
+    const result = await taskIntelligenceService.createSubtasks('user-1', 'parent', [
+      { title: 'Write copy', estimatedDuration: 50 },
+      { title: 'Deploy' }
+    ]);
+
+    const [first, second] = result.subtasks;
+    expect(result.subtasks.map(subtask => subtask.title)).toEqual(['Write copy', 'Deploy']);
+    expect(store.docs.get(`${TASKS}${first.id}`)).toMatchObject({ dependencies: [], subtaskOrder: 1, estimatedDuration: 50, priority: 'high' });
+    expect(store.docs.get(`${TASKS}${second.id}`)).toMatchObject({ dependencies: [first.id], subtaskOrder: 2 });
+    expect(store.docs.get(`${TASKS}parent`).subtaskIds).toEqual([first.id, second.id]);
+  });
+
+  test('Refuses a second set of children for the same parent', async () => {
+    await taskIntelligenceService.createSubtasks('user-1', 'parent', [{ title: 'Write copy' }]);
+    const [existing] = children();
+
+    await expect(taskIntelligenceService.createSubtasks('user-1', 'parent', [{ title: 'Write copy' }]))
+      .rejects.toThrow('Subtasks already created');
+
+    expect(children()).toEqual([existing]);
+    expect(store.docs.get(`${TASKS}parent`).subtaskIds).toEqual([existing.id]);
+  });
+
+  test('Refuses a missing parent', async () => {
+    await expect(taskIntelligenceService.createSubtasks('user-1', 'other', [{ title: 'Write copy' }]))
+      .rejects.toThrow('Parent task not found');
+    expect(children()).toEqual([]);
+  });
+});
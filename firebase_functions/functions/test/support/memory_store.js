@@ -0,0 +1,124 @@
+/**
+ * In-memory stand-in for Firestore
+ * Focus Flow Timer - Cloud Functions
+ *
+ * Documents are kept by path, with the reference, query, batch and
+ * transaction methods the services use. create() fails with ALREADY_EXISTS
+ * (code 6) and update() with NOT_FOUND (code 5), like Firestore does.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+function createMemoryStore() {
+  const docs = new Map();
+
+  const snapshot = path => ({
+    id: path.split('/').pop(),
+    ref: docRef(path),
+    exists: docs.has(path),
+    data: () => docs.get(path)
+  });
+
+  // Ids of the collections directly under a document path ('' for the root)
+  const childCollections = path => {
+    const prefix = path ? `${path}/` : '';
+    const ids = new Set();
+    for (const key of docs.keys()) {
+      if (key.startsWith(prefix)) ids.add(key.slice(prefix.length).split('/')[0]);
+    }
+    return [...ids];
+  };
+
+  const docRef = path => ({
+    id: path.split('/').pop(),
+    path,
+    collection: name => collectionRef(`${path}/${name}`),
+    listCollections: async () => childCollections(path).map(id => collectionRef(`${path}/${id}`)),
+    get: async () => snapshot(path),
+    create: async data => {
+      if (docs.has(path)) throw Object.assign(new Error(`6 ALREADY_EXISTS: ${path}`), { code: 6 });
+      docs.set(path, { ...data });
+    },
+    set: async data => { docs.set(path, { ...data }); },
+    update: async data => {
+      if (!docs.has(path)) throw Object.assign(new Error(`5 NOT_FOUND: ${path}`), { code: 5 });
+      docs.set(path, { ...docs.get(path), ...data });
+    },
+    delete: async () => { docs.delete(path); }
+  });
+
+  const matches = (data, [field, op, value]) => {
+    if (op === '==') return data[field] === value;
+    if (op === 'in') return value.includes(data[field]);
+    throw new Error(`Unsupported operator ${op}`);
+  };
+
+  const query = (path, filters = [], max = Infinity) => {
+    const run = () => [...docs.keys()]
+      .filter(key => key.startsWith(`${path}/`) && key.split('/').length === path.split('/').length + 1)
+      .sort()
+      .filter(key => filters.every(filter => matches(docs.get(key), filter)))
+      .slice(0, max)
+      .map(snapshot);
+
+    return {
+      where: (field, op, value) => query(path, [...filters, [field, op, value]], max),
+      limit: n => query(path, filters, n),
+      get: async () => {
+        const results = run();
+        return { empty: results.length === 0, size: results.length, docs: results };
+      },
+      count: () => ({ get: async () => ({ data: () => ({ count: run().length }) }) })
+    };
+  };
+
+  const collectionRef = path => ({
+    id: path.split('/').pop(),
+    path,
+    doc: id => docRef(`${path}/${id || crypto.randomUUID()}`),
+    add: async data => {
+      const ref = docRef(`${path}/${crypto.randomUUID()}`);
+      await ref.set(data);
+      return ref;
+    },
+    ...query(path)
+  });
+
+  return {
+    docs,
+    collection: name => collectionRef(name),
+    runTransaction: fn => fn({
+      get: ref => ref.get(),
+      set: (ref, data) => { ref.set(data); },
+      update: (ref, data) => { ref.update(data); }
+    }),
+    batch: () => {
+      const writes = [];
+      return {
+        delete: ref => { writes.push(() => ref.delete()); },
+        commit: async () => { for (const write of writes) await write(); }
+      };
+    },
+    recursiveDelete: async ref => {
+      for (const key of [...docs.keys()]) {
+        if (key === ref.path || key.startsWith(`${ref.path}/`)) docs.delete(key);
+      }
+    }
+  };
+}
+
+/**
+ * Route the shared Firestore instance's reads and writes to a fresh store.
+ * Undo with jest.restoreAllMocks().
+ */
+function useMemoryStore() {
+  const store = createMemoryStore();
+  const db = admin.firestore();
+  ['collection', 'runTransaction', 'batch', 'recursiveDelete'].forEach(method => {
+    jest.spyOn(db, method).mockImplementation((...args) => store[method](...args));
+  });
+  return store;
+}
+
+module.exports = { createMemoryStore, useMemoryStore };
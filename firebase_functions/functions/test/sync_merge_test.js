@@ -0,0 +1,183 @@
+/**
+ * Sync merge tests
+ * Focus Flow Timer - Cloud Functions
+ *
+ * Covers one-sided changes, matching and diverging edits under each policy,
+ * "newest wins" without edit times and fields not yet in the ledger
+ * Run with: npm test -- test/sync_merge_test.js
+ */
+
+const { mergeSyncFields, resolvePolicy } = require('../lib/services/syncMerge');
+
+const EARLIER = new Date('2026-03-10T09:00:00Z');
+const LATER = new Date('2026-03-10T10:00:00Z');
+
+// The title was "Draft" on both sides at the last sync
+const merge = ({ local, remote, policy = 'flag_conflict', localUpdatedAt = EARLIER, remoteUpdatedAt = LATER, ledger }) =>
+  mergeSyncFields({
+    ledger: ledger || { title: { local: 'Draft', remote: 'Draft' } },
+    local: { title: local },
+    remote: { title: remote },
+    policyFor: () => policy,
+    localUpdatedAt,
+    remoteUpdatedAt
+  });
+
+describe('One side changed', () => {
+  test.each(['remote_wins', 'local_wins', 'newest_wins', 'flag_conflict'])('Takes the remote edit under %s', policy => {
+    const result = merge({ local: 'Draft', remote: 'Final', policy });
+
+    expect(result.localUpdates).toEqual({ title: 'Final' });
+    expect(result.push).toEqual([]);
+    expect(result.conflicts).toEqual([]);
+    expect(result.ledger.title).toEqual({ local: 'Final', remote: 'Final' });
+  });
+
+  test.each(['remote_wins', 'local_wins', 'newest_wins', 'flag_conflict'])('Pushes the local edit under %s', policy => {
+    const result = merge({ local: 'Final', remote: 'Draft', policy });
+
+    expect(result.localUpdates).toEqual({});
+    expect(result.push).toEqual(['title']);
+    expect(result.conflicts).toEqual([]);
+    // The remote side stays as last reported until the push lands
+    expect(result.ledger.title).toEqual({ local: 'Final', remote: 'Draft' });
+  });
+
+  test('Leaves an unchanged field alone', () => {
+    const result = merge({ local: 'Draft', remote: 'Draft' });
+
+    expect(result).toEqual({
+      localUpdates: {},
+      push: [],
+      conflicts: [],
+      ledger: { title: { local: 'Draft', remote: 'Draft' } }
+    });
+  });
+
+  test('Compares normalized label lists element by element', () => {
+    const result = mergeSyncFields({
+      ledger: { labels: { local: ['a', 'b'], remote: ['a', 'b'] } },
+      local: { labels: ['a', 'b'] },
+      remote: { labels: ['a', 'b', 'c'] },
+      policyFor: () => 'flag_conflict',
+      localUpdatedAt: null,
+      remoteUpdatedAt: null
+    });
+
+    expect(result.localUpdates).toEqual({ labels: ['a', 'b', 'c'] });
+  });
+});
+
+describe('Both sides changed', () => {
+  test('Records matching edits without updating or pushing', () => {
+    const result = merge({ local: 'Final', remote: 'Final' });
+
+    expect(result.localUpdates).toEqual({});
+    expect(result.push).toEqual([]);
+    expect(result.conflicts).toEqual([]);
+    expect(result.ledger.title).toEqual({ local: 'Final', remote: 'Final' });
+  });
+
+  test.each([
+    // policy, local edited at, remote edited at, outcome
+    ['remote_wins', EARLIER, LATER, 'remote'],
+    ['remote_wins', LATER, EARLIER, 'remote'],
+    ['local_wins', EARLIER, LATER, 'local'],
+    ['local_wins', LATER, EARLIER, 'local'],
+    ['newest_wins', EARLIER, LATER, 'remote'],
+    ['newest_wins', LATER, EARLIER, 'local'],
+    ['newest_wins', LATER, LATER, 'local'],
+    ['flag_conflict', EARLIER, LATER, 'conflict']
+  ])('Diverging edits under %s (local %p, remote %p) resolve to %s', (policy, localUpdatedAt, remoteUpdatedAt, outcome) => {
+    const result = merge({ local: 'Mine', remote: 'Theirs', policy, localUpdatedAt, remoteUpdatedAt });
+
+    if (outcome === 'remote') {
+      expect(result.localUpdates).toEqual({ title: 'Theirs' });
+      expect(result.push).toEqual([]);
+      expect(result.ledger.title).toEqual({ local: 'Theirs', remote: 'Theirs' });
+    } else if (outcome === 'local') {
+      expect(result.localUpdates).toEqual({});
+      expect(result.push).toEqual(['title']);
+      expect(result.ledger.title).toEqual({ local: 'Mine', remote: 'Theirs' });
+    } else {
+      expect(result.localUpdates).toEqual({});
+      expect(result.push).toEqual([]);
+      expect(result.conflicts).toEqual([{
+        field: 'title',
+        base: { local: 'Draft', remote: 'Draft' },
+        local: 'Mine',
+        remote: 'Theirs'
+      }]);
+      // Kept as it was, so the field stays in conflict until resolved
+      expect(result.ledger.title).toEqual({ local: 'Draft', remote: 'Draft' });
+    }
+    if (outcome !== 'conflict') expect(result.conflicts).toEqual([]);
+  });
+
+  test.each([
+    ['the local edit time', null, LATER],
+    ['the remote edit time', EARLIER, null],
+    ['either edit time', null, null]
+  ])('Flags newest_wins for review without %s', (_, localUpdatedAt, remoteUpdatedAt) => {
+    const result = merge({ local: 'Mine', remote: 'Theirs', policy: 'newest_wins', localUpdatedAt, remoteUpdatedAt });
+
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.localUpdates).toEqual({});
+    expect(result.push).toEqual([]);
+  });
+});
+
+describe('Fields without a ledger entry', () => {
+  test('Adopts both values as the baseline without updating, pushing or flagging', () => {
+    const result = merge({ local: 'Mine', remote: 'Theirs', ledger: {} });
+
+    expect(result).toEqual({
+      localUpdates: {},
+      push: [],
+      conflicts: [],
+      ledger: { title: { local: 'Mine', remote: 'Theirs' } }
+    });
+  });
+
+  test('Treats a missing local value as null', () => {
+    const result = mergeSyncFields({
+      ledger: {},
+      local: {},
+      remote: { dueDate: '2026-03-12' },
+      policyFor: () => 'flag_conflict',
+      localUpdatedAt: null,
+      remoteUpdatedAt: null
+    });
+
+    expect(result.ledger).toEqual({ dueDate: { local: null, remote: '2026-03-12' } });
+  });
+
+  test('Skips fields the provider does not report', () => {
+    const ledger = { description: { local: 'Old', remote: 'Old' } };
+    const result = mergeSyncFields({
+      ledger,
+      local: { description: 'New' },
+      remote: {},
+      policyFor: () => 'flag_conflict',
+      localUpdatedAt: null,
+      remoteUpdatedAt: null
+    });
+
+    expect(result).toEqual({ localUpdates: {}, push: [], conflicts: [], ledger });
+  });
+});
+
+describe('resolvePolicy', () => {
+  test.each([
+    ['remote_wins', null, null, 'remote_wins'],
+    ['local_wins', null, null, 'local_wins'],
+    ['flag_conflict', EARLIER, LATER, 'flag_conflict'],
+    ['newest_wins', EARLIER, LATER, 'remote_wins'],
+    ['newest_wins', LATER, EARLIER, 'local_wins'],
+    ['newest_wins', LATER, LATER, 'local_wins'],
+    ['newest_wins', null, LATER, 'flag_conflict'],
+    ['newest_wins', EARLIER, null, 'flag_conflict']
+  ])('%s with local %p and remote %p applies %s', (policy, localUpdatedAt, remoteUpdatedAt, expected) => {
+    expect(resolvePolicy(policy, localUpdatedAt, remoteUpdatedAt)).toBe(expected);
+  });
+});
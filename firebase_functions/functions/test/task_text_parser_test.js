@@ -0,0 +1,120 @@
+/**
+ * Quick-add text parser tests
+ * Focus Flow Timer - Cloud Functions
+ *
+ * Covers markers left out of titles, relative dates across a DST change and
+ * half-hour offsets
+ * Run with: npm test -- test/task_text_parser_test.js
+ */
+
+const { parseTaskText } = require('../lib/services/taskTextParser');
+
+// Saturday 2026-03-07, 10:00 in New York (EST); clocks spring forward the next night
+const NOW = new Date('2026-03-07T15:00:00Z');
+const NEW_YORK = 'America/New_York';
+
+const parse = (text, timezone = NEW_YORK) => parseTaskText(text, timezone, NOW);
+
+describe('Titles and markers', () => {
+  test('Splits a full quick-add line into fields', () => {
+    const parsed = parse('Review PR #42 tomorrow 3pm ~45m !high #backend');
+
+    expect(parsed).toMatchObject({
+      title: 'Review PR #42',
+      // 15:00 on the first day of daylight time is UTC-4
+      dueDate: '2026-03-08T19:00:00.000Z',
+      dueDateHasTime: true,
+      estimatedDuration: 45,
+      priority: 'high',
+      tags: ['backend']
+    });
+  });
+
+  test.each([
+    ['Fix bug p1 asap', 'Fix bug', 'critical', 0.85],
+    ['Call supplier asap', 'Call supplier', 'high', 0.6],
+    ['Pay rent !!! urgently', 'Pay rent', 'critical', 0.85],
+    ['!low Tidy desk p2', 'Tidy desk', 'low', 0.95]
+  ])('Removes every priority marker from "%s"', (text, title, priority, confidence) => {
+    const parsed = parse(text);
+
+    expect(parsed.title).toBe(title);
+    expect(parsed.priority).toBe(priority);
+    expect(parsed.confidence.priority).toBe(confidence);
+  });
+
+  test('Drops connector words left dangling by a removed date', () => {
+    expect(parse('Send invoice due tomorrow').title).toBe('Send invoice');
+  });
+
+  test('Lowercases and de-duplicates tags', () => {
+    const parsed = parse('#Work plan sprint #work #ops');
+
+    expect(parsed.title).toBe('plan sprint');
+    expect(parsed.tags).toEqual(['work', 'ops']);
+  });
+
+  test.each([
+    ['Write docs ~1h30m', 90],
+    ['Write docs ~1.5h', 90],
+    ['Write docs ~20', 20],
+    ['Write docs for 45 minutes', 45]
+  ])('Reads the estimate in "%s"', (text, minutes) => {
+    const parsed = parse(text);
+
+    expect(parsed.estimatedDuration).toBe(minutes);
+    expect(parsed.title).toBe('Write docs');
+  });
+});
+
+describe('Due dates', () => {
+  test('A bare time that has passed today means tomorrow', () => {
+    const parsed = parse('Standup 9am');
+
+    expect(parsed.dueDate).toBe('2026-03-08T13:00:00.000Z');
+    expect(parsed.dueDateHasTime).toBe(true);
+  });
+
+  test('A date without a time is due at the end of the working day', () => {
+    const parsed = parse('Submit report friday');
+
+    expect(parsed.dueDate).toBe('2026-03-13T21:00:00.000Z');
+    expect(parsed.dueDateHasTime).toBe(false);
+  });
+
+  test("Today's weekday name means the same day next week", () => {
+    expect(parse('Grocery run saturday').dueDate).toBe('2026-03-14T21:00:00.000Z');
+  });
+
+  test('A month and day already past this year rolls over to next year', () => {
+    // January is back in standard time, UTC-5
+    expect(parse('Renew domain jan 5').dueDate).toBe('2027-01-05T22:00:00.000Z');
+  });
+
+  test('Relative days are counted in local calendar days across the DST change', () => {
+    // 17:00 local on both sides, although only 23 hours separate the 7th and 8th
+    expect(parse('Backup in 1 day').dueDate).toBe('2026-03-08T21:00:00.000Z');
+    expect(parse('Backup today').dueDate).toBe('2026-03-07T22:00:00.000Z');
+  });
+
+  test('Uses the local date and offset of half-hour time zones', () => {
+    // 20:30 in Kolkata (UTC+5:30)
+    const parsed = parse('Ship release today 11:30pm', 'Asia/Kolkata');
+
+    expect(parsed.dueDate).toBe('2026-03-07T18:00:00.000Z');
+    expect(parsed.title).toBe('Ship release');
+  });
+
+  test('Rejects calendar dates that do not exist', () => {
+    const parsed = parse('Plan offsite 2026-02-30');
+
+    expect(parsed.dueDate).toBeNull();
+    expect(parsed.confidence.dueDate).toBe(0);
+  });
+
+  test('Leaves the due date empty when the text has none', () => {
+    const parsed = parse('Read chapter 3');
+
+    expect(parsed).toMatchObject({ title: 'Read chapter 3', dueDate: null, priority: null, estimatedDuration: null, tags: [] });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Webhook verification tests for integrations
+ * Focus Flow Timer - Cloud Functions
+ *
+ * Covers signatures, stale and repeated deliveries, and Asana's handshake. An
+ * in-memory store stands in for Firestore.
+ * Run with: npm test -- test/webhook_test.js
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+process.env.ENCRYPTION_KEYS = `k1:${crypto.randomBytes(32).toString('base64')}`;
+delete process.env.ENCRYPTION_KEY_ID;
+
+if (admin.apps.length === 0) {
+  admin.initializeApp({ projectId: 'demo-focus-flow' });
+}
+
+const { integrationService } = require('../lib/services/integrationService');
+const { securityService } = require('../lib/services/securityService');
+const { useMemoryStore } = require('./support/memory_store');
+
+const USER_ID = 'user-1';
+const SECRET = 'webhook-secret';
+const HOUR = 60 * 60 * 1000;
+
+let store;
+
+beforeEach(() => {
+  store = useMemoryStore();
+  jest.spyOn(console, 'error').mockImplementation(() => undefined);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const userPath = path => `users/${USER_ID}/${path}`;
+
+function connect(provider, settings = {}) {
+  store.docs.set(userPath(`integrations/${provider}`), {
+    provider,
+    settings,
+    isEnabled: true,
+    secrets: securityService.encryptData(JSON.stringify({ apiKey: 'token', credentials: {} }), USER_ID, `integrations/${provider}`)
+  });
+  store.docs.set(userPath(`webhooks/${provider}`), {
+    status: 'active',
+    secret: securityService.encryptData(SECRET, USER_ID, `webhooks/${provider}`)
+  });
+}
+
+const digest = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+function delivery(provider, payload, { secret = SECRET, headers = {} } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  const signature = {
+    github: { 'x-hub-signature-256': `sha256=${digest(rawBody, secret)}` },
+    jira: { 'x-hub-signature': `sha256=${digest(rawBody, secret)}` },
+    asana: { 'x-hook-signature': digest(rawBody, secret) }
+  }[provider];
+  return { headers: { ...signature, ...headers }, rawBody };
+}
+
+const claimedDeliveries = () => [...store.docs.keys()].filter(path => path.startsWith(userPath('webhook_deliveries/')));
+
+describe('Signatures', () => {
+  const ping = { zen: 'Keep it logically awesome.' };
+
+  beforeEach(() => connect('github', { repository: 'me/app' }));
+
+  test('Accepts a delivery signed with the webhook secret', async () => {
+    const request = delivery('github', ping, { headers: { 'x-github-event': 'ping', 'x-github-delivery': 'd-1' } });
+
+    await expect(integrationService.handleWebhook('github', USER_ID, request)).resolves.toEqual({ events: 1 });
+    expect(claimedDeliveries()).toHaveLength(1);
+  });
+
+  test.each([
+    ['missing', request => { delete request.headers['x-hub-signature-256']; }],
+    ['made with another secret', request => { Object.assign(request, delivery('github', ping, { secret: 'guess' })); }],
+    ['for a different body', request => { request.rawBody = Buffer.from(JSON.stringify({ zen: 'Changed' })); }],
+    ['truncated', request => { request.headers['x-hub-signature-256'] = request.headers['x-hub-signature-256'].slice(0, 20); }],
+    ['in the wrong header', request => {
+      request.headers['x-hub-signature'] = request.headers['x-hub-signature-256'];
+      delete request.headers['x-hub-signature-256'];
+    }]
+  ])('Rejects a delivery whose signature is %s', async (_, tamper) => {
+    const request = delivery('github', ping);
+    tamper(request);
+
+    await expect(integrationService.handleWebhook('github', USER_ID, request)).rejects.toThrow('Invalid webhook signature');
+    expect(claimedDeliveries()).toHaveLength(0);
+  });
+
+  test('Rejects signed deliveries for a webhook without a secret', async () => {
+    store.docs.set(userPath('webhooks/github'), { status: 'active' });
+
+    await expect(integrationService.handleWebhook('github', USER_ID, delivery('github', ping)))
+      .rejects.toThrow('Invalid webhook signature');
+  });
+
+  test('Rejects providers without a registered webhook', async () => {
+    await expect(integrationService.handleWebhook('trello', USER_ID, delivery('github', ping)))
+      .rejects.toThrow('Webhook not registered for trello');
+  });
+});
+
+describe('Replays', () => {
+  test('Rejects a Jira delivery sent more than an hour ago', async () => {
+    connect('jira');
+    const payload = { webhookEvent: 'jira:issue_updated', timestamp: Date.now() - HOUR - 60 * 1000 };
+
+    await expect(integrationService.handleWebhook('jira', USER_ID, delivery('jira', payload)))
+      .rejects.toThrow('Webhook replay rejected: delivery is too old');
+    expect(claimedDeliveries()).toHaveLength(0);
+  });
+
+  test('Rejects an Asana delivery whose newest event is more than an hour old', async () => {
+    connect('asana');
+    const payload = {
+      events: [
+        { action: 'changed', resource: { gid: '1', resource_type: 'task' }, created_at: new Date(Date.now() - 3 * HOUR).toISOString() },
+        { action: 'changed', resource: { gid: '2', resource_type: 'task' }, created_at: new Date(Date.now() - 2 * HOUR).toISOString() }
+      ]
+    };
+
+    await expect(integrationService.handleWebhook('asana', USER_ID, delivery('asana', payload)))
+      .rejects.toThrow('Webhook replay rejected: delivery is too old');
+  });
+
+  test('Rejects a delivery id that was already received', async () => {
+    connect('github', { repository: 'me/app' });
+    const request = delivery('github', { zen: 'Ping' }, { headers: { 'x-github-event': 'ping', 'x-github-delivery': 'd-1' } });
+
+    await integrationService.handleWebhook('github', USER_ID, request);
+
+    await expect(integrationService.handleWebhook('github', USER_ID, request))
+      .rejects.toThrow('Webhook replay rejected: delivery already received');
+    expect(store.docs.get(claimedDeliveries()[0])).toMatchObject({ provider: 'github', deliveryId: 'd-1' });
+  });
+
+  test('Rejects a repeated body from providers without delivery ids', async () => {
+    connect('asana');
+    const request = delivery('asana', { events: [] });
+
+    await expect(integrationService.handleWebhook('asana', USER_ID, request)).resolves.toEqual({ events: 0 });
+    await expect(integrationService.handleWebhook('asana', USER_ID, request))
+      .rejects.toThrow('Webhook replay rejected: delivery already received');
+  });
+});
+
+describe('Asana handshake', () => {
+  const handshake = secret => ({ headers: { 'x-hook-secret': secret }, rawBody: Buffer.alloc(0) });
+
+  const pending = (setupAt, extra = {}) => {
+    store.docs.set(userPath('webhooks/asana'), { status: 'pending', setupAt, ...extra });
+  };
+
+  test('Stores the secret sealed while the registration is pending', async () => {
+    pending(new Date(Date.now() - 60 * 1000));
+
+    await expect(integrationService.handleWebhook('asana', USER_ID, handshake('asana-secret')))
+      .resolves.toEqual({ handshakeSecret: 'asana-secret', events: 0 });
+
+    const stored = store.docs.get(userPath('webhooks/asana')).secret;
+    expect(stored).not.toContain('asana-secret');
+    expect(securityService.decryptData(stored, USER_ID, 'webhooks/asana')).toBe('asana-secret');
+  });
+
+  test('Refuses a handshake more than ten minutes after setup started', async () => {
+    pending(new Date(Date.now() - 11 * 60 * 1000));
+
+    await expect(integrationService.handleWebhook('asana', USER_ID, handshake('asana-secret')))
+      .rejects.toThrow('Unexpected webhook handshake');
+    expect(store.docs.get(userPath('webhooks/asana')).secret).toBeUndefined();
+  });
+
+  test('Refuses to replace a secret that is already stored', async () => {
+    const original = securityService.encryptData(SECRET, USER_ID, 'webhooks/asana');
+    pending(new Date(), { secret: original });
+
+    await expect(integrationService.handleWebhook('asana', USER_ID, handshake('attacker-secret')))
+      .rejects.toThrow('Unexpected webhook handshake');
+    expect(store.docs.get(userPath('webhooks/asana')).secret).toBe(original);
+  });
+
+  test('Refuses a handshake for an active webhook', async () => {
+    connect('asana');
+    const original = store.docs.get(userPath('webhooks/asana')).secret;
+
+    await expect(integrationService.handleWebhook('asana', USER_ID, handshake('attacker-secret')))
+      .rejects.toThrow('Unexpected webhook handshake');
+    expect(store.docs.get(userPath('webhooks/asana')).secret).toBe(original);
+  });
+});